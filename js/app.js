@@ -1,16 +1,25 @@
 // Main Application Entry Point
 import { TaskManager } from './store/TaskManager.js';
+import { ColumnManager } from './store/ColumnManager.js';
+import { LabelManager } from './store/LabelManager.js';
+import { BoardManager } from './store/BoardManager.js';
 import { DragManager } from './utils/DragManager.js';
 import { KeyboardManager } from './utils/KeyboardManager.js';
+import { RecurrenceRule } from './utils/RecurrenceRule.js';
 import { CanvasBackground } from './bg/CanvasBackground.js';
 import { UIManager } from './ui/UIManager.js';
 import { ToastManager } from './ui/ToastManager.js';
 import { ModalManager } from './ui/ModalManager.js';
 import { FilterManager } from './ui/FilterManager.js';
+import { CalendarView } from './ui/CalendarView.js';
+import { TableView } from './ui/TableView.js';
 
 class TaskFlowApp {
     constructor() {
         this.taskManager = new TaskManager();
+        this.columnManager = new ColumnManager();
+        this.labelManager = new LabelManager();
+        this.boardManager = new BoardManager();
         this.dragManager = new DragManager();
         this.keyboardManager = new KeyboardManager();
         this.canvasBackground = new CanvasBackground();
@@ -18,9 +27,13 @@ class TaskFlowApp {
         this.toastManager = new ToastManager();
         this.modalManager = new ModalManager();
         this.filterManager = new FilterManager();
+        this.calendarView = new CalendarView();
+        this.tableView = new TableView();
         
         this.selectedTaskId = null;
+        this.pendingChangeCount = 0;
         this.isInitialized = false;
+        this.requestedLabelIds = new Set();
         
         this.init();
     }
@@ -36,6 +49,9 @@ class TaskFlowApp {
             // Set up event listeners
             this.setupEventListeners();
             
+            // Open the view bookmarked in the URL
+            this.filterManager.loadViewFromURL();
+            
             // Load initial data
             await this.loadInitialData();
             
@@ -67,9 +83,14 @@ class TaskFlowApp {
         // Initialize task manager
         await this.taskManager.init();
         
+        // Boards, columns and labels share the task manager's API client and storage
+        this.boardManager.init(this.taskManager.apiClient, this.taskManager.storageManager);
+        this.columnManager.init(this.taskManager.apiClient, this.taskManager.storageManager);
+        this.labelManager.init(this.taskManager.apiClient, this.taskManager.storageManager);
+        
         // Initialize UI components
-        this.uiManager.init(this.taskManager);
-        this.modalManager.init(this.taskManager, this.uiManager);
+        this.uiManager.init(this.taskManager, this.boardManager);
+        this.modalManager.init(this.taskManager, this.uiManager, this.columnManager, this.boardManager, this.labelManager);
         this.filterManager.init(this.taskManager, this.uiManager);
         
         // Initialize drag manager
@@ -79,12 +100,30 @@ class TaskFlowApp {
             onDragEnd: this.handleDragEnd.bind(this)
         });
         
+        // The calendar drags tasks between days with a drag manager of its own
+        this.calendarView.init({
+            onOpenTask: (taskId) => this.openTask(taskId),
+            onReschedule: this.handleReschedule.bind(this),
+            onNavigate: () => this.renderTasks()
+        });
+        
+        // Table rows share the selection of the board's cards
+        this.tableView.init({
+            onOpenTask: (taskId) => this.openTask(taskId),
+            onUpdateTask: this.handleTableEdit.bind(this),
+            onSelectionChange: (taskIds) => this.uiManager.setTaskSelection(taskIds),
+            getSelectedTaskIds: () => this.uiManager.getSelectedTaskIds(),
+            onSort: () => this.renderTasks()
+        });
+        
         // Initialize keyboard manager
         this.keyboardManager.init({
             onCreateTask: () => this.modalManager.openCreateModal(),
             onDeleteTask: () => this.handleDeleteSelectedTask(),
             onSearch: () => this.focusSearch(),
-            onEscape: () => this.handleEscape()
+            onEscape: () => this.handleEscape(),
+            onUndo: () => this.handleUndo(),
+            onRedo: () => this.handleRedo()
         });
         
         // Initialize canvas background
@@ -124,6 +163,9 @@ class TaskFlowApp {
         // Task creation buttons
         this.setupTaskCreation();
         
+        // Bulk actions for the selected tasks
+        this.setupBulkToolbar();
+        
         // Window resize
         window.addEventListener('resize', this.handleResize.bind(this));
         
@@ -135,9 +177,30 @@ class TaskFlowApp {
         this.taskManager.on('taskCreated', this.handleTaskCreated.bind(this));
         this.taskManager.on('taskUpdated', this.handleTaskUpdated.bind(this));
         this.taskManager.on('taskDeleted', this.handleTaskDeleted.bind(this));
+        this.taskManager.on('syncConflicts', this.handleSyncConflicts.bind(this));
+        this.taskManager.on('tasksBlocked', this.handleTasksBlocked.bind(this));
+        this.taskManager.on('pendingChangesUpdated', this.handlePendingChangesUpdated.bind(this));
+        
+        // Offline request queue
+        this.taskManager.apiClient.on('pendingRequestsChanged', this.updateSyncStatus.bind(this));
+        this.taskManager.apiClient.on('requestFailed', this.handleRequestFailed.bind(this));
+        window.addEventListener('online', this.handleOnline.bind(this));
+        window.addEventListener('offline', this.updateSyncStatus.bind(this));
+        
+        // Board events
+        this.boardManager.on('boardChanged', this.handleBoardChanged.bind(this));
+        
+        // Column events
+        this.columnManager.on('columnsUpdated', this.handleColumnsUpdated.bind(this));
+        this.columnManager.on('columnDeleted', this.handleColumnDeleted.bind(this));
+        
+        // Label events
+        this.labelManager.on('labelsUpdated', this.handleLabelsUpdated.bind(this));
+        this.labelManager.on('labelDeleted', this.handleLabelDeleted.bind(this));
         
         // Filter events
         this.filterManager.on('filtersChanged', this.handleFiltersChanged.bind(this));
+        this.filterManager.on('viewChanged', this.handleViewChanged.bind(this));
     }
     
     setupProfileDropdown() {
@@ -151,11 +214,7 @@ class TaskFlowApp {
         
         // Settings button
         document.getElementById('settingsButton')?.addEventListener('click', () => {
-            this.toastManager.show({
-                type: 'info',
-                title: 'Settings',
-                message: 'Settings panel coming soon!'
-            });
+            this.modalManager.openSettingsModal();
             profileMenu.classList.remove('show');
         });
         
@@ -203,6 +262,59 @@ class TaskFlowApp {
         sortBy?.addEventListener('change', (e) => {
             this.filterManager.setSortBy(e.target.value);
         });
+        
+        // Sidebar labels are rendered from the board's labels, so delegate
+        document.getElementById('labelNavList')?.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-label-id]');
+            if (link) {
+                this.filterManager.toggleLabel(link.dataset.labelId);
+            }
+        });
+        
+        document.querySelectorAll('[data-label-match]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.filterManager.setLabelMatch(button.dataset.labelMatch);
+            });
+        });
+    }
+    
+    setupBulkToolbar() {
+        document.getElementById('bulkStatus')?.addEventListener('change', (e) => {
+            if (e.target.value) {
+                this.handleBulkUpdate({ status: e.target.value });
+                e.target.value = '';
+            }
+        });
+        
+        document.getElementById('bulkPriority')?.addEventListener('change', (e) => {
+            if (e.target.value) {
+                this.handleBulkUpdate({ priority: e.target.value });
+                e.target.value = '';
+            }
+        });
+        
+        // Empty category and due date inputs clear the field
+        document.getElementById('bulkCategoryForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = document.getElementById('bulkCategory');
+            this.handleBulkUpdate({ category: input.value.trim() });
+            input.value = '';
+        });
+        
+        document.getElementById('bulkDueDateForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = document.getElementById('bulkDueDate');
+            this.handleBulkUpdate({ dueDate: input.value ? new Date(input.value).toISOString() : null });
+            input.value = '';
+        });
+        
+        document.getElementById('bulkDeleteBtn')?.addEventListener('click', () => {
+            this.handleBulkDelete();
+        });
+        
+        document.getElementById('bulkClearBtn')?.addEventListener('click', () => {
+            this.uiManager.clearSelection();
+        });
     }
     
     setupTaskCreation() {
@@ -211,29 +323,55 @@ class TaskFlowApp {
             this.modalManager.openCreateModal();
         });
         
-        // Column add buttons
-        document.querySelectorAll('.add-task-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const status = e.target.closest('.add-task-btn').dataset.status;
-                this.modalManager.openCreateModal(status);
-            });
+        // Column add buttons (columns are rendered dynamically, so delegate)
+        document.getElementById('taskBoard')?.addEventListener('click', (e) => {
+            const addButton = e.target.closest('.add-task-btn');
+            if (addButton) {
+                this.modalManager.openCreateModal(addButton.dataset.status);
+            }
+        });
+        
+        // Column settings
+        document.getElementById('manageColumnsBtn')?.addEventListener('click', () => {
+            this.modalManager.openColumnsModal();
+        });
+        
+        // Label settings
+        document.getElementById('manageLabelsBtn')?.addEventListener('click', () => {
+            this.modalManager.openLabelsModal();
         });
     }
     
     async loadInitialData() {
-        // Load tasks from storage and sync with server
-        await this.taskManager.loadTasks();
+        // Load boards, then the current board's columns, labels and tasks, from storage and sync with server
+        await this.boardManager.loadBoards();
+        const boardId = this.boardManager.getCurrentBoardId();
+        await this.columnManager.setBoard(boardId);
+        await this.labelManager.setBoard(boardId);
+        await this.taskManager.setBoard(boardId);
         
         // Render initial UI
+        this.renderBoard();
         this.renderTasks();
         this.updateTaskCounts();
         this.updateCategoryFilters();
         
+        this.pendingChangeCount = await this.taskManager.getPendingChangeCount();
+        this.updateSyncStatus();
+        
         // Sync with server in background
         try {
-            await this.taskManager.syncWithServer();
-            this.renderTasks();
-            this.updateTaskCounts();
+            await this.boardManager.syncWithServer();
+            
+            // On first run (or if the board is gone) the sync switches boards,
+            // and the switch loads the new board itself
+            if (this.boardManager.getCurrentBoardId() === boardId) {
+                await this.columnManager.syncWithServer();
+                await this.labelManager.syncWithServer();
+                await this.taskManager.syncWithServer();
+                this.renderTasks();
+                this.updateTaskCounts();
+            }
         } catch (error) {
             console.log('Server sync failed, working offline:', error);
             this.toastManager.show({
@@ -254,9 +392,11 @@ class TaskFlowApp {
             zone.classList.add('drag-active');
         });
         
+        // Cards only make room for the dragged one while the board shows the manual order
         return {
             taskId: taskCard.dataset.taskId,
-            originalStatus: taskCard.dataset.status
+            originalStatus: taskCard.dataset.status,
+            sortable: this.filterManager.isManualOrder()
         };
     }
     
@@ -273,7 +413,10 @@ class TaskFlowApp {
             dropTarget.classList.add('drag-over');
         }
         
-        return { dropTarget };
+        // The drop zone under a column drops at the bottom of its list
+        const dropList = dropTarget?.closest('.task-column')?.querySelector('.task-list') || null;
+        
+        return { dropTarget, dropList };
     }
     
     async handleDragEnd(data, dragData) {
@@ -288,15 +431,46 @@ class TaskFlowApp {
         // Handle drop
         if (dragData.dropTarget) {
             const newStatus = dragData.dropTarget.dataset.status;
-            if (newStatus && newStatus !== data.originalStatus) {
+            const statusChanged = newStatus && newStatus !== data.originalStatus;
+            const reordered = data.sortable && dragData.dropIndex !== null &&
+                dragData.dropIndex !== this.getCardIndex(dragData.dropList, data.taskId);
+            
+            if ((statusChanged || reordered) && !this.boardManager.canEditCurrentBoard()) {
+                this.toastManager.show({
+                    type: 'warning',
+                    title: 'Read-only Board',
+                    message: 'You have view access to this board, so tasks cannot be moved.'
+                });
+            } else if (!statusChanged && !data.sortable && newStatus) {
+                this.toastManager.show({
+                    type: 'info',
+                    title: 'Sorted Board',
+                    message: 'Choose "Manual Order" in the sort menu to reorder tasks by dragging.'
+                });
+            } else if (statusChanged && this.isBlockedFromDone(this.taskManager.getTask(data.taskId), newStatus)) {
+                this.toastManager.show({
+                    type: 'warning',
+                    title: 'Task Blocked',
+                    message: 'This board requires the tasks blocking this one to be done first.'
+                });
+            } else if (statusChanged || reordered) {
                 try {
-                    await this.taskManager.updateTask(data.taskId, { status: newStatus });
+                    if (data.sortable && dragData.dropIndex !== null) {
+                        const [beforeId, afterId] = this.getDropNeighbours(dragData.dropList, data.taskId, dragData.dropIndex);
+                        await this.taskManager.moveTask(data.taskId, newStatus, beforeId, afterId);
+                    } else {
+                        await this.taskManager.updateTask(data.taskId, { status: newStatus });
+                    }
                     
-                    this.toastManager.show({
-                        type: 'success',
-                        title: 'Task Moved',
-                        message: `Task moved to ${this.getStatusDisplayName(newStatus)}`
-                    });
+                    if (statusChanged) {
+                        this.toastManager.show({
+                            type: 'success',
+                            title: 'Task Moved',
+                            message: `Task moved to ${this.getStatusDisplayName(newStatus)}`
+                        });
+                        
+                        this.warnIfOverLimit(newStatus);
+                    }
                 } catch (error) {
                     console.error('Failed to update task status:', error);
                     this.toastManager.show({
@@ -311,6 +485,23 @@ class TaskFlowApp {
         this.selectedTaskId = null;
     }
     
+    // Ids of the cards in a list, not counting the one being dragged
+    getOtherCardIds(list, taskId) {
+        return [...list.querySelectorAll('.task-card')]
+            .map(card => card.dataset.taskId)
+            .filter(id => id !== taskId);
+    }
+    
+    getCardIndex(list, taskId) {
+        return [...list.querySelectorAll('.task-card')].findIndex(card => card.dataset.taskId === taskId);
+    }
+    
+    // The cards on either side of a drop; null at the top or bottom of the list
+    getDropNeighbours(list, taskId, dropIndex) {
+        const ids = this.getOtherCardIds(list, taskId);
+        return [ids[dropIndex - 1] || null, ids[dropIndex] || null];
+    }
+    
     findDropTarget(x, y) {
         const element = document.elementFromPoint(x, y);
         if (!element) return null;
@@ -320,12 +511,20 @@ class TaskFlowApp {
     }
     
     getStatusDisplayName(status) {
-        const statusNames = {
-            todo: 'To Do',
-            inProgress: 'In Progress',
-            done: 'Done'
-        };
-        return statusNames[status] || status;
+        return this.columnManager.getColumn(status)?.name || status;
+    }
+    
+    warnIfOverLimit(status) {
+        const column = this.columnManager.getColumn(status);
+        const count = this.taskManager.getTasksByStatus(status).length;
+        
+        if (this.columnManager.isOverLimit(status, count)) {
+            this.toastManager.show({
+                type: 'warning',
+                title: 'WIP Limit Exceeded',
+                message: `"${column.name}" has ${count} tasks but its limit is ${column.wipLimit}.`
+            });
+        }
     }
     
     // Event Handlers
@@ -333,51 +532,252 @@ class TaskFlowApp {
         this.renderTasks();
         this.updateTaskCounts();
         this.updateCategoryFilters();
+        this.renderLabelFilters();
+        this.loadUnknownLabels(tasks);
+    }
+    
+    async handleBoardChanged(board) {
+        // Status, category and label filters refer to the previous board's columns, tasks and labels
+        this.filterManager.setFilters({ status: '', category: '', labels: '' });
+        
+        await this.columnManager.setBoard(board.id);
+        await this.labelManager.setBoard(board.id);
+        await this.taskManager.setBoard(board.id);
+        
+        try {
+            await this.columnManager.syncWithServer();
+            await this.labelManager.syncWithServer();
+            await this.taskManager.syncWithServer();
+        } catch (error) {
+            console.warn('Failed to sync board with server:', error);
+        }
+        
+        this.uiManager.renderBoardSwitcher();
+    }
+    
+    handleColumnsUpdated() {
+        this.renderBoard();
+        this.renderTasks();
+        this.updateTaskCounts();
+    }
+    
+    async handleColumnDeleted({ column, moveTo }) {
+        if (!moveTo) return;
+        
+        // The server already moved the tasks; mirror that locally, then pull the ranks and
+        // spawned recurring tasks it gave them
+        await this.taskManager.reassignStatus(column.key, moveTo);
+        this.taskManager.syncWithServer().catch(error => {
+            console.log('Syncing moved tasks failed:', error);
+        });
+    }
+    
+    handleLabelsUpdated() {
+        this.renderLabelFilters();
+        this.renderTasks();
+    }
+    
+    async handleLabelDeleted(label) {
+        if (this.filterManager.getLabelIds().includes(label.id)) {
+            this.filterManager.toggleLabel(label.id);
+        }
+        
+        // The server already took the label off its tasks; mirror that locally
+        await this.taskManager.removeLabel(label.id);
     }
     
-    handleTaskCreated(task) {
+    // Labels created by teammates or on other devices first show up on tasks; load
+    // them once, so an id whose label was deleted does not refetch on every change
+    loadUnknownLabels(tasks) {
+        const unknownIds = [...new Set(tasks.flatMap(task => task.labels || []))]
+            .filter(id => !this.labelManager.getLabel(id) && !this.requestedLabelIds.has(id));
+            
+        if (unknownIds.length === 0) return;
+        
+        unknownIds.forEach(id => this.requestedLabelIds.add(id));
+        this.labelManager.syncWithServer().catch(error => {
+            console.log('Loading labels failed:', error);
+        });
+    }
+    
+    // Changes pushed from other tabs and teammates just show up, without toasts
+    handleTaskCreated(task, { remote, historyEntry } = {}) {
+        if (remote) {
+            this.highlightRemoteChange(task);
+            return;
+        }
+        
         this.toastManager.show({
             type: 'success',
             title: 'Task Created',
-            message: `"${task.title}" has been created successfully!`
+            message: `"${task.title}" has been created successfully!`,
+            actions: this.getUndoActions(historyEntry)
         });
     }
     
-    handleTaskUpdated(task) {
+    handleTaskUpdated(task, { remote, historyEntry } = {}) {
+        if (remote) {
+            this.highlightRemoteChange(task);
+            return;
+        }
+        
         this.toastManager.show({
             type: 'success',
             title: 'Task Updated',
-            message: `"${task.title}" has been updated successfully!`
+            message: `"${task.title}" has been updated successfully!`,
+            actions: this.getUndoActions(historyEntry)
         });
     }
     
-    handleTaskDeleted(task) {
+    handleTaskDeleted(task, { remote, historyEntry } = {}) {
+        if (remote) return;
+        
         this.toastManager.show({
             type: 'success',
             title: 'Task Deleted',
             message: `"${task.title}" has been deleted.`,
-            actions: [{
-                label: 'Undo',
-                action: () => this.handleUndoDelete(task)
-            }],
+            actions: this.getUndoActions(historyEntry),
             duration: 6000
         });
     }
     
-    async handleUndoDelete(task) {
+    // Tasks changed here and on another device in the same fields; the user picks what to keep
+    handleSyncConflicts(conflicts) {
+        this.modalManager.openConflictModal(conflicts);
+    }
+    
+    // The server kept these tasks out of done, e.g. when a blocker was reopened on another device
+    handleTasksBlocked(tasks) {
+        this.toastManager.show({
+            type: 'warning',
+            title: 'Task Blocked',
+            message: tasks.length === 1
+                ? `"${tasks[0].title}" stays in its column: this board requires the tasks blocking it to be done first.`
+                : `${tasks.length} tasks stay in their columns: this board requires the tasks blocking them to be done first.`
+        });
+    }
+    
+    // Sync Status
+    handlePendingChangesUpdated(count) {
+        this.pendingChangeCount = count;
+        this.updateSyncStatus();
+    }
+    
+    // Shown while offline or while changes are waiting to reach the server
+    updateSyncStatus() {
+        const syncStatus = document.getElementById('syncStatus');
+        if (!syncStatus) return;
+        
+        const pending = this.pendingChangeCount + this.taskManager.apiClient.getPendingRequestCount();
+        const isOffline = !navigator.onLine;
+        const pendingText = `${pending} change${pending === 1 ? '' : 's'} pending`;
+        
+        syncStatus.hidden = !isOffline && pending === 0;
+        syncStatus.classList.toggle('offline', isOffline);
+        syncStatus.textContent = isOffline
+            ? (pending > 0 ? `Offline · ${pendingText}` : 'Offline')
+            : pendingText;
+    }
+    
+    // Send what was queued while offline, then catch up with changes made elsewhere
+    async handleOnline() {
+        this.updateSyncStatus();
+        
+        try {
+            await this.taskManager.apiClient.replayQueue();
+            await this.columnManager.syncWithServer();
+            await this.labelManager.syncWithServer();
+            await this.taskManager.syncWithServer();
+            this.renderTasks();
+            this.updateTaskCounts();
+        } catch (error) {
+            console.log('Sync after reconnecting failed:', error);
+        }
+    }
+    
+    // A change queued offline was refused when it was finally sent
+    handleRequestFailed({ error }) {
+        this.toastManager.show({
+            type: 'error',
+            title: 'Change Not Saved',
+            message: error.message || 'The server refused a change made while offline.'
+        });
+        
+        this.columnManager.syncWithServer().catch(syncError => {
+            console.log('Column sync after a refused change failed:', syncError);
+        });
+    }
+    
+    // The card is re-rendered by the tasksUpdated that follows, so animate on the next frame
+    highlightRemoteChange(task) {
+        requestAnimationFrame(() => this.uiManager.animateTaskUpdate(task.id));
+    }
+    
+    // Undo and Redo
+    // A toast's Undo belongs to the action it reports, which can only be undone while it is
+    // the latest one; Ctrl+Z steps back through everything
+    getUndoActions(historyEntry) {
+        return historyEntry ? [{
+            label: 'Undo',
+            action: () => this.handleUndo(historyEntry)
+        }] : [];
+    }
+    
+    async handleUndo(historyEntry = null) {
+        if (historyEntry && this.taskManager.getLastHistoryEntry() !== historyEntry) {
+            this.toastManager.show({
+                type: 'info',
+                title: 'Undo Unavailable',
+                message: 'Later changes have to be undone first (Ctrl+Z).'
+            });
+            return;
+        }
+        
         try {
-            await this.taskManager.createTask(task);
+            const entry = await this.taskManager.undo();
+            
+            this.toastManager.show(entry ? {
+                type: 'success',
+                title: 'Undone',
+                message: entry.label,
+                actions: [{
+                    label: 'Redo',
+                    action: () => this.handleRedo()
+                }]
+            } : {
+                type: 'info',
+                title: 'Nothing to Undo',
+                message: 'There are no changes to undo.'
+            });
+        } catch (error) {
+            console.error('Failed to undo:', error);
             this.toastManager.show({
+                type: 'error',
+                title: 'Undo Failed',
+                message: 'Failed to undo the last change. Please try again.'
+            });
+        }
+    }
+    
+    async handleRedo() {
+        try {
+            const entry = await this.taskManager.redo();
+            
+            this.toastManager.show(entry ? {
                 type: 'success',
-                title: 'Task Restored',
-                message: `"${task.title}" has been restored.`
+                title: 'Redone',
+                message: entry.label
+            } : {
+                type: 'info',
+                title: 'Nothing to Redo',
+                message: 'There are no undone changes to redo.'
             });
         } catch (error) {
-            console.error('Failed to restore task:', error);
+            console.error('Failed to redo:', error);
             this.toastManager.show({
                 type: 'error',
-                title: 'Restore Failed',
-                message: 'Failed to restore task. Please try again.'
+                title: 'Redo Failed',
+                message: 'Failed to redo the change. Please try again.'
             });
         }
     }
@@ -402,6 +802,213 @@ class TaskFlowApp {
         this.renderTasks();
     }
     
+    handleViewChanged(view) {
+        const isCalendar = this.filterManager.isCalendarView();
+        const isTable = this.filterManager.isTableView();
+        
+        document.getElementById('taskBoard').hidden = isCalendar || isTable;
+        document.getElementById('calendarView').hidden = !isCalendar;
+        document.getElementById('tableView').hidden = !isTable;
+        
+        if (isCalendar) {
+            this.calendarView.setMode(view);
+        }
+        
+        this.renderTasks();
+    }
+    
+    openTask(taskId) {
+        const task = this.taskManager.getTask(taskId);
+        if (task) {
+            this.modalManager.openEditModal(task);
+        }
+    }
+    
+    // A task dropped on another day of the calendar keeps its time of day
+    async handleReschedule(taskId, dateKey) {
+        const task = this.taskManager.getTask(taskId);
+        if (!task) return;
+        
+        if (!this.boardManager.canEditCurrentBoard()) {
+            this.toastManager.show({
+                type: 'warning',
+                title: 'Read-only Board',
+                message: 'You have view access to this board, so tasks cannot be rescheduled.'
+            });
+            return;
+        }
+        
+        const [year, month, day] = dateKey.split('-').map(Number);
+        const dueDate = new Date(task.dueDate);
+        dueDate.setFullYear(year, month - 1, day);
+        
+        try {
+            await this.taskManager.updateTask(taskId, { dueDate: dueDate.toISOString() });
+            
+            this.toastManager.show({
+                type: 'success',
+                title: 'Task Rescheduled',
+                message: `Now due ${dueDate.toLocaleDateString(undefined, { dateStyle: 'medium' })}`
+            });
+        } catch (error) {
+            console.error('Failed to reschedule task:', error);
+            this.toastManager.show({
+                type: 'error',
+                title: 'Update Failed',
+                message: 'Failed to reschedule task. Please try again.'
+            });
+        }
+    }
+    
+    // A cell edited in the table view; refused edits re-render to put the old value back
+    async handleTableEdit(taskId, updates) {
+        const task = this.taskManager.getTask(taskId);
+        if (!task) return;
+        
+        const warning = this.getTableEditWarning(task, updates);
+        if (warning) {
+            this.toastManager.show({ type: 'warning', ...warning });
+            this.renderTasks();
+            return;
+        }
+        
+        try {
+            await this.taskManager.updateTask(taskId, updates);
+            
+            if (updates.status) {
+                this.warnIfOverLimit(updates.status);
+            }
+        } catch (error) {
+            console.error('Failed to update task:', error);
+            this.toastManager.show({
+                type: 'error',
+                title: 'Update Failed',
+                message: 'Failed to update task. Please try again.'
+            });
+            this.renderTasks();
+        }
+    }
+    
+    // The checks of the task form, for the fields a table cell can change
+    getTableEditWarning(task, updates) {
+        if (!this.boardManager.canEditCurrentBoard()) {
+            return { title: 'Read-only Board', message: 'You have view access to this board, so tasks cannot be changed.' };
+        }
+        
+        if (updates.title !== undefined && !updates.title) {
+            return { title: 'Invalid Title', message: 'Task title is required.' };
+        }
+        
+        if (updates.status && this.isBlockedFromDone(task, updates.status)) {
+            return { title: 'Task Blocked', message: 'This board requires the tasks blocking this one to be done first.' };
+        }
+        
+        return null;
+    }
+    
+    // Bulk Actions
+    // Tasks the server could not change stay selected, so they can be looked at or retried
+    async handleBulkUpdate(updates) {
+        const taskIds = this.uiManager.getSelectedTaskIds().filter(taskId => this.taskManager.getTask(taskId));
+        if (taskIds.length === 0) return;
+        
+        if (!this.boardManager.canEditCurrentBoard()) {
+            this.showReadOnlyBulkWarning();
+            return;
+        }
+        
+        // Boards that enforce dependencies keep blocked tasks out of done, so those are left out
+        const blockedIds = updates.status
+            ? taskIds.filter(taskId => this.isBlockedFromDone(this.taskManager.getTask(taskId), updates.status))
+            : [];
+        const changeIds = taskIds.filter(taskId => !blockedIds.includes(taskId));
+        
+        try {
+            const { updated, failed, historyEntry } = changeIds.length > 0
+                ? await this.taskManager.batchUpdateTasks(changeIds, updates)
+                : { updated: [], failed: [], historyEntry: null };
+            const skippedIds = [...blockedIds, ...failed.map(result => result.id)];
+            
+            if (skippedIds.length > 0) {
+                this.uiManager.setTaskSelection(skippedIds);
+                this.toastManager.show({
+                    type: 'warning',
+                    title: 'Some Tasks Not Updated',
+                    message: `${updated.length} of ${taskIds.length} tasks updated.` +
+                        (blockedIds.length > 0 ? ` ${blockedIds.length} blocked by unfinished tasks.` : '') +
+                        ' The rest stay selected.',
+                    actions: this.getUndoActions(historyEntry)
+                });
+            } else {
+                this.toastManager.show({
+                    type: 'success',
+                    title: 'Tasks Updated',
+                    message: `${updated.length} task${updated.length === 1 ? '' : 's'} updated.`,
+                    actions: this.getUndoActions(historyEntry)
+                });
+            }
+            
+            if (updates.status && updated.length > 0) {
+                this.warnIfOverLimit(updates.status);
+            }
+        } catch (error) {
+            console.error('Failed to update tasks:', error);
+            this.toastManager.show({
+                type: 'error',
+                title: 'Update Failed',
+                message: this.getBulkErrorMessage(error, 'Failed to update tasks. Please try again.')
+            });
+        }
+    }
+    
+    async handleBulkDelete() {
+        const taskIds = this.uiManager.getSelectedTaskIds().filter(taskId => this.taskManager.getTask(taskId));
+        if (taskIds.length === 0) return;
+        
+        if (!this.boardManager.canEditCurrentBoard()) {
+            this.showReadOnlyBulkWarning();
+            return;
+        }
+        
+        try {
+            const { deleted, failed, historyEntry } = await this.taskManager.batchDeleteTasks(taskIds);
+            
+            this.uiManager.setTaskSelection(failed.map(result => result.id));
+            
+            this.toastManager.show({
+                type: failed.length > 0 ? 'warning' : 'success',
+                title: 'Tasks Deleted',
+                message: failed.length > 0
+                    ? `${deleted.length} of ${taskIds.length} tasks deleted. The rest stay selected.`
+                    : `${deleted.length} task${deleted.length === 1 ? '' : 's'} deleted.`,
+                actions: this.getUndoActions(historyEntry),
+                duration: 6000
+            });
+        } catch (error) {
+            console.error('Failed to delete tasks:', error);
+            this.toastManager.show({
+                type: 'error',
+                title: 'Delete Failed',
+                message: this.getBulkErrorMessage(error, 'Failed to delete tasks. Please try again.')
+            });
+        }
+    }
+    
+    showReadOnlyBulkWarning() {
+        this.toastManager.show({
+            type: 'warning',
+            title: 'Read-only Board',
+            message: 'You have view access to this board, so tasks cannot be changed.'
+        });
+    }
+    
+    getBulkErrorMessage(error, fallback) {
+        if (error.isNetworkError) {
+            return 'Bulk actions are only available while online.';
+        }
+        return fallback;
+    }
+    
     handleResize() {
         // Handle mobile sidebar
         if (window.innerWidth > 768) {
@@ -421,22 +1028,13 @@ class TaskFlowApp {
             profileMenu.classList.remove('show');
         }
         
-        // Handle task selection
+        // Handle task selection; the UIManager marks the selected cards, including Ctrl/Cmd multi-select
         const taskCard = e.target.closest('.task-card');
         if (taskCard) {
-            // Remove previous selection
-            document.querySelectorAll('.task-card.selected').forEach(card => {
-                card.classList.remove('selected');
-            });
-            
-            // Add selection to clicked task
-            taskCard.classList.add('selected');
             this.selectedTaskId = taskCard.dataset.taskId;
-        } else if (!e.target.closest('.modal') && !e.target.closest('button')) {
+        } else if (!e.target.closest('.modal, button, .bulk-toolbar, .table-view, .toast')) {
             // Clear selection if clicking outside
-            document.querySelectorAll('.task-card.selected').forEach(card => {
-                card.classList.remove('selected');
-            });
+            this.uiManager.clearSelection();
             this.selectedTaskId = null;
         }
     }
@@ -464,8 +1062,14 @@ class TaskFlowApp {
     }
     
     handleLogout() {
+        // End the session on the server, so its refresh token stops working
+        this.taskManager.apiClient.logout();
+        
         // Clear local data
         this.taskManager.clearLocalData();
+        this.columnManager.clearLocalData();
+        this.labelManager.clearLocalData();
+        this.boardManager.clearLocalData();
         
         // Show logout message
         this.toastManager.show({
@@ -485,15 +1089,139 @@ class TaskFlowApp {
     }
     
     // UI Rendering Methods
+    renderBoard() {
+        const taskBoard = document.getElementById('taskBoard');
+        if (!taskBoard) return;
+        
+        const columns = this.columnManager.getColumns();
+        taskBoard.style.setProperty('--column-count', columns.length);
+        taskBoard.innerHTML = '';
+        
+        columns.forEach(column => {
+            taskBoard.appendChild(this.createColumnElement(column));
+        });
+        
+        this.renderStatusOptions(columns);
+    }
+    
+    createColumnElement(column) {
+        const columnEl = document.createElement('div');
+        columnEl.className = 'task-column';
+        columnEl.dataset.status = column.key;
+        columnEl.setAttribute('role', 'list');
+        columnEl.setAttribute('aria-label', `${column.name} tasks`);
+        
+        const name = this.escapeHtml(column.name);
+        
+        columnEl.innerHTML = `
+            <div class="column-header">
+                <div class="column-title">
+                    <div class="column-indicator"></div>
+                    <h2>${name}</h2>
+                    <span class="column-count" id="${column.key}ColumnCount">0</span>
+                </div>
+                <button class="add-task-btn" data-status="${column.key}" aria-label="Add task to ${name}">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="12" y1="5" x2="12" y2="19"></line>
+                        <line x1="5" y1="12" x2="19" y2="12"></line>
+                    </svg>
+                </button>
+            </div>
+            <div class="task-list" id="${column.key}List" data-status="${column.key}">
+                <!-- Task cards will be dynamically inserted here -->
+            </div>
+            <div class="drop-zone" data-status="${column.key}"></div>
+        `;
+        
+        columnEl.querySelector('.column-indicator').style.background = column.color || 'var(--accent)';
+        
+        return columnEl;
+    }
+    
+    renderStatusOptions(columns) {
+        const optionsHtml = columns.map(column => 
+            `<option value="${column.key}">${this.escapeHtml(column.name)}</option>`
+        ).join('');
+        
+        // Filter bar keeps its "All Status" option
+        const statusFilter = document.getElementById('statusFilter');
+        if (statusFilter) {
+            const currentValue = statusFilter.value;
+            statusFilter.innerHTML = '<option value="">All Status</option>' + optionsHtml;
+            statusFilter.value = currentValue;
+        }
+        
+        // The bulk toolbar keeps its "Move to…" prompt
+        const bulkStatus = document.getElementById('bulkStatus');
+        if (bulkStatus) {
+            bulkStatus.innerHTML = '<option value="">Move to…</option>' + optionsHtml;
+        }
+        
+        const taskStatus = document.getElementById('taskStatus');
+        if (taskStatus) {
+            const currentValue = taskStatus.value;
+            taskStatus.innerHTML = optionsHtml;
+            taskStatus.value = this.columnManager.getColumn(currentValue) ? currentValue : this.columnManager.getDefaultStatus();
+        }
+        
+        // Sidebar status navigation, after the static "All Tasks" entry
+        const statusNavList = document.getElementById('statusNavList');
+        if (statusNavList) {
+            const activeStatus = this.filterManager.getFilters().status;
+            statusNavList.querySelectorAll('.status-nav-item').forEach(item => item.remove());
+            
+            columns.forEach(column => {
+                const li = document.createElement('li');
+                li.className = 'nav-item status-nav-item';
+                li.innerHTML = `
+                    <button class="nav-link ${activeStatus === column.key ? 'active' : ''}" data-filter="${column.key}">
+                        <span class="status-indicator"></span>
+                        ${this.escapeHtml(column.name)}
+                        <span class="task-count" id="${column.key}TasksCount">0</span>
+                    </button>
+                `;
+                
+                li.querySelector('.status-indicator').style.background = column.color || 'var(--accent)';
+                li.querySelector('.nav-link').addEventListener('click', (e) => {
+                    this.uiManager.handleNavigation(e);
+                });
+                
+                statusNavList.appendChild(li);
+            });
+        }
+    }
+    
     renderTasks() {
         const filteredTasks = this.filterManager.getFilteredTasks();
         
-        // Group tasks by status
-        const tasksByStatus = {
-            todo: filteredTasks.filter(task => task.status === 'todo'),
-            inProgress: filteredTasks.filter(task => task.status === 'inProgress'),
-            done: filteredTasks.filter(task => task.status === 'done')
-        };
+        // The calendar shows the same filtered tasks by due date
+        if (this.filterManager.isCalendarView()) {
+            this.calendarView.render(filteredTasks);
+            return;
+        }
+        
+        if (this.filterManager.isTableView()) {
+            this.tableView.render(filteredTasks, {
+                columns: this.columnManager.getColumns(),
+                readOnly: !this.boardManager.canEditCurrentBoard()
+            });
+            this.uiManager.updateSelectionUI();
+            return;
+        }
+        
+        const statusKeys = this.columnManager.getStatusKeys();
+        const defaultStatus = this.columnManager.getDefaultStatus();
+        
+        // Group tasks by column; tasks with an unknown status land in the first column
+        const tasksByStatus = {};
+        statusKeys.forEach(status => {
+            tasksByStatus[status] = [];
+        });
+        
+        filteredTasks.forEach(task => {
+            const status = statusKeys.includes(task.status) ? task.status : defaultStatus;
+            tasksByStatus[status]?.push(task);
+        });
         
         // Render each column
         Object.keys(tasksByStatus).forEach(status => {
@@ -503,7 +1231,7 @@ class TaskFlowApp {
     
     renderTaskColumn(status, tasks) {
         const columnList = document.getElementById(`${status}List`) || 
-                         document.querySelector(`[data-status="${status}"] .task-list`);
+                         document.querySelector(`.task-column[data-status="${status}"] .task-list`);
         
         if (!columnList) return;
         
@@ -534,6 +1262,10 @@ class TaskFlowApp {
         const now = new Date();
         const isOverdue = dueDate && dueDate < now;
         const isDueSoon = dueDate && !isOverdue && (dueDate - now) < (24 * 60 * 60 * 1000);
+        const checklistProgress = this.taskManager.getChecklistProgress(task);
+        const openBlockers = task.status === 'done' ? [] : this.taskManager.getOpenBlockers(task);
+        const waitingTasks = this.taskManager.getBlockedTasks(task).filter(t => t.status !== 'done');
+        card.classList.toggle('blocked', openBlockers.length > 0);
         
         card.innerHTML = `
             <div class="task-header">
@@ -554,8 +1286,20 @@ class TaskFlowApp {
                 </div>
             </div>
             
+            ${task.labels?.length ? '<div class="task-labels"></div>' : ''}
+            
             ${task.description ? `<div class="task-description">${this.escapeHtml(task.description)}</div>` : ''}
             
+            ${checklistProgress.total > 0 ? `
+                <div class="task-checklist-progress ${checklistProgress.completed === checklistProgress.total ? 'complete' : ''}"
+                     aria-label="Checklist: ${checklistProgress.completed} of ${checklistProgress.total} done">
+                    <div class="checklist-progress-bar">
+                        <div class="checklist-progress-fill" style="width: ${checklistProgress.percent}%"></div>
+                    </div>
+                    <span class="checklist-progress-label">${checklistProgress.completed}/${checklistProgress.total}</span>
+                </div>
+            ` : ''}
+            
             <div class="task-meta">
                 <div class="task-badges">
                     ${task.category ? `<span class="task-category">${this.escapeHtml(task.category)}</span>` : ''}
@@ -572,9 +1316,65 @@ class TaskFlowApp {
                         ${this.formatDate(dueDate)}
                     </div>
                 ` : ''}
+                ${task.recurrence ? `
+                    <div class="task-recurrence">
+                        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="17 1 21 5 17 9"></polyline>
+                            <path d="M3 11V9a4 4 0 0 1 4-4h14"></path>
+                            <polyline points="7 23 3 19 7 15"></polyline>
+                            <path d="M21 13v2a4 4 0 0 1-4 4H3"></path>
+                        </svg>
+                        ${this.escapeHtml(RecurrenceRule.describe(task.recurrence))}
+                    </div>
+                ` : ''}
+                ${openBlockers.length ? `
+                    <div class="task-blocked-by" aria-label="Blocked by ${openBlockers.length} open tasks">
+                        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <rect x="3" y="11" width="18" height="11" rx="2" ry="2"></rect>
+                            <path d="M7 11V7a5 5 0 0 1 10 0v4"></path>
+                        </svg>
+                        Blocked by ${openBlockers.length}
+                    </div>
+                ` : ''}
+                ${waitingTasks.length ? `
+                    <div class="task-blocks" aria-label="Blocks ${waitingTasks.length} open tasks">
+                        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="5" y1="12" x2="19" y2="12"></line>
+                            <polyline points="12 5 19 12 12 19"></polyline>
+                        </svg>
+                        Blocks ${waitingTasks.length}
+                    </div>
+                ` : ''}
+                ${task.attachments?.length ? `
+                    <div class="task-attachment-count" aria-label="${task.attachments.length} attachments">
+                        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="m21.44 11.05-9.19 9.19a6 6 0 0 1-8.49-8.49l9.19-9.19a4 4 0 0 1 5.66 5.66l-9.2 9.19a2 2 0 0 1-2.83-2.83l8.49-8.48"></path>
+                        </svg>
+                        ${task.attachments.length}
+                    </div>
+                ` : ''}
+                ${task.commentCount ? `
+                    <div class="task-comment-count" aria-label="${task.commentCount} comments">
+                        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
+                        </svg>
+                        ${task.commentCount}
+                    </div>
+                ` : ''}
+                ${task.assignees?.length ? '<div class="task-assignees"></div>' : ''}
             </div>
         `;
         
+        this.renderAssigneeAvatars(card.querySelector('.task-assignees'), task.assignees);
+        this.renderLabelChips(card.querySelector('.task-labels'), task);
+        
+        // Titles are user text, so they are set as properties rather than in the markup
+        const blockedBy = card.querySelector('.task-blocked-by');
+        if (blockedBy) blockedBy.title = openBlockers.map(t => t.title).join(', ');
+        
+        const blocks = card.querySelector('.task-blocks');
+        if (blocks) blocks.title = waitingTasks.map(t => t.title).join(', ');
+        
         // Add event listeners
         card.querySelector('.edit-action')?.addEventListener('click', (e) => {
             e.stopPropagation();
@@ -592,6 +1392,58 @@ class TaskFlowApp {
         return card;
     }
     
+    // Boards that enforce dependencies keep a task out of done while its blockers are open
+    isBlockedFromDone(task, status) {
+        return Boolean(task) && status === 'done' && task.status !== 'done' &&
+            Boolean(this.boardManager.getCurrentBoard()?.enforceDependencies) &&
+            this.taskManager.isBlocked(task);
+    }
+    
+        // Label names are user text, so chips are built through the DOM
+    renderLabelChips(container, task) {
+        if (!container) return;
+        
+        const labels = this.labelManager.getTaskLabels(task);
+        if (labels.length === 0) {
+            container.remove();
+            return;
+        }
+        
+        labels.forEach(label => {
+            const chip = document.createElement('span');
+            chip.className = 'task-label';
+            chip.textContent = label.name;
+            
+            const swatch = document.createElement('span');
+            swatch.className = 'label-swatch';
+            swatch.style.backgroundColor = label.color;
+            
+            chip.prepend(swatch);
+            container.appendChild(chip);
+        });
+        
+        container.setAttribute('aria-label', `Labels: ${labels.map(l => l.name).join(', ')}`);
+    }
+    
+    renderAssigneeAvatars(container, assignees) {
+        if (!container) return;
+        
+        const maxAvatars = 3;
+        assignees.slice(0, maxAvatars).forEach(assignee => {
+            container.appendChild(this.uiManager.createAvatar(assignee));
+        });
+        
+        if (assignees.length > maxAvatars) {
+            const more = document.createElement('span');
+            more.className = 'assignee-avatar assignee-more';
+            more.textContent = `+${assignees.length - maxAvatars}`;
+            more.title = assignees.slice(maxAvatars).map(a => a.displayName || a.username).join(', ');
+            container.appendChild(more);
+        }
+        
+        container.setAttribute('aria-label', `Assigned to ${assignees.map(a => a.displayName || a.username).join(', ')}`);
+    }
+    
     createEmptyState(status) {
         const emptyState = document.createElement('div');
         emptyState.className = 'empty-state';
@@ -625,7 +1477,12 @@ class TaskFlowApp {
             }
         };
         
-        const config = messages[status] || messages.todo;
+        const columnName = this.escapeHtml(this.getStatusDisplayName(status));
+        const config = messages[status] || {
+            icon: messages.todo.icon,
+            title: `No tasks in ${columnName}`,
+            message: 'Drag tasks here or add one with the + button.'
+        };
         
         emptyState.innerHTML = `
             ${config.icon}
@@ -639,30 +1496,24 @@ class TaskFlowApp {
     updateTaskCounts() {
         const tasks = this.taskManager.getTasks();
         
-        // Status counts
-        const statusCounts = {
-            all: tasks.length,
-            todo: tasks.filter(t => t.status === 'todo').length,
-            inProgress: tasks.filter(t => t.status === 'inProgress').length,
-            done: tasks.filter(t => t.status === 'done').length
-        };
-        
-        // Update sidebar counts
-        Object.keys(statusCounts).forEach(status => {
-            const countEl = document.getElementById(`${status}TasksCount`);
-            if (countEl) countEl.textContent = statusCounts[status];
-        });
+        const allCountEl = document.getElementById('allTasksCount');
+        if (allCountEl) allCountEl.textContent = tasks.length;
         
-        // Update column counts
-        const columnCounts = {
-            todo: statusCounts.todo,
-            inProgress: statusCounts.inProgress,
-            done: statusCounts.done
-        };
-        
-        Object.keys(columnCounts).forEach(status => {
-            const countEl = document.getElementById(`${status}ColumnCount`);
-            if (countEl) countEl.textContent = columnCounts[status];
+        // Update sidebar and column counts, flagging columns over their WIP limit
+        this.columnManager.getColumns().forEach(column => {
+            const count = tasks.filter(t => t.status === column.key).length;
+            
+            const navCountEl = document.getElementById(`${column.key}TasksCount`);
+            if (navCountEl) navCountEl.textContent = count;
+            
+            const columnCountEl = document.getElementById(`${column.key}ColumnCount`);
+            if (columnCountEl) {
+                columnCountEl.textContent = column.wipLimit ? `${count}/${column.wipLimit}` : count;
+            }
+            
+            const isOverLimit = this.columnManager.isOverLimit(column.key, count);
+            document.querySelector(`.task-column[data-status="${column.key}"]`)
+                ?.classList.toggle('over-limit', isOverLimit);
         });
         
         // Priority counts
@@ -743,6 +1594,47 @@ class TaskFlowApp {
         }
     }
     
+    // Sidebar label filters; several can be picked, matching any or all of them
+    renderLabelFilters() {
+        const labelNavList = document.getElementById('labelNavList');
+        if (!labelNavList) return;
+        
+        const tasks = this.taskManager.getTasks();
+        const labels = this.labelManager.getLabels();
+        labelNavList.innerHTML = '';
+        
+        if (labels.length === 0) {
+            labelNavList.innerHTML = '<li class="nav-item label-empty">No labels yet</li>';
+        }
+        
+        labels.forEach(label => {
+            const li = document.createElement('li');
+            li.className = 'nav-item';
+            
+            const button = document.createElement('button');
+            button.className = 'nav-link';
+            button.dataset.labelId = label.id;
+            
+            const swatch = document.createElement('span');
+            swatch.className = 'label-swatch';
+            swatch.style.backgroundColor = label.color;
+            
+            const name = document.createElement('span');
+            name.className = 'label-nav-name';
+            name.textContent = label.name;
+            
+            const count = document.createElement('span');
+            count.className = 'task-count';
+            count.textContent = tasks.filter(t => (t.labels || []).includes(label.id)).length;
+            
+            button.append(swatch, name, count);
+            li.appendChild(button);
+            labelNavList.appendChild(li);
+        });
+        
+        this.filterManager.updateLabelsUI();
+    }
+    
     // Utility Methods
     escapeHtml(text) {
         const div = document.createElement('div');
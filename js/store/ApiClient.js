@@ -1,11 +1,50 @@
 // API Client for Server Communication
+
+// Longest Retry-After, in seconds, that a request waits out before trying once more;
+// longer ones are left to the caller
+const MAX_RETRY_AFTER_WAIT = 5;
+
 export class ApiClient {
     constructor() {
         this.baseURL = this.getBaseURL();
         this.token = this.getStoredToken();
+        this.refreshTokenValue = this.getStoredRefreshToken();
+        this.refreshPromise = null;
+        this.clientId = this.generateClientId();
         this.defaultHeaders = {
             'Content-Type': 'application/json'
         };
+        this.storageManager = null;
+        this.pendingRequests = [];
+        this.replayPromise = null;
+        this.replayTimer = null;
+        this.eventListeners = {};
+    }
+    
+    // Mutations made offline are kept in storage, so they survive a reload
+    async init(storageManager) {
+        this.storageManager = storageManager;
+        this.pendingRequests = await storageManager.loadRequestQueue();
+        
+        window.addEventListener('online', () => this.replayQueue());
+        
+        if (this.pendingRequests.length > 0 && navigator.onLine) {
+            this.replayQueue();
+        }
+    }
+    
+    // Event Management
+    on(event, callback) {
+        if (!this.eventListeners[event]) {
+            this.eventListeners[event] = [];
+        }
+        this.eventListeners[event].push(callback);
+    }
+    
+    emit(event, data) {
+        if (this.eventListeners[event]) {
+            this.eventListeners[event].forEach(callback => callback(data));
+        }
     }
     
     getBaseURL() {
@@ -26,17 +65,68 @@ export class ApiClient {
         }
     }
     
+    // 'tokenChanged' lets holders of the token pick up a new one
     setToken(token) {
+        const changed = token !== this.token;
+        
         this.token = token;
         if (token) {
             localStorage.setItem('taskflow_auth_token', token);
         } else {
             localStorage.removeItem('taskflow_auth_token');
         }
+        
+        if (changed) {
+            this.emit('tokenChanged', token);
+        }
+    }
+    
+    getStoredRefreshToken() {
+        try {
+            return localStorage.getItem('taskflow_refresh_token');
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    setRefreshToken(refreshToken) {
+        this.refreshTokenValue = refreshToken;
+        if (refreshToken) {
+            localStorage.setItem('taskflow_refresh_token', refreshToken);
+        } else {
+            localStorage.removeItem('taskflow_refresh_token');
+        }
+    }
+    
+    // Login, register, refresh and password changes all answer with a new pair
+    setTokens({ token, refreshToken }) {
+        if (token) {
+            this.setToken(token);
+        }
+        if (refreshToken) {
+            this.setRefreshToken(refreshToken);
+        }
+    }
+    
+    // The user id is read from the token so it is known while offline too
+    getCurrentUserId() {
+        if (!this.token) return null;
+        
+        try {
+            const payload = this.token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            return JSON.parse(atob(payload)).userId || null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    // Identifies this tab, so the server does not push our own changes back to us
+    generateClientId() {
+        return 'client_' + Math.random().toString(36).substr(2, 9) + '_' + Date.now();
     }
     
     getHeaders() {
-        const headers = { ...this.defaultHeaders };
+        const headers = { ...this.defaultHeaders, 'X-Client-Id': this.clientId };
         
         if (this.token) {
             headers['Authorization'] = `Bearer ${this.token}`;
@@ -45,13 +135,32 @@ export class ApiClient {
         return headers;
     }
     
-    async request(method, endpoint, data = null) {
+    // EventSource cannot send headers, so the stream is opened with a single-use ticket in the
+    // query string, which keeps the access token out of URLs and logs; the tab id goes there too
+    async getEventsURL(boardId) {
+        if (!this.token || !boardId) return null;
+        
+        const { ticket } = await this.request('POST', '/events/ticket', { boardId });
+        
+        const params = new URLSearchParams({ boardId, ticket, clientId: this.clientId });
+        return `${this.baseURL}/events?${params.toString()}`;
+    }
+    
+    // An idempotency key lets the server recognise a retried mutation and answer it
+    // with the response of the first attempt instead of applying it again.
+    // Access tokens are short-lived: a 401 renews it with the refresh token and sends the request once more.
+    // A 429 or 503 with a short Retry-After is waited out and sent once more as well.
+    async request(method, endpoint, data = null, { idempotencyKey = null, retryAuth = true, retryRateLimit = true } = {}) {
         const url = `${this.baseURL}${endpoint}`;
         const config = {
             method,
             headers: this.getHeaders()
         };
         
+        if (idempotencyKey) {
+            config.headers['Idempotency-Key'] = idempotencyKey;
+        }
+        
         if (data) {
             config.body = JSON.stringify(data);
         }
@@ -63,8 +172,22 @@ export class ApiClient {
             
             // Handle authentication errors
             if (response.status === 401) {
+                if (retryAuth && await this.refreshSession()) {
+                    return this.request(method, endpoint, data, { idempotencyKey, retryAuth: false, retryRateLimit });
+                }
+                
+                const errorData = await response.json().catch(() => ({}));
                 this.setToken(null);
-                throw new ApiError('Authentication required', 401);
+                throw new ApiError(errorData.message || 'Authentication required', 401, errorData);
+            }
+            
+            const retryAfter = this.parseRetryAfter(response.headers.get('Retry-After'));
+            
+            if ((response.status === 429 || response.status === 503) && retryRateLimit &&
+                retryAfter !== null && retryAfter <= MAX_RETRY_AFTER_WAIT) {
+                console.warn(`API Rate limited: ${method} ${url}, retrying in ${retryAfter}s`);
+                await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
+                return this.request(method, endpoint, data, { idempotencyKey, retryAuth, retryRateLimit: false });
             }
             
             // Handle other errors
@@ -73,7 +196,7 @@ export class ApiClient {
                 throw new ApiError(
                     errorData.message || `HTTP ${response.status}`,
                     response.status,
-                    errorData
+                    { retryAfter, ...errorData }
                 );
             }
             
@@ -97,38 +220,139 @@ export class ApiClient {
         }
     }
     
+    // Retry-After is either a number of seconds or an HTTP date; null when missing or unreadable
+    parseRetryAfter(value) {
+        if (!value) return null;
+        
+        if (/^\d+$/.test(value.trim())) {
+            return parseInt(value, 10);
+        }
+        
+        const date = Date.parse(value);
+        if (isNaN(date)) return null;
+        
+        return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+    }
+    
     // Authentication Methods
+    // With two-factor authentication on, the response carries `twoFactorRequired` and a
+    // `challengeToken` instead of tokens; verifyTwoFactorLogin() finishes the login
     async login(credentials) {
-        const response = await this.request('POST', '/auth/login', credentials);
+        const response = await this.request('POST', '/auth/login', credentials, { retryAuth: false });
+        this.setTokens(response);
         
-        if (response.token) {
-            this.setToken(response.token);
-        }
+        return response;
+    }
+    
+    // The code is one from the authenticator app or a recovery code
+    async verifyTwoFactorLogin(challengeToken, code) {
+        const response = await this.request('POST', '/auth/login/2fa', { challengeToken, code }, { retryAuth: false });
+        this.setTokens(response);
         
         return response;
     }
     
+    // Revokes the session on the server, so its refresh token cannot be used any more
     async logout() {
         try {
-            await this.request('POST', '/auth/logout');
+            await this.request('POST', '/auth/logout', { refreshToken: this.refreshTokenValue }, { retryAuth: false });
         } catch (error) {
             // Ignore errors on logout
             console.warn('Logout request failed:', error);
         } finally {
             this.setToken(null);
+            this.setRefreshToken(null);
         }
     }
     
+    // Each refresh token works once and is answered with its successor
     async refreshToken() {
-        const response = await this.request('POST', '/auth/refresh');
+        try {
+            const response = await this.request('POST', '/auth/refresh', { refreshToken: this.refreshTokenValue }, { retryAuth: false });
+            this.setTokens(response);
+            
+            return response;
+        } catch (error) {
+            // A refused refresh token stays refused, so only logging in again helps
+            if (error.status === 401) {
+                this.setRefreshToken(null);
+            }
+            throw error;
+        }
+    }
+    
+    // Resolves to whether there is a new access token to retry with. Concurrent 401s share one
+    // refresh, and tokens another tab has already rotated are taken over rather than sent
+    // again, since the server treats a second use of a refresh token as theft.
+    refreshSession() {
+        const storedRefreshToken = this.getStoredRefreshToken();
+        if (storedRefreshToken && storedRefreshToken !== this.refreshTokenValue) {
+            this.refreshTokenValue = storedRefreshToken;
+            this.setToken(this.getStoredToken());
+            return Promise.resolve(true);
+        }
         
-        if (response.token) {
-            this.setToken(response.token);
+        if (!this.refreshTokenValue) {
+            return Promise.resolve(false);
         }
         
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.refreshToken()
+                .then(() => true)
+                .catch(error => {
+                    console.warn('Token refresh failed:', error);
+                    return false;
+                })
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+        
+        return this.refreshPromise;
+    }
+    
+    // Ends every session of the user; this one continues with the new tokens in the response
+    async changePassword(currentPassword, newPassword) {
+        const response = await this.request('PUT', '/auth/password', { currentPassword, newPassword });
+        this.setTokens(response);
+        
         return response;
     }
     
+    // Two-Factor Methods
+    // Setup returns a secret and its otpauth:// URI; enabling it with a first code, and
+    // replacing the recovery codes, answer with the new `recoveryCodes`
+    async getTwoFactorStatus() {
+        return this.request('GET', '/auth/2fa');
+    }
+    
+    async setupTwoFactor() {
+        return this.request('POST', '/auth/2fa/setup');
+    }
+    
+    async enableTwoFactor(code) {
+        return this.request('POST', '/auth/2fa/enable', { code });
+    }
+    
+    async disableTwoFactor(password, code) {
+        return this.request('POST', '/auth/2fa/disable', { password, code });
+    }
+    
+    async regenerateRecoveryCodes(code) {
+        return this.request('POST', '/auth/2fa/recovery-codes', { code });
+    }
+    
+    // Session Methods
+    // A session is a login on one device; the one of this client is marked `current`
+    async getSessions() {
+        const response = await this.request('GET', '/auth/sessions');
+        return response.sessions || [];
+    }
+    
+    async revokeSession(sessionId) {
+        return this.request('DELETE', `/auth/sessions/${sessionId}`);
+    }
+    
     // Task API Methods
     async getTasks(filters = {}) {
         const params = new URLSearchParams();
@@ -174,12 +398,154 @@ export class ApiClient {
         return response;
     }
     
+    async restoreTask(taskId) {
+        const response = await this.request('POST', `/tasks/${taskId}/restore`);
+        return response.task;
+    }
+    
+    // Newest first; pass the id of the oldest entry already loaded to get older ones
+    async getTaskHistory(taskId, before = null) {
+        const query = before ? `?before=${encodeURIComponent(before)}` : '';
+        const response = await this.request('GET', `/tasks/${taskId}/history${query}`);
+        return response.history || [];
+    }
+    
+    // Board API Methods
+    async getBoards() {
+        const response = await this.request('GET', '/boards');
+        return response.boards || [];
+    }
+    
+    async createBoard(board) {
+        const response = await this.request('POST', '/boards', board);
+        return response.board || response;
+    }
+    
+    async updateBoard(boardId, updates) {
+        const response = await this.request('PUT', `/boards/${boardId}`, updates);
+        return response.board || response;
+    }
+    
+    async deleteBoard(boardId) {
+        const response = await this.request('DELETE', `/boards/${boardId}`);
+        return response;
+    }
+    
+    // Board Member API Methods
+    async getBoardMembers(boardId) {
+        const response = await this.request('GET', `/boards/${boardId}/members`);
+        return response.members || [];
+    }
+    
+    async inviteBoardMember(boardId, username, role) {
+        const response = await this.request('POST', `/boards/${boardId}/members`, { username, role });
+        return response.member || response;
+    }
+    
+    async updateBoardMember(boardId, userId, role) {
+        const response = await this.request('PUT', `/boards/${boardId}/members/${userId}`, { role });
+        return response.member || response;
+    }
+    
+    async removeBoardMember(boardId, userId) {
+        const response = await this.request('DELETE', `/boards/${boardId}/members/${userId}`);
+        return response;
+    }
+    
+    // Board-scoped endpoints fall back to the user's default board without a boardId
+    getBoardQuery(boardId) {
+        return boardId ? `?boardId=${encodeURIComponent(boardId)}` : '';
+    }
+    
+    // Column API Methods
+    async getColumns(boardId = null) {
+        const response = await this.request('GET', `/columns${this.getBoardQuery(boardId)}`);
+        return response.columns || [];
+    }
+    
+    // Column changes work offline: they resolve to null when queued for replay.
+    // localId is the id a column created offline goes by until the server assigns one.
+    async createColumn(column, boardId = null, localId = null) {
+        const response = await this.mutate('POST', `/columns${this.getBoardQuery(boardId)}`, column, { localId, resource: 'column' });
+        return response && (response.column || response);
+    }
+    
+    async updateColumn(columnId, updates) {
+        const response = await this.mutate('PUT', `/columns/${columnId}`, updates);
+        return response && (response.column || response);
+    }
+    
+    async deleteColumn(columnId, moveTo = null) {
+        const query = moveTo ? `?moveTo=${encodeURIComponent(moveTo)}` : '';
+        const response = await this.mutate('DELETE', `/columns/${columnId}${query}`);
+        return response;
+    }
+    
+    async reorderColumns(columnIds, boardId = null) {
+        const response = await this.mutate('PUT', `/columns/reorder${this.getBoardQuery(boardId)}`, { columnIds });
+        return response && (response.columns || []);
+    }
+    
+    // Label API Methods
+    // Tasks store label ids the server assigns, so labels are only managed online
+    async getLabels(boardId = null) {
+        const response = await this.request('GET', `/labels${this.getBoardQuery(boardId)}`);
+        return response.labels || [];
+    }
+    
+    async createLabel(label, boardId = null) {
+        const response = await this.request('POST', `/labels${this.getBoardQuery(boardId)}`, label);
+        return response.label || response;
+    }
+    
+    async updateLabel(labelId, updates) {
+        const response = await this.request('PUT', `/labels/${labelId}`, updates);
+        return response.label || response;
+    }
+    
+    async deleteLabel(labelId) {
+        const response = await this.request('DELETE', `/labels/${labelId}`);
+        return response;
+    }
+    
     // Sync Methods
-    async syncTasks(localTasks) {
-        const response = await this.request('POST', '/sync', { tasks: localTasks });
+    // deletedTaskIds are tasks deleted locally, so the server does not send them back
+    async syncTasks(localTasks, boardId = null, deletedTaskIds = []) {
+        const response = await this.request('POST', '/sync', { tasks: localTasks, boardId, deletedTaskIds });
         return response.tasks || response || [];
     }
     
+    // Changes on the board after the cursor; without one, the whole board and a cursor
+    async getChanges(since = 0, boardId = null) {
+        const params = new URLSearchParams({ since: String(since) });
+        if (boardId) {
+            params.set('boardId', boardId);
+        }
+        
+        return this.request('GET', `/sync/changes?${params.toString()}`);
+    }
+    
+    async pushChanges(operations, boardId = null) {
+        const idempotencyKey = await this.getPushKey(operations);
+        const response = await this.request('POST', '/sync/push', { operations, boardId }, { idempotencyKey });
+        return response.results || [];
+    }
+    
+    // The same operations get the same key, so a push whose response was lost is not applied twice
+    async getPushKey(operations) {
+        if (!window.crypto?.subtle) return null;
+        
+        const text = operations.map(op => `${op.id}:${op.revision}`).join(',');
+        const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        
+        return 'push_' + Array.from(new Uint8Array(digest).slice(0, 16), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    
+    async resolveConflicts(conflicts, resolutions) {
+        const response = await this.request('POST', '/sync/resolve', { conflicts, resolutions });
+        return response.resolvedTasks || [];
+    }
+    
     // Utility Methods
     async healthCheck() {
         try {
@@ -199,39 +565,223 @@ export class ApiClient {
         }
     }
     
-    // File Upload Methods (for future use)
-    async uploadFile(file, taskId = null) {
+    // Attachment Methods
+    // Multipart, so the JSON content type is left out and the browser sets the boundary
+    async uploadFile(file, taskId) {
         const formData = new FormData();
         formData.append('file', file);
         
-        if (taskId) {
-            formData.append('taskId', taskId);
+        const { 'Content-Type': contentType, ...headers } = this.getHeaders();
+        const response = await this.fetchAttachment('POST', `/upload?taskId=${encodeURIComponent(taskId)}`, { headers, body: formData });
+        
+        return response.json();
+    }
+    
+    // Attachments need the auth header, so they are fetched as a Blob instead of linked to
+    async downloadAttachment(attachmentId) {
+        const response = await this.fetchAttachment('GET', `/attachments/${attachmentId}`, {
+            headers: this.getHeaders()
+        });
+        
+        return response.blob();
+    }
+    
+    async deleteAttachment(attachmentId) {
+        return this.request('DELETE', `/attachments/${attachmentId}`);
+    }
+    
+    // Comment Methods
+    async getComments(taskId) {
+        const response = await this.request('GET', `/tasks/${taskId}/comments`);
+        return response.comments || [];
+    }
+    
+    async createComment(taskId, body) {
+        return this.request('POST', `/tasks/${taskId}/comments`, { body });
+    }
+    
+    async updateComment(taskId, commentId, body) {
+        const response = await this.request('PUT', `/tasks/${taskId}/comments/${commentId}`, { body });
+        return response.comment;
+    }
+    
+    async deleteComment(taskId, commentId) {
+        return this.request('DELETE', `/tasks/${taskId}/comments/${commentId}`);
+    }
+    
+    // Dependency Methods
+    async addDependency(taskId, blockerId) {
+        return this.request('POST', `/tasks/${taskId}/dependencies`, { blockerId });
+    }
+    
+    async removeDependency(taskId, blockerId) {
+        return this.request('DELETE', `/tasks/${taskId}/dependencies/${blockerId}`);
+    }
+    
+    async fetchAttachment(method, endpoint, config, retryAuth = true) {
+        const url = `${this.baseURL}${endpoint}`;
+        let response;
+        
+        try {
+            response = await fetch(url, { method, ...config });
+        } catch (error) {
+            console.error(`API Error: ${method} ${url}`, error);
+            throw new ApiError(error.message || 'Network error', 0, { originalError: error });
         }
         
-        const headers = {};
-        if (this.token) {
-            headers['Authorization'] = `Bearer ${this.token}`;
+        if (response.status === 401) {
+            if (retryAuth && await this.refreshSession()) {
+                const headers = { ...config.headers, 'Authorization': `Bearer ${this.token}` };
+                return this.fetchAttachment(method, endpoint, { ...config, headers }, false);
+            }
+            
+            this.setToken(null);
+            throw new ApiError('Authentication required', 401);
         }
         
-        const url = `${this.baseURL}/upload`;
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            const retryAfter = this.parseRetryAfter(response.headers.get('Retry-After'));
+            throw new ApiError(errorData.message || `HTTP ${response.status}`, response.status, { retryAfter, ...errorData });
+        }
+        
+        return response;
+    }
+    
+    // Offline Request Queue
+    // Send a mutation, or queue it if the server cannot be reached or asks us to slow down;
+    // resolves to null when queued. Requests queued earlier go first, so a new one waits behind them.
+    async mutate(method, endpoint, data = null, { localId = null, resource = null } = {}) {
+        const entry = {
+            id: this.generateRequestId(),
+            method,
+            endpoint,
+            data,
+            localId,
+            resource,
+            sequence: (this.pendingRequests[this.pendingRequests.length - 1]?.sequence || 0) + 1,
+            queuedAt: new Date().toISOString()
+        };
+        
+        if (this.pendingRequests.length > 0) {
+            await this.enqueueRequest(entry);
+            this.replayQueue();
+            return null;
+        }
         
         try {
-            const response = await fetch(url, {
-                method: 'POST',
-                headers,
-                body: formData
-            });
-            
-            if (!response.ok) {
-                throw new Error(`Upload failed: ${response.status}`);
+            return await this.request(method, endpoint, data, { idempotencyKey: entry.id });
+        } catch (error) {
+            if (!error.isNetworkError && !error.isServerError && !error.isRateLimited) {
+                throw error;
             }
             
-            return await response.json();
-        } catch (error) {
-            throw new ApiError(`Upload failed: ${error.message}`, 0);
+            console.warn(`Queued ${method} ${endpoint} until the server is reachable`);
+            await this.enqueueRequest(entry);
+            
+            if (error.isRateLimited) {
+                this.scheduleReplay(error.retryAfter);
+            }
+            return null;
         }
     }
     
+    // Replay queued requests oldest first. A network or server error stops the replay and
+    // keeps the rest queued, as does a rate limit, after which the replay is tried again once
+    // Retry-After has passed. A request the server refuses is dropped, as it would be refused again.
+    replayQueue() {
+        if (this.replayPromise) {
+            return this.replayPromise;
+        }
+        
+        this.replayPromise = (async () => {
+            try {
+                while (this.pendingRequests.length > 0) {
+                    const entry = this.pendingRequests[0];
+                    let response;
+                    
+                    try {
+                        response = await this.request(entry.method, entry.endpoint, entry.data, { idempotencyKey: entry.id });
+                    } catch (error) {
+                        if (error.isRateLimited) {
+                            this.scheduleReplay(error.retryAfter);
+                            return false;
+                        }
+                        
+                        if (error.isNetworkError || error.isServerError || error.status === 401) {
+                            return false;
+                        }
+                        
+                        console.warn(`Server refused queued ${entry.method} ${entry.endpoint}, dropping it:`, error);
+                        await this.dequeueRequest(entry);
+                        this.emit('requestFailed', { request: entry, error });
+                        continue;
+                    }
+                    
+                    await this.dequeueRequest(entry, response);
+                    this.emit('requestReplayed', { request: entry, response });
+                }
+                
+                return true;
+            } finally {
+                this.replayPromise = null;
+            }
+        })();
+        
+        return this.replayPromise;
+    }
+    
+    // Without a Retry-After the queue waits a minute
+    scheduleReplay(retryAfter) {
+        clearTimeout(this.replayTimer);
+        this.replayTimer = setTimeout(() => {
+            this.replayTimer = null;
+            this.replayQueue();
+        }, (retryAfter ?? 60) * 1000);
+    }
+    
+    async enqueueRequest(entry) {
+        this.pendingRequests.push(entry);
+        await this.savePendingRequests();
+    }
+    
+    // Later requests that refer to something created offline are pointed at its server id
+    async dequeueRequest(entry, response = null) {
+        this.pendingRequests = this.pendingRequests.filter(r => r.id !== entry.id);
+        
+        const serverId = entry.localId && response?.[entry.resource]?.id;
+        if (serverId) {
+            this.pendingRequests = this.pendingRequests.map(r => ({
+                ...r,
+                endpoint: r.endpoint.split(entry.localId).join(serverId),
+                data: r.data && JSON.parse(JSON.stringify(r.data).split(entry.localId).join(serverId))
+            }));
+        }
+        
+        await this.savePendingRequests();
+    }
+    
+    async savePendingRequests() {
+        await this.storageManager?.saveRequestQueue(this.pendingRequests);
+        this.emit('pendingRequestsChanged', this.pendingRequests.length);
+    }
+    
+    getPendingRequestCount() {
+        return this.pendingRequests.length;
+    }
+    
+    async clearRequestQueue() {
+        this.pendingRequests = [];
+        await this.savePendingRequests();
+    }
+    
+    generateRequestId() {
+        if (window.crypto?.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+        return 'request_' + Math.random().toString(36).substr(2, 9) + '_' + Date.now();
+    }
+    
     // Retry Logic for Failed Requests
     async requestWithRetry(method, endpoint, data = null, maxRetries = 3) {
         let lastError;
@@ -242,14 +792,16 @@ export class ApiClient {
             } catch (error) {
                 lastError = error;
                 
-                // Don't retry on authentication errors or client errors
-                if (error.status >= 400 && error.status < 500) {
+                // Don't retry on authentication errors or client errors, other than rate limits
+                if (error.isClientError && !error.isRateLimited) {
                     throw error;
                 }
                 
-                // Wait before retrying (exponential backoff)
+                // Wait before retrying (exponential backoff, or as long as the server asks)
                 if (attempt < maxRetries) {
-                    const delay = Math.min(1000 * Math.pow(2, attempt - 1), 10000);
+                    const delay = error.retryAfter !== null
+                        ? error.retryAfter * 1000
+                        : Math.min(1000 * Math.pow(2, attempt - 1), 10000);
                     await new Promise(resolve => setTimeout(resolve, delay));
                 }
             }
@@ -259,14 +811,15 @@ export class ApiClient {
     }
     
     // Batch Operations
-    async batchCreateTasks(tasks) {
-        const response = await this.request('POST', '/tasks/batch', { tasks });
+    async batchCreateTasks(tasks, boardId = null) {
+        const response = await this.request('POST', '/tasks/batch', { tasks, boardId });
         return response.tasks || [];
     }
     
+    // Returns { tasks, spawnedTasks, failed }, failed listing { id, message } per task not changed
     async batchUpdateTasks(updates) {
         const response = await this.request('PUT', '/tasks/batch', { updates });
-        return response.tasks || [];
+        return response;
     }
     
     async batchDeleteTasks(taskIds) {
@@ -299,4 +852,13 @@ export class ApiError extends Error {
     get isServerError() {
         return this.status >= 500;
     }
+    
+    get isRateLimited() {
+        return this.status === 429;
+    }
+    
+    // Seconds the server asked us to wait before trying again, or null
+    get retryAfter() {
+        return this.data?.retryAfter ?? null;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,286 @@
+// Board (Project) Management and Persistence
+export class BoardManager {
+    constructor() {
+        this.boards = [];
+        this.currentBoardId = null;
+        this.membersByBoard = {};
+        this.apiClient = null;
+        this.storageManager = null;
+        this.eventListeners = {};
+    }
+    
+    init(apiClient, storageManager) {
+        this.apiClient = apiClient;
+        this.storageManager = storageManager;
+        
+        console.log('BoardManager initialized');
+    }
+    
+    // Event Management
+    on(event, callback) {
+        if (!this.eventListeners[event]) {
+            this.eventListeners[event] = [];
+        }
+        this.eventListeners[event].push(callback);
+    }
+    
+    emit(event, data) {
+        if (this.eventListeners[event]) {
+            this.eventListeners[event].forEach(callback => callback(data));
+        }
+    }
+    
+    // Queries
+    getBoards() {
+        return [...this.boards];
+    }
+    
+    getBoard(boardId) {
+        return this.boards.find(b => b.id === boardId);
+    }
+    
+    // null until the server has told us which boards exist
+    getCurrentBoardId() {
+        return this.currentBoardId;
+    }
+    
+    getCurrentBoard() {
+        return this.getBoard(this.currentBoardId) || null;
+    }
+    
+    // Boards cached before sharing existed were all the user's own
+    getRole(boardId) {
+        return this.getBoard(boardId)?.role || 'owner';
+    }
+    
+    isOwner(boardId) {
+        return this.getRole(boardId) === 'owner';
+    }
+    
+    // Viewers can look at a shared board but not change it
+    canEditCurrentBoard() {
+        return this.getRole(this.currentBoardId) !== 'viewer';
+    }
+    
+    getOwnBoards() {
+        return this.boards.filter(b => this.isOwner(b.id));
+    }
+    
+    // Loading and Syncing
+    async loadBoards() {
+        const localBoards = await this.storageManager.loadBoards();
+        this.boards = localBoards ? this.sortBoards(localBoards) : [];
+        
+        const storedBoardId = this.storageManager.loadCurrentBoardId();
+        this.currentBoardId = this.getBoard(storedBoardId) ? storedBoardId : (this.boards[0]?.id || null);
+        
+        this.emit('boardsUpdated', this.boards);
+        
+        return this.boards;
+    }
+    
+    async syncWithServer() {
+        const serverBoards = await this.apiClient.getBoards();
+        if (serverBoards.length === 0) {
+            return this.boards;
+        }
+        
+        // Drop the cache of boards that were deleted or that we were removed from
+        const removedBoards = this.boards.filter(b => !serverBoards.some(sb => sb.id === b.id));
+        for (const board of removedBoards) {
+            await this.clearBoardCache(board.id);
+        }
+        
+        this.boards = this.sortBoards(serverBoards);
+        await this.storageManager.saveBoards(this.boards);
+        this.emit('boardsUpdated', this.boards);
+        
+        // The current board may have been deleted elsewhere
+        if (!this.getBoard(this.currentBoardId)) {
+            this.switchBoard(this.boards[0].id);
+        }
+        
+        return this.boards;
+    }
+    
+    // Board CRUD Operations
+    // Tasks and columns reference boards by server id, so boards are only
+    // created, changed and deleted while the server is reachable
+    async createBoard({ name, description = '', color = null, enforceDependencies = false }) {
+        if (!name || !name.trim()) {
+            throw new Error('Board name is required');
+        }
+        
+        const board = await this.apiClient.createBoard({
+            name: name.trim(),
+            description: description.trim(),
+            color,
+            enforceDependencies
+        });
+        
+        this.boards.push(board);
+        await this.saveAndEmit();
+        this.emit('boardCreated', board);
+        
+        return board;
+    }
+    
+    async updateBoard(boardId, updates) {
+        if (!this.getBoard(boardId)) {
+            throw new Error('Board not found');
+        }
+        
+        if (updates.name !== undefined && !updates.name.trim()) {
+            throw new Error('Board name is required');
+        }
+        
+        const serverBoard = await this.apiClient.updateBoard(boardId, updates);
+        const updatedBoard = { ...this.getBoard(boardId), ...serverBoard };
+        
+        this.boards = this.boards.map(b => b.id === boardId ? updatedBoard : b);
+        await this.saveAndEmit();
+        
+        return updatedBoard;
+    }
+    
+    async deleteBoard(boardId) {
+        const board = this.getBoard(boardId);
+        if (!board) {
+            throw new Error('Board not found');
+        }
+        
+        if (!this.isOwner(boardId)) {
+            throw new Error('Only the board owner can delete it');
+        }
+        
+        if (this.getOwnBoards().length === 1) {
+            throw new Error('You need at least one board');
+        }
+        
+        await this.apiClient.deleteBoard(boardId);
+        await this.forgetBoard(board);
+        
+        return board;
+    }
+    
+    // Board Members
+    async getMembers(boardId) {
+        const members = await this.apiClient.getBoardMembers(boardId);
+        this.membersByBoard[boardId] = members;
+        return members;
+    }
+    
+    // Last member list fetched for a board, for pickers that must work offline
+    getCachedMembers(boardId) {
+        return this.membersByBoard[boardId] || [];
+    }
+    
+    async inviteMember(boardId, username, role = 'editor') {
+        if (!username || !username.trim()) {
+            throw new Error('Username is required');
+        }
+        
+        const member = await this.apiClient.inviteBoardMember(boardId, username.trim(), role);
+        this.adjustMemberCount(boardId, 1);
+        
+        return member;
+    }
+    
+    async updateMemberRole(boardId, userId, role) {
+        return this.apiClient.updateBoardMember(boardId, userId, role);
+    }
+    
+    async removeMember(boardId, userId) {
+        await this.apiClient.removeBoardMember(boardId, userId);
+        this.adjustMemberCount(boardId, -1);
+    }
+    
+    // Leaving a shared board removes it from this client like a deletion
+    async leaveBoard(boardId, userId) {
+        const board = this.getBoard(boardId);
+        if (!board) {
+            throw new Error('Board not found');
+        }
+        
+        if (this.isOwner(boardId)) {
+            throw new Error('The owner cannot leave their own board');
+        }
+        
+        await this.apiClient.removeBoardMember(boardId, userId);
+        await this.forgetBoard(board);
+        
+        return board;
+    }
+    
+    adjustMemberCount(boardId, delta) {
+        const board = this.getBoard(boardId);
+        if (board && board.memberCount !== undefined) {
+            board.memberCount += delta;
+            this.saveAndEmit();
+        }
+    }
+    
+    async forgetBoard(board) {
+        await this.clearBoardCache(board.id);
+        delete this.membersByBoard[board.id];
+        
+        this.boards = this.boards.filter(b => b.id !== board.id);
+        await this.saveAndEmit();
+        this.emit('boardDeleted', board);
+        
+        if (this.currentBoardId === board.id) {
+            this.switchBoard(this.boards[0].id);
+        }
+    }
+    
+    // Forget a board's cached tasks, columns, labels, unsent changes and tombstones
+    async clearBoardCache(boardId) {
+        await this.storageManager.saveTasks([], boardId);
+        await this.storageManager.clearColumns(boardId);
+        await this.storageManager.clearLabels(boardId);
+        await this.storageManager.clearOutbox(boardId);
+        this.storageManager.clearSyncCursor(boardId);
+        this.storageManager.clearTombstones(boardId);
+    }
+    
+    switchBoard(boardId) {
+        const board = this.getBoard(boardId);
+        if (!board || boardId === this.currentBoardId) {
+            return;
+        }
+        
+        this.currentBoardId = boardId;
+        this.storageManager.saveCurrentBoardId(boardId);
+        this.emit('boardChanged', board);
+    }
+    
+    // Keep the cached task count of the current board in step with local edits
+    setTaskCount(boardId, taskCount) {
+        const board = this.getBoard(boardId);
+        if (board) {
+            board.taskCount = taskCount;
+        }
+    }
+    
+    // Utility Methods
+    async saveAndEmit() {
+        await this.storageManager.saveBoards(this.boards);
+        this.emit('boardsUpdated', this.boards);
+    }
+    
+    // Own boards first, in their order; boards shared with us keep the server's order after them
+    sortBoards(boards) {
+        const ownBoards = boards.filter(b => (b.role || 'owner') === 'owner');
+        const sharedBoards = boards.filter(b => (b.role || 'owner') !== 'owner');
+        
+        return [...ownBoards.sort((a, b) => a.position - b.position), ...sharedBoards];
+    }
+    
+    clearLocalData() {
+        this.boards = [];
+        this.currentBoardId = null;
+        this.membersByBoard = {};
+        this.storageManager.clearBoards();
+        this.emit('boardsUpdated', this.boards);
+    }
+}
@@ -0,0 +1,280 @@
+// Board Column Configuration and Persistence
+export const DEFAULT_COLUMNS = [
+    { id: 'column_todo', key: 'todo', name: 'To Do', position: 0, color: '#6B73FF', wipLimit: null },
+    { id: 'column_inProgress', key: 'inProgress', name: 'In Progress', position: 1, color: '#FFB84D', wipLimit: null },
+    { id: 'column_done', key: 'done', name: 'Done', position: 2, color: '#10B981', wipLimit: null }
+];
+
+export class ColumnManager {
+    constructor() {
+        this.columns = [];
+        this.boardId = null;
+        this.apiClient = null;
+        this.storageManager = null;
+        this.eventListeners = {};
+        this.maxKeyLength = 20;
+    }
+    
+    init(apiClient, storageManager) {
+        this.apiClient = apiClient;
+        this.storageManager = storageManager;
+        
+        // A column created offline keeps its local id until the queued request reaches the server
+        this.apiClient.on('requestReplayed', ({ request, response }) => {
+            if (request.resource === 'column' && response?.column) {
+                this.replaceLocalColumn(request.localId, response.column);
+            }
+        });
+        
+        console.log('ColumnManager initialized');
+    }
+    
+    // Event Management
+    on(event, callback) {
+        if (!this.eventListeners[event]) {
+            this.eventListeners[event] = [];
+        }
+        this.eventListeners[event].push(callback);
+    }
+    
+    emit(event, data) {
+        if (this.eventListeners[event]) {
+            this.eventListeners[event].forEach(callback => callback(data));
+        }
+    }
+    
+    // Queries
+    getColumns() {
+        return [...this.columns];
+    }
+    
+    getColumn(key) {
+        return this.columns.find(c => c.key === key);
+    }
+    
+    getColumnById(columnId) {
+        return this.columns.find(c => c.id === columnId);
+    }
+    
+    getStatusKeys() {
+        return this.columns.map(c => c.key);
+    }
+    
+    getDefaultStatus() {
+        return this.columns[0]?.key || 'todo';
+    }
+    
+    isOverLimit(key, taskCount) {
+        const column = this.getColumn(key);
+        return Boolean(column?.wipLimit) && taskCount > column.wipLimit;
+    }
+    
+    // Loading and Syncing
+    async setBoard(boardId) {
+        this.boardId = boardId;
+        return this.loadColumns();
+    }
+    
+    async loadColumns() {
+        const localColumns = await this.storageManager.loadColumns(this.boardId);
+        
+        this.columns = localColumns && localColumns.length > 0
+            ? this.sortColumns(localColumns)
+            : DEFAULT_COLUMNS.map(column => ({ ...column }));
+            
+        this.emit('columnsUpdated', this.columns);
+        
+        return this.columns;
+    }
+    
+    async syncWithServer() {
+        const boardId = this.boardId;
+        const serverColumns = await this.apiClient.getColumns(boardId);
+        
+        // Server is the source of truth for board configuration; drop stale results after a board switch.
+        // Column changes still queued offline are not on the server yet, so keep the local columns until they are.
+        if (serverColumns.length > 0 && boardId === this.boardId && this.apiClient.getPendingRequestCount() === 0) {
+            this.columns = this.sortColumns(serverColumns);
+            await this.storageManager.saveColumns(this.columns, this.boardId);
+            this.emit('columnsUpdated', this.columns);
+        }
+        
+        return this.columns;
+    }
+    
+    // Column CRUD Operations
+    async createColumn({ name, color = null, wipLimit = null }) {
+        if (!name || !name.trim()) {
+            throw new Error('Column name is required');
+        }
+        
+        let column = {
+            id: this.generateId(),
+            key: this.generateKey(name),
+            name: name.trim(),
+            position: this.columns.length,
+            color,
+            wipLimit
+        };
+        
+        this.columns.push(column);
+        
+        try {
+            const serverColumn = await this.apiClient.createColumn({ name: column.name, color, wipLimit }, this.boardId, column.id);
+            if (serverColumn) {
+                column = this.replaceColumn(column.id, serverColumn);
+            }
+        } catch (error) {
+            console.warn('Failed to sync column creation with server:', error);
+        }
+        
+        await this.saveAndEmit();
+        this.emit('columnCreated', column);
+        
+        return column;
+    }
+    
+    async updateColumn(columnId, updates) {
+        const column = this.getColumnById(columnId);
+        if (!column) {
+            throw new Error('Column not found');
+        }
+        
+        if (updates.name !== undefined && !updates.name.trim()) {
+            throw new Error('Column name is required');
+        }
+        
+        // The key is the status stored on tasks, so it never changes
+        const { key, id, ...allowedUpdates } = updates;
+        let updatedColumn = { ...column, ...allowedUpdates };
+        
+        this.replaceColumn(columnId, updatedColumn);
+        
+        try {
+            const serverColumn = await this.apiClient.updateColumn(columnId, allowedUpdates);
+            if (serverColumn) {
+                updatedColumn = this.replaceColumn(columnId, serverColumn);
+            }
+        } catch (error) {
+            console.warn('Failed to sync column update with server:', error);
+        }
+        
+        await this.saveAndEmit();
+        
+        return updatedColumn;
+    }
+    
+    async deleteColumn(columnId, moveTo = null) {
+        const column = this.getColumnById(columnId);
+        if (!column) {
+            throw new Error('Column not found');
+        }
+        
+        if (this.columns.length === 1) {
+            throw new Error('A board needs at least one column');
+        }
+        
+        if (column.key === 'done') {
+            throw new Error('The Done column can\'t be deleted');
+        }
+        
+        try {
+            await this.apiClient.deleteColumn(columnId, moveTo);
+        } catch (error) {
+            // Refuse locally what the server refused; going offline queues the deletion instead of failing
+            if (error.status !== 404) {
+                throw error;
+            }
+            console.warn('Failed to sync column deletion with server:', error);
+        }
+        
+        this.columns = this.columns
+            .filter(c => c.id !== columnId)
+            .map((c, index) => ({ ...c, position: index }));
+            
+        await this.saveAndEmit();
+        this.emit('columnDeleted', { column, moveTo });
+        
+        return column;
+    }
+    
+    async moveColumn(columnId, direction) {
+        const index = this.columns.findIndex(c => c.id === columnId);
+        const targetIndex = index + direction;
+        
+        if (index === -1 || targetIndex < 0 || targetIndex >= this.columns.length) {
+            return this.columns;
+        }
+        
+        const reordered = [...this.columns];
+        [reordered[index], reordered[targetIndex]] = [reordered[targetIndex], reordered[index]];
+        this.columns = reordered.map((c, position) => ({ ...c, position }));
+        
+        try {
+            await this.apiClient.reorderColumns(this.columns.map(c => c.id), this.boardId);
+        } catch (error) {
+            console.warn('Failed to sync column order with server:', error);
+        }
+        
+        await this.saveAndEmit();
+        
+        return this.columns;
+    }
+    
+    // Utility Methods
+    replaceColumn(columnId, column) {
+        const index = this.columns.findIndex(c => c.id === columnId);
+        if (index !== -1) {
+            this.columns[index] = column;
+        }
+        return column;
+    }
+    
+    async replaceLocalColumn(localId, serverColumn) {
+        if (!this.getColumnById(localId) || serverColumn.boardId !== this.boardId) {
+            return;
+        }
+        
+        this.replaceColumn(localId, { ...this.getColumnById(localId), id: serverColumn.id });
+        await this.saveAndEmit();
+    }
+    
+    async saveAndEmit() {
+        await this.storageManager.saveColumns(this.columns, this.boardId);
+        this.emit('columnsUpdated', this.columns);
+    }
+    
+    sortColumns(columns) {
+        return [...columns].sort((a, b) => a.position - b.position);
+    }
+    
+    // Mirrors the server's key derivation so offline-created columns line up
+    generateKey(name) {
+        const words = name.toLowerCase().match(/[a-z0-9]+/g) || [];
+        const base = words
+            .map((word, index) => index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1))
+            .join('')
+            .slice(0, this.maxKeyLength - 3) || 'column';
+            
+        const existingKeys = this.getStatusKeys();
+        let key = base;
+        let suffix = 2;
+        
+        while (existingKeys.includes(key)) {
+            key = `${base}${suffix}`;
+            suffix++;
+        }
+        
+        return key;
+    }
+    
+    generateId() {
+        return 'column_' + Math.random().toString(36).substr(2, 9) + '_' + Date.now();
+    }
+    
+    clearLocalData() {
+        this.columns = DEFAULT_COLUMNS.map(column => ({ ...column }));
+        this.storageManager.clearColumns();
+        this.emit('columnsUpdated', this.columns);
+    }
+}
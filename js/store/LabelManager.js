@@ -0,0 +1,148 @@
+// Board Label Configuration and Persistence
+export class LabelManager {
+    constructor() {
+        this.labels = [];
+        this.boardId = null;
+        this.apiClient = null;
+        this.storageManager = null;
+        this.eventListeners = {};
+        this.maxTaskLabels = 20;
+    }
+    
+    init(apiClient, storageManager) {
+        this.apiClient = apiClient;
+        this.storageManager = storageManager;
+        
+        console.log('LabelManager initialized');
+    }
+    
+    // Event Management
+    on(event, callback) {
+        if (!this.eventListeners[event]) {
+            this.eventListeners[event] = [];
+        }
+        this.eventListeners[event].push(callback);
+    }
+    
+    emit(event, data) {
+        if (this.eventListeners[event]) {
+            this.eventListeners[event].forEach(callback => callback(data));
+        }
+    }
+    
+    // Queries
+    getLabels() {
+        return [...this.labels];
+    }
+    
+    getLabel(labelId) {
+        return this.labels.find(l => l.id === labelId);
+    }
+    
+    // A task's labels in board order, skipping ids whose label is gone
+    getTaskLabels(task) {
+        const labelIds = task.labels || [];
+        return this.labels.filter(l => labelIds.includes(l.id));
+    }
+    
+    // Loading and Syncing
+    async setBoard(boardId) {
+        this.boardId = boardId;
+        return this.loadLabels();
+    }
+    
+    async loadLabels() {
+        const localLabels = await this.storageManager.loadLabels(this.boardId);
+        
+        this.labels = localLabels ? this.sortLabels(localLabels) : [];
+        this.emit('labelsUpdated', this.labels);
+        
+        return this.labels;
+    }
+    
+    async syncWithServer() {
+        const boardId = this.boardId;
+        const serverLabels = await this.apiClient.getLabels(boardId);
+        
+        // Drop stale results after a board switch
+        if (boardId === this.boardId) {
+            this.labels = this.sortLabels(serverLabels);
+            await this.saveAndEmit();
+        }
+        
+        return this.labels;
+    }
+    
+    // Label CRUD Operations
+    // Tasks reference labels by server id, so labels are only changed while the server is reachable
+    async createLabel({ name, color }) {
+        if (!name || !name.trim()) {
+            throw new Error('Label name is required');
+        }
+        
+        const label = await this.apiClient.createLabel({ name: name.trim(), color }, this.boardId);
+        
+        this.labels = this.sortLabels([...this.labels, label]);
+        await this.saveAndEmit();
+        
+        return label;
+    }
+    
+    async updateLabel(labelId, updates) {
+        const label = this.getLabel(labelId);
+        if (!label) {
+            throw new Error('Label not found');
+        }
+        
+        if (updates.name !== undefined && !updates.name.trim()) {
+            throw new Error('Label name is required');
+        }
+        
+        const serverLabel = await this.apiClient.updateLabel(labelId, updates);
+        const updatedLabel = { ...label, ...serverLabel };
+        
+        this.labels = this.sortLabels(this.labels.map(l => l.id === labelId ? updatedLabel : l));
+        await this.saveAndEmit();
+        
+        return updatedLabel;
+    }
+    
+    async deleteLabel(labelId) {
+        const label = this.getLabel(labelId);
+        if (!label) {
+            throw new Error('Label not found');
+        }
+        
+        try {
+            await this.apiClient.deleteLabel(labelId);
+        } catch (error) {
+            // Already gone on the server, e.g. deleted from another device
+            if (error.status !== 404) {
+                throw error;
+            }
+        }
+        
+        this.labels = this.labels.filter(l => l.id !== labelId);
+        await this.saveAndEmit();
+        this.emit('labelDeleted', label);
+        
+        return label;
+    }
+    
+    // Utility Methods
+    async saveAndEmit() {
+        await this.storageManager.saveLabels(this.labels, this.boardId);
+        this.emit('labelsUpdated', this.labels);
+    }
+    
+    // Mirrors the server's order, by name ignoring case
+    sortLabels(labels) {
+        return [...labels].sort((a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase()));
+    }
+    
+    clearLocalData() {
+        this.labels = [];
+        this.storageManager.clearLabels();
+        this.emit('labelsUpdated', this.labels);
+    }
+}
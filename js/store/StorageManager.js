@@ -2,10 +2,14 @@
 export class StorageManager {
     constructor() {
         this.dbName = 'TaskFlowDB';
-        this.dbVersion = 1;
+        this.dbVersion = 3;
         this.storeName = 'tasks';
+        this.outboxStoreName = 'outbox';
+        this.requestStoreName = 'requests';
         this.db = null;
         this.useIndexedDB = false;
+        this.outboxQueue = Promise.resolve();
+        this.tombstoneRetentionDays = 30;
     }
     
     async init() {
@@ -56,11 +60,21 @@ export class StorageManager {
                     store.createIndex('updatedAt', 'updatedAt', { unique: false });
                     store.createIndex('dueDate', 'dueDate', { unique: false });
                 }
+                
+                // Create sync outbox store
+                if (!db.objectStoreNames.contains(this.outboxStoreName)) {
+                    db.createObjectStore(this.outboxStoreName, { keyPath: 'id' });
+                }
+                
+                // Create offline request queue store
+                if (!db.objectStoreNames.contains(this.requestStoreName)) {
+                    db.createObjectStore(this.requestStoreName, { keyPath: 'id' });
+                }
             };
         });
     }
     
-    async saveTasksIndexedDB(tasks) {
+    async saveTasksIndexedDB(tasks, boardId) {
         if (!this.db) throw new Error('IndexedDB not initialized');
         
         return new Promise((resolve, reject) => {
@@ -70,17 +84,30 @@ export class StorageManager {
             transaction.onerror = () => reject(transaction.error);
             transaction.oncomplete = () => resolve();
             
-            // Clear existing tasks
-            store.clear();
+            const replaceTasks = (keptTasks) => {
+                // Clear existing tasks
+                store.clear();
+                
+                // Add all tasks
+                [...keptTasks, ...tasks].forEach(task => {
+                    store.add(task);
+                });
+            };
             
-            // Add all tasks
-            tasks.forEach(task => {
-                store.add(task);
-            });
+            if (boardId === undefined) {
+                replaceTasks([]);
+                return;
+            }
+            
+            // Saving one board keeps the tasks of the others
+            const request = store.getAll();
+            request.onsuccess = () => {
+                replaceTasks(this.getOtherBoardTasks(request.result || [], boardId));
+            };
         });
     }
     
-    async loadTasksIndexedDB() {
+    async loadTasksIndexedDB(boardId) {
         if (!this.db) throw new Error('IndexedDB not initialized');
         
         return new Promise((resolve, reject) => {
@@ -89,7 +116,7 @@ export class StorageManager {
             const request = store.getAll();
             
             request.onerror = () => reject(request.error);
-            request.onsuccess = () => resolve(request.result || []);
+            request.onsuccess = () => resolve(this.getBoardTasks(request.result || [], boardId));
         });
     }
     
@@ -106,13 +133,45 @@ export class StorageManager {
         });
     }
     
+    // The outbox and the request queue are small lists that are read and written whole
+    async loadListIndexedDB(storeName) {
+        if (!this.db) throw new Error('IndexedDB not initialized');
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const request = transaction.objectStore(storeName).getAll();
+            
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => resolve(request.result || []);
+        });
+    }
+    
+    async saveListIndexedDB(storeName, records) {
+        if (!this.db) throw new Error('IndexedDB not initialized');
+        
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            
+            transaction.onerror = () => reject(transaction.error);
+            transaction.oncomplete = () => resolve();
+            
+            store.clear();
+            records.forEach(record => store.add(record));
+        });
+    }
+    
     // localStorage Methods
-    saveTasksLocalStorage(tasks) {
+    saveTasksLocalStorage(tasks, boardId) {
         try {
+            const keptTasks = boardId === undefined
+                ? []
+                : this.getOtherBoardTasks(this.readTasksLocalStorage(), boardId);
+            
             const data = {
                 version: '1.0',
                 timestamp: new Date().toISOString(),
-                tasks: tasks
+                tasks: [...keptTasks, ...tasks]
             };
             
             localStorage.setItem('taskflow_tasks', JSON.stringify(data));
@@ -123,25 +182,29 @@ export class StorageManager {
         }
     }
     
-    loadTasksLocalStorage() {
+    loadTasksLocalStorage(boardId) {
         try {
-            const data = localStorage.getItem('taskflow_tasks');
-            if (!data) return Promise.resolve([]);
-            
-            const parsed = JSON.parse(data);
-            
-            // Validate data structure
-            if (parsed && parsed.tasks && Array.isArray(parsed.tasks)) {
-                return Promise.resolve(parsed.tasks);
-            }
-            
-            return Promise.resolve([]);
+            return Promise.resolve(this.getBoardTasks(this.readTasksLocalStorage(), boardId));
         } catch (error) {
             console.error('Failed to load from localStorage:', error);
             return Promise.resolve([]);
         }
     }
     
+    readTasksLocalStorage() {
+        const data = localStorage.getItem('taskflow_tasks');
+        if (!data) return [];
+        
+        const parsed = JSON.parse(data);
+        
+        // Validate data structure
+        if (parsed && parsed.tasks && Array.isArray(parsed.tasks)) {
+            return parsed.tasks;
+        }
+        
+        return [];
+    }
+    
     clearTasksLocalStorage() {
         try {
             localStorage.removeItem('taskflow_tasks');
@@ -153,23 +216,38 @@ export class StorageManager {
     }
     
     // Public Interface
-    async saveTasks(tasks) {
+    // Tasks of all boards share one store. Passing a boardId reads or replaces
+    // only that board's tasks; omitting it works on every stored task.
+    async saveTasks(tasks, boardId = undefined) {
         if (this.useIndexedDB) {
-            return this.saveTasksIndexedDB(tasks);
+            return this.saveTasksIndexedDB(tasks, boardId);
         } else {
-            return this.saveTasksLocalStorage(tasks);
+            return this.saveTasksLocalStorage(tasks, boardId);
         }
     }
     
-    async loadTasks() {
+    async loadTasks(boardId = undefined) {
         if (this.useIndexedDB) {
-            return this.loadTasksIndexedDB();
+            return this.loadTasksIndexedDB(boardId);
         } else {
-            return this.loadTasksLocalStorage();
+            return this.loadTasksLocalStorage(boardId);
         }
     }
     
+    // Tasks saved before boards existed have no boardId and go with whichever board loads them
+    getBoardTasks(tasks, boardId) {
+        if (boardId === undefined) return tasks;
+        return tasks.filter(task => !task.boardId || task.boardId === boardId);
+    }
+    
+    getOtherBoardTasks(tasks, boardId) {
+        return tasks.filter(task => task.boardId && task.boardId !== boardId);
+    }
+    
     async clearTasks() {
+        this.clearSyncCursor();
+        this.clearTombstones();
+        
         if (this.useIndexedDB) {
             return this.clearTasksIndexedDB();
         } else {
@@ -177,6 +255,386 @@ export class StorageManager {
         }
     }
     
+    // Sync Outbox
+    // Task operations waiting to be pushed to the server, oldest first. A task has at
+    // most one pending operation: a later edit replaces its snapshot and bumps its
+    // revision, and a delete supersedes whatever was pending.
+    async loadOutbox(boardId = undefined) {
+        let operations;
+        
+        if (this.useIndexedDB) {
+            operations = await this.loadListIndexedDB(this.outboxStoreName);
+        } else {
+            try {
+                const data = localStorage.getItem('taskflow_outbox');
+                operations = data ? JSON.parse(data) : [];
+            } catch (error) {
+                console.error('Failed to load outbox:', error);
+                operations = [];
+            }
+        }
+        
+        operations.sort((a, b) => a.sequence - b.sequence);
+        return boardId === undefined ? operations : operations.filter(op => op.boardId === boardId);
+    }
+    
+    async saveOutbox(operations) {
+        if (this.useIndexedDB) {
+            return this.saveListIndexedDB(this.outboxStoreName, operations);
+        }
+        
+        try {
+            localStorage.setItem('taskflow_outbox', JSON.stringify(operations));
+        } catch (error) {
+            console.error('Failed to save outbox:', error);
+            throw error;
+        }
+    }
+    
+    // Outbox changes read, modify and write the whole list, so they run one at a time
+    updateOutbox(change) {
+        const run = this.outboxQueue.then(async () => {
+            const operations = await this.loadOutbox();
+            await this.saveOutbox(change(operations));
+        });
+        
+        this.outboxQueue = run.catch(() => {});
+        return run;
+    }
+    
+    // base is the task as last received from the server, before the edit, so the server
+    // can merge the edit with changes made meanwhile. A pending operation keeps the base
+    // of the first edit.
+    async queueOperation({ boardId, taskId, type, task = null, base = null }) {
+        return this.updateOutbox(operations => {
+            const pending = operations.find(op => op.taskId === taskId);
+            
+            if (pending) {
+                // An edit of a task whose creation is pending is still a create
+                pending.type = type === 'delete' ? 'delete' : pending.type;
+                pending.task = type === 'delete' ? null : task;
+                pending.revision++;
+                return operations;
+            }
+            
+            const sequence = operations.reduce((max, op) => Math.max(max, op.sequence), 0) + 1;
+            
+            return [...operations, {
+                id: this.generateOperationId(),
+                boardId,
+                taskId,
+                type,
+                task: type === 'delete' ? null : task,
+                base: type === 'update' ? base : null,
+                revision: 1,
+                sequence,
+                queuedAt: new Date().toISOString()
+            }];
+        });
+    }
+    
+    // Drop operations the server has answered, unless they changed while in flight
+    async removeOperations(sentOperations) {
+        return this.updateOutbox(operations => operations.filter(op => {
+            return !sentOperations.some(sent => sent.id === op.id && sent.revision === op.revision);
+        }));
+    }
+    
+    // A task created with an id the server replaced; what is still pending now updates the server's task
+    // An operation edited again while it was pushed stays queued; its base becomes the
+    // version the server acknowledged, so the next push does not conflict with itself
+    async rebaseOperation(taskId, base) {
+        return this.updateOutbox(operations => operations.map(op => {
+            return op.taskId === taskId && op.type !== 'delete' ? { ...op, base } : op;
+        }));
+    }
+    
+    async remapTaskId(oldId, newId) {
+        return this.updateOutbox(operations => operations.map(op => {
+            if (op.taskId !== oldId) return op;
+            
+            return {
+                ...op,
+                taskId: newId,
+                type: op.type === 'create' ? 'update' : op.type,
+                task: op.task ? { ...op.task, id: newId } : null
+            };
+        }));
+    }
+    
+    // Forget the pending operations of one board, or of every board
+    async clearOutbox(boardId = undefined) {
+        return this.updateOutbox(operations => {
+            return boardId === undefined ? [] : operations.filter(op => op.boardId !== boardId);
+        });
+    }
+    
+    generateOperationId() {
+        return 'op_' + Math.random().toString(36).substr(2, 9) + '_' + Date.now();
+    }
+    
+    // The change log cursor a board's stored tasks are up to date with
+    getSyncCursorKey(boardId) {
+        return `taskflow_sync_cursor_${boardId}`;
+    }
+    
+    loadSyncCursor(boardId) {
+        try {
+            return Number(localStorage.getItem(this.getSyncCursorKey(boardId))) || 0;
+        } catch (error) {
+            return 0;
+        }
+    }
+    
+    saveSyncCursor(boardId, cursor) {
+        try {
+            localStorage.setItem(this.getSyncCursorKey(boardId), String(cursor));
+        } catch (error) {
+            console.error('Failed to save sync cursor:', error);
+        }
+    }
+    
+    // Clears one board's cursor, or every board's; stored tasks without a cursor are fetched whole again
+    clearSyncCursor(boardId = undefined) {
+        try {
+            if (boardId !== undefined) {
+                localStorage.removeItem(this.getSyncCursorKey(boardId));
+                return;
+            }
+            
+            Object.keys(localStorage)
+                .filter(key => key.startsWith('taskflow_sync_cursor_'))
+                .forEach(key => localStorage.removeItem(key));
+        } catch (error) {
+            console.error('Failed to clear sync cursors:', error);
+        }
+    }
+    
+    // Offline Request Queue
+    // Mutations the ApiClient could not send, replayed in order once the server is reachable
+    async loadRequestQueue() {
+        if (this.useIndexedDB) {
+            const requests = await this.loadListIndexedDB(this.requestStoreName);
+            return requests.sort((a, b) => a.sequence - b.sequence);
+        }
+        
+        try {
+            const data = localStorage.getItem('taskflow_request_queue');
+            return data ? JSON.parse(data) : [];
+        } catch (error) {
+            console.error('Failed to load request queue:', error);
+            return [];
+        }
+    }
+    
+    async saveRequestQueue(requests) {
+        if (this.useIndexedDB) {
+            return this.saveListIndexedDB(this.requestStoreName, requests);
+        }
+        
+        try {
+            localStorage.setItem('taskflow_request_queue', JSON.stringify(requests));
+        } catch (error) {
+            console.error('Failed to save request queue:', error);
+            throw error;
+        }
+    }
+    
+    // Tombstones
+    // Ids of tasks deleted on this device, with when, so a sync cannot bring them back.
+    // They are kept as long as the server keeps its own tombstones.
+    getTombstonesKey(boardId) {
+        return `taskflow_tombstones_${boardId}`;
+    }
+    
+    loadTombstones(boardId) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.getTombstonesKey(boardId)) || '{}');
+            const cutoff = Date.now() - this.tombstoneRetentionDays * 24 * 60 * 60 * 1000;
+            
+            return Object.fromEntries(
+                Object.entries(stored).filter(([, deletedAt]) => new Date(deletedAt).getTime() > cutoff)
+            );
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    addTombstones(boardId, taskIds) {
+        const tombstones = this.loadTombstones(boardId);
+        const deletedAt = new Date().toISOString();
+        
+        taskIds.forEach(taskId => {
+            tombstones[taskId] = deletedAt;
+        });
+        
+        try {
+            localStorage.setItem(this.getTombstonesKey(boardId), JSON.stringify(tombstones));
+        } catch (error) {
+            console.error('Failed to save tombstones:', error);
+        }
+    }
+    
+    // Restored tasks may come back from the server again
+    removeTombstones(boardId, taskIds) {
+        const tombstones = this.loadTombstones(boardId);
+        taskIds.forEach(taskId => {
+            delete tombstones[taskId];
+        });
+        
+        try {
+            localStorage.setItem(this.getTombstonesKey(boardId), JSON.stringify(tombstones));
+        } catch (error) {
+            console.error('Failed to save tombstones:', error);
+        }
+    }
+    
+    clearTombstones(boardId = undefined) {
+        try {
+            if (boardId !== undefined) {
+                localStorage.removeItem(this.getTombstonesKey(boardId));
+                return;
+            }
+            
+            Object.keys(localStorage)
+                .filter(key => key.startsWith('taskflow_tombstones_'))
+                .forEach(key => localStorage.removeItem(key));
+        } catch (error) {
+            console.error('Failed to clear tombstones:', error);
+        }
+    }
+    
+    // Boards and columns are small configuration data, so localStorage is enough
+    async saveBoards(boards) {
+        try {
+            localStorage.setItem('taskflow_boards', JSON.stringify(boards));
+        } catch (error) {
+            console.error('Failed to save boards:', error);
+            throw error;
+        }
+    }
+    
+    async loadBoards() {
+        try {
+            const data = localStorage.getItem('taskflow_boards');
+            const boards = data ? JSON.parse(data) : null;
+            return Array.isArray(boards) ? boards : null;
+        } catch (error) {
+            console.error('Failed to load boards:', error);
+            return null;
+        }
+    }
+    
+    saveCurrentBoardId(boardId) {
+        try {
+            if (boardId) {
+                localStorage.setItem('taskflow_current_board', boardId);
+            } else {
+                localStorage.removeItem('taskflow_current_board');
+            }
+        } catch (error) {
+            console.error('Failed to save current board:', error);
+        }
+    }
+    
+    loadCurrentBoardId() {
+        try {
+            return localStorage.getItem('taskflow_current_board');
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    async clearBoards() {
+        try {
+            localStorage.removeItem('taskflow_boards');
+            localStorage.removeItem('taskflow_current_board');
+        } catch (error) {
+            console.error('Failed to clear boards:', error);
+        }
+    }
+    
+    getColumnsKey(boardId) {
+        return boardId ? `taskflow_columns_${boardId}` : 'taskflow_columns';
+    }
+    
+    async saveColumns(columns, boardId = null) {
+        try {
+            localStorage.setItem(this.getColumnsKey(boardId), JSON.stringify(columns));
+        } catch (error) {
+            console.error('Failed to save columns:', error);
+            throw error;
+        }
+    }
+    
+    async loadColumns(boardId = null) {
+        try {
+            const data = localStorage.getItem(this.getColumnsKey(boardId));
+            const columns = data ? JSON.parse(data) : null;
+            return Array.isArray(columns) ? columns : null;
+        } catch (error) {
+            console.error('Failed to load columns:', error);
+            return null;
+        }
+    }
+    
+    // Clears one board's columns, or every board's when no boardId is given
+    async clearColumns(boardId = undefined) {
+        try {
+            if (boardId !== undefined) {
+                localStorage.removeItem(this.getColumnsKey(boardId));
+                return;
+            }
+            
+            Object.keys(localStorage)
+                .filter(key => key.startsWith('taskflow_columns'))
+                .forEach(key => localStorage.removeItem(key));
+        } catch (error) {
+            console.error('Failed to clear columns:', error);
+        }
+    }
+    
+    // Labels are owned by the server, so this is only a cache for showing chips offline
+    getLabelsKey(boardId) {
+        return boardId ? `taskflow_labels_${boardId}` : 'taskflow_labels';
+    }
+    
+    async saveLabels(labels, boardId = null) {
+        try {
+            localStorage.setItem(this.getLabelsKey(boardId), JSON.stringify(labels));
+        } catch (error) {
+            console.error('Failed to save labels:', error);
+            throw error;
+        }
+    }
+    
+    async loadLabels(boardId = null) {
+        try {
+            const data = localStorage.getItem(this.getLabelsKey(boardId));
+            const labels = data ? JSON.parse(data) : null;
+            return Array.isArray(labels) ? labels : null;
+        } catch (error) {
+            console.error('Failed to load labels:', error);
+            return null;
+        }
+    }
+    
+    // Clears one board's labels, or every board's when no boardId is given
+    async clearLabels(boardId = undefined) {
+        try {
+            if (boardId !== undefined) {
+                localStorage.removeItem(this.getLabelsKey(boardId));
+                return;
+            }
+            
+            Object.keys(localStorage)
+                .filter(key => key.startsWith('taskflow_labels'))
+                .forEach(key => localStorage.removeItem(key));
+        } catch (error) {
+            console.error('Failed to clear labels:', error);
+        }
+    }
+    
     // Storage Information
     async getStorageInfo() {
         const info = {
@@ -2,14 +2,36 @@
 import { ApiClient } from './ApiClient.js';
 import { StorageManager } from './StorageManager.js';
 
+// Cards are ordered within a column by rank, a string of base-36 digits compared as plain
+// strings, like the server does. A moved card gets a rank between its neighbours, so no other
+// card changes. Ranks never end in 0, which keeps room between any two of them.
+const RANK_DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+// Fields undo and redo write back; the rest belong to the server (attachments, comments,
+// dependencies) or to bookkeeping
+const HISTORY_FIELDS = ['title', 'description', 'category', 'priority', 'status', 'rank', 'dueDate', 'recurrence', 'checklist', 'assignees', 'labels'];
+
+// Wait before reopening a dropped event stream, as long as the server asks EventSource to
+const REALTIME_RETRY_DELAY = 5000;
+
 export class TaskManager {
     constructor() {
         this.tasks = [];
+        this.boardId = null;
         this.apiClient = new ApiClient();
         this.storageManager = new StorageManager();
         this.eventListeners = {};
         this.isInitialized = false;
         this.lastSyncTime = null;
+        this.eventSource = null;
+        this.realtimeAttempt = 0;
+        this.realtimeRetry = null;
+        this.pushPromise = null;
+        this.pushRequested = false;
+        this.maxPushOperations = 200;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxHistory = 50;
     }
     
     async init() {
@@ -17,6 +39,7 @@ export class TaskManager {
         
         // Initialize storage
         await this.storageManager.init();
+        await this.apiClient.init(this.storageManager);
         
         this.isInitialized = true;
         console.log('TaskManager initialized successfully');
@@ -30,25 +53,16 @@ export class TaskManager {
         this.eventListeners[event].push(callback);
     }
     
-    emit(event, data) {
+    // meta.remote marks changes that were made in another tab or by a teammate
+    emit(event, data, meta = {}) {
         if (this.eventListeners[event]) {
-            this.eventListeners[event].forEach(callback => callback(data));
+            this.eventListeners[event].forEach(callback => callback(data, meta));
         }
     }
     
     // Task CRUD Operations
     async createTask(taskData) {
-        const task = {
-            id: this.generateId(),
-            title: taskData.title || '',
-            description: taskData.description || '',
-            category: taskData.category || '',
-            priority: taskData.priority || 'Medium',
-            status: taskData.status || 'todo',
-            dueDate: taskData.dueDate || null,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
+        const task = this.buildTask(taskData);
         
         // Validate task
         if (!task.title.trim()) {
@@ -59,22 +73,43 @@ export class TaskManager {
         this.tasks.push(task);
         
         // Save to local storage
-        await this.storageManager.saveTasks(this.tasks);
+        await this.storageManager.saveTasks(this.tasks, this.boardId);
         
-        // Sync with server
-        try {
-            await this.apiClient.createTask(task);
-        } catch (error) {
-            console.warn('Failed to sync task creation with server:', error);
-        }
+        // Queue for the server and push right away if we can
+        await this.queueChange('create', task);
+        
+        const historyEntry = this.recordHistory(`Create "${task.title}"`, [{ before: null, after: task }]);
         
         // Emit events
-        this.emit('taskCreated', task);
+        this.emit('taskCreated', task, { historyEntry });
         this.emit('tasksUpdated', this.tasks);
         
         return task;
     }
     
+    // A new task on the current board; only the fields a user sets are taken from taskData
+    buildTask(taskData) {
+        const status = taskData.status || 'todo';
+        
+        return {
+            id: this.generateId(),
+            boardId: this.boardId,
+            title: taskData.title || '',
+            description: taskData.description || '',
+            category: taskData.category || '',
+            priority: taskData.priority || 'Medium',
+            status,
+            rank: taskData.rank || this.getRankAfterLast(status),
+            dueDate: taskData.dueDate || null,
+            recurrence: taskData.recurrence || null,
+            checklist: taskData.checklist || [],
+            assignees: taskData.assignees || [],
+            labels: taskData.labels || [],
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+    }
+    
     async updateTask(taskId, updates) {
         const taskIndex = this.tasks.findIndex(t => t.id === taskId);
         if (taskIndex === -1) {
@@ -82,12 +117,18 @@ export class TaskManager {
         }
         
         // Create updated task
+        const previousTask = this.tasks[taskIndex];
         const updatedTask = {
-            ...this.tasks[taskIndex],
+            ...previousTask,
             ...updates,
             updatedAt: new Date().toISOString()
         };
         
+        // A card moved to another column without a place in it goes to the bottom
+        if (updates.rank === undefined && updatedTask.status !== previousTask.status) {
+            updatedTask.rank = this.getRankAfterLast(updatedTask.status, taskId);
+        }
+        
         // Validate updated task
         if (!updatedTask.title.trim()) {
             throw new Error('Task title is required');
@@ -97,17 +138,19 @@ export class TaskManager {
         this.tasks[taskIndex] = updatedTask;
         
         // Save to local storage
-        await this.storageManager.saveTasks(this.tasks);
+        await this.storageManager.saveTasks(this.tasks, this.boardId);
         
-        // Sync with server
-        try {
-            await this.apiClient.updateTask(taskId, updatedTask);
-        } catch (error) {
-            console.warn('Failed to sync task update with server:', error);
-        }
+        // Queue for the server and push right away if we can
+        await this.queueChange('update', updatedTask, previousTask);
+        
+        const isMove = Object.keys(updates).every(field => field === 'status' || field === 'rank');
+        const historyEntry = this.recordHistory(
+            `${isMove ? 'Move' : 'Edit'} "${updatedTask.title}"`,
+            [{ before: previousTask, after: updatedTask }]
+        );
         
         // Emit events
-        this.emit('taskUpdated', updatedTask);
+        this.emit('taskUpdated', updatedTask, { historyEntry });
         this.emit('tasksUpdated', this.tasks);
         
         return updatedTask;
@@ -121,26 +164,262 @@ export class TaskManager {
         
         const deletedTask = this.tasks[taskIndex];
         
-        // Remove from local tasks
+        // Remove from local tasks, leaving a tombstone so a sync does not bring it back
         this.tasks.splice(taskIndex, 1);
+        this.storageManager.addTombstones(this.boardId, [taskId]);
         
         // Save to local storage
-        await this.storageManager.saveTasks(this.tasks);
+        await this.storageManager.saveTasks(this.tasks, this.boardId);
         
-        // Sync with server
-        try {
-            await this.apiClient.deleteTask(taskId);
-        } catch (error) {
-            console.warn('Failed to sync task deletion with server:', error);
-        }
+        // Queue for the server and push right away if we can
+        await this.queueChange('delete', deletedTask);
+        
+        const historyEntry = this.recordHistory(`Delete "${deletedTask.title}"`, [{ before: deletedTask, after: null }]);
         
         // Emit events
-        this.emit('taskDeleted', deletedTask);
+        this.emit('taskDeleted', deletedTask, { historyEntry });
         this.emit('tasksUpdated', this.tasks);
         
         return deletedTask;
     }
     
+    // Move every task in one status to another, e.g. after its column was deleted.
+    // The server moves its copies itself, so this only updates local state.
+    async reassignStatus(fromStatus, toStatus) {
+        const now = new Date().toISOString();
+        let movedCount = 0;
+        
+        this.tasks = this.tasks.map(task => {
+            if (task.status !== fromStatus) return task;
+            movedCount++;
+            return { ...task, status: toStatus, updatedAt: now };
+        });
+        
+        if (movedCount > 0) {
+            await this.storageManager.saveTasks(this.tasks, this.boardId);
+            this.emit('tasksUpdated', this.tasks);
+        }
+        
+        return movedCount;
+    }
+    
+    // Take a deleted label off every task. The server removes it from its copies itself.
+    async removeLabel(labelId) {
+        const now = new Date().toISOString();
+        let changedCount = 0;
+        
+        this.tasks = this.tasks.map(task => {
+            if (!(task.labels || []).includes(labelId)) return task;
+            changedCount++;
+            return { ...task, labels: task.labels.filter(id => id !== labelId), updatedAt: now };
+        });
+        
+        if (changedCount > 0) {
+            await this.storageManager.saveTasks(this.tasks, this.boardId);
+            this.emit('tasksUpdated', this.tasks);
+        }
+        
+        return changedCount;
+    }
+    
+    // Bulk Operations
+    // The selection is changed through the server's batch routes, so this needs a connection.
+    // Unsent changes are pushed first, so the batch applies on top of them.
+    async batchUpdateTasks(taskIds, updates) {
+        await this.pushChanges();
+        
+        const response = await this.apiClient.batchUpdateTasks(taskIds.map(id => ({ id, ...updates })));
+        const updatedTasks = response.tasks || [];
+        const previousTasks = updatedTasks.map(task => this.getTask(task.id)).filter(Boolean);
+        
+        // Finishing recurring tasks may have created the next ones of their series
+        const spawnedTasks = response.spawnedTasks || [];
+        [...updatedTasks, ...spawnedTasks].forEach(task => this.upsertServerTask(task));
+        
+        await this.storageManager.saveTasks(this.tasks, this.boardId);
+        
+        // Undoing the move takes the spawned tasks away again
+        const historyEntry = this.recordHistory(
+            `Update ${previousTasks.length} task${previousTasks.length === 1 ? '' : 's'}`,
+            [
+                ...previousTasks.map(task => ({ before: task, after: this.getTask(task.id) })),
+                ...spawnedTasks.map(task => ({ before: null, after: this.getTask(task.id) }))
+            ]
+        );
+        
+        this.emit('tasksUpdated', this.tasks);
+        
+        return { updated: updatedTasks, failed: response.failed || [], historyEntry };
+    }
+    
+    // Returns our copies of the deleted tasks, so they can be put back
+    async batchDeleteTasks(taskIds) {
+        await this.pushChanges();
+        
+        const response = await this.apiClient.batchDeleteTasks(taskIds);
+        const deletedIds = new Set((response.tasks || []).map(task => task.id));
+        const deletedTasks = this.tasks.filter(task => deletedIds.has(task.id));
+        
+        this.tasks = this.tasks.filter(task => !deletedIds.has(task.id));
+        this.storageManager.addTombstones(this.boardId, [...deletedIds]);
+        
+        await this.storageManager.saveTasks(this.tasks, this.boardId);
+        
+        const historyEntry = this.recordHistory(
+            `Delete ${deletedTasks.length} task${deletedTasks.length === 1 ? '' : 's'}`,
+            deletedTasks.map(task => ({ before: task, after: null }))
+        );
+        
+        this.emit('tasksUpdated', this.tasks);
+        
+        return { deleted: deletedTasks, failed: response.failed || [], historyEntry };
+    }
+    
+    // Undo History
+    // Each entry lists the tasks an action changed as they were before and after it, null
+    // where the task did not exist. Undo writes the before side back and redo the after side,
+    // through the outbox like any other local change, so they reach the server the same way.
+    recordHistory(label, changes) {
+        if (changes.length === 0) return null;
+        
+        const entry = { id: this.generateId(), label, changes };
+        
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.maxHistory) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        
+        this.emit('historyChanged', this.getHistoryState());
+        return entry;
+    }
+    
+    getHistoryState() {
+        return {
+            undoLabel: this.undoStack[this.undoStack.length - 1]?.label || null,
+            redoLabel: this.redoStack[this.redoStack.length - 1]?.label || null
+        };
+    }
+    
+    // The entry the next undo reverts, e.g. to check that a toast's action is still the latest
+    getLastHistoryEntry() {
+        return this.undoStack[this.undoStack.length - 1] || null;
+    }
+    
+    // An entry stays on its stack if it could not be applied, e.g. while offline
+    async undo() {
+        const entry = this.undoStack[this.undoStack.length - 1];
+        if (!entry) return null;
+        
+        await this.applyHistory(entry.changes.map(change => ({ from: change.after, to: change.before })));
+        this.redoStack.push(this.undoStack.pop());
+        
+        this.emit('historyChanged', this.getHistoryState());
+        return entry;
+    }
+    
+    async redo() {
+        const entry = this.redoStack[this.redoStack.length - 1];
+        if (!entry) return null;
+        
+        await this.applyHistory(entry.changes.map(change => ({ from: change.before, to: change.after })));
+        this.undoStack.push(this.redoStack.pop());
+        
+        this.emit('historyChanged', this.getHistoryState());
+        return entry;
+    }
+    
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.emit('historyChanged', this.getHistoryState());
+    }
+    
+    // Take each task from one recorded version to another. Updates write back only the fields
+    // that differ between the two, so later edits to other fields survive. Deleted tasks are
+    // restored by the server, under their ids and with their comments, attachments and
+    // dependencies; that happens first, so a failure leaves everything as it was.
+    async applyHistory(steps) {
+        const now = new Date().toISOString();
+        const operations = [];
+        
+        const restoredTasks = await this.restoreTasks(
+            steps.filter(({ from, to }) => to && !from && !this.getTask(to.id)).map(({ to }) => to)
+        );
+        
+        for (const { from, to } of steps) {
+            const taskId = (to || from).id;
+            const taskIndex = this.tasks.findIndex(t => t.id === taskId);
+            const currentTask = taskIndex === -1 ? null : this.tasks[taskIndex];
+            
+            if (!to) {
+                if (!currentTask) continue;
+                
+                this.tasks.splice(taskIndex, 1);
+                this.storageManager.addTombstones(this.boardId, [taskId]);
+                operations.push({ type: 'delete', task: currentTask });
+            } else if (!currentTask) {
+                // An edit of a task deleted since, e.g. by a teammate, is not undone into a new task
+                if (from) continue;
+                
+                this.storageManager.removeTombstones(this.boardId, [taskId]);
+                
+                // A task the server never had is created again
+                if (restoredTasks.get(taskId)) {
+                    this.tasks.push(restoredTasks.get(taskId));
+                } else {
+                    const task = { ...to, updatedAt: now };
+                    this.tasks.push(task);
+                    operations.push({ type: 'create', task });
+                }
+            } else {
+                const fields = HISTORY_FIELDS.filter(field => JSON.stringify(from?.[field]) !== JSON.stringify(to[field]));
+                if (fields.length === 0) continue;
+                
+                const task = { ...currentTask, updatedAt: now };
+                fields.forEach(field => {
+                    task[field] = to[field];
+                });
+                
+                this.tasks[taskIndex] = task;
+                operations.push({ type: 'update', task, base: currentTask });
+            }
+        }
+        
+        await this.storageManager.saveTasks(this.tasks, this.boardId);
+        
+        for (const { type, task, base = null } of operations) {
+            await this.storageManager.queueOperation({ boardId: this.boardId, taskId: task.id, type, task, base });
+        }
+        this.emitPendingChanges();
+        
+        this.emit('tasksUpdated', this.tasks);
+        await this.pushChanges();
+    }
+    
+    // Restore deleted tasks on the server, once their deletions have reached it. Returns the
+    // restored tasks by id; tasks the server does not know, e.g. because their creation and
+    // deletion never left the outbox, map to null.
+    async restoreTasks(tasks) {
+        const restoredTasks = new Map();
+        if (tasks.length === 0) return restoredTasks;
+        
+        await this.pushChanges();
+        
+        for (const task of tasks) {
+            try {
+                restoredTasks.set(task.id, await this.apiClient.restoreTask(task.id));
+            } catch (error) {
+                if (error.status !== 404) {
+                    throw error;
+                }
+                restoredTasks.set(task.id, null);
+            }
+        }
+        
+        return restoredTasks;
+    }
+    
     // Task Queries
     getTasks() {
         return [...this.tasks];
@@ -154,6 +433,78 @@ export class TaskManager {
         return this.tasks.filter(t => t.status === status);
     }
     
+    // Manual Ordering
+    // Put a card in a column between two others (either id may be null for the top or bottom)
+    async moveTask(taskId, status, beforeTaskId = null, afterTaskId = null) {
+        const before = beforeTaskId ? this.getTask(beforeTaskId) : null;
+        const after = afterTaskId ? this.getTask(afterTaskId) : null;
+        
+        // Without neighbours the card goes to the bottom, as when its column changes
+        const rank = before || after
+            ? this.getRankBetween(before?.rank || null, after?.rank || null)
+            : this.getRankAfterLast(status, taskId);
+            
+        return this.updateTask(taskId, { status, rank });
+    }
+    
+    getRankAfterLast(status, excludeTaskId = null) {
+        const lastRank = this.getTasksByStatus(status)
+            .filter(t => t.id !== excludeTaskId && t.rank)
+            .reduce((last, t) => (!last || t.rank > last ? t.rank : last), null);
+            
+        return this.getRankAfter(lastRank);
+    }
+    
+    // The shortest rank after another, as the server makes them: raising the first digit
+    // below z keeps ranks at the bottom of a column from growing quickly
+    getRankAfter(before) {
+        if (!before) {
+            return this.getRankBetween(null, null);
+        }
+        
+        for (let i = 0; i < before.length; i++) {
+            const digit = RANK_DIGITS.indexOf(before[i]);
+            if (digit < RANK_DIGITS.length - 1) {
+                return before.slice(0, i) + RANK_DIGITS[digit + 1];
+            }
+        }
+        
+        return before + RANK_DIGITS[1];
+    }
+    
+    // A rank between two others; null stands for the top or the bottom of the column
+    getRankBetween(before, after) {
+        if (before && after && before >= after) {
+            after = null;
+        }
+        
+        let rank = '';
+        
+        for (let i = 0; ; i++) {
+            const low = before && i < before.length ? RANK_DIGITS.indexOf(before[i]) : 0;
+            const high = after ? RANK_DIGITS.indexOf(after[i]) : RANK_DIGITS.length;
+            
+            if (high - low > 1) {
+                return rank + RANK_DIGITS[Math.floor((low + high) / 2)];
+            }
+            
+            rank += RANK_DIGITS[low];
+            
+            // Once the prefix is below the upper neighbour, any suffix stays below it
+            if (low < high) {
+                after = null;
+            }
+        }
+    }
+    
+    // Ranked cards first, in rank order; cards without a rank yet by creation time
+    compareRanks(a, b) {
+        if (a.rank && b.rank && a.rank !== b.rank) return a.rank < b.rank ? -1 : 1;
+        if (a.rank && !b.rank) return -1;
+        if (!a.rank && b.rank) return 1;
+        return new Date(a.createdAt) - new Date(b.createdAt);
+    }
+    
     getTasksByCategory(category) {
         return this.tasks.filter(t => t.category === category);
     }
@@ -177,13 +528,20 @@ export class TaskManager {
     }
     
     // Data Loading and Syncing
+    async setBoard(boardId) {
+        this.boardId = boardId;
+        this.clearHistory();
+        this.connectRealtime();
+        return this.loadTasks();
+    }
+    
     async loadTasks() {
         console.log('Loading tasks from local storage...');
         
         try {
-            // Load from local storage first
-            const localTasks = await this.storageManager.loadTasks();
-            this.tasks = localTasks || [];
+            // Load from local storage first; tasks from before boards existed join this board
+            const localTasks = await this.storageManager.loadTasks(this.boardId);
+            this.tasks = (localTasks || []).map(task => ({ ...task, boardId: task.boardId || this.boardId }));
             
             console.log(`Loaded ${this.tasks.length} tasks from local storage`);
             
@@ -197,25 +555,46 @@ export class TaskManager {
         }
     }
     
+    // Delta sync: push our queued operations, then pull the board's changes after our cursor
     async syncWithServer() {
         console.log('Syncing with server...');
         
+        const boardId = this.boardId;
+        
         try {
-            // Get server tasks
-            const serverTasks = await this.apiClient.getTasks();
+            // Push first so the pull cannot overwrite edits the server has not seen yet
+            await this.pushChanges();
             
-            // Merge with local tasks (server wins on conflicts)
-            const mergedTasks = this.mergeTasks(this.tasks, serverTasks);
+            let cursor = this.storageManager.loadSyncCursor(boardId);
+            let hasMore = true;
+            let pulledCount = 0;
             
-            // Update local tasks
-            this.tasks = mergedTasks;
-            
-            // Save merged tasks to local storage
-            await this.storageManager.saveTasks(this.tasks);
+            while (hasMore) {
+                const changes = await this.apiClient.getChanges(cursor, boardId);
+                
+                // Drop the result if the user switched boards meanwhile
+                if (boardId !== this.boardId) {
+                    return this.tasks;
+                }
+                
+                await this.applyChanges(changes);
+                await this.storageManager.saveTasks(this.tasks, this.boardId);
+                
+                cursor = changes.cursor;
+                this.storageManager.saveSyncCursor(boardId, cursor);
+                
+                pulledCount += changes.tasks.length + changes.deletedTaskIds.length;
+                hasMore = changes.hasMore;
+            }
             
             this.lastSyncTime = new Date();
             
-            console.log(`Synced ${this.tasks.length} tasks with server`);
+            // A stream closed by the server (e.g. after a restart) is reopened once we are back in sync
+            if (!this.eventSource || this.eventSource.readyState === EventSource.CLOSED) {
+                this.connectRealtime();
+            }
+            
+            console.log(`Synced ${this.tasks.length} tasks with server (${pulledCount} changes pulled)`);
             
             this.emit('tasksUpdated', this.tasks);
             
@@ -226,16 +605,75 @@ export class TaskManager {
         }
     }
     
-    mergeTasks(localTasks, serverTasks) {
+    async applyChanges({ snapshot, reset, tasks: serverTasks, deletedTaskIds }) {
+        const pendingTaskIds = new Set(
+            (await this.storageManager.loadOutbox(this.boardId)).map(op => op.taskId)
+        );
+        const tombstones = this.storageManager.loadTombstones(this.boardId);
+        
+        if (snapshot) {
+            await this.applySnapshot(serverTasks, deletedTaskIds, pendingTaskIds, tombstones, reset);
+            return;
+        }
+        
+        // A task with a queued edit keeps it, and one deleted here stays deleted;
+        // the push settles both with the server
+        serverTasks
+            .filter(task => !pendingTaskIds.has(task.id) && !tombstones[task.id])
+            .forEach(task => this.upsertServerTask(task));
+        
+        const deletedIds = new Set(deletedTaskIds);
+        this.tasks = this.tasks.filter(task => !deletedIds.has(task.id));
+    }
+    
+    // The first sync of a board merges the whole board. Local tasks the server does not
+    // have, or has an older version of, are queued so they reach it; tasks the server
+    // has a tombstone for are dropped.
+    // A reset replaces a cursor older than the server's retention period. The server may
+    // have forgotten deletions by then, so local tasks it lacks and we are not creating
+    // are dropped too.
+    async applySnapshot(serverTasks, deletedTaskIds, pendingTaskIds, tombstones, reset = false) {
+        const serverTaskMap = new Map(serverTasks.map(task => [task.id, task]));
+        const deletedIds = new Set(deletedTaskIds);
+        
+        if (reset) {
+            this.tasks = this.tasks.filter(task => serverTaskMap.has(task.id) || pendingTaskIds.has(task.id));
+        }
+        
+        for (const localTask of this.tasks) {
+            if (pendingTaskIds.has(localTask.id) || deletedIds.has(localTask.id)) continue;
+            
+            const serverTask = serverTaskMap.get(localTask.id);
+            
+            if (!serverTask) {
+                await this.storageManager.queueOperation({ boardId: this.boardId, taskId: localTask.id, type: 'create', task: localTask });
+            } else if (new Date(localTask.updatedAt) > new Date(serverTask.updatedAt)) {
+                await this.storageManager.queueOperation({ boardId: this.boardId, taskId: localTask.id, type: 'update', task: localTask });
+            }
+        }
+        
+        this.tasks = this.mergeTasks(this.tasks, serverTasks, tombstones, deletedTaskIds);
+        
+        // Push what the merge queued without waiting for it
+        this.pushChanges();
+    }
+    
+    // A task missing on one side is only added to the other if neither side deleted it:
+    // tombstones hold local deletions, deletedTaskIds the server's
+    mergeTasks(localTasks, serverTasks, tombstones = {}, deletedTaskIds = []) {
         const taskMap = new Map();
+        const deletedIds = new Set(deletedTaskIds);
         
         // Add local tasks first
         localTasks.forEach(task => {
+            if (deletedIds.has(task.id)) return;
             taskMap.set(task.id, task);
         });
         
         // Override with server tasks (server wins)
         serverTasks.forEach(task => {
+            if (tombstones[task.id]) return;
+            
             const localTask = taskMap.get(task.id);
             
             if (!localTask) {
@@ -248,18 +686,429 @@ export class TaskManager {
                 
                 if (serverUpdated >= localUpdated) {
                     taskMap.set(task.id, task);
-                } else {
-                    // Local version is newer, keep it but sync to server
-                    this.apiClient.updateTask(task.id, localTask).catch(err => {
-                        console.warn('Failed to sync newer local task:', err);
-                    });
                 }
+                // Otherwise the local version is newer; the caller queues it for the server
             }
         });
         
         return Array.from(taskMap.values());
     }
     
+    // Take a server version of a task unless ours is newer; returns 'created', 'updated' or null
+    upsertServerTask(serverTask) {
+        const taskIndex = this.tasks.findIndex(t => t.id === serverTask.id);
+        
+        if (taskIndex === -1) {
+            this.tasks.push(serverTask);
+            return 'created';
+        }
+        
+        const localTask = this.tasks[taskIndex];
+        if (new Date(localTask.updatedAt) > new Date(serverTask.updatedAt)) {
+            return null;
+        }
+        
+        // Batch endpoints omit checklists and assignees, so keep the ones we have
+        this.tasks[taskIndex] = { ...localTask, ...serverTask };
+        return 'updated';
+    }
+    
+    // Outbox
+    async queueChange(type, task, base = null) {
+        await this.storageManager.queueOperation({
+            boardId: task.boardId || this.boardId,
+            taskId: task.id,
+            type,
+            task,
+            base
+        });
+        this.emitPendingChanges();
+        
+        await this.pushChanges();
+    }
+    
+    // Callers during a push share it; anything queued meanwhile goes out in a follow-up round
+    pushChanges() {
+        if (this.pushPromise) {
+            this.pushRequested = true;
+            return this.pushPromise;
+        }
+        
+        this.pushPromise = (async () => {
+            try {
+                let pushed;
+                do {
+                    this.pushRequested = false;
+                    pushed = await this.pushOutbox();
+                } while (pushed && this.pushRequested);
+            } finally {
+                this.pushPromise = null;
+                this.emitPendingChanges();
+            }
+        })();
+        
+        return this.pushPromise;
+    }
+    
+    // Returns false if the server could not be reached; the operations stay queued
+    async pushOutbox() {
+        const operations = await this.storageManager.loadOutbox();
+        const boardIds = [...new Set(operations.map(op => op.boardId))];
+        
+        for (const boardId of boardIds) {
+            const boardOperations = operations.filter(op => op.boardId === boardId);
+            
+            for (let start = 0; start < boardOperations.length; start += this.maxPushOperations) {
+                const batch = boardOperations.slice(start, start + this.maxPushOperations);
+                
+                try {
+                    const results = await this.apiClient.pushChanges(batch, boardId);
+                    await this.applyPushResults(boardId, results);
+                } catch (error) {
+                    if (error.isNetworkError || error.isServerError || error.isAuthError) {
+                        console.warn('Failed to push changes, keeping them queued:', error);
+                        return false;
+                    }
+                    
+                    // The board is gone or read-only for us, so these can never apply
+                    console.warn('Server refused queued changes, discarding them:', error);
+                }
+                
+                await this.storageManager.removeOperations(batch);
+            }
+        }
+        
+        return true;
+    }
+    
+    async applyPushResults(boardId, results) {
+        const isCurrentBoard = boardId === this.boardId;
+        const tasks = isCurrentBoard ? this.tasks : (await this.storageManager.loadTasks(boardId)) || [];
+        const conflicts = [];
+        const blockedTasks = [];
+        let changed = false;
+        let reranked = false;
+        
+        for (const result of results) {
+            const taskIndex = tasks.findIndex(t => t.id === result.taskId);
+            
+            if (result.status === 'rejected') {
+                console.warn(`Server rejected a change to task ${result.taskId}:`, result.message);
+            }
+            
+            if (result.status === 'conflict') {
+                conflicts.push(result.conflict);
+            }
+            
+            // Applied without the move to done, which the board's dependencies do not allow yet
+            if (result.blocked) {
+                blockedTasks.push(result.task);
+            }
+            
+            // Finishing a recurring task created the next one of its series
+            if (result.spawnedTask && !tasks.some(t => t.id === result.spawnedTask.id)) {
+                tasks.push(result.spawnedTask);
+                changed = true;
+            }
+            
+            if (taskIndex === -1) continue;
+            
+            if (result.status === 'conflict') {
+                // Show the server version until the user decides which changes to keep
+                tasks[taskIndex] = result.task;
+                changed = true;
+            } else if (result.status === 'missing') {
+                // Deleted on the server meanwhile
+                tasks.splice(taskIndex, 1);
+                changed = true;
+            } else if (result.task) {
+                // Tasks from older clients get a server id on creation
+                if (result.task.id !== result.taskId) {
+                    await this.storageManager.remapTaskId(result.taskId, result.task.id);
+                }
+                await this.storageManager.rebaseOperation(result.task.id, result.task);
+                
+                // Keep an edit made while the push was in flight
+                const localTask = tasks[taskIndex];
+                const serverIsCurrent = new Date(result.task.updatedAt) >= new Date(localTask.updatedAt);
+                
+                // A rank too long to keep makes the server give the whole column new ranks
+                reranked = reranked || (serverIsCurrent && Boolean(localTask.rank) && result.task.rank !== localTask.rank);
+                tasks[taskIndex] = serverIsCurrent ? { ...localTask, ...result.task } : { ...localTask, id: result.task.id };
+                changed = true;
+            }
+        }
+        
+        if (changed) {
+            await this.storageManager.saveTasks(tasks, boardId);
+            
+            if (isCurrentBoard && boardId === this.boardId) {
+                this.emit('tasksUpdated', this.tasks);
+            }
+        }
+        
+        if (conflicts.length > 0) {
+            this.emit('syncConflicts', conflicts);
+        }
+        
+        if (blockedTasks.length > 0) {
+            this.emit('tasksBlocked', blockedTasks);
+        }
+        
+        // Pull the other cards' new ranks once this push is done
+        if (reranked && isCurrentBoard) {
+            this.syncWithServer().catch(error => {
+                console.warn('Failed to pull new ranks:', error);
+            });
+        }
+    }
+    
+    // Settle conflicts reported by a push. Each resolution is 'client', 'server', 'merge',
+    // or an object choosing 'client' or 'server' per conflicting field.
+    async resolveConflicts(conflicts, resolutions) {
+        const resolvedTasks = await this.apiClient.resolveConflicts(conflicts, resolutions);
+        const boardIds = [...new Set(resolvedTasks.map(task => task.boardId))];
+        
+        for (const boardId of boardIds) {
+            const isCurrentBoard = boardId === this.boardId;
+            const tasks = isCurrentBoard ? this.tasks : (await this.storageManager.loadTasks(boardId)) || [];
+            
+            resolvedTasks
+                .filter(task => task.boardId === boardId)
+                .forEach(task => {
+                    const taskIndex = tasks.findIndex(t => t.id === task.id);
+                    if (taskIndex !== -1) {
+                        tasks[taskIndex] = task;
+                    } else {
+                        // The next task of a recurring series finished by the resolution
+                        tasks.push(task);
+                    }
+                });
+            
+            await this.storageManager.saveTasks(tasks, boardId);
+        }
+        
+        this.emit('tasksUpdated', this.tasks);
+        
+        return resolvedTasks;
+    }
+    
+    getPendingChangeCount() {
+        return this.storageManager.loadOutbox().then(operations => operations.length);
+    }
+    
+    async emitPendingChanges() {
+        this.emit('pendingChangesUpdated', await this.getPendingChangeCount());
+    }
+    
+    // Attachments
+    // Files go straight to the server, so they need a connection. Unsent changes are
+    // pushed first, so a task created offline exists there before a file is added to it.
+    async addAttachment(taskId, file) {
+        await this.pushChanges();
+        
+        const response = await this.apiClient.uploadFile(file, taskId);
+        await this.applyAttachments(response.task);
+        
+        return response.attachment;
+    }
+    
+    async removeAttachment(attachmentId) {
+        const response = await this.apiClient.deleteAttachment(attachmentId);
+        await this.applyAttachments(response.task);
+    }
+    
+    downloadAttachment(attachmentId) {
+        return this.apiClient.downloadAttachment(attachmentId);
+    }
+    
+    // Take only the attachment list from the server; other fields may have unsent local edits
+    async applyAttachments(serverTask) {
+        return this.applyServerFields(serverTask, { attachments: serverTask.attachments || [] });
+    }
+    
+    // Comments
+    // Like attachments, comments live on the server and need a connection. Unsent changes
+    // are pushed first, so a task created offline exists there before its thread is loaded.
+    async getComments(taskId) {
+        await this.pushChanges();
+        return this.apiClient.getComments(taskId);
+    }
+    
+    async addComment(taskId, body) {
+        await this.pushChanges();
+        
+        const response = await this.apiClient.createComment(taskId, body);
+        await this.applyCommentCount(response.task);
+        
+        return response.comment;
+    }
+    
+    async updateComment(taskId, commentId, body) {
+        return this.apiClient.updateComment(taskId, commentId, body);
+    }
+    
+    async deleteComment(taskId, commentId) {
+        const response = await this.apiClient.deleteComment(taskId, commentId);
+        await this.applyCommentCount(response.task);
+    }
+    
+    isOwnComment(comment) {
+        return Boolean(comment.author) && comment.author.userId === this.apiClient.getCurrentUserId();
+    }
+    
+    async applyCommentCount(serverTask) {
+        return this.applyServerFields(serverTask, { commentCount: serverTask.commentCount || 0 });
+    }
+    
+    async applyServerFields(serverTask, fields) {
+        const taskIndex = this.tasks.findIndex(t => t.id === serverTask.id);
+        if (taskIndex === -1) return null;
+        
+        const task = { ...this.tasks[taskIndex], ...fields };
+        this.tasks[taskIndex] = task;
+        await this.storageManager.saveTasks(this.tasks, this.boardId);
+        
+        this.emit('taskUpdated', task);
+        this.emit('tasksUpdated', this.tasks);
+        
+        return task;
+    }
+    
+    // Dependencies
+    // A task is blocked by the tasks in its blockedBy list until they are done. Links are
+    // kept on the server, which rejects cycles, so changing them needs a connection.
+    getBlockers(task) {
+        return (task.blockedBy || []).map(id => this.getTask(id)).filter(Boolean);
+    }
+    
+    getOpenBlockers(task) {
+        return this.getBlockers(task).filter(blocker => blocker.status !== 'done');
+    }
+    
+    isBlocked(task) {
+        return this.getOpenBlockers(task).length > 0;
+    }
+    
+    // The tasks waiting for this one
+    getBlockedTasks(task) {
+        return (task.blocks || []).map(id => this.getTask(id)).filter(Boolean);
+    }
+    
+    async addDependency(taskId, blockerId) {
+        await this.pushChanges();
+        
+        const response = await this.apiClient.addDependency(taskId, blockerId);
+        await this.applyDependencies(response.task);
+        await this.applyDependencies(response.blocker);
+    }
+    
+    async removeDependency(taskId, blockerId) {
+        await this.pushChanges();
+        
+        const response = await this.apiClient.removeDependency(taskId, blockerId);
+        await this.applyDependencies(response.task);
+        await this.applyDependencies(response.blocker);
+    }
+    
+    async applyDependencies(serverTask) {
+        if (!serverTask) return null;
+        return this.applyServerFields(serverTask, { blockedBy: serverTask.blockedBy || [], blocks: serverTask.blocks || [] });
+    }
+    
+    // History
+    // Unsent edits are pushed first so they show up in the history
+    async getTaskHistory(taskId, before = null) {
+        await this.pushChanges();
+        return this.apiClient.getTaskHistory(taskId, before);
+    }
+    
+    // Real-time Updates
+    // The server pushes task changes on the current board over server-sent events. A stream
+    // is opened with a single-use ticket, so EventSource cannot reconnect by itself: a dropped
+    // stream is reopened with a new ticket after a delay, or by the next sync.
+    async connectRealtime() {
+        this.disconnectRealtime();
+        
+        if (typeof EventSource === 'undefined') return;
+        
+        const attempt = this.realtimeAttempt;
+        let url;
+        
+        try {
+            url = await this.apiClient.getEventsURL(this.boardId);
+        } catch (error) {
+            console.warn('Real-time updates unavailable:', error.message);
+            return;
+        }
+        
+        // The board changed or the stream was closed or reopened meanwhile
+        if (!url || attempt !== this.realtimeAttempt) return;
+        
+        const eventSource = new EventSource(url);
+        
+        eventSource.addEventListener('taskCreated', (e) => {
+            this.applyRemoteTask(JSON.parse(e.data).task);
+        });
+        
+        eventSource.addEventListener('taskUpdated', (e) => {
+            this.applyRemoteTask(JSON.parse(e.data).task);
+        });
+        
+        eventSource.addEventListener('taskDeleted', (e) => {
+            this.applyRemoteDeletion(JSON.parse(e.data).taskId);
+        });
+        
+        eventSource.addEventListener('error', () => {
+            if (this.eventSource !== eventSource) return;
+            
+            console.warn('Real-time updates disconnected');
+            this.disconnectRealtime();
+            this.realtimeRetry = setTimeout(() => this.connectRealtime(), REALTIME_RETRY_DELAY);
+        });
+        
+        this.eventSource = eventSource;
+    }
+    
+    disconnectRealtime() {
+        this.realtimeAttempt++;
+        clearTimeout(this.realtimeRetry);
+        this.realtimeRetry = null;
+        
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+    }
+    
+    async applyRemoteTask(serverTask) {
+        if (!serverTask || serverTask.boardId !== this.boardId) return;
+        
+        // The change may predate our own deletion of the task
+        if (this.storageManager.loadTombstones(this.boardId)[serverTask.id]) return;
+        
+        // Keep a local edit that is newer and not yet synced
+        const change = this.upsertServerTask(serverTask);
+        if (!change) return;
+        
+        await this.storageManager.saveTasks(this.tasks, this.boardId);
+        
+        const task = this.getTask(serverTask.id);
+        this.emit(change === 'created' ? 'taskCreated' : 'taskUpdated', task, { remote: true });
+        this.emit('tasksUpdated', this.tasks);
+    }
+    
+    async applyRemoteDeletion(taskId) {
+        const taskIndex = this.tasks.findIndex(t => t.id === taskId);
+        if (taskIndex === -1) return;
+        
+        const [deletedTask] = this.tasks.splice(taskIndex, 1);
+        await this.storageManager.saveTasks(this.tasks, this.boardId);
+        
+        this.emit('taskDeleted', deletedTask, { remote: true });
+        this.emit('tasksUpdated', this.tasks);
+    }
+    
     // Sorting and Filtering Utilities
     sortTasks(tasks, sortBy) {
         const sortedTasks = [...tasks];
@@ -267,16 +1116,16 @@ export class TaskManager {
         switch (sortBy) {
             case 'createdAt-desc':
                 return sortedTasks.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-            
+                
             case 'createdAt-asc':
                 return sortedTasks.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
-            
+                
             case 'updatedAt-desc':
                 return sortedTasks.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
-            
+                
             case 'updatedAt-asc':
                 return sortedTasks.sort((a, b) => new Date(a.updatedAt) - new Date(b.updatedAt));
-            
+                
             case 'dueDate-asc':
                 return sortedTasks.sort((a, b) => {
                     if (!a.dueDate && !b.dueDate) return 0;
@@ -284,7 +1133,7 @@ export class TaskManager {
                     if (!b.dueDate) return -1;
                     return new Date(a.dueDate) - new Date(b.dueDate);
                 });
-            
+                
             case 'dueDate-desc':
                 return sortedTasks.sort((a, b) => {
                     if (!a.dueDate && !b.dueDate) return 0;
@@ -292,21 +1141,24 @@ export class TaskManager {
                     if (!b.dueDate) return 1;
                     return new Date(b.dueDate) - new Date(a.dueDate);
                 });
-            
+                
             case 'priority-high':
                 const priorityOrder = { High: 3, Medium: 2, Low: 1 };
                 return sortedTasks.sort((a, b) => priorityOrder[b.priority] - priorityOrder[a.priority]);
-            
+                
             case 'priority-low':
                 const priorityOrderLow = { High: 1, Medium: 2, Low: 3 };
                 return sortedTasks.sort((a, b) => priorityOrderLow[b.priority] - priorityOrderLow[a.priority]);
-            
+                
             case 'title-asc':
                 return sortedTasks.sort((a, b) => a.title.localeCompare(b.title));
-            
+                
             case 'title-desc':
                 return sortedTasks.sort((a, b) => b.title.localeCompare(a.title));
-            
+                
+            case 'manual':
+                return sortedTasks.sort((a, b) => this.compareRanks(a, b));
+                
             default:
                 return sortedTasks;
         }
@@ -352,14 +1204,31 @@ export class TaskManager {
         });
     }
     
+    getChecklistProgress(task) {
+        const items = task.checklist || [];
+        const completed = items.filter(item => item.completed).length;
+        
+        return {
+            total: items.length,
+            completed,
+            percent: items.length > 0 ? Math.round((completed / items.length) * 100) : 0
+        };
+    }
+    
+    // 'me' stands for the signed-in user
+    isAssignedTo(task, userId) {
+        const id = userId === 'me' ? this.apiClient.getCurrentUserId() : userId;
+        return Boolean(id) && (task.assignees || []).some(a => a.userId === id);
+    }
+    
     // Statistics
     getTaskStats() {
         const total = this.tasks.length;
-        const byStatus = {
-            todo: this.tasks.filter(t => t.status === 'todo').length,
-            inProgress: this.tasks.filter(t => t.status === 'inProgress').length,
-            done: this.tasks.filter(t => t.status === 'done').length
-        };
+        // Statuses are board column keys, so count whatever is present
+        const byStatus = {};
+        this.tasks.forEach(task => {
+            byStatus[task.status] = (byStatus[task.status] || 0) + 1;
+        });
         
         const byPriority = {
             high: this.tasks.filter(t => t.priority === 'High').length,
@@ -387,27 +1256,52 @@ export class TaskManager {
             categories: categories.length,
             overdue: overdueTasks,
             dueToday: dueTodayTasks,
-            completionRate: total > 0 ? Math.round((byStatus.done / total) * 100) : 0
+            completionRate: total > 0 ? Math.round(((byStatus.done || 0) / total) * 100) : 0
         };
     }
     
     // Utility Methods
+    // The server keeps client ids that are UUIDs, so new tasks never need remapping
     generateId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
         return 'task_' + Math.random().toString(36).substr(2, 9) + '_' + Date.now();
     }
     
     clearLocalData() {
+        this.disconnectRealtime();
+        this.clearHistory();
         this.tasks = [];
         this.storageManager.clearTasks();
+        this.storageManager.clearOutbox();
+        this.apiClient.clearRequestQueue();
         this.emit('tasksUpdated', this.tasks);
     }
     
     // Export/Import
-    exportTasks() {
+    // Comments are fetched for the export; tasks whose comments cannot be loaded keep only their count
+    async exportTasks() {
+        const tasks = [];
+        
+        for (const task of this.tasks) {
+            if (!task.commentCount) {
+                tasks.push(task);
+                continue;
+            }
+            
+            try {
+                tasks.push({ ...task, comments: await this.apiClient.getComments(task.id) });
+            } catch (error) {
+                console.warn(`Failed to export comments of task ${task.id}:`, error);
+                tasks.push(task);
+            }
+        }
+        
         return {
-            version: '1.0',
+            version: '1.1',
             exportDate: new Date().toISOString(),
-            tasks: this.tasks
+            tasks
         };
     }
     
@@ -427,13 +1321,22 @@ export class TaskManager {
         
         // Merge with existing tasks (avoid duplicates)
         const existingIds = new Set(this.tasks.map(t => t.id));
-        const newTasks = validTasks.filter(task => !existingIds.has(task.id));
+        // Comments and dependencies are not imported, so the tasks start without them
+        const newTasks = validTasks
+            .filter(task => !existingIds.has(task.id))
+            .map(({ comments, ...task }) => ({ ...task, commentCount: 0, blockedBy: [], blocks: [], boardId: this.boardId }));
         
         // Add new tasks
         this.tasks.push(...newTasks);
         
         // Save to local storage
-        await this.storageManager.saveTasks(this.tasks);
+        await this.storageManager.saveTasks(this.tasks, this.boardId);
+        
+        // Queue the imported tasks for the server
+        for (const task of newTasks) {
+            await this.storageManager.queueOperation({ boardId: this.boardId, taskId: task.id, type: 'create', task });
+        }
+        this.pushChanges();
         
         // Emit events
         this.emit('tasksUpdated', this.tasks);
@@ -0,0 +1,294 @@
+// Month and Week Calendar of Tasks by Due Date
+import { DragManager } from '../utils/DragManager.js';
+
+// Weeks start on Monday, as in the repeat rules' BYDAY
+const WEEK_STARTS_ON = 1;
+
+export class CalendarView {
+    constructor() {
+        this.mode = 'month';
+        this.anchorDate = this.startOfDay(new Date());
+        this.dragManager = new DragManager();
+        this.suppressClick = false;
+        
+        this.callbacks = {
+            onOpenTask: null,
+            onReschedule: null,
+            onNavigate: null
+        };
+    }
+    
+    init(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+        
+        this.dragManager.init({
+            onDragStart: this.handleDragStart.bind(this),
+            onDragMove: this.handleDragMove.bind(this),
+            onDragEnd: this.handleDragEnd.bind(this)
+        });
+        
+        this.setupEventListeners();
+        console.log('CalendarView initialized');
+    }
+    
+    setupEventListeners() {
+        document.getElementById('calendarPrevBtn')?.addEventListener('click', () => this.shift(-1));
+        document.getElementById('calendarNextBtn')?.addEventListener('click', () => this.shift(1));
+        document.getElementById('calendarTodayBtn')?.addEventListener('click', () => {
+            this.anchorDate = this.startOfDay(new Date());
+            this.callbacks.onNavigate?.();
+        });
+        
+        const grid = document.getElementById('calendarGrid');
+        
+        // A drag ends with a click on the task it started from, which should not open it
+        grid?.addEventListener('click', (e) => {
+            const item = e.target.closest('.calendar-task');
+            if (item && !this.suppressClick) {
+                this.callbacks.onOpenTask?.(item.dataset.taskId);
+            }
+        });
+        
+        grid?.addEventListener('keydown', (e) => {
+            const item = e.target.closest('.calendar-task');
+            if (item && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.callbacks.onOpenTask?.(item.dataset.taskId);
+            }
+        });
+    }
+    
+    // 'month' or 'week'
+    setMode(mode) {
+        this.mode = mode;
+    }
+    
+    // Move a month or a week back or forward
+    shift(direction) {
+        const date = new Date(this.anchorDate);
+        
+        if (this.mode === 'week') {
+            date.setDate(date.getDate() + direction * 7);
+        } else {
+            date.setDate(1);
+            date.setMonth(date.getMonth() + direction);
+        }
+        
+        this.anchorDate = date;
+        this.callbacks.onNavigate?.();
+    }
+    
+    // Rendering
+    render(tasks) {
+        const grid = document.getElementById('calendarGrid');
+        if (!grid) return;
+        
+        const days = this.getVisibleDays();
+        const tasksByDay = this.groupByDay(tasks);
+        
+        grid.className = `calendar-grid ${this.mode}`;
+        grid.innerHTML = '';
+        
+        days.slice(0, 7).forEach(day => {
+            const weekday = document.createElement('div');
+            weekday.className = 'calendar-weekday';
+            weekday.textContent = day.toLocaleDateString(undefined, { weekday: 'short' });
+            grid.appendChild(weekday);
+        });
+        
+        days.forEach(day => {
+            grid.appendChild(this.createDayElement(day, tasksByDay.get(this.toDateKey(day)) || []));
+        });
+        
+        this.renderTitle(days);
+        this.renderUndatedCount(tasks.filter(task => !this.getDueDate(task)).length);
+    }
+    
+    createDayElement(day, tasks) {
+        const today = this.startOfDay(new Date());
+        
+        const dayEl = document.createElement('div');
+        dayEl.className = 'calendar-day';
+        dayEl.dataset.date = this.toDateKey(day);
+        dayEl.classList.toggle('today', day.getTime() === today.getTime());
+        dayEl.classList.toggle('outside-month', this.mode === 'month' && day.getMonth() !== this.anchorDate.getMonth());
+        
+        const number = document.createElement('span');
+        number.className = 'calendar-day-number';
+        number.textContent = day.getDate();
+        
+        const list = document.createElement('div');
+        list.className = 'calendar-day-tasks';
+        list.setAttribute('role', 'list');
+        list.setAttribute('aria-label', day.toLocaleDateString(undefined, { dateStyle: 'full' }));
+        
+        tasks.forEach(task => list.appendChild(this.createTaskElement(task)));
+        
+        dayEl.append(number, list);
+        return dayEl;
+    }
+    
+    // Titles are user text, so they are set as text rather than in markup
+    createTaskElement(task) {
+        const dueDate = this.getDueDate(task);
+        const isDone = task.status === 'done';
+        
+        const item = document.createElement('div');
+        item.className = `calendar-task calendar-task-${task.priority.toLowerCase()}`;
+        item.classList.toggle('done', isDone);
+        item.classList.toggle('overdue', !isDone && dueDate < new Date());
+        item.dataset.taskId = task.id;
+        item.setAttribute('role', 'listitem');
+        item.setAttribute('tabindex', '0');
+        item.title = task.title;
+        
+        const time = document.createElement('span');
+        time.className = 'calendar-task-time';
+        time.textContent = dueDate.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+        
+        const title = document.createElement('span');
+        title.className = 'calendar-task-title';
+        title.textContent = task.title;
+        
+        item.append(time, title);
+        this.dragManager.makeDraggable(item);
+        
+        return item;
+    }
+    
+    renderTitle(days) {
+        const title = document.getElementById('calendarTitle');
+        if (!title) return;
+        
+        if (this.mode === 'month') {
+            title.textContent = this.anchorDate.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+            return;
+        }
+        
+        const first = days[0];
+        const last = days[days.length - 1];
+        const options = { month: 'short', day: 'numeric' };
+        title.textContent = `${first.toLocaleDateString(undefined, options)} – ${last.toLocaleDateString(undefined, { ...options, year: 'numeric' })}`;
+    }
+    
+    renderUndatedCount(count) {
+        const note = document.getElementById('calendarUndated');
+        if (!note) return;
+        
+        note.hidden = count === 0;
+        note.textContent = `${count} ${count === 1 ? 'task has' : 'tasks have'} no due date and ${count === 1 ? 'is' : 'are'} not shown.`;
+    }
+    
+    // Whole weeks covering the anchor's month, or the anchor's week
+    getVisibleDays() {
+        let start;
+        let end;
+        
+        if (this.mode === 'week') {
+            start = this.startOfWeek(this.anchorDate);
+            end = new Date(start);
+            end.setDate(start.getDate() + 6);
+        } else {
+            start = this.startOfWeek(new Date(this.anchorDate.getFullYear(), this.anchorDate.getMonth(), 1));
+            end = this.startOfWeek(new Date(this.anchorDate.getFullYear(), this.anchorDate.getMonth() + 1, 0));
+            end.setDate(end.getDate() + 6);
+        }
+        
+        const days = [];
+        for (const day = new Date(start); day <= end; day.setDate(day.getDate() + 1)) {
+            days.push(new Date(day));
+        }
+        
+        return days;
+    }
+    
+    // Tasks of each day, earliest due first
+    groupByDay(tasks) {
+        const tasksByDay = new Map();
+        
+        tasks
+            .filter(task => this.getDueDate(task))
+            .sort((a, b) => this.getDueDate(a) - this.getDueDate(b))
+            .forEach(task => {
+                const key = this.toDateKey(this.getDueDate(task));
+                if (!tasksByDay.has(key)) {
+                    tasksByDay.set(key, []);
+                }
+                tasksByDay.get(key).push(task);
+            });
+        
+        return tasksByDay;
+    }
+    
+    // Drag and Drop Handlers
+    handleDragStart(item) {
+        item.classList.add('dragging');
+        
+        document.querySelectorAll('.calendar-day').forEach(day => {
+            day.classList.add('drag-active');
+        });
+        
+        return {
+            taskId: item.dataset.taskId,
+            originalDate: item.closest('.calendar-day')?.dataset.date
+        };
+    }
+    
+    handleDragMove(data, pointer) {
+        const element = document.elementFromPoint(pointer.x, pointer.y);
+        const dropDay = element?.closest('.calendar-day[data-date]') || null;
+        
+        document.querySelectorAll('.calendar-day.drag-over').forEach(day => {
+            day.classList.remove('drag-over');
+        });
+        
+        dropDay?.classList.add('drag-over');
+        
+        return { dropDay };
+    }
+    
+    handleDragEnd(data, dragData) {
+        document.querySelectorAll('.calendar-task.dragging').forEach(item => {
+            item.classList.remove('dragging');
+        });
+        
+        document.querySelectorAll('.calendar-day').forEach(day => {
+            day.classList.remove('drag-active', 'drag-over');
+        });
+        
+        this.suppressClick = true;
+        setTimeout(() => {
+            this.suppressClick = false;
+        }, 0);
+        
+        const date = dragData.dropDay?.dataset.date;
+        if (date && date !== data.originalDate) {
+            this.callbacks.onReschedule?.(data.taskId, date);
+        }
+    }
+    
+    // Date Helpers
+    getDueDate(task) {
+        if (!task.dueDate) return null;
+        
+        const date = new Date(task.dueDate);
+        return isNaN(date.getTime()) ? null : date;
+    }
+    
+    // Local calendar day as YYYY-MM-DD
+    toDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+    
+    startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+    
+    startOfWeek(date) {
+        const start = this.startOfDay(date);
+        start.setDate(start.getDate() - ((start.getDay() - WEEK_STARTS_ON + 7) % 7));
+        return start;
+    }
+}
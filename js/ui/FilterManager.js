@@ -1,4 +1,8 @@
 // Filter and Search Management System
+
+// Layouts tasks can be shown in: the columns of the board, a month or week calendar, or a table
+const VIEWS = ['board', 'month', 'week', 'table'];
+
 export class FilterManager {
     constructor() {
         this.taskManager = null;
@@ -8,8 +12,13 @@ export class FilterManager {
             status: '',
             category: '',
             priority: '',
+            assignee: '',
+            blocked: '',
+            labels: '',
+            labelMatch: '',
             sortBy: 'updatedAt-desc'
         };
+        this.view = 'board';
         this.eventListeners = {};
     }
     
@@ -51,6 +60,20 @@ export class FilterManager {
         document.getElementById('sortBy')?.addEventListener('change', (e) => {
             this.setSortBy(e.target.value);
         });
+        
+        document.getElementById('assignedToMeBtn')?.addEventListener('click', () => {
+            this.showAssignedToMe();
+        });
+        
+        document.getElementById('blockedFilterBtn')?.addEventListener('click', () => {
+            this.showBlocked();
+        });
+        
+        document.querySelectorAll('[data-view]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setView(button.dataset.view);
+            });
+        });
     }
     
     // Event Management
@@ -100,6 +123,81 @@ export class FilterManager {
         this.emitFiltersChanged();
     }
     
+    setAssigneeFilter(assignee) {
+        if (this.filters.assignee === assignee) return;
+        
+        this.filters.assignee = assignee;
+        this.updateAssigneeUI(assignee);
+        this.emitFiltersChanged();
+    }
+    
+    // 'true' keeps only tasks waiting for open blockers
+    setBlockedFilter(blocked) {
+        if (this.filters.blocked === blocked) return;
+        
+        this.filters.blocked = blocked;
+        this.updateBlockedUI(blocked);
+        this.emitFiltersChanged();
+    }
+    
+    // Comma-separated label ids, kept as a string so it round-trips through the URL
+    setLabelsFilter(labels) {
+        if (this.filters.labels === labels) return;
+        
+        this.filters.labels = labels;
+        this.updateLabelsUI();
+        this.emitFiltersChanged();
+    }
+    
+    toggleLabel(labelId) {
+        const labelIds = this.getLabelIds();
+        const next = labelIds.includes(labelId)
+            ? labelIds.filter(id => id !== labelId)
+            : [...labelIds, labelId];
+            
+        this.setLabelsFilter(next.join(','));
+    }
+    
+    // '' keeps tasks with any of the selected labels, 'all' only tasks with every one
+    setLabelMatch(labelMatch) {
+        if (this.filters.labelMatch === labelMatch) return;
+        
+        this.filters.labelMatch = labelMatch;
+        this.updateLabelsUI();
+        this.emitFiltersChanged();
+    }
+    
+    getLabelIds() {
+        return this.filters.labels ? this.filters.labels.split(',') : [];
+    }
+    
+    // The view is not a filter, but it is kept in the URL with them
+    setView(view) {
+        if (!VIEWS.includes(view) || this.view === view) return;
+        
+        this.view = view;
+        this.updateViewUI(view);
+        this.emit('viewChanged', view);
+        this.updateURL();
+    }
+    
+    getView() {
+        return this.view;
+    }
+    
+    isCalendarView() {
+        return this.view === 'month' || this.view === 'week';
+    }
+    
+    isTableView() {
+        return this.view === 'table';
+    }
+    
+    // Cards can only be reordered by dragging while the board shows their own order
+    isManualOrder() {
+        return this.filters.sortBy === 'manual';
+    }
+    
     setSortBy(sortBy) {
         if (this.filters.sortBy === sortBy) return;
         
@@ -130,6 +228,10 @@ export class FilterManager {
             status: '',
             category: '',
             priority: '',
+            assignee: '',
+            blocked: '',
+            labels: '',
+            labelMatch: '',
             sortBy: 'updatedAt-desc'
         };
         
@@ -162,6 +264,22 @@ export class FilterManager {
             tasks = tasks.filter(task => task.priority === this.filters.priority);
         }
         
+        // Apply assignee filter
+        if (this.filters.assignee) {
+            tasks = tasks.filter(task => this.taskManager.isAssignedTo(task, this.filters.assignee));
+        }
+        
+        // Apply blocked filter
+        if (this.filters.blocked) {
+            tasks = tasks.filter(task => task.status !== 'done' && this.taskManager.isBlocked(task));
+        }
+        
+        // Apply label filter
+        const labelIds = this.getLabelIds();
+        if (labelIds.length > 0) {
+            tasks = this.applyLabelFilter(tasks, labelIds, this.filters.labelMatch);
+        }
+        
         // Apply sorting
         if (this.filters.sortBy) {
             tasks = this.applySorting(tasks, this.filters.sortBy);
@@ -179,7 +297,8 @@ export class FilterManager {
             const searchableText = [
                 task.title,
                 task.description,
-                task.category
+                task.category,
+                ...(task.assignees || []).map(a => a.displayName || a.username)
             ].filter(Boolean).join(' ').toLowerCase();
             
             // All search terms must match (AND logic)
@@ -189,6 +308,15 @@ export class FilterManager {
         });
     }
     
+    applyLabelFilter(tasks, labelIds, labelMatch) {
+        return tasks.filter(task => {
+            const taskLabels = task.labels || [];
+            return labelMatch === 'all'
+                ? labelIds.every(id => taskLabels.includes(id))
+                : labelIds.some(id => taskLabels.includes(id));
+        });
+    }
+    
     applySorting(tasks, sortBy) {
         const sortedTasks = [...tasks];
         
@@ -243,6 +371,9 @@ export class FilterManager {
             case 'title-desc':
                 return sortedTasks.sort((a, b) => b.title.localeCompare(a.title));
             
+            case 'manual':
+                return sortedTasks.sort((a, b) => this.taskManager.compareRanks(a, b));
+            
             default:
                 return sortedTasks;
         }
@@ -292,6 +423,46 @@ export class FilterManager {
         });
     }
     
+    updateAssigneeUI(assignee) {
+        const assignedToMeBtn = document.getElementById('assignedToMeBtn');
+        if (assignedToMeBtn) {
+            assignedToMeBtn.classList.toggle('active', assignee === 'me');
+            assignedToMeBtn.setAttribute('aria-pressed', String(assignee === 'me'));
+        }
+    }
+    
+    updateBlockedUI(blocked) {
+        const blockedFilterBtn = document.getElementById('blockedFilterBtn');
+        if (blockedFilterBtn) {
+            blockedFilterBtn.classList.toggle('active', Boolean(blocked));
+            blockedFilterBtn.setAttribute('aria-pressed', String(Boolean(blocked)));
+        }
+    }
+    
+    updateLabelsUI() {
+        const labelIds = this.getLabelIds();
+        
+        document.querySelectorAll('[data-label-id]').forEach(link => {
+            const isActive = labelIds.includes(link.dataset.labelId);
+            link.classList.toggle('active', isActive);
+            link.setAttribute('aria-pressed', String(isActive));
+        });
+        
+        document.querySelectorAll('[data-label-match]').forEach(button => {
+            const isActive = button.dataset.labelMatch === this.filters.labelMatch;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+    }
+    
+    updateViewUI(view) {
+        document.querySelectorAll('[data-view]').forEach(button => {
+            const isActive = button.dataset.view === view;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+    }
+    
     updateSortUI(sortBy) {
         const sortSelect = document.getElementById('sortBy');
         if (sortSelect && sortSelect.value !== sortBy) {
@@ -304,6 +475,9 @@ export class FilterManager {
         this.updateStatusUI(this.filters.status);
         this.updateCategoryUI(this.filters.category);
         this.updatePriorityUI(this.filters.priority);
+        this.updateAssigneeUI(this.filters.assignee);
+        this.updateBlockedUI(this.filters.blocked);
+        this.updateLabelsUI();
         this.updateSortUI(this.filters.sortBy);
     }
     
@@ -341,10 +515,14 @@ export class FilterManager {
             }
         });
         
+        if (this.view !== 'board') {
+            params.set('view', this.view);
+        }
+        
         const url = params.toString() ? `?${params.toString()}` : window.location.pathname;
         
         try {
-            window.history.replaceState({ filters: this.filters }, '', url);
+            window.history.replaceState({ filters: this.filters, view: this.view }, '', url);
         } catch (error) {
             console.warn('Failed to update URL:', error);
         }
@@ -372,6 +550,13 @@ export class FilterManager {
         }
     }
     
+    loadViewFromURL() {
+        const view = new URLSearchParams(window.location.search).get('view');
+        if (view) {
+            this.setView(view);
+        }
+    }
+    
     // Filter Statistics
     getFilterStats() {
         const allTasks = this.taskManager ? this.taskManager.getTasks() : [];
@@ -388,14 +573,14 @@ export class FilterManager {
     
     hasActiveFilters() {
         return Object.keys(this.filters).some(key => {
-            if (key === 'sortBy') return false; // Sorting is not considered an active filter
+            if (key === 'sortBy' || key === 'labelMatch') return false; // Sorting and how labels match are not filters themselves
             return Boolean(this.filters[key]);
         });
     }
     
     getActiveFilterCount() {
         return Object.keys(this.filters).filter(key => {
-            if (key === 'sortBy') return false;
+            if (key === 'sortBy' || key === 'labelMatch') return false;
             return Boolean(this.filters[key]);
         }).length;
     }
@@ -419,6 +604,15 @@ export class FilterManager {
         this.setSortBy('dueDate-asc');
     }
     
+    // Toggles, so the same button clears it again
+    showAssignedToMe() {
+        this.setAssigneeFilter(this.filters.assignee === 'me' ? '' : 'me');
+    }
+    
+    showBlocked() {
+        this.setBlockedFilter(this.filters.blocked ? '' : 'true');
+    }
+    
     showRecentlyUpdated() {
         this.setSortBy('updatedAt-desc');
         this.clearOtherFilters(['sortBy']);
@@ -464,8 +658,13 @@ export class FilterManager {
             status: '',
             category: '',
             priority: '',
+            assignee: '',
+            blocked: '',
+            labels: '',
+            labelMatch: '',
             sortBy: 'updatedAt-desc'
         };
+        this.view = 'board';
         
         console.log('FilterManager destroyed');
     }
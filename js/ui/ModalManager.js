@@ -1,11 +1,38 @@
 // Modal Management System
+import { RecurrenceRule } from '../utils/RecurrenceRule.js';
+
+// Entries the server returns per history request
+const HISTORY_PAGE_SIZE = 100;
+
+// Upcoming dates shown under the repeat rule
+const RECURRENCE_PREVIEW_COUNT = 3;
+
 export class ModalManager {
     constructor() {
         this.taskManager = null;
         this.uiManager = null;
+        this.columnManager = null;
+        this.boardManager = null;
+        this.labelManager = null;
         this.activeModals = new Map();
         this.focusStack = [];
         this.currentTask = null;
+        this.currentBoard = null;
+        this.boardMembers = [];
+        this.checklistItems = [];
+        this.taskAssignees = [];
+        this.taskLabels = [];
+        this.recurrenceTimeZone = null;
+        this.uploadingFiles = [];
+        this.comments = [];
+        this.commentsTaskId = null;
+        this.editingCommentId = null;
+        this.history = [];
+        this.hasMoreHistory = false;
+        this.conflicts = [];
+        this.sessions = [];
+        this.twoFactor = null;
+        this.recoveryCodes = [];
         
         this.boundHandlers = {
             keyDown: this.handleKeyDown.bind(this),
@@ -13,9 +40,12 @@ export class ModalManager {
         };
     }
     
-    init(taskManager, uiManager) {
+    init(taskManager, uiManager, columnManager, boardManager, labelManager) {
         this.taskManager = taskManager;
         this.uiManager = uiManager;
+        this.columnManager = columnManager;
+        this.boardManager = boardManager;
+        this.labelManager = labelManager;
         
         this.setupEventListeners();
         console.log('ModalManager initialized');
@@ -53,13 +83,296 @@ export class ModalManager {
             this.handleDeleteConfirmation();
         });
         
+        // Sync conflicts
+        document.getElementById('keepServerVersionsBtn')?.addEventListener('click', () => {
+            this.closeModal('conflictModal');
+        });
+        
+        document.getElementById('resolveConflictsBtn')?.addEventListener('click', () => {
+            this.handleConflictResolution();
+        });
+        
+        // Checklist editor
+        this.setupChecklistListeners();
+        
+        // Repeat rule
+        this.setupRecurrenceListeners();
+        
+        // Dependencies
+        this.setupDependencyListeners();
+        
+        // Attachments
+        this.setupAttachmentListeners();
+        
+        // Comments
+        this.setupCommentListeners();
+        
+        // Task history
+        this.setupHistoryListeners();
+        
+        // Assignee picker
+        document.getElementById('taskAssignees')?.addEventListener('click', (e) => {
+            const option = e.target.closest('.assignee-option');
+            if (option) {
+                this.toggleAssignee(option.dataset.userId);
+            }
+        });
+        
+        // Label picker
+        document.getElementById('taskLabels')?.addEventListener('click', (e) => {
+            const option = e.target.closest('.label-option');
+            if (option) {
+                this.toggleTaskLabel(option.dataset.labelId);
+            }
+        });
+        
+        // Column settings
+        this.setupColumnsListeners();
+        
+        // Label settings
+        this.setupLabelsListeners();
+        
+        // Board settings
+        this.setupBoardListeners();
+        
+        // Account settings
+        this.setupSettingsListeners();
+        
         // Global event listeners
         document.addEventListener('keydown', this.boundHandlers.keyDown);
         document.addEventListener('click', this.boundHandlers.outsideClick);
     }
     
+    setupChecklistListeners() {
+        const newItemInput = document.getElementById('checklistNewItem');
+        
+        document.getElementById('addChecklistItemBtn')?.addEventListener('click', () => {
+            this.addChecklistItem(newItemInput.value);
+            newItemInput.value = '';
+            newItemInput.focus();
+        });
+        
+        // Enter adds the item instead of submitting the form
+        newItemInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.addChecklistItem(newItemInput.value);
+                newItemInput.value = '';
+            }
+        });
+        
+        const checklist = document.getElementById('taskChecklist');
+        
+        checklist?.addEventListener('change', (e) => {
+            const itemEl = e.target.closest('.checklist-item');
+            if (itemEl && e.target.classList.contains('checklist-checkbox')) {
+                this.toggleChecklistItem(itemEl.dataset.itemId, e.target.checked);
+            }
+        });
+        
+        checklist?.addEventListener('input', (e) => {
+            const itemEl = e.target.closest('.checklist-item');
+            if (itemEl && e.target.classList.contains('checklist-title')) {
+                const item = this.checklistItems.find(i => i.id === itemEl.dataset.itemId);
+                if (item) item.title = e.target.value;
+            }
+        });
+        
+        checklist?.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.checklist-remove');
+            if (removeBtn) {
+                this.removeChecklistItem(removeBtn.closest('.checklist-item').dataset.itemId);
+            }
+        });
+    }
+    
+    setupColumnsListeners() {
+        document.getElementById('closeColumnsBtn')?.addEventListener('click', () => {
+            this.closeModal('columnsModal');
+        });
+        
+        document.getElementById('columnAddForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleColumnAdd();
+        });
+        
+        const list = document.getElementById('columnSettingsList');
+        
+        // Name, color and WIP edits are saved when the field is committed
+        list?.addEventListener('change', (e) => {
+            const row = e.target.closest('.column-settings-item');
+            if (!row) return;
+            
+            if (e.target.classList.contains('column-name-input')) {
+                this.handleColumnChange(row.dataset.columnId, { name: e.target.value.trim() });
+            } else if (e.target.classList.contains('column-color-input')) {
+                this.handleColumnChange(row.dataset.columnId, { color: e.target.value });
+            } else if (e.target.classList.contains('column-wip-input')) {
+                this.handleColumnChange(row.dataset.columnId, { wipLimit: this.parseWipLimit(e.target.value) });
+            }
+        });
+        
+        list?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            
+            const columnId = button.closest('.column-settings-item').dataset.columnId;
+            
+            switch (button.dataset.action) {
+                case 'up':
+                    this.runColumnAction(() => this.columnManager.moveColumn(columnId, -1));
+                    break;
+                case 'down':
+                    this.runColumnAction(() => this.columnManager.moveColumn(columnId, 1));
+                    break;
+                case 'delete':
+                    this.handleColumnDelete(columnId);
+                    break;
+            }
+        });
+        
+        // Keep the list current while the modal is open
+        this.columnManager?.on('columnsUpdated', () => {
+            if (this.isModalOpen('columnsModal')) {
+                this.renderColumnSettings();
+            }
+        });
+    }
+    
+    setupLabelsListeners() {
+        document.getElementById('closeLabelsBtn')?.addEventListener('click', () => {
+            this.closeModal('labelsModal');
+        });
+        
+        document.getElementById('labelAddForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleLabelAdd();
+        });
+        
+        const list = document.getElementById('labelSettingsList');
+        
+        // Name and color edits are saved when the field is committed
+        list?.addEventListener('change', (e) => {
+            const row = e.target.closest('.label-settings-item');
+            if (!row) return;
+            
+            if (e.target.classList.contains('label-name-input')) {
+                this.handleLabelChange(row.dataset.labelId, { name: e.target.value.trim() });
+            } else if (e.target.classList.contains('label-color-input')) {
+                this.handleLabelChange(row.dataset.labelId, { color: e.target.value });
+            }
+        });
+        
+        list?.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action="delete"]');
+            if (button) {
+                this.handleLabelDelete(button.closest('.label-settings-item').dataset.labelId);
+            }
+        });
+        
+        // Keep the list and the task form's picker current
+        this.labelManager?.on('labelsUpdated', () => {
+            if (this.isModalOpen('labelsModal')) {
+                this.renderLabelSettings();
+            }
+            this.renderLabelPicker();
+        });
+    }
+    
+    setupBoardListeners() {
+        document.getElementById('boardForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleBoardFormSubmit();
+        });
+        
+        document.getElementById('cancelBoardBtn')?.addEventListener('click', () => {
+            this.closeModal('boardModal');
+        });
+        
+        document.getElementById('deleteBoardBtn')?.addEventListener('click', () => {
+            this.handleBoardDelete();
+        });
+        
+        document.getElementById('leaveBoardBtn')?.addEventListener('click', () => {
+            this.handleBoardLeave();
+        });
+        
+        document.getElementById('inviteMemberBtn')?.addEventListener('click', () => {
+            this.handleMemberInvite();
+        });
+        
+        // Enter invites instead of submitting the board form
+        document.getElementById('inviteUsername')?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.handleMemberInvite();
+            }
+        });
+        
+        const memberList = document.getElementById('boardMemberList');
+        
+        memberList?.addEventListener('change', (e) => {
+            const row = e.target.closest('.member-item');
+            if (row && e.target.classList.contains('member-role-select')) {
+                this.handleMemberRoleChange(row.dataset.userId, e.target.value);
+            }
+        });
+        
+        memberList?.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.member-remove-btn');
+            if (removeBtn) {
+                this.handleMemberRemove(removeBtn.closest('.member-item').dataset.userId);
+            }
+        });
+        
+        // Create and edit requests come from the sidebar board switcher
+        document.addEventListener('boardAction', (e) => {
+            const { action, boardId } = e.detail;
+            this.openBoardModal(action === 'edit' ? this.boardManager.getBoard(boardId) : null);
+        });
+    }
+    
+    setupSettingsListeners() {
+        document.getElementById('closeSettingsBtn')?.addEventListener('click', () => {
+            this.closeModal('settingsModal');
+        });
+        
+        document.getElementById('sessionList')?.addEventListener('click', (e) => {
+            const revokeBtn = e.target.closest('.session-revoke-btn');
+            if (revokeBtn) {
+                this.handleSessionRevoke(revokeBtn.closest('.session-item').dataset.sessionId);
+            }
+        });
+        
+        document.getElementById('twoFactorSetupBtn')?.addEventListener('click', () => {
+            this.handleTwoFactorSetup();
+        });
+        
+        document.getElementById('twoFactorEnableBtn')?.addEventListener('click', () => {
+            this.handleTwoFactorEnable();
+        });
+        
+        document.getElementById('recoveryCodesBtn')?.addEventListener('click', () => {
+            this.handleRecoveryCodesRegenerate();
+        });
+        
+        document.getElementById('twoFactorDisableBtn')?.addEventListener('click', () => {
+            this.handleTwoFactorDisable();
+        });
+        
+        // Enter confirms the code during setup
+        document.getElementById('twoFactorCode')?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && this.twoFactor?.setup) {
+                e.preventDefault();
+                this.handleTwoFactorEnable();
+            }
+        });
+    }
+    
     // Task Modal Methods
-    openCreateModal(defaultStatus = 'todo') {
+    openCreateModal(defaultStatus = null) {
+        if (this.isReadOnlyBoard()) return;
+        
         this.currentTask = null;
         
         // Set modal title
@@ -69,10 +382,14 @@ export class ModalManager {
         // Clear form
         this.clearTaskForm();
         
+        // New tasks have no history yet
+        document.getElementById('taskModalTabs').hidden = true;
+        this.showTaskTab('details');
+        
         // Set default status
         const statusSelect = document.getElementById('taskStatus');
         if (statusSelect) {
-            statusSelect.value = defaultStatus;
+            statusSelect.value = defaultStatus || this.columnManager.getDefaultStatus();
         }
         
         // Open modal
@@ -85,6 +402,8 @@ export class ModalManager {
     }
     
     openEditModal(task) {
+        if (this.isReadOnlyBoard()) return;
+        
         this.currentTask = task;
         
         // Set modal title
@@ -94,6 +413,9 @@ export class ModalManager {
         // Fill form with task data
         this.fillTaskForm(task);
         
+        document.getElementById('taskModalTabs').hidden = false;
+        this.showTaskTab('details');
+        
         // Open modal
         this.openModal('taskModal');
         
@@ -109,7 +431,25 @@ export class ModalManager {
         document.getElementById('taskDescription').value = task.description || '';
         document.getElementById('taskCategory').value = task.category || '';
         document.getElementById('taskPriority').value = task.priority || 'Medium';
-        document.getElementById('taskStatus').value = task.status || 'todo';
+        document.getElementById('taskStatus').value = task.status || this.columnManager.getDefaultStatus();
+        
+        // Copy items so edits are discarded if the modal is cancelled
+        this.checklistItems = (task.checklist || []).map(item => ({ ...item }));
+        this.renderChecklist();
+        
+        this.taskAssignees = (task.assignees || []).map(assignee => ({ ...assignee }));
+        this.loadAssigneeOptions();
+        
+        this.taskLabels = [...(task.labels || [])];
+        this.renderLabelPicker();
+        
+        this.hideDependenciesError();
+        this.renderDependencies();
+        
+        this.hideAttachmentsError();
+        this.renderAttachments();
+        
+        this.loadComments();
         
         // Handle due date
         if (task.dueDate) {
@@ -119,6 +459,8 @@ export class ModalManager {
         } else {
             document.getElementById('taskDueDate').value = '';
         }
+        
+        this.fillRecurrence(task.recurrence);
     }
     
     clearTaskForm() {
@@ -126,8 +468,28 @@ export class ModalManager {
         document.getElementById('taskDescription').value = '';
         document.getElementById('taskCategory').value = '';
         document.getElementById('taskPriority').value = 'Medium';
-        document.getElementById('taskStatus').value = 'todo';
+        document.getElementById('taskStatus').value = this.columnManager.getDefaultStatus();
         document.getElementById('taskDueDate').value = '';
+        document.getElementById('checklistNewItem').value = '';
+        this.fillRecurrence(null);
+        
+        this.checklistItems = [];
+        this.renderChecklist();
+        
+        this.taskAssignees = [];
+        this.loadAssigneeOptions();
+        
+        this.taskLabels = [];
+        this.renderLabelPicker();
+        
+        this.hideDependenciesError();
+        this.renderDependencies();
+        
+        this.hideAttachmentsError();
+        this.renderAttachments();
+        
+        document.getElementById('commentInput').value = '';
+        this.loadComments();
         
         // Clear validation states
         document.querySelectorAll('.form-input, .form-select, .form-textarea').forEach(input => {
@@ -183,7 +545,13 @@ export class ModalManager {
             category: document.getElementById('taskCategory').value.trim(),
             priority: document.getElementById('taskPriority').value,
             status: document.getElementById('taskStatus').value,
-            dueDate: document.getElementById('taskDueDate').value || null
+            dueDate: document.getElementById('taskDueDate').value || null,
+            recurrence: this.getFormRecurrence(),
+            checklist: this.checklistItems
+                .map(item => ({ ...item, title: item.title.trim() }))
+                .filter(item => item.title),
+            assignees: this.taskAssignees,
+            labels: this.taskLabels
         };
     }
     
@@ -214,6 +582,29 @@ export class ModalManager {
             }
         }
         
+        if (data.recurrence !== null && !RecurrenceRule.parse(data.recurrence)) {
+            errors.push({ field: 'taskRecurrenceRule', message: 'Invalid repeat rule' });
+        }
+        
+        // Boards that enforce dependencies keep a task out of done while its blockers are open
+        const savedTask = this.getDependencyTask();
+        if (savedTask && data.status === 'done' && savedTask.status !== 'done' &&
+            this.boardManager.getCurrentBoard()?.enforceDependencies && this.taskManager.isBlocked(savedTask)) {
+            errors.push({ field: 'taskStatus', message: 'Finish the tasks blocking this one first' });
+        }
+        
+        if (data.labels.length > this.labelManager.maxTaskLabels) {
+            errors.push({ field: 'taskLabels', message: `A task can have at most ${this.labelManager.maxTaskLabels} labels` });
+        }
+        
+        if (data.checklist.length > 100) {
+            errors.push({ field: 'checklistNewItem', message: 'A checklist can have at most 100 items' });
+        }
+        
+        if (data.checklist.some(item => item.title.length > 200)) {
+            errors.push({ field: 'checklistNewItem', message: 'Checklist items must be less than 200 characters' });
+        }
+        
         return {
             valid: errors.length === 0,
             errors
@@ -274,119 +665,2248 @@ export class ModalManager {
         }, 5000);
     }
     
-    // Delete Modal Methods
-    openDeleteModal(task) {
-        this.currentTask = task;
+    // Recurrence Methods
+    setupRecurrenceListeners() {
+        const repeatSelect = document.getElementById('taskRepeat');
         
-        // Update task preview
-        const preview = document.getElementById('deleteTaskPreview');
-        if (preview) {
-            preview.innerHTML = `
-                <div class="task-preview-content">
-                    <h4 class="task-title">${this.escapeHtml(task.title)}</h4>
-                    ${task.description ? `<p class="task-description">${this.escapeHtml(task.description)}</p>` : ''}
-                    <div class="task-meta">
-                        ${task.category ? `<span class="task-category">${this.escapeHtml(task.category)}</span>` : ''}
-                        <span class="task-priority priority-${task.priority.toLowerCase()}">${task.priority}</span>
-                    </div>
-                </div>
-            `;
-        }
+        repeatSelect?.addEventListener('change', () => {
+            const weekdays = document.querySelectorAll('#repeatWeekdays input');
+            
+            // A new weekly rule starts on the weekday of the due date
+            if (repeatSelect.value === 'weekly' && ![...weekdays].some(input => input.checked)) {
+                const weekday = RecurrenceRule.WEEKDAYS[(this.getRecurrenceStart().getDay() + 6) % 7];
+                weekdays.forEach(input => {
+                    input.checked = input.value === weekday;
+                });
+            }
+            
+            this.updateRecurrenceControls();
+        });
         
-        // Open modal
-        this.openModal('deleteModal');
+        document.getElementById('repeatWeekdays')?.addEventListener('change', () => {
+            this.updateRecurrencePreview();
+        });
         
-        // Focus delete button
-        setTimeout(() => {
-            document.getElementById('confirmDeleteBtn')?.focus();
-        }, 100);
+        document.getElementById('taskRecurrenceRule')?.addEventListener('input', () => {
+            this.updateRecurrencePreview();
+        });
+        
+        // Upcoming dates count from the due date
+        document.getElementById('taskDueDate')?.addEventListener('change', () => {
+            this.updateRecurrencePreview();
+        });
     }
     
-    async handleDeleteConfirmation() {
-        if (!this.currentTask) return;
+    // Rules the simple choices can express use them; anything else is shown as text
+    fillRecurrence(recurrence) {
+        const rule = RecurrenceRule.parse(recurrence);
+        const isSimple = rule && rule.freq !== 'YEARLY' && rule.interval === 1 &&
+            rule.byMonthDay === null && !rule.count && !rule.until;
         
-        try {
-            // Show loading state
-            const deleteBtn = document.getElementById('confirmDeleteBtn');
-            deleteBtn.disabled = true;
-            deleteBtn.classList.add('loading');
-            
-            // Delete task
-            await this.taskManager.deleteTask(this.currentTask.id);
-            
-            // Close modal
-            this.closeModal('deleteModal');
-            
-        } catch (error) {
-            console.error('Failed to delete task:', error);
-            
-            // Show error (could enhance with toast notification)
-            alert('Failed to delete task. Please try again.');
-            
-        } finally {
-            // Reset button state
-            const deleteBtn = document.getElementById('confirmDeleteBtn');
-            deleteBtn.disabled = false;
-            deleteBtn.classList.remove('loading');
-        }
+        // A rule keeps the time zone it was made in, so saving a teammate's rule does not shift it
+        this.recurrenceTimeZone = rule?.tzid || RecurrenceRule.getLocalTimeZone();
+        
+        document.getElementById('taskRepeat').value = !rule ? '' : isSimple ? rule.freq.toLowerCase() : 'custom';
+        document.getElementById('taskRecurrenceRule').value = rule && !isSimple ? RecurrenceRule.format({ ...rule, tzid: null }) : '';
+        document.querySelectorAll('#repeatWeekdays input').forEach(input => {
+            input.checked = Boolean(rule?.byDay.includes(input.value));
+        });
+        
+        this.updateRecurrenceControls();
     }
     
-    // Modal Control Methods
-    openModal(modalId) {
-        const modal = document.getElementById(modalId);
-        if (!modal) return false;
-        
-        // Store current focus
-        this.focusStack.push(document.activeElement);
+    updateRecurrenceControls() {
+        const repeat = document.getElementById('taskRepeat').value;
         
-        // Show modal
-        modal.classList.add('show');
-        modal.setAttribute('aria-hidden', 'false');
+        document.getElementById('repeatWeekdays').hidden = repeat !== 'weekly';
+        document.getElementById('taskRecurrenceRule').hidden = repeat !== 'custom';
         
-        // Trap focus
-        this.trapFocus(modal);
+        this.updateRecurrencePreview();
+    }
+    
+    // The rule the form describes, or null; custom text that does not parse is returned
+    // as typed, so validation can point at it
+    getFormRecurrence() {
+        const repeat = document.getElementById('taskRepeat').value;
+        if (!repeat) return null;
         
-        // Prevent body scroll
-        document.body.style.overflow = 'hidden';
+        let rule;
         
-        // Store in active modals
-        this.activeModals.set(modalId, {
-            element: modal,
-            openTime: Date.now()
-        });
+        if (repeat === 'custom') {
+            const text = document.getElementById('taskRecurrenceRule').value.trim();
+            rule = RecurrenceRule.parse(text);
+            if (!rule) return text;
+        } else {
+            const byDay = repeat === 'weekly'
+                ? [...document.querySelectorAll('#repeatWeekdays input:checked')].map(input => input.value)
+                : [];
+            rule = { freq: repeat.toUpperCase(), interval: 1, byDay };
+        }
         
-        console.log(`Modal opened: ${modalId}`);
-        return true;
+        return RecurrenceRule.format({ ...rule, tzid: rule.tzid || this.recurrenceTimeZone });
     }
     
-    closeModal(modalId) {
-        const modal = document.getElementById(modalId);
-        if (!modal) return false;
+    getRecurrenceStart() {
+        const dueDate = document.getElementById('taskDueDate').value;
+        return dueDate ? new Date(dueDate) : new Date();
+    }
+    
+    // Summarize the rule with the dates the next tasks of the series will be due
+    updateRecurrencePreview() {
+        const preview = document.getElementById('recurrencePreview');
+        const recurrence = this.getFormRecurrence();
         
-        // Hide modal
-        modal.classList.remove('show');
-        modal.setAttribute('aria-hidden', 'true');
+        preview.hidden = recurrence === null;
+        if (recurrence === null) return;
         
-        // Restore focus
-        if (this.focusStack.length > 0) {
-            const previousFocus = this.focusStack.pop();
-            if (previousFocus && typeof previousFocus.focus === 'function') {
-                setTimeout(() => {
-                    previousFocus.focus();
-                }, 100);
-            }
-        }
+        const isValid = Boolean(RecurrenceRule.parse(recurrence));
+        preview.classList.toggle('invalid', !isValid);
         
-        // Enable body scroll if no modals are open
-        if (this.activeModals.size <= 1) {
-            document.body.style.overflow = '';
+        if (!isValid) {
+            preview.textContent = 'Use FREQ=DAILY, WEEKLY, MONTHLY or YEARLY, optionally with INTERVAL, BYDAY, BYMONTHDAY, COUNT or UNTIL';
+            return;
         }
         
-        // Remove from active modals
-        this.activeModals.delete(modalId);
+        const hasDueDate = Boolean(document.getElementById('taskDueDate').value);
+        const dates = RecurrenceRule.getUpcomingDates(recurrence, hasDueDate ? this.getRecurrenceStart() : null, RECURRENCE_PREVIEW_COUNT);
+        const format = hasDueDate
+            ? { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }
+            : { weekday: 'short', month: 'short', day: 'numeric' };
         
-        // Clear current task
-        this.currentTask = null;
+        preview.textContent = dates.length > 0
+            ? `${RecurrenceRule.describe(recurrence)}. Next due: ${dates.map(date => date.toLocaleString(undefined, format)).join(' · ')}`
+            : `${RecurrenceRule.describe(recurrence)}. No further tasks after this one`;
+    }
+    
+    // Checklist Methods
+    addChecklistItem(title) {
+        const trimmedTitle = title.trim();
+        if (!trimmedTitle) return;
+        
+        this.checklistItems.push({
+            id: this.generateChecklistItemId(),
+            title: trimmedTitle,
+            completed: false
+        });
+        
+        this.renderChecklist();
+    }
+    
+    removeChecklistItem(itemId) {
+        this.checklistItems = this.checklistItems.filter(item => item.id !== itemId);
+        this.renderChecklist();
+    }
+    
+    toggleChecklistItem(itemId, completed) {
+        const item = this.checklistItems.find(i => i.id === itemId);
+        if (!item) return;
+        
+        item.completed = completed;
+        this.renderChecklist();
+    }
+    
+    renderChecklist() {
+        const list = document.getElementById('taskChecklist');
+        if (!list) return;
+        
+        list.innerHTML = this.checklistItems.map(item => `
+            <li class="checklist-item ${item.completed ? 'completed' : ''}" data-item-id="${this.escapeHtml(item.id)}">
+                <input type="checkbox" class="checklist-checkbox" aria-label="Mark step complete" ${item.completed ? 'checked' : ''}>
+                <input type="text" class="checklist-title" maxlength="200" aria-label="Checklist step">
+                <button type="button" class="checklist-remove" aria-label="Remove step">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"></line>
+                        <line x1="6" y1="6" x2="18" y2="18"></line>
+                    </svg>
+                </button>
+            </li>
+        `).join('');
+        
+        // Assign titles through the DOM so quotes in user text can't break the markup
+        list.querySelectorAll('.checklist-title').forEach((input, index) => {
+            input.value = this.checklistItems[index].title;
+        });
+        
+        const summary = document.getElementById('checklistSummary');
+        if (summary) {
+            const completed = this.checklistItems.filter(item => item.completed).length;
+            summary.textContent = this.checklistItems.length > 0
+                ? `${completed}/${this.checklistItems.length}`
+                : '';
+        }
+    }
+    
+    generateChecklistItemId() {
+        return 'item_' + Math.random().toString(36).substr(2, 9) + '_' + Date.now();
+    }
+    
+    // Dependency Methods
+    setupDependencyListeners() {
+        document.getElementById('addDependencyBtn')?.addEventListener('click', () => {
+            this.addDependency();
+        });
+        
+        document.getElementById('taskBlockers')?.addEventListener('click', (e) => {
+            const itemEl = e.target.closest('.dependency-item');
+            if (itemEl && e.target.closest('.dependency-remove')) {
+                this.removeDependency(itemEl.dataset.taskId);
+            }
+        });
+        
+        // Blockers finished, renamed or removed elsewhere show up while the task is open
+        this.taskManager.on('tasksUpdated', () => {
+            if (this.currentTask && this.activeModals.has('taskModal')) {
+                this.renderDependencies();
+            }
+        });
+    }
+    
+    // Like attachments, dependencies are saved right away rather than with the form
+    async addDependency() {
+        const select = document.getElementById('dependencyBlockerSelect');
+        if (!this.currentTask || !select.value) return;
+        
+        const addBtn = document.getElementById('addDependencyBtn');
+        addBtn.disabled = true;
+        this.hideDependenciesError();
+        
+        try {
+            await this.taskManager.addDependency(this.currentTask.id, select.value);
+        } catch (error) {
+            console.error('Failed to add dependency:', error);
+            this.showDependenciesError(this.getDependencyErrorMessage(error, 'Failed to add dependency. Please try again.'));
+        } finally {
+            addBtn.disabled = false;
+            this.renderDependencies();
+        }
+    }
+    
+    async removeDependency(blockerId) {
+        if (!this.currentTask) return;
+        
+        this.hideDependenciesError();
+        
+        try {
+            await this.taskManager.removeDependency(this.currentTask.id, blockerId);
+        } catch (error) {
+            console.error('Failed to remove dependency:', error);
+            this.showDependenciesError(this.getDependencyErrorMessage(error, 'Failed to remove dependency. Please try again.'));
+        }
+    }
+    
+    // The open task as it is now, with dependencies changed since the modal opened
+    getDependencyTask() {
+        if (!this.currentTask) return null;
+        return this.taskManager.getTask(this.currentTask.id) || this.currentTask;
+    }
+    
+    renderDependencies() {
+        const list = document.getElementById('taskBlockers');
+        const select = document.getElementById('dependencyBlockerSelect');
+        const blocksEl = document.getElementById('taskBlocks');
+        if (!list || !select) return;
+        
+        const task = this.getDependencyTask();
+        const blockers = task ? this.taskManager.getBlockers(task) : [];
+        const waiting = task ? this.taskManager.getBlockedTasks(task) : [];
+        
+        list.innerHTML = '';
+        blockers.forEach(blocker => {
+            list.appendChild(this.createDependencyItem(blocker));
+        });
+        
+        // Any other task on the board can block this one; the server rejects cycles
+        const candidates = task
+            ? this.taskManager.getTasks()
+                .filter(t => t.id !== task.id && !(task.blockedBy || []).includes(t.id))
+                .sort((a, b) => a.title.localeCompare(b.title))
+            : [];
+        
+        select.innerHTML = '';
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = task ? 'Choose a blocking task...' : 'Save the task to add dependencies';
+        select.appendChild(placeholder);
+        
+        candidates.forEach(candidate => {
+            const option = document.createElement('option');
+            option.value = candidate.id;
+            option.textContent = candidate.title;
+            select.appendChild(option);
+        });
+        
+        select.disabled = !task || candidates.length === 0;
+        document.getElementById('addDependencyBtn').disabled = select.disabled;
+        
+        blocksEl.hidden = waiting.length === 0;
+        blocksEl.textContent = `Blocks ${waiting.map(t => `"${t.title}"`).join(', ')}`;
+    }
+    
+    // Titles come from users, so they are set as text
+    createDependencyItem(blocker) {
+        const item = document.createElement('li');
+        item.className = `dependency-item ${blocker.status === 'done' ? 'done' : ''}`;
+        item.dataset.taskId = blocker.id;
+        
+        const title = document.createElement('span');
+        title.className = 'dependency-title';
+        title.textContent = blocker.title;
+        
+        const status = document.createElement('span');
+        status.className = 'dependency-status';
+        status.textContent = this.getStatusName(blocker.status);
+        
+        item.append(title, status);
+        item.insertAdjacentHTML('beforeend', `
+            <button type="button" class="dependency-remove" aria-label="Remove blocking task">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="18" y1="6" x2="6" y2="18"></line>
+                    <line x1="6" y1="6" x2="18" y2="18"></line>
+                </svg>
+            </button>
+        `);
+        
+        return item;
+    }
+    
+    getDependencyErrorMessage(error, fallback) {
+        if (error.isNetworkError) {
+            return 'Dependencies can only be changed while online.';
+        }
+        if (error.status === 409) {
+            return 'That task already waits for this one, directly or through other tasks.';
+        }
+        return error.message || fallback;
+    }
+    
+    showDependenciesError(message) {
+        const errorEl = document.getElementById('dependenciesError');
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.hidden = false;
+        }
+    }
+    
+    hideDependenciesError() {
+        const errorEl = document.getElementById('dependenciesError');
+        if (errorEl) {
+            errorEl.hidden = true;
+        }
+    }
+    
+    // Attachment Methods
+    setupAttachmentListeners() {
+        const dropZone = document.getElementById('attachmentDropZone');
+        const fileInput = document.getElementById('attachmentInput');
+        
+        document.getElementById('addAttachmentBtn')?.addEventListener('click', () => {
+            fileInput?.click();
+        });
+        
+        fileInput?.addEventListener('change', () => {
+            this.uploadAttachments([...fileInput.files]);
+            fileInput.value = '';
+        });
+        
+        dropZone?.addEventListener('dragover', (e) => {
+            if (!this.currentTask || !e.dataTransfer.types.includes('Files')) return;
+            e.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+        
+        dropZone?.addEventListener('dragleave', () => {
+            dropZone.classList.remove('drag-over');
+        });
+        
+        dropZone?.addEventListener('drop', (e) => {
+            dropZone.classList.remove('drag-over');
+            if (!this.currentTask) return;
+            
+            e.preventDefault();
+            this.uploadAttachments([...e.dataTransfer.files]);
+        });
+        
+        const list = document.getElementById('taskAttachments');
+        list?.addEventListener('click', (e) => {
+            const itemEl = e.target.closest('.attachment-item');
+            if (!itemEl || !itemEl.dataset.attachmentId) return;
+            
+            if (e.target.closest('.attachment-remove')) {
+                this.removeAttachment(itemEl.dataset.attachmentId);
+            } else if (e.target.closest('.attachment-name')) {
+                this.downloadAttachment(itemEl.dataset.attachmentId);
+            }
+        });
+        
+        // Files added or removed elsewhere show up while the task is open
+        this.taskManager.on('taskUpdated', (task) => {
+            if (this.currentTask?.id === task.id && this.activeModals.has('taskModal')) {
+                this.renderAttachments();
+            }
+        });
+    }
+    
+    // Attachments are uploaded right away rather than with the form, so they need a saved task
+    async uploadAttachments(files) {
+        if (!this.currentTask || files.length === 0) return;
+        
+        const taskId = this.currentTask.id;
+        this.hideAttachmentsError();
+        
+        for (const file of files) {
+            const upload = { taskId, file };
+            this.uploadingFiles.push(upload);
+            this.renderAttachments();
+            
+            try {
+                await this.taskManager.addAttachment(taskId, file);
+            } catch (error) {
+                console.error('Failed to upload attachment:', error);
+                this.showAttachmentsError(this.getAttachmentErrorMessage(error, `Failed to upload "${file.name}".`));
+            } finally {
+                this.uploadingFiles = this.uploadingFiles.filter(u => u !== upload);
+                this.renderAttachments();
+            }
+        }
+    }
+    
+    async removeAttachment(attachmentId) {
+        this.hideAttachmentsError();
+        
+        try {
+            await this.taskManager.removeAttachment(attachmentId);
+        } catch (error) {
+            console.error('Failed to remove attachment:', error);
+            this.showAttachmentsError(this.getAttachmentErrorMessage(error, 'Failed to remove attachment. Please try again.'));
+        }
+    }
+    
+    // The download needs the auth header, so the file is fetched and saved from a blob URL
+    async downloadAttachment(attachmentId) {
+        const attachment = this.getTaskAttachments().find(a => a.id === attachmentId);
+        if (!attachment) return;
+        
+        this.hideAttachmentsError();
+        
+        try {
+            const blob = await this.taskManager.downloadAttachment(attachmentId);
+            const url = URL.createObjectURL(blob);
+            
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = attachment.filename;
+            link.click();
+            
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+        } catch (error) {
+            console.error('Failed to download attachment:', error);
+            this.showAttachmentsError(this.getAttachmentErrorMessage(error, 'Failed to download attachment. Please try again.'));
+        }
+    }
+    
+    getTaskAttachments() {
+        if (!this.currentTask) return [];
+        return (this.taskManager.getTask(this.currentTask.id) || this.currentTask).attachments || [];
+    }
+    
+    renderAttachments() {
+        const list = document.getElementById('taskAttachments');
+        if (!list) return;
+        
+        list.innerHTML = '';
+        
+        this.getTaskAttachments().forEach(attachment => {
+            list.appendChild(this.createAttachmentItem(attachment));
+        });
+        
+        this.uploadingFiles
+            .filter(upload => upload.taskId === this.currentTask?.id)
+            .forEach(({ file }) => {
+                list.appendChild(this.createAttachmentItem({ filename: file.name, size: file.size }, true));
+            });
+        
+        // New tasks have nothing to attach files to until they are saved
+        const canAttach = Boolean(this.currentTask);
+        document.getElementById('addAttachmentBtn').disabled = !canAttach;
+        document.getElementById('attachmentDropZone').classList.toggle('disabled', !canAttach);
+        document.getElementById('attachmentDropText').textContent = canAttach
+            ? 'Drop files here or'
+            : 'Save the task to add attachments';
+    }
+    
+    // Names come from users, so they are set as text
+    createAttachmentItem(attachment, uploading = false) {
+        const item = document.createElement('li');
+        item.className = `attachment-item ${uploading ? 'uploading' : ''}`;
+        
+        const name = document.createElement('button');
+        name.type = 'button';
+        name.className = 'attachment-name';
+        name.textContent = attachment.filename;
+        name.disabled = uploading;
+        name.title = uploading ? 'Uploading...' : `Download ${attachment.filename}`;
+        
+        const size = document.createElement('span');
+        size.className = 'attachment-size';
+        size.textContent = uploading ? 'Uploading...' : this.formatFileSize(attachment.size);
+        
+        item.append(name, size);
+        
+        if (!uploading) {
+            item.dataset.attachmentId = attachment.id;
+            item.insertAdjacentHTML('beforeend', `
+                <button type="button" class="attachment-remove" aria-label="Remove attachment">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"></line>
+                        <line x1="6" y1="6" x2="18" y2="18"></line>
+                    </svg>
+                </button>
+            `);
+        }
+        
+        return item;
+    }
+    
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+    
+    getAttachmentErrorMessage(error, fallback) {
+        if (error.isNetworkError) {
+            return 'Attachments can only be changed while online.';
+        }
+        if (error.status === 413) {
+            return 'That file is too large.';
+        }
+        if (error.status === 415) {
+            return 'That type of file cannot be attached.';
+        }
+        return error.message || fallback;
+    }
+    
+    showAttachmentsError(message) {
+        const errorEl = document.getElementById('attachmentsError');
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.hidden = false;
+        }
+    }
+    
+    hideAttachmentsError() {
+        const errorEl = document.getElementById('attachmentsError');
+        if (errorEl) {
+            errorEl.hidden = true;
+        }
+    }
+    
+    // Comment Methods
+    setupCommentListeners() {
+        const input = document.getElementById('commentInput');
+        
+        document.getElementById('addCommentBtn')?.addEventListener('click', () => {
+            this.postComment();
+        });
+        
+        input?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.postComment();
+            }
+        });
+        
+        const list = document.getElementById('taskComments');
+        list?.addEventListener('click', (e) => {
+            const itemEl = e.target.closest('.comment-item');
+            if (!itemEl) return;
+            
+            const commentId = itemEl.dataset.commentId;
+            
+            if (e.target.closest('.comment-edit')) {
+                this.editingCommentId = commentId;
+                this.renderComments();
+                document.querySelector(`.comment-item[data-comment-id="${commentId}"] .comment-edit-input`)?.focus();
+            } else if (e.target.closest('.comment-cancel')) {
+                this.editingCommentId = null;
+                this.renderComments();
+            } else if (e.target.closest('.comment-save')) {
+                this.saveComment(commentId, itemEl.querySelector('.comment-edit-input').value);
+            } else if (e.target.closest('.comment-delete')) {
+                this.deleteComment(commentId);
+            }
+        });
+        
+        // Comments posted or deleted by others change the task's count; reload the open thread
+        this.taskManager.on('taskUpdated', (task) => {
+            if (this.currentTask?.id === task.id && this.activeModals.has('taskModal') &&
+                this.commentsTaskId === task.id && (task.commentCount || 0) !== this.comments.length) {
+                this.loadComments();
+            }
+        });
+    }
+    
+    // Comments are loaded from the server each time a task is opened
+    async loadComments() {
+        const taskId = this.currentTask?.id || null;
+        
+        this.comments = [];
+        this.commentsTaskId = null;
+        this.editingCommentId = null;
+        this.hideCommentsError();
+        this.renderComments(taskId ? 'Loading comments...' : 'Save the task to start a discussion.');
+        
+        if (!taskId) return;
+        
+        try {
+            const comments = await this.taskManager.getComments(taskId);
+            
+            // Ignore the result if another task was opened meanwhile
+            if (this.currentTask?.id !== taskId) return;
+            
+            this.comments = comments;
+            this.commentsTaskId = taskId;
+            this.renderComments();
+        } catch (error) {
+            if (this.currentTask?.id !== taskId) return;
+            
+            console.error('Failed to load comments:', error);
+            this.renderComments('');
+            this.showCommentsError(this.getCommentErrorMessage(error, 'Failed to load comments.'));
+        }
+    }
+    
+    async postComment() {
+        const input = document.getElementById('commentInput');
+        const body = input.value.trim();
+        if (!this.currentTask || !body) return;
+        
+        const taskId = this.currentTask.id;
+        const button = document.getElementById('addCommentBtn');
+        
+        this.hideCommentsError();
+        button.disabled = true;
+        
+        try {
+            const comment = await this.taskManager.addComment(taskId, body);
+            
+            if (this.currentTask?.id === taskId) {
+                input.value = '';
+                this.comments = [...this.comments.filter(c => c.id !== comment.id), comment];
+                this.renderComments();
+            }
+        } catch (error) {
+            console.error('Failed to post comment:', error);
+            this.showCommentsError(this.getCommentErrorMessage(error, 'Failed to post comment. Please try again.'));
+        } finally {
+            button.disabled = !this.currentTask;
+        }
+    }
+    
+    async saveComment(commentId, body) {
+        if (!this.currentTask || !body.trim()) return;
+        
+        this.hideCommentsError();
+        
+        try {
+            const comment = await this.taskManager.updateComment(this.currentTask.id, commentId, body.trim());
+            
+            this.comments = this.comments.map(c => c.id === comment.id ? comment : c);
+            this.editingCommentId = null;
+            this.renderComments();
+        } catch (error) {
+            console.error('Failed to update comment:', error);
+            this.showCommentsError(this.getCommentErrorMessage(error, 'Failed to update comment. Please try again.'));
+        }
+    }
+    
+    async deleteComment(commentId) {
+        if (!this.currentTask || !confirm('Delete this comment?')) return;
+        
+        this.hideCommentsError();
+        
+        try {
+            await this.taskManager.deleteComment(this.currentTask.id, commentId);
+            
+            this.comments = this.comments.filter(c => c.id !== commentId);
+            this.renderComments();
+        } catch (error) {
+            console.error('Failed to delete comment:', error);
+            this.showCommentsError(this.getCommentErrorMessage(error, 'Failed to delete comment. Please try again.'));
+        }
+    }
+    
+    // Pass a message to show it instead of the thread, e.g. while loading
+    renderComments(message = null) {
+        const list = document.getElementById('taskComments');
+        const emptyEl = document.getElementById('commentsEmpty');
+        if (!list || !emptyEl) return;
+        
+        list.innerHTML = '';
+        
+        if (message === null) {
+            this.comments.forEach(comment => {
+                list.appendChild(this.createCommentItem(comment));
+            });
+            message = this.comments.length === 0 ? 'No comments yet.' : '';
+        }
+        
+        emptyEl.textContent = message;
+        emptyEl.hidden = !message;
+        
+        const canComment = Boolean(this.currentTask);
+        document.getElementById('commentInput').disabled = !canComment;
+        document.getElementById('addCommentBtn').disabled = !canComment;
+    }
+    
+    // Comment text and author names come from users, so they are set as text
+    createCommentItem(comment) {
+        const item = document.createElement('li');
+        item.className = 'comment-item';
+        item.dataset.commentId = comment.id;
+        
+        const header = document.createElement('div');
+        header.className = 'comment-header';
+        
+        const author = document.createElement('span');
+        author.className = 'comment-author';
+        author.textContent = comment.author
+            ? comment.author.displayName || comment.author.username
+            : 'Deleted user';
+        
+        const time = document.createElement('time');
+        time.className = 'comment-time';
+        time.dateTime = comment.createdAt;
+        time.textContent = new Date(comment.createdAt).toLocaleString();
+        
+        if (comment.updatedAt && comment.updatedAt !== comment.createdAt) {
+            time.textContent += ' (edited)';
+            time.title = `Edited ${new Date(comment.updatedAt).toLocaleString()}`;
+        }
+        
+        header.append(author, time);
+        
+        // Authors edit and delete their comments; the board owner may delete any
+        const isOwn = this.taskManager.isOwnComment(comment);
+        const canDelete = isOwn || this.boardManager.isOwner(this.boardManager.getCurrentBoardId());
+        
+        if (this.editingCommentId === comment.id) {
+            const input = document.createElement('textarea');
+            input.className = 'form-textarea comment-edit-input';
+            input.rows = 2;
+            input.maxLength = 5000;
+            input.value = comment.body;
+            
+            const actions = document.createElement('div');
+            actions.className = 'comment-actions';
+            actions.innerHTML = `
+                <button type="button" class="btn-secondary comment-cancel">Cancel</button>
+                <button type="button" class="btn-primary comment-save">Save</button>
+            `;
+            
+            item.append(header, input, actions);
+            return item;
+        }
+        
+        const body = document.createElement('p');
+        body.className = 'comment-body';
+        body.textContent = comment.body;
+        
+        item.append(header, body);
+        
+        if (isOwn || canDelete) {
+            const actions = document.createElement('div');
+            actions.className = 'comment-actions';
+            actions.innerHTML = `
+                ${isOwn ? '<button type="button" class="comment-action comment-edit">Edit</button>' : ''}
+                ${canDelete ? '<button type="button" class="comment-action comment-delete">Delete</button>' : ''}
+            `;
+            header.appendChild(actions);
+        }
+        
+        return item;
+    }
+    
+    getCommentErrorMessage(error, fallback) {
+        if (error.isNetworkError) {
+            return 'Comments are only available while online.';
+        }
+        if (error.status === 404) {
+            return 'This task or comment no longer exists.';
+        }
+        return error.message || fallback;
+    }
+    
+    showCommentsError(message) {
+        const errorEl = document.getElementById('commentsError');
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.hidden = false;
+        }
+    }
+    
+    hideCommentsError() {
+        const errorEl = document.getElementById('commentsError');
+        if (errorEl) {
+            errorEl.hidden = true;
+        }
+    }
+    
+    // History Methods
+    setupHistoryListeners() {
+        document.getElementById('taskModalTabs')?.addEventListener('click', (e) => {
+            const tab = e.target.closest('.modal-tab');
+            if (tab) {
+                this.showTaskTab(tab.dataset.tab);
+            }
+        });
+        
+        document.getElementById('loadMoreHistoryBtn')?.addEventListener('click', () => {
+            this.loadHistory(true);
+        });
+        
+        // Keep the timeline current while it is shown
+        this.taskManager.on('taskUpdated', (task) => {
+            if (this.currentTask?.id === task.id && this.activeModals.has('taskModal') &&
+                !document.getElementById('taskHistoryPanel').hidden) {
+                this.loadHistory();
+            }
+        });
+    }
+    
+    showTaskTab(tab) {
+        const showHistory = tab === 'history';
+        
+        document.querySelectorAll('#taskModalTabs .modal-tab').forEach(tabEl => {
+            const selected = tabEl.dataset.tab === tab;
+            tabEl.classList.toggle('active', selected);
+            tabEl.setAttribute('aria-selected', String(selected));
+        });
+        
+        document.getElementById('taskForm').hidden = showHistory;
+        document.getElementById('taskHistoryPanel').hidden = !showHistory;
+        
+        if (showHistory) {
+            this.loadHistory();
+        }
+    }
+    
+    // The history is read from the server; pass more to append the entries before the oldest shown
+    async loadHistory(more = false) {
+        const taskId = this.currentTask?.id;
+        if (!taskId) return;
+        
+        const before = more ? this.history[this.history.length - 1]?.id : null;
+        
+        if (!more) {
+            this.history = [];
+            this.hasMoreHistory = false;
+            this.renderHistory('Loading history...');
+        }
+        this.hideHistoryError();
+        
+        try {
+            const entries = await this.taskManager.getTaskHistory(taskId, before);
+            
+            // Ignore the result if another task was opened meanwhile
+            if (this.currentTask?.id !== taskId) return;
+            
+            this.history = more ? [...this.history, ...entries] : entries;
+            this.hasMoreHistory = entries.length >= HISTORY_PAGE_SIZE;
+            this.renderHistory();
+        } catch (error) {
+            if (this.currentTask?.id !== taskId) return;
+            
+            console.error('Failed to load task history:', error);
+            this.renderHistory(this.history.length > 0 ? null : '');
+            this.showHistoryError(error.isNetworkError
+                ? 'History is only available while online.'
+                : error.message || 'Failed to load history.');
+        }
+    }
+    
+    // Pass a message to show it instead of the timeline, e.g. while loading
+    renderHistory(message = null) {
+        const list = document.getElementById('taskHistoryList');
+        const emptyEl = document.getElementById('historyEmpty');
+        if (!list || !emptyEl) return;
+        
+        list.innerHTML = '';
+        
+        if (message === null) {
+            this.history.forEach(entry => {
+                list.appendChild(this.createHistoryItem(entry));
+            });
+            message = this.history.length === 0 ? 'No changes recorded yet.' : '';
+        }
+        
+        emptyEl.textContent = message;
+        emptyEl.hidden = !message;
+        document.getElementById('loadMoreHistoryBtn').hidden = !this.hasMoreHistory || message !== '';
+    }
+    
+    // Names and values come from users, so the entry is built from text
+    createHistoryItem(entry) {
+        const item = document.createElement('li');
+        item.className = `history-item history-${entry.action}`;
+        
+        const text = document.createElement('p');
+        text.className = 'history-text';
+        
+        const user = document.createElement('strong');
+        user.textContent = entry.user ? entry.user.displayName || entry.user.username : 'Deleted user';
+        
+        text.append(user, ` ${this.describeHistoryEntry(entry)}`);
+        
+        const time = document.createElement('time');
+        time.className = 'history-time';
+        time.dateTime = entry.createdAt;
+        time.textContent = new Date(entry.createdAt).toLocaleString();
+        
+        item.append(text, time);
+        return item;
+    }
+    
+    describeHistoryEntry(entry) {
+        if (entry.action === 'created') return 'created this task';
+        if (entry.action === 'deleted') return 'deleted this task';
+        if (entry.action === 'restored') return 'restored this task';
+        
+        const { field, oldValue, newValue } = entry;
+        
+        switch (field) {
+            case 'status':
+                return `moved this from ${this.getStatusName(oldValue)} to ${this.getStatusName(newValue)}`;
+                
+            case 'dueDate':
+                return this.describeChange('the due date', this.formatHistoryDate(oldValue), this.formatHistoryDate(newValue));
+                
+            case 'recurrence':
+                return this.describeChange('the repeat rule', oldValue && RecurrenceRule.describe(oldValue), newValue && RecurrenceRule.describe(newValue));
+                
+            case 'description':
+                if (!oldValue) return 'added a description';
+                if (!newValue) return 'removed the description';
+                return 'changed the description';
+                
+            case 'checklist':
+                return this.describeChecklistChange(oldValue || [], newValue || []);
+                
+            case 'assignees':
+                return this.describeAssigneeChange(oldValue || [], newValue || []);
+                
+            case 'labels':
+                return this.describeLabelChange(oldValue || [], newValue || []);
+                
+            case 'blockedBy':
+                return this.describeDependencyChange(oldValue || [], newValue || []);
+            
+            default:
+                return this.describeChange(`the ${field}`, oldValue, newValue);
+        }
+    }
+    
+    describeChange(label, oldValue, newValue) {
+        if (!oldValue) return `set ${label} to "${newValue}"`;
+        if (!newValue) return `cleared ${label} (was "${oldValue}")`;
+        return `changed ${label} from "${oldValue}" to "${newValue}"`;
+    }
+    
+    describeChecklistChange(oldItems, newItems) {
+        const oldTitles = oldItems.map(item => item.title);
+        const newTitles = newItems.map(item => item.title);
+        const changes = [];
+        
+        const added = newTitles.filter(title => !oldTitles.includes(title));
+        const removed = oldTitles.filter(title => !newTitles.includes(title));
+        const checked = newItems.filter(item => item.completed && oldItems.some(o => o.title === item.title && !o.completed));
+        const unchecked = newItems.filter(item => !item.completed && oldItems.some(o => o.title === item.title && o.completed));
+        
+        if (added.length) changes.push(`added ${this.quoteList(added)}`);
+        if (removed.length) changes.push(`removed ${this.quoteList(removed)}`);
+        if (checked.length) changes.push(`checked off ${this.quoteList(checked.map(item => item.title))}`);
+        if (unchecked.length) changes.push(`unchecked ${this.quoteList(unchecked.map(item => item.title))}`);
+        
+        return changes.length > 0 ? `${changes.join(', ')} in the checklist` : 'reordered the checklist';
+    }
+    
+    describeAssigneeChange(oldAssignees, newAssignees) {
+        const name = assignee => assignee.displayName || assignee.username;
+        const added = newAssignees.filter(a => !oldAssignees.some(o => o.userId === a.userId));
+        const removed = oldAssignees.filter(a => !newAssignees.some(n => n.userId === a.userId));
+        const changes = [];
+        
+        if (added.length) changes.push(`assigned ${added.map(name).join(', ')}`);
+        if (removed.length) changes.push(`unassigned ${removed.map(name).join(', ')}`);
+        
+        return changes.join(' and ');
+    }
+    
+    // Labels are kept by id, so renames show their current name
+    describeLabelChange(oldIds, newIds) {
+        const name = id => {
+            const label = this.labelManager.getLabel(id);
+            return label ? `"${label.name}"` : 'a deleted label';
+        };
+        const added = newIds.filter(id => !oldIds.includes(id));
+        const removed = oldIds.filter(id => !newIds.includes(id));
+        const changes = [];
+        
+        if (added.length) changes.push(`added the ${added.length === 1 ? 'label' : 'labels'} ${added.map(name).join(', ')}`);
+        if (removed.length) changes.push(`removed the ${removed.length === 1 ? 'label' : 'labels'} ${removed.map(name).join(', ')}`);
+        
+        return changes.join(' and ');
+    }
+    
+    // Blockers are kept by id; ones deleted since are no longer known here
+    describeDependencyChange(oldIds, newIds) {
+        const name = id => {
+            const task = this.taskManager.getTask(id);
+            return task ? `"${task.title}"` : 'a deleted task';
+        };
+        const added = newIds.filter(id => !oldIds.includes(id));
+        const removed = oldIds.filter(id => !newIds.includes(id));
+        const changes = [];
+        
+        if (added.length) changes.push(`marked this as blocked by ${added.map(name).join(', ')}`);
+        if (removed.length) changes.push(`removed the blocker ${removed.map(name).join(', ')}`);
+        
+        return changes.join(' and ');
+    }
+    
+    quoteList(values) {
+        return values.map(value => `"${value}"`).join(', ');
+    }
+    
+    // Columns may have been deleted since; their key is shown then
+    getStatusName(status) {
+        return this.columnManager.getColumn(status)?.name || status;
+    }
+    
+    formatHistoryDate(value) {
+        return value ? new Date(value).toLocaleString() : null;
+    }
+    
+    showHistoryError(message) {
+        const errorEl = document.getElementById('historyError');
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.hidden = false;
+        }
+    }
+    
+    hideHistoryError() {
+        const errorEl = document.getElementById('historyError');
+        if (errorEl) {
+            errorEl.hidden = true;
+        }
+    }
+    
+    // Assignee Methods
+    // Board members can be assigned; the cached list is shown first so the picker works offline
+    async loadAssigneeOptions() {
+        const boardId = this.boardManager.getCurrentBoardId();
+        this.renderAssigneePicker();
+        
+        if (!boardId) return;
+        
+        try {
+            await this.boardManager.getMembers(boardId);
+            if (this.boardManager.getCurrentBoardId() === boardId) {
+                this.renderAssigneePicker();
+            }
+        } catch (error) {
+            console.warn('Failed to load board members for assignees:', error);
+        }
+    }
+    
+    getAssigneeOptions() {
+        const members = this.boardManager.getCachedMembers(this.boardManager.getCurrentBoardId())
+            .map(({ userId, username, displayName }) => ({ userId, username, displayName }));
+        
+        // Keep people who were assigned before they left the board, so they can be unassigned
+        const formerMembers = this.taskAssignees.filter(a => !members.some(m => m.userId === a.userId));
+        
+        return [...members, ...formerMembers];
+    }
+    
+    renderAssigneePicker() {
+        const picker = document.getElementById('taskAssignees');
+        if (!picker) return;
+        
+        const options = this.getAssigneeOptions();
+        picker.innerHTML = '';
+        
+        if (options.length === 0) {
+            picker.innerHTML = '<span class="assignee-empty">Members of this board will appear here</span>';
+            return;
+        }
+        
+        options.forEach(option => {
+            const selected = this.taskAssignees.some(a => a.userId === option.userId);
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `assignee-option ${selected ? 'selected' : ''}`;
+            button.dataset.userId = option.userId;
+            button.setAttribute('aria-pressed', String(selected));
+            
+            const name = document.createElement('span');
+            name.textContent = option.displayName || option.username;
+            
+            button.append(this.uiManager.createAvatar(option), name);
+            picker.appendChild(button);
+        });
+    }
+    
+    toggleAssignee(userId) {
+        if (this.taskAssignees.some(a => a.userId === userId)) {
+            this.taskAssignees = this.taskAssignees.filter(a => a.userId !== userId);
+        } else {
+            const option = this.getAssigneeOptions().find(o => o.userId === userId);
+            if (option) this.taskAssignees.push(option);
+        }
+        
+        this.renderAssigneePicker();
+    }
+    
+    // Label Methods
+    // Ids whose label is not known here (deleted, or not synced yet) stay on the task but are not shown
+    renderLabelPicker() {
+        const picker = document.getElementById('taskLabels');
+        if (!picker || !this.labelManager) return;
+        
+        const labels = this.labelManager.getLabels();
+        picker.innerHTML = '';
+        
+        if (labels.length === 0) {
+            picker.innerHTML = '<span class="label-empty">No labels yet. Add them with Manage labels in the sidebar.</span>';
+            return;
+        }
+        
+        labels.forEach(label => {
+            const selected = this.taskLabels.includes(label.id);
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `label-option ${selected ? 'selected' : ''}`;
+            button.dataset.labelId = label.id;
+            button.setAttribute('aria-pressed', String(selected));
+            
+            const swatch = document.createElement('span');
+            swatch.className = 'label-swatch';
+            swatch.style.backgroundColor = label.color;
+            
+            const name = document.createElement('span');
+            name.textContent = label.name;
+            
+            button.append(swatch, name);
+            picker.appendChild(button);
+        });
+    }
+    
+    toggleTaskLabel(labelId) {
+        if (this.taskLabels.includes(labelId)) {
+            this.taskLabels = this.taskLabels.filter(id => id !== labelId);
+        } else {
+            this.taskLabels.push(labelId);
+        }
+        
+        this.renderLabelPicker();
+    }
+    
+    openLabelsModal() {
+        if (this.isReadOnlyBoard()) return;
+        
+        this.hideLabelsError();
+        this.renderLabelSettings();
+        this.openModal('labelsModal');
+        
+        setTimeout(() => {
+            document.getElementById('newLabelName')?.focus();
+        }, 100);
+    }
+    
+    renderLabelSettings() {
+        const list = document.getElementById('labelSettingsList');
+        if (!list) return;
+        
+        const labels = this.labelManager.getLabels();
+        
+        if (labels.length === 0) {
+            list.innerHTML = '<li class="label-empty">This board has no labels yet.</li>';
+            return;
+        }
+        
+        list.innerHTML = labels.map(label => `
+            <li class="label-settings-item" data-label-id="${this.escapeHtml(label.id)}">
+                <input type="color" class="label-color-input" aria-label="Label color">
+                <input type="text" class="form-input label-name-input" maxlength="50" aria-label="Label name">
+                <span class="label-settings-count">${this.getLabelTaskCount(label.id)} tasks</span>
+                <button type="button" class="column-settings-btn danger" data-action="delete" aria-label="Delete label">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polyline points="3,6 5,6 21,6"></polyline>
+                        <path d="m19,6v14a2,2 0 0,1 -2,2H7a2,2 0 0,1 -2,-2V6m3,0V4a2,2 0 0,1 2,-2h4a2,2 0 0,1 2,2v2"></path>
+                    </svg>
+                </button>
+            </li>
+        `).join('');
+        
+        // Assign user-provided values through the DOM, as with column names
+        list.querySelectorAll('.label-settings-item').forEach((row, index) => {
+            const label = labels[index];
+            row.querySelector('.label-color-input').value = label.color;
+            row.querySelector('.label-name-input').value = label.name;
+        });
+    }
+    
+    // Counted from the local tasks, so it follows edits made since the labels were loaded
+    getLabelTaskCount(labelId) {
+        return this.taskManager.getTasks().filter(task => (task.labels || []).includes(labelId)).length;
+    }
+    
+    async handleLabelAdd() {
+        const nameInput = document.getElementById('newLabelName');
+        
+        if (!nameInput.value.trim()) {
+            this.showLabelsError('Label name is required');
+            nameInput.focus();
+            return;
+        }
+        
+        const created = await this.runLabelAction(() => this.labelManager.createLabel({
+            name: nameInput.value,
+            color: document.getElementById('newLabelColor').value
+        }));
+        
+        if (created) {
+            nameInput.value = '';
+            nameInput.focus();
+        }
+    }
+    
+    handleLabelChange(labelId, updates) {
+        if (updates.name === '') {
+            this.showLabelsError('Label name is required');
+            this.renderLabelSettings();
+            return;
+        }
+        
+        this.runLabelAction(() => this.labelManager.updateLabel(labelId, updates));
+    }
+    
+    async handleLabelDelete(labelId) {
+        const label = this.labelManager.getLabel(labelId);
+        if (!label) return;
+        
+        const taskCount = this.getLabelTaskCount(labelId);
+        if (taskCount > 0) {
+            const plural = taskCount === 1 ? 'task' : 'tasks';
+            
+            if (!confirm(`Delete "${label.name}"? It will be removed from ${taskCount} ${plural}.`)) {
+                return;
+            }
+        }
+        
+        await this.runLabelAction(() => this.labelManager.deleteLabel(labelId));
+    }
+    
+    async runLabelAction(action) {
+        this.hideLabelsError();
+        
+        try {
+            return await action();
+        } catch (error) {
+            console.error('Label update failed:', error);
+            this.showLabelsError(this.getLabelErrorMessage(error, 'Failed to update labels. Please try again.'));
+            this.renderLabelSettings();
+            return null;
+        }
+    }
+    
+    getLabelErrorMessage(error, fallback) {
+        if (error.isNetworkError) {
+            return 'Labels can only be changed while online.';
+        }
+        if (error.status === 409) {
+            return 'This board already has a label with that name.';
+        }
+        return error.message || fallback;
+    }
+    
+    showLabelsError(message) {
+        const errorEl = document.getElementById('labelsError');
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.hidden = false;
+        }
+    }
+    
+    hideLabelsError() {
+        const errorEl = document.getElementById('labelsError');
+        if (errorEl) {
+            errorEl.hidden = true;
+        }
+    }
+    
+    // Column Settings Methods
+    openColumnsModal() {
+        if (this.isReadOnlyBoard()) return;
+        
+        this.hideColumnsError();
+        this.renderColumnSettings();
+        this.openModal('columnsModal');
+        
+        setTimeout(() => {
+            document.getElementById('newColumnName')?.focus();
+        }, 100);
+    }
+    
+    renderColumnSettings() {
+        const list = document.getElementById('columnSettingsList');
+        if (!list) return;
+        
+        const columns = this.columnManager.getColumns();
+        
+        list.innerHTML = columns.map((column, index) => `
+            <li class="column-settings-item" data-column-id="${this.escapeHtml(column.id)}">
+                <input type="color" class="column-color-input" aria-label="Column color">
+                <input type="text" class="form-input column-name-input" maxlength="50" aria-label="Column name">
+                <input type="number" class="form-input column-wip-input" min="1" placeholder="WIP" aria-label="WIP limit">
+                <span class="column-settings-count">${this.taskManager.getTasksByStatus(column.key).length} tasks</span>
+                <div class="column-settings-actions">
+                    <button type="button" class="column-settings-btn" data-action="up" aria-label="Move column left" ${index === 0 ? 'disabled' : ''}>
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="18,15 12,9 6,15"></polyline>
+                        </svg>
+                    </button>
+                    <button type="button" class="column-settings-btn" data-action="down" aria-label="Move column right" ${index === columns.length - 1 ? 'disabled' : ''}>
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="6,9 12,15 18,9"></polyline>
+                        </svg>
+                    </button>
+                    <button type="button" class="column-settings-btn danger" data-action="delete" aria-label="Delete column" ${columns.length === 1 || column.key === 'done' ? 'disabled' : ''}>
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="3,6 5,6 21,6"></polyline>
+                            <path d="m19,6v14a2,2 0 0,1 -2,2H7a2,2 0 0,1 -2,-2V6m3,0V4a2,2 0 0,1 2,-2h4a2,2 0 0,1 2,2v2"></path>
+                        </svg>
+                    </button>
+                </div>
+            </li>
+        `).join('');
+        
+        // Assign user-provided values through the DOM, as with checklist titles
+        list.querySelectorAll('.column-settings-item').forEach((row, index) => {
+            const column = columns[index];
+            row.querySelector('.column-color-input').value = column.color || '#58C7D2';
+            row.querySelector('.column-name-input').value = column.name;
+            row.querySelector('.column-wip-input').value = column.wipLimit || '';
+        });
+    }
+    
+    async handleColumnAdd() {
+        const nameInput = document.getElementById('newColumnName');
+        const wipInput = document.getElementById('newColumnWipLimit');
+        
+        if (!nameInput.value.trim()) {
+            this.showColumnsError('Column name is required');
+            nameInput.focus();
+            return;
+        }
+        
+        const created = await this.runColumnAction(() => this.columnManager.createColumn({
+            name: nameInput.value,
+            color: document.getElementById('newColumnColor').value,
+            wipLimit: this.parseWipLimit(wipInput.value)
+        }));
+        
+        if (created) {
+            nameInput.value = '';
+            wipInput.value = '';
+            nameInput.focus();
+        }
+    }
+    
+    handleColumnChange(columnId, updates) {
+        if (updates.name === '') {
+            this.showColumnsError('Column name is required');
+            this.renderColumnSettings();
+            return;
+        }
+        
+        this.runColumnAction(() => this.columnManager.updateColumn(columnId, updates));
+    }
+    
+    async handleColumnDelete(columnId) {
+        const column = this.columnManager.getColumnById(columnId);
+        if (!column) return;
+        
+        const taskCount = this.taskManager.getTasksByStatus(column.key).length;
+        let moveTo = null;
+        
+        if (taskCount > 0) {
+            // Tasks go to the first remaining column
+            const target = this.columnManager.getColumns().find(c => c.id !== columnId);
+            const plural = taskCount === 1 ? 'task' : 'tasks';
+            
+            if (!confirm(`Delete "${column.name}"? Its ${taskCount} ${plural} will move to "${target.name}".`)) {
+                return;
+            }
+            
+            moveTo = target.key;
+        }
+        
+        await this.runColumnAction(() => this.columnManager.deleteColumn(columnId, moveTo));
+    }
+    
+    async runColumnAction(action) {
+        this.hideColumnsError();
+        
+        try {
+            return await action();
+        } catch (error) {
+            console.error('Column update failed:', error);
+            this.showColumnsError(error.message || 'Failed to update columns. Please try again.');
+            this.renderColumnSettings();
+            return null;
+        }
+    }
+    
+    parseWipLimit(value) {
+        const limit = parseInt(value, 10);
+        return Number.isInteger(limit) && limit > 0 ? limit : null;
+    }
+    
+    showColumnsError(message) {
+        const errorEl = document.getElementById('columnsError');
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.hidden = false;
+        }
+    }
+    
+    hideColumnsError() {
+        const errorEl = document.getElementById('columnsError');
+        if (errorEl) {
+            errorEl.hidden = true;
+        }
+    }
+    
+    // Board Modal Methods
+    openBoardModal(board = null) {
+        this.currentBoard = board;
+        this.hideBoardError();
+        
+        document.getElementById('boardModalTitle').textContent = board ? 'Edit Board' : 'Create Board';
+        document.querySelector('#saveBoardBtn .btn-text').textContent = board ? 'Save Changes' : 'Create Board';
+        document.getElementById('boardName').value = board?.name || '';
+        document.getElementById('boardDescription').value = board?.description || '';
+        document.getElementById('boardColor').value = board?.color || '#58C7D2';
+        document.getElementById('boardEnforceDependencies').checked = Boolean(board?.enforceDependencies);
+        
+        // Only the owner changes a board's settings; other members may leave it
+        const isOwner = !board || this.boardManager.isOwner(board.id);
+        ['boardName', 'boardDescription', 'boardColor', 'boardEnforceDependencies'].forEach(id => {
+            document.getElementById(id).disabled = !isOwner;
+        });
+        document.getElementById('saveBoardBtn').hidden = !isOwner;
+        
+        // The user's last own board cannot be deleted
+        const deleteBtn = document.getElementById('deleteBoardBtn');
+        deleteBtn.hidden = !board || !isOwner;
+        deleteBtn.disabled = this.boardManager.getOwnBoards().length <= 1;
+        document.getElementById('leaveBoardBtn').hidden = !board || isOwner;
+        
+        // Members can only be managed on boards that exist on the server
+        const membersSection = document.getElementById('boardMembersSection');
+        membersSection.hidden = !board;
+        document.getElementById('memberInvite').hidden = !isOwner;
+        this.boardMembers = [];
+        if (board) {
+            this.loadBoardMembers();
+        }
+        
+        this.openModal('boardModal');
+        
+        setTimeout(() => {
+            document.getElementById('boardName')?.focus();
+        }, 100);
+    }
+    
+    async handleBoardFormSubmit() {
+        const name = document.getElementById('boardName').value.trim();
+        
+        if (!name) {
+            this.showBoardError('Board name is required');
+            document.getElementById('boardName').focus();
+            return;
+        }
+        
+        const boardData = {
+            name,
+            description: document.getElementById('boardDescription').value.trim(),
+            color: document.getElementById('boardColor').value,
+            enforceDependencies: document.getElementById('boardEnforceDependencies').checked
+        };
+        
+        const saveBtn = document.getElementById('saveBoardBtn');
+        saveBtn.disabled = true;
+        saveBtn.classList.add('loading');
+        this.hideBoardError();
+        
+        try {
+            if (this.currentBoard) {
+                await this.boardManager.updateBoard(this.currentBoard.id, boardData);
+            } else {
+                const board = await this.boardManager.createBoard(boardData);
+                this.boardManager.switchBoard(board.id);
+            }
+            
+            this.closeModal('boardModal');
+            
+        } catch (error) {
+            console.error('Failed to save board:', error);
+            this.showBoardError(this.getBoardErrorMessage(error, 'Failed to save board. Please try again.'));
+            
+        } finally {
+            saveBtn.disabled = false;
+            saveBtn.classList.remove('loading');
+        }
+    }
+    
+    async handleBoardDelete() {
+        const board = this.currentBoard;
+        if (!board) return;
+        
+        if (!confirm(`Delete "${board.name}" and all of its tasks? This cannot be undone.`)) {
+            return;
+        }
+        
+        try {
+            await this.boardManager.deleteBoard(board.id);
+            this.closeModal('boardModal');
+        } catch (error) {
+            console.error('Failed to delete board:', error);
+            this.showBoardError(this.getBoardErrorMessage(error, 'Failed to delete board. Please try again.'));
+        }
+    }
+    
+    async handleBoardLeave() {
+        const board = this.currentBoard;
+        const currentMember = this.boardMembers.find(m => m.isCurrentUser);
+        if (!board || !currentMember) return;
+        
+        if (!confirm(`Leave "${board.name}"? You will lose access until the owner invites you again.`)) {
+            return;
+        }
+        
+        try {
+            await this.boardManager.leaveBoard(board.id, currentMember.userId);
+            this.closeModal('boardModal');
+        } catch (error) {
+            console.error('Failed to leave board:', error);
+            this.showBoardError(this.getBoardErrorMessage(error, 'Failed to leave board. Please try again.'));
+        }
+    }
+    
+    // Board Member Methods
+    async loadBoardMembers() {
+        const boardId = this.currentBoard.id;
+        const list = document.getElementById('boardMemberList');
+        list.innerHTML = '<li class="member-item member-loading">Loading members...</li>';
+        
+        try {
+            const members = await this.boardManager.getMembers(boardId);
+            
+            // Ignore the result if another board was opened meanwhile
+            if (this.currentBoard?.id !== boardId) return;
+            
+            this.boardMembers = members;
+            this.renderBoardMembers();
+        } catch (error) {
+            console.error('Failed to load board members:', error);
+            list.innerHTML = '';
+            this.showBoardError(this.getBoardErrorMessage(error, 'Failed to load members.'));
+        }
+    }
+    
+    renderBoardMembers() {
+        const list = document.getElementById('boardMemberList');
+        if (!list || !this.currentBoard) return;
+        
+        const canManage = this.boardManager.isOwner(this.currentBoard.id);
+        
+        list.innerHTML = this.boardMembers.map(member => `
+            <li class="member-item" data-user-id="${this.escapeHtml(member.userId)}">
+                <div class="member-info">
+                    <span class="member-name"></span>
+                    <small class="member-username"></small>
+                </div>
+                ${member.role === 'owner' || !canManage ? `
+                    <span class="member-role">${member.role}</span>
+                ` : `
+                    <select class="form-select member-role-select" aria-label="Member role">
+                        <option value="editor" ${member.role === 'editor' ? 'selected' : ''}>editor</option>
+                        <option value="viewer" ${member.role === 'viewer' ? 'selected' : ''}>viewer</option>
+                    </select>
+                    <button type="button" class="column-settings-btn danger member-remove-btn" aria-label="Remove member">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"></line>
+                            <line x1="6" y1="6" x2="18" y2="18"></line>
+                        </svg>
+                    </button>
+                `}
+            </li>
+        `).join('');
+        
+        // Assign user-provided values through the DOM, as with checklist titles
+        list.querySelectorAll('.member-item').forEach((row, index) => {
+            const member = this.boardMembers[index];
+            const name = member.displayName || member.username;
+            row.querySelector('.member-name').textContent = member.isCurrentUser ? `${name} (you)` : name;
+            row.querySelector('.member-username').textContent = `@${member.username}`;
+        });
+    }
+    
+    async handleMemberInvite() {
+        const usernameInput = document.getElementById('inviteUsername');
+        const role = document.getElementById('inviteRole').value;
+        
+        if (!usernameInput.value.trim()) {
+            this.showBoardError('Username is required');
+            usernameInput.focus();
+            return;
+        }
+        
+        this.hideBoardError();
+        
+        try {
+            const member = await this.boardManager.inviteMember(this.currentBoard.id, usernameInput.value, role);
+            this.boardMembers.push(member);
+            this.renderBoardMembers();
+            usernameInput.value = '';
+        } catch (error) {
+            console.error('Failed to invite member:', error);
+            this.showBoardError(this.getBoardErrorMessage(error, 'Failed to invite member. Please try again.'));
+        }
+    }
+    
+    async handleMemberRoleChange(userId, role) {
+        this.hideBoardError();
+        
+        try {
+            const updated = await this.boardManager.updateMemberRole(this.currentBoard.id, userId, role);
+            this.boardMembers = this.boardMembers.map(m => m.userId === userId ? { ...m, ...updated } : m);
+        } catch (error) {
+            console.error('Failed to change member role:', error);
+            this.showBoardError(this.getBoardErrorMessage(error, 'Failed to change role. Please try again.'));
+        }
+        
+        this.renderBoardMembers();
+    }
+    
+    async handleMemberRemove(userId) {
+        const member = this.boardMembers.find(m => m.userId === userId);
+        if (!member) return;
+        
+        if (!confirm(`Remove ${member.displayName || member.username} from "${this.currentBoard.name}"?`)) {
+            return;
+        }
+        
+        this.hideBoardError();
+        
+        try {
+            await this.boardManager.removeMember(this.currentBoard.id, userId);
+            this.boardMembers = this.boardMembers.filter(m => m.userId !== userId);
+            this.renderBoardMembers();
+        } catch (error) {
+            console.error('Failed to remove member:', error);
+            this.showBoardError(this.getBoardErrorMessage(error, 'Failed to remove member. Please try again.'));
+        }
+    }
+    
+    // Viewers can open shared boards but not change them
+    isReadOnlyBoard() {
+        return this.boardManager ? !this.boardManager.canEditCurrentBoard() : false;
+    }
+    
+    // Boards are only changed online, so explain network failures
+    getBoardErrorMessage(error, fallback) {
+        if (error.isNetworkError) {
+            return 'Boards can only be changed while online.';
+        }
+        return error.message || fallback;
+    }
+    
+    showBoardError(message) {
+        const errorEl = document.getElementById('boardError');
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.hidden = false;
+        }
+    }
+    
+    hideBoardError() {
+        const errorEl = document.getElementById('boardError');
+        if (errorEl) {
+            errorEl.hidden = true;
+        }
+    }
+    
+    // Settings Modal Methods
+    openSettingsModal() {
+        this.hideSettingsError();
+        this.clearTwoFactorInputs();
+        this.openModal('settingsModal');
+        this.loadSessions();
+        this.loadTwoFactor();
+    }
+    
+    async loadSessions() {
+        const list = document.getElementById('sessionList');
+        list.innerHTML = '<li class="session-item session-loading">Loading devices...</li>';
+        
+        try {
+            this.sessions = await this.taskManager.apiClient.getSessions();
+            this.renderSessions();
+        } catch (error) {
+            console.error('Failed to load sessions:', error);
+            list.innerHTML = '';
+            this.showSettingsError(this.getSettingsErrorMessage(error, 'Failed to load devices.'));
+        }
+    }
+    
+    renderSessions() {
+        const list = document.getElementById('sessionList');
+        if (!list) return;
+        
+        list.innerHTML = this.sessions.map(session => `
+            <li class="session-item" data-session-id="${this.escapeHtml(session.id)}">
+                <div class="session-info">
+                    <span class="session-device"></span>
+                    <small class="session-details"></small>
+                </div>
+                ${session.current ? `
+                    <span class="session-current">This device</span>
+                ` : `
+                    <button type="button" class="btn-secondary session-revoke-btn">Sign out</button>
+                `}
+            </li>
+        `).join('');
+        
+        // User agents and addresses come from the requests, so they are set as text
+        list.querySelectorAll('.session-item').forEach((row, index) => {
+            const session = this.sessions[index];
+            const lastSeen = new Date(session.lastSeenAt).toLocaleString();
+            
+            row.querySelector('.session-device').textContent = this.describeUserAgent(session.userAgent);
+            row.querySelector('.session-details').textContent = session.ipAddress
+                ? `${session.ipAddress} · Last active ${lastSeen}`
+                : `Last active ${lastSeen}`;
+        });
+    }
+    
+    // "Firefox on Windows" from a user agent string; good enough to tell devices apart
+    describeUserAgent(userAgent) {
+        if (!userAgent) return 'Unknown device';
+        
+        const browsers = [
+            ['Edge', /Edg\//], ['Opera', /OPR\//], ['Firefox', /Firefox\//],
+            ['Chrome', /Chrome\//], ['Safari', /Safari\//]
+        ];
+        const systems = [
+            ['Android', /Android/], ['iOS', /iPhone|iPad|iPod/], ['Windows', /Windows/],
+            ['macOS', /Mac OS X/], ['Linux', /Linux/]
+        ];
+        
+        const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+        const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+        
+        if (browser && system) return `${browser} on ${system}`;
+        return browser || system || userAgent;
+    }
+    
+    async handleSessionRevoke(sessionId) {
+        const session = this.sessions.find(s => s.id === sessionId);
+        if (!session) return;
+        
+        if (!confirm(`Sign out ${this.describeUserAgent(session.userAgent)}? It will have to log in again.`)) {
+            return;
+        }
+        
+        this.hideSettingsError();
+        
+        try {
+            await this.taskManager.apiClient.revokeSession(sessionId);
+        } catch (error) {
+            // Already signed out, e.g. from another device
+            if (error.status !== 404) {
+                console.error('Failed to revoke session:', error);
+                this.showSettingsError(this.getSettingsErrorMessage(error, 'Failed to sign out the device. Please try again.'));
+                return;
+            }
+        }
+        
+        this.sessions = this.sessions.filter(s => s.id !== sessionId);
+        this.renderSessions();
+    }
+    
+    async loadTwoFactor() {
+        this.twoFactor = null;
+        this.recoveryCodes = [];
+        this.renderTwoFactor();
+        
+        try {
+            const status = await this.taskManager.apiClient.getTwoFactorStatus();
+            this.twoFactor = { ...status, setup: null };
+        } catch (error) {
+            console.error('Failed to load two-factor status:', error);
+            this.showSettingsError(this.getSettingsErrorMessage(error, 'Failed to load two-factor authentication.'));
+        }
+        
+        this.renderTwoFactor();
+    }
+    
+    // Off, being set up (secret shown, waiting for a first code) or on
+    renderTwoFactor() {
+        const state = this.twoFactor;
+        const show = (id, visible) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.hidden = !visible;
+            }
+        };
+        
+        const status = document.getElementById('twoFactorStatus');
+        if (status) {
+            if (!state) {
+                status.textContent = 'Loading...';
+            } else if (state.enabled) {
+                const count = state.recoveryCodesRemaining;
+                status.textContent = `On. A code from your authenticator app is needed to log in; ${count} recovery ${count === 1 ? 'code' : 'codes'} left.`;
+            } else if (state.setup) {
+                status.textContent = 'Add TaskFlow to your authenticator app, then enter the code it shows to turn two-factor authentication on.';
+            } else {
+                status.textContent = 'Off. Turn it on to need a code from an authenticator app as well as your password to log in.';
+            }
+        }
+        
+        if (state?.setup) {
+            document.getElementById('twoFactorUri').href = state.setup.otpauthUri;
+            document.getElementById('twoFactorSecret').textContent = state.setup.secret;
+        }
+        
+        const codeList = document.getElementById('recoveryCodeList');
+        if (codeList) {
+            codeList.innerHTML = '';
+            this.recoveryCodes.forEach(code => {
+                const item = document.createElement('li');
+                item.textContent = code;
+                codeList.appendChild(item);
+            });
+        }
+        
+        show('twoFactorSetup', Boolean(state?.setup));
+        show('recoveryCodes', this.recoveryCodes.length > 0);
+        show('twoFactorPassword', Boolean(state?.enabled));
+        show('twoFactorCode', Boolean(state?.enabled || state?.setup));
+        show('twoFactorSetupBtn', Boolean(state && !state.enabled && !state.setup));
+        show('twoFactorEnableBtn', Boolean(state?.setup));
+        show('recoveryCodesBtn', Boolean(state?.enabled));
+        show('twoFactorDisableBtn', Boolean(state?.enabled));
+    }
+    
+    async handleTwoFactorSetup() {
+        const setup = await this.runTwoFactorAction(() => this.taskManager.apiClient.setupTwoFactor());
+        if (!setup) return;
+        
+        this.twoFactor = { ...this.twoFactor, setup };
+        this.renderTwoFactor();
+        document.getElementById('twoFactorCode')?.focus();
+    }
+    
+    async handleTwoFactorEnable() {
+        const code = this.getTwoFactorInput('twoFactorCode', 'Enter the code from your authenticator app.');
+        if (!code) return;
+        
+        const response = await this.runTwoFactorAction(() => this.taskManager.apiClient.enableTwoFactor(code));
+        if (!response) return;
+        
+        this.twoFactor = { enabled: true, recoveryCodesRemaining: response.recoveryCodes.length, setup: null };
+        this.recoveryCodes = response.recoveryCodes;
+        this.clearTwoFactorInputs();
+        this.renderTwoFactor();
+    }
+    
+    async handleRecoveryCodesRegenerate() {
+        const code = this.getTwoFactorInput('twoFactorCode', 'Enter a code from your authenticator app.');
+        if (!code) return;
+        
+        const response = await this.runTwoFactorAction(() => this.taskManager.apiClient.regenerateRecoveryCodes(code));
+        if (!response) return;
+        
+        this.twoFactor = { ...this.twoFactor, recoveryCodesRemaining: response.recoveryCodes.length };
+        this.recoveryCodes = response.recoveryCodes;
+        this.clearTwoFactorInputs();
+        this.renderTwoFactor();
+    }
+    
+    async handleTwoFactorDisable() {
+        const password = this.getTwoFactorInput('twoFactorPassword', 'Enter your password to turn two-factor authentication off.');
+        if (!password) return;
+        
+        const code = this.getTwoFactorInput('twoFactorCode', 'Enter a code from your authenticator app or a recovery code.');
+        if (!code) return;
+        
+        const response = await this.runTwoFactorAction(() => this.taskManager.apiClient.disableTwoFactor(password, code));
+        if (!response) return;
+        
+        this.twoFactor = { enabled: false, recoveryCodesRemaining: 0, setup: null };
+        this.recoveryCodes = [];
+        this.clearTwoFactorInputs();
+        this.renderTwoFactor();
+    }
+    
+    // The input's value, or null after pointing out that it is empty
+    getTwoFactorInput(inputId, message) {
+        const input = document.getElementById(inputId);
+        const value = input.value.trim();
+        
+        if (!value) {
+            this.showSettingsError(message);
+            input.focus();
+            return null;
+        }
+        
+        return value;
+    }
+    
+    clearTwoFactorInputs() {
+        document.getElementById('twoFactorPassword').value = '';
+        document.getElementById('twoFactorCode').value = '';
+    }
+    
+    async runTwoFactorAction(action) {
+        this.hideSettingsError();
+        
+        try {
+            return await action();
+        } catch (error) {
+            console.error('Two-factor update failed:', error);
+            this.showSettingsError(this.getSettingsErrorMessage(error, 'Failed to update two-factor authentication. Please try again.'));
+            return null;
+        }
+    }
+    
+    // Account settings live on the server, so explain network failures
+    getSettingsErrorMessage(error, fallback) {
+        if (error.isNetworkError) {
+            return 'Account settings can only be changed while online.';
+        }
+        return error.message || fallback;
+    }
+    
+    showSettingsError(message) {
+        const errorEl = document.getElementById('settingsError');
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.hidden = false;
+        }
+    }
+    
+    hideSettingsError() {
+        const errorEl = document.getElementById('settingsError');
+        if (errorEl) {
+            errorEl.hidden = true;
+        }
+    }
+    
+    // Delete Modal Methods
+    openDeleteModal(task) {
+        if (this.isReadOnlyBoard()) return;
+        
+        this.currentTask = task;
+        
+        // Update task preview
+        const preview = document.getElementById('deleteTaskPreview');
+        if (preview) {
+            preview.innerHTML = `
+                <div class="task-preview-content">
+                    <h4 class="task-title">${this.escapeHtml(task.title)}</h4>
+                    ${task.description ? `<p class="task-description">${this.escapeHtml(task.description)}</p>` : ''}
+                    <div class="task-meta">
+                        ${task.category ? `<span class="task-category">${this.escapeHtml(task.category)}</span>` : ''}
+                        <span class="task-priority priority-${task.priority.toLowerCase()}">${task.priority}</span>
+                    </div>
+                </div>
+            `;
+        }
+        
+        // Open modal
+        this.openModal('deleteModal');
+        
+        // Focus delete button
+        setTimeout(() => {
+            document.getElementById('confirmDeleteBtn')?.focus();
+        }, 100);
+    }
+    
+    async handleDeleteConfirmation() {
+        if (!this.currentTask) return;
+        
+        try {
+            // Show loading state
+            const deleteBtn = document.getElementById('confirmDeleteBtn');
+            deleteBtn.disabled = true;
+            deleteBtn.classList.add('loading');
+            
+            // Delete task
+            await this.taskManager.deleteTask(this.currentTask.id);
+            
+            // Close modal
+            this.closeModal('deleteModal');
+            
+        } catch (error) {
+            console.error('Failed to delete task:', error);
+            
+            // Show error (could enhance with toast notification)
+            alert('Failed to delete task. Please try again.');
+            
+        } finally {
+            // Reset button state
+            const deleteBtn = document.getElementById('confirmDeleteBtn');
+            deleteBtn.disabled = false;
+            deleteBtn.classList.remove('loading');
+        }
+    }
+    
+    // Conflict Modal Methods
+    // Conflicts reported while the dialog is open are added to it
+    openConflictModal(conflicts) {
+        conflicts.forEach(conflict => {
+            this.conflicts = this.conflicts.filter(c => c.taskId !== conflict.taskId);
+            this.conflicts.push(conflict);
+        });
+        
+        this.hideConflictError();
+        this.renderConflicts();
+        
+        if (!this.isModalOpen('conflictModal')) {
+            this.openModal('conflictModal');
+        }
+    }
+    
+    renderConflicts() {
+        const list = document.getElementById('conflictList');
+        if (!list) return;
+        
+        list.innerHTML = '';
+        
+        this.conflicts.forEach((conflict, index) => {
+            const item = document.createElement('section');
+            item.className = 'conflict-item';
+            
+            const title = document.createElement('h3');
+            title.textContent = conflict.serverVersion.title;
+            
+            const fields = document.createElement('div');
+            fields.className = 'conflict-fields';
+            
+            ['', 'Yours', 'On server'].forEach(label => {
+                const heading = document.createElement('span');
+                heading.className = 'conflict-heading';
+                heading.textContent = label;
+                fields.appendChild(heading);
+            });
+            
+            conflict.fields.forEach(field => {
+                const name = document.createElement('span');
+                name.className = 'conflict-field-name';
+                name.textContent = this.getConflictFieldLabel(field);
+                
+                fields.append(
+                    name,
+                    this.createConflictChoice(index, field, 'client', conflict.clientVersion[field], true),
+                    this.createConflictChoice(index, field, 'server', conflict.serverVersion[field], false)
+                );
+            });
+            
+            item.append(title, fields);
+            list.appendChild(item);
+        });
+    }
+    
+    createConflictChoice(index, field, side, value, checked) {
+        const label = document.createElement('label');
+        label.className = 'conflict-choice';
+        
+        const input = document.createElement('input');
+        input.type = 'radio';
+        input.name = `conflict-${index}-${field}`;
+        input.value = side;
+        input.checked = checked;
+        
+        const text = document.createElement('span');
+        text.textContent = this.formatConflictValue(field, value);
+        
+        label.append(input, text);
+        return label;
+    }
+    
+    getConflictFieldLabel(field) {
+        const labels = {
+            title: 'Title',
+            description: 'Description',
+            category: 'Category',
+            priority: 'Priority',
+            status: 'Column',
+            dueDate: 'Due date',
+            recurrence: 'Repeat',
+            checklist: 'Checklist',
+            assignees: 'Assignees',
+            labels: 'Labels'
+        };
+        
+        return labels[field] || field;
+    }
+    
+    formatConflictValue(field, value) {
+        if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+            return 'None';
+        }
+        
+        switch (field) {
+            case 'status':
+                return this.columnManager.getColumn(value)?.name || value;
+            case 'dueDate':
+                return new Date(value).toLocaleDateString();
+            case 'recurrence':
+                return RecurrenceRule.describe(value);
+            case 'checklist':
+                return value.map(item => `${item.completed ? '☑' : '☐'} ${item.title}`).join('\n');
+            case 'assignees':
+                return value.map(a => a.displayName || a.username || a.userId || a).join(', ');
+            case 'labels':
+                return value.map(id => this.labelManager.getLabel(id)?.name || 'Deleted label').join(', ');
+            default:
+                return String(value);
+        }
+    }
+    
+    // Each conflict is resolved field by field with the side picked for it
+    getConflictResolutions() {
+        return this.conflicts.map((conflict, index) => {
+            const choices = {};
+            
+            conflict.fields.forEach(field => {
+                const checked = document.querySelector(`input[name="conflict-${index}-${field}"]:checked`);
+                choices[field] = checked?.value || 'server';
+            });
+            
+            return choices;
+        });
+    }
+    
+    async handleConflictResolution() {
+        if (this.conflicts.length === 0) return;
+        
+        const resolveBtn = document.getElementById('resolveConflictsBtn');
+        
+        try {
+            resolveBtn.disabled = true;
+            resolveBtn.classList.add('loading');
+            this.hideConflictError();
+            
+            await this.taskManager.resolveConflicts(this.conflicts, this.getConflictResolutions());
+            
+            this.closeModal('conflictModal');
+            
+        } catch (error) {
+            console.error('Failed to resolve conflicts:', error);
+            this.showConflictError(error.isNetworkError
+                ? 'You appear to be offline. Try again once you are back online.'
+                : 'Failed to resolve conflicts. Please try again.');
+            
+        } finally {
+            resolveBtn.disabled = false;
+            resolveBtn.classList.remove('loading');
+        }
+    }
+    
+    showConflictError(message) {
+        const errorEl = document.getElementById('conflictError');
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.hidden = false;
+        }
+    }
+    
+    hideConflictError() {
+        const errorEl = document.getElementById('conflictError');
+        if (errorEl) {
+            errorEl.hidden = true;
+        }
+    }
+    
+    // Modal Control Methods
+    openModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (!modal) return false;
+        
+        // Store current focus
+        this.focusStack.push(document.activeElement);
+        
+        // Show modal
+        modal.classList.add('show');
+        modal.setAttribute('aria-hidden', 'false');
+        
+        // Trap focus
+        this.trapFocus(modal);
+        
+        // Prevent body scroll
+        document.body.style.overflow = 'hidden';
+        
+        // Store in active modals
+        this.activeModals.set(modalId, {
+            element: modal,
+            openTime: Date.now()
+        });
+        
+        console.log(`Modal opened: ${modalId}`);
+        return true;
+    }
+    
+    closeModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (!modal) return false;
+        
+        // Hide modal
+        modal.classList.remove('show');
+        modal.setAttribute('aria-hidden', 'true');
+        
+        // Restore focus
+        if (this.focusStack.length > 0) {
+            const previousFocus = this.focusStack.pop();
+            if (previousFocus && typeof previousFocus.focus === 'function') {
+                setTimeout(() => {
+                    previousFocus.focus();
+                }, 100);
+            }
+        }
+        
+        // Enable body scroll if no modals are open
+        if (this.activeModals.size <= 1) {
+            document.body.style.overflow = '';
+        }
+        
+        // Remove from active modals
+        this.activeModals.delete(modalId);
+        
+        // Clear current task
+        this.currentTask = null;
+        
+        // Closing the conflict dialog keeps the server versions, which the tasks already show
+        if (modalId === 'conflictModal') {
+            this.conflicts = [];
+        }
         
         // Clear form errors
         this.clearFormErrors();
@@ -0,0 +1,435 @@
+// Spreadsheet-like Table of Tasks with Sorting and Inline Editing
+
+const COLUMNS = [
+    { key: 'title', label: 'Title' },
+    { key: 'status', label: 'Status' },
+    { key: 'priority', label: 'Priority' },
+    { key: 'category', label: 'Category' },
+    { key: 'dueDate', label: 'Due date' },
+    { key: 'updatedAt', label: 'Updated' }
+];
+
+const PRIORITIES = ['High', 'Medium', 'Low'];
+
+export class TableView {
+    constructor() {
+        this.sortKey = null;
+        this.sortDirection = 'asc';
+        this.columns = [];
+        this.rowIds = [];
+        this.selectionAnchor = null;
+        
+        this.callbacks = {
+            onOpenTask: null,
+            onUpdateTask: null,
+            onSelectionChange: null,
+            getSelectedTaskIds: null,
+            onSort: null
+        };
+    }
+    
+    init(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+        
+        this.setupEventListeners();
+        console.log('TableView initialized');
+    }
+    
+    setupEventListeners() {
+        const table = document.getElementById('taskTable');
+        
+        table?.addEventListener('click', (e) => {
+            const sortButton = e.target.closest('[data-sort]');
+            if (sortButton) {
+                this.toggleSort(sortButton.dataset.sort);
+                return;
+            }
+            
+            const openButton = e.target.closest('.table-open-btn');
+            if (openButton) {
+                this.callbacks.onOpenTask?.(openButton.closest('.table-row').dataset.taskId);
+                return;
+            }
+            
+            const row = e.target.closest('.table-row');
+            if (!row) return;
+            
+            if (e.target.closest('.table-row-select')) {
+                this.handleCheckboxClick(row.dataset.taskId, e);
+            } else if (!e.target.closest('input, select, button')) {
+                this.handleRowClick(row.dataset.taskId, e);
+            }
+        });
+        
+        table?.addEventListener('change', (e) => {
+            if (e.target.id === 'tableSelectAll') {
+                this.selectAll(e.target.checked);
+                return;
+            }
+            
+            const cell = e.target.closest('[data-field]');
+            if (cell) {
+                this.commitCell(cell);
+            }
+        });
+        
+        // Enter commits a text cell, Escape puts the old value back
+        table?.addEventListener('keydown', (e) => {
+            const cell = e.target.closest('input[data-field]');
+            if (!cell || cell.type === 'checkbox') return;
+            
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                cell.blur();
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                cell.value = cell.dataset.value;
+                cell.blur();
+            }
+        });
+    }
+    
+    // Sorting: ascending, then descending, then back to the order of the filter bar
+    toggleSort(key) {
+        if (this.sortKey !== key) {
+            this.sortKey = key;
+            this.sortDirection = 'asc';
+        } else if (this.sortDirection === 'asc') {
+            this.sortDirection = 'desc';
+        } else {
+            this.sortKey = null;
+            this.sortDirection = 'asc';
+        }
+        
+        this.callbacks.onSort?.();
+    }
+    
+    // Empty values go last in either direction; ties keep the filtered order
+    sortTasks(tasks) {
+        if (!this.sortKey) return tasks;
+        
+        const direction = this.sortDirection === 'asc' ? 1 : -1;
+        
+        return [...tasks].sort((a, b) => {
+            const valueA = this.getSortValue(a, this.sortKey);
+            const valueB = this.getSortValue(b, this.sortKey);
+            
+            if (valueA === null || valueB === null) {
+                return (valueA === null) - (valueB === null);
+            }
+            
+            if (typeof valueA === 'string') {
+                return direction * valueA.localeCompare(valueB);
+            }
+            
+            return direction * (valueA - valueB);
+        });
+    }
+    
+    getSortValue(task, key) {
+        switch (key) {
+            case 'title':
+                return task.title.toLowerCase();
+            case 'status': {
+                const index = this.columns.findIndex(c => c.key === task.status);
+                return index === -1 ? null : index;
+            }
+            case 'priority': {
+                const index = PRIORITIES.indexOf(task.priority);
+                return index === -1 ? null : index;
+            }
+            case 'category':
+                return task.category ? task.category.toLowerCase() : null;
+            case 'dueDate':
+            case 'updatedAt': {
+                const date = this.parseDate(task[key]);
+                return date ? date.getTime() : null;
+            }
+            default:
+                return null;
+        }
+    }
+    
+    // Rendering
+    render(tasks, { columns = [], readOnly = false } = {}) {
+        const body = document.getElementById('taskTableBody');
+        if (!body) return;
+        
+        this.columns = columns;
+        const sortedTasks = this.sortTasks(tasks);
+        this.rowIds = sortedTasks.map(task => task.id);
+        
+        // Edits re-render the table, so the cell being worked in keeps its focus
+        const focused = this.getFocusedCell();
+        
+        this.renderHeader();
+        
+        body.innerHTML = '';
+        sortedTasks.forEach(task => {
+            body.appendChild(this.createRow(task, readOnly));
+        });
+        
+        document.getElementById('tableEmpty').hidden = sortedTasks.length > 0;
+        
+        if (focused) {
+            body.querySelector(`.table-row[data-task-id="${focused.taskId}"] [data-field="${focused.field}"]`)?.focus();
+        }
+    }
+    
+    renderHeader() {
+        const head = document.getElementById('taskTableHead');
+        if (!head) return;
+        
+        const row = document.createElement('tr');
+        
+        const selectCell = document.createElement('th');
+        selectCell.className = 'table-select-cell';
+        selectCell.scope = 'col';
+        
+        const selectAll = document.createElement('input');
+        selectAll.type = 'checkbox';
+        selectAll.id = 'tableSelectAll';
+        selectAll.setAttribute('aria-label', 'Select all tasks');
+        selectCell.appendChild(selectAll);
+        row.appendChild(selectCell);
+        
+        COLUMNS.forEach(column => {
+            const cell = document.createElement('th');
+            cell.scope = 'col';
+            
+            const isSorted = this.sortKey === column.key;
+            cell.setAttribute('aria-sort', isSorted ? (this.sortDirection === 'asc' ? 'ascending' : 'descending') : 'none');
+            
+            const button = document.createElement('button');
+            button.className = 'table-sort-btn';
+            button.dataset.sort = column.key;
+            button.classList.toggle('sorted', isSorted);
+            button.classList.toggle('desc', isSorted && this.sortDirection === 'desc');
+            button.textContent = column.label;
+            
+            cell.appendChild(button);
+            row.appendChild(cell);
+        });
+        
+        const actionsCell = document.createElement('th');
+        actionsCell.scope = 'col';
+        actionsCell.className = 'table-actions-cell';
+        actionsCell.setAttribute('aria-label', 'Actions');
+        row.appendChild(actionsCell);
+        
+        head.innerHTML = '';
+        head.appendChild(row);
+    }
+    
+    // Titles and categories are user text, so cells are built through the DOM.
+    // Selected rows are marked by the UIManager, which owns the selection.
+    createRow(task, readOnly) {
+        const isDone = task.status === 'done';
+        const dueDate = this.parseDate(task.dueDate);
+        
+        const row = document.createElement('tr');
+        row.className = 'table-row';
+        row.dataset.taskId = task.id;
+        row.classList.toggle('done', isDone);
+        
+        const selectCell = document.createElement('td');
+        selectCell.className = 'table-select-cell';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'table-row-select';
+        checkbox.setAttribute('aria-label', `Select "${task.title}"`);
+        selectCell.appendChild(checkbox);
+        
+        const titleInput = this.createInput('title', task.title, 'Title');
+        titleInput.maxLength = 200;
+        
+        const statusSelect = this.createSelect('status', task.status, 'Status',
+            this.columns.map(column => ({ value: column.key, label: column.name })));
+        
+        const prioritySelect = this.createSelect('priority', task.priority, 'Priority',
+            PRIORITIES.map(priority => ({ value: priority, label: priority })));
+        prioritySelect.classList.add(`table-priority-${task.priority.toLowerCase()}`);
+        
+        const categoryInput = this.createInput('category', task.category || '', 'Category');
+        categoryInput.maxLength = 50;
+        categoryInput.setAttribute('list', 'categoryDatalist');
+        
+        const dueInput = this.createInput('dueDate', dueDate ? this.toLocalInputValue(dueDate) : '', 'Due date');
+        dueInput.type = 'datetime-local';
+        dueInput.classList.toggle('overdue', !isDone && Boolean(dueDate) && dueDate < new Date());
+        
+        [titleInput, statusSelect, prioritySelect, categoryInput, dueInput].forEach(control => {
+            control.disabled = readOnly;
+        });
+        
+        const updated = document.createElement('time');
+        updated.className = 'table-updated';
+        const updatedAt = this.parseDate(task.updatedAt);
+        if (updatedAt) {
+            updated.dateTime = updatedAt.toISOString();
+            updated.textContent = updatedAt.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+        }
+        
+        const openButton = document.createElement('button');
+        openButton.className = 'table-open-btn';
+        openButton.title = 'Open task';
+        openButton.setAttribute('aria-label', `Open "${task.title}"`);
+        openButton.innerHTML = `
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"></path>
+                <polyline points="15,3 21,3 21,9"></polyline>
+                <line x1="10" y1="14" x2="21" y2="3"></line>
+            </svg>
+        `;
+        
+        row.appendChild(selectCell);
+        [titleInput, statusSelect, prioritySelect, categoryInput, dueInput, updated, openButton].forEach(content => {
+            const cell = document.createElement('td');
+            cell.appendChild(content);
+            row.appendChild(cell);
+        });
+        
+        return row;
+    }
+    
+    createInput(field, value, label) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'table-input';
+        input.dataset.field = field;
+        input.dataset.value = value;
+        input.value = value;
+        input.setAttribute('aria-label', label);
+        return input;
+    }
+    
+    // A status without a column is kept as an option so the cell shows what the task has
+    createSelect(field, value, label, options) {
+        const select = document.createElement('select');
+        select.className = 'table-input table-select';
+        select.dataset.field = field;
+        select.dataset.value = value;
+        select.setAttribute('aria-label', label);
+        
+        if (!options.some(option => option.value === value)) {
+            options = [...options, { value, label: value }];
+        }
+        
+        options.forEach(({ value: optionValue, label: optionLabel }) => {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            option.textContent = optionLabel;
+            select.appendChild(option);
+        });
+        
+        select.value = value;
+        return select;
+    }
+    
+    getFocusedCell() {
+        const cell = document.activeElement?.closest?.('#taskTableBody [data-field]');
+        if (!cell) return null;
+        
+        return {
+            taskId: cell.closest('.table-row').dataset.taskId,
+            field: cell.dataset.field
+        };
+    }
+    
+    // Inline Editing
+    commitCell(cell) {
+        const taskId = cell.closest('.table-row').dataset.taskId;
+        const field = cell.dataset.field;
+        const input = field === 'title' || field === 'category' ? cell.value.trim() : cell.value;
+        
+        if (input === cell.dataset.value) return;
+        
+        // The input holds local time; tasks keep due dates as ISO strings
+        const value = field === 'dueDate' ? (input ? new Date(input).toISOString() : null) : input;
+        
+        this.callbacks.onUpdateTask?.(taskId, { [field]: value });
+    }
+    
+    // Selection
+    getSelectedIds() {
+        return new Set(this.callbacks.getSelectedTaskIds?.() || []);
+    }
+    
+    // Plain clicks select one row, Ctrl/Cmd adds or removes a row, Shift selects a range
+    handleRowClick(taskId, e) {
+        if (e.shiftKey && this.selectionAnchor) {
+            this.setSelection(this.getRange(this.selectionAnchor, taskId));
+            return;
+        }
+        
+        if (e.ctrlKey || e.metaKey) {
+            this.toggleRows([taskId], !this.getSelectedIds().has(taskId));
+        } else {
+            this.setSelection([taskId]);
+        }
+        
+        this.selectionAnchor = taskId;
+    }
+    
+    // Checkboxes add to the selection; with Shift the whole range follows the clicked box
+    handleCheckboxClick(taskId, e) {
+        const checked = e.target.checked;
+        
+        if (e.shiftKey && this.selectionAnchor) {
+            this.toggleRows(this.getRange(this.selectionAnchor, taskId), checked);
+        } else {
+            this.toggleRows([taskId], checked);
+        }
+        
+        this.selectionAnchor = taskId;
+    }
+    
+    selectAll(checked) {
+        this.toggleRows(this.rowIds, checked);
+    }
+    
+    toggleRows(taskIds, selected) {
+        const selectedIds = this.getSelectedIds();
+        
+        taskIds.forEach(taskId => {
+            if (selected) {
+                selectedIds.add(taskId);
+            } else {
+                selectedIds.delete(taskId);
+            }
+        });
+        
+        this.setSelection([...selectedIds]);
+    }
+    
+    setSelection(taskIds) {
+        this.callbacks.onSelectionChange?.(taskIds);
+    }
+    
+    // Rows between two tasks in the order shown, both included
+    getRange(fromId, toId) {
+        const from = this.rowIds.indexOf(fromId);
+        const to = this.rowIds.indexOf(toId);
+        
+        if (from === -1 || to === -1) {
+            return [toId];
+        }
+        
+        return this.rowIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+    }
+    
+    // Date Helpers
+    parseDate(value) {
+        if (!value) return null;
+        
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+    
+    // Local date and time as a datetime-local input expects it
+    toLocalInputValue(date) {
+        const localDate = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+        return localDate.toISOString().slice(0, 16);
+    }
+}
@@ -75,11 +75,12 @@ export class ToastManager {
         toast.setAttribute('aria-live', 'assertive');
         
         // Create toast content
+        // Actions are callbacks, so buttons refer to them by position
         let actionsHtml = '';
         if (config.actions && config.actions.length > 0) {
             actionsHtml = '<div class="toast-actions">' +
-                config.actions.map(action => 
-                    `<button class="toast-action" data-action="${action.action || 'dismiss'}">${action.label}</button>`
+                config.actions.map((action, index) => 
+                    `<button class="toast-action" data-action-index="${index}">${this.escapeHtml(action.label)}</button>`
                 ).join('') +
                 '</div>';
         }
@@ -118,9 +119,8 @@ export class ToastManager {
         
         // Action buttons
         toast.querySelectorAll('.toast-action').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const actionName = e.target.dataset.action;
-                this.handleToastAction(config.id, actionName, config);
+            btn.addEventListener('click', () => {
+                this.handleToastAction(config.id, Number(btn.dataset.actionIndex), config);
             });
         });
         
@@ -145,9 +145,9 @@ export class ToastManager {
         }
     }
     
-    handleToastAction(toastId, actionName, config) {
+    handleToastAction(toastId, actionIndex, config) {
         // Find the action
-        const action = config.actions?.find(a => (a.action || 'dismiss') === actionName);
+        const action = config.actions?.[actionIndex];
         
         if (action && typeof action.action === 'function') {
             try {
@@ -289,7 +289,7 @@ export class ToastManager {
         
         return this.info(
             'Task Moved',
-            `"${task.title}" moved from ${statusNames[fromStatus]} to ${statusNames[toStatus]}.`
+            `"${task.title}" moved from ${statusNames[fromStatus] || fromStatus} to ${statusNames[toStatus] || toStatus}.`
         );
     }
     
@@ -2,6 +2,7 @@
 export class UIManager {
     constructor() {
         this.taskManager = null;
+        this.boardManager = null;
         this.components = {};
         this.state = {
             selectedTasks: new Set(),
@@ -10,8 +11,9 @@ export class UIManager {
         };
     }
     
-    init(taskManager) {
+    init(taskManager, boardManager) {
         this.taskManager = taskManager;
+        this.boardManager = boardManager;
         this.setupComponents();
         this.setupEventListeners();
         
@@ -37,6 +39,23 @@ export class UIManager {
             });
         });
         
+        // Board switcher
+        document.getElementById('boardList')?.addEventListener('click', (e) => {
+            this.handleBoardClick(e);
+        });
+        
+        document.getElementById('createBoardBtn')?.addEventListener('click', () => {
+            this.triggerBoardAction('create');
+        });
+        
+        if (this.boardManager) {
+            this.boardManager.on('boardsUpdated', () => this.renderBoardSwitcher());
+            this.boardManager.on('boardChanged', () => {
+                this.clearSelection();
+                this.renderBoardSwitcher();
+            });
+        }
+        
         // Task selection
         document.addEventListener('click', (e) => {
             if (e.target.closest('.task-card')) {
@@ -84,7 +103,7 @@ export class UIManager {
         const priority = link.dataset.priority;
         
         // Update active state
-        document.querySelectorAll('.nav-link').forEach(l => l.classList.remove('active'));
+        document.querySelectorAll('.nav-link:not(.board-link)').forEach(l => l.classList.remove('active'));
         link.classList.add('active');
         
         // Update filter state
@@ -105,6 +124,93 @@ export class UIManager {
         document.dispatchEvent(event);
     }
     
+    // Board Switcher Methods
+    renderBoardSwitcher() {
+        const boardList = document.getElementById('boardList');
+        if (!boardList || !this.boardManager) return;
+        
+        const currentBoardId = this.boardManager.getCurrentBoardId();
+        boardList.innerHTML = '';
+        
+        this.boardManager.getBoards().forEach(board => {
+            const isCurrent = board.id === currentBoardId;
+            const item = document.createElement('li');
+            item.className = 'nav-item board-item';
+            item.innerHTML = `
+                <button class="nav-link board-link ${isCurrent ? 'active' : ''}" data-board-id="${board.id}" aria-current="${isCurrent}">
+                    <div class="status-indicator"></div>
+                    <span class="board-name"></span>
+                    ${board.role && board.role !== 'owner' ? `
+                        <svg class="board-shared-icon" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <title>Shared with you (${board.role})</title>
+                            <path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"></path>
+                            <circle cx="9" cy="7" r="4"></circle>
+                            <path d="M23 21v-2a4 4 0 0 0-3-3.87"></path>
+                            <path d="M16 3.13a4 4 0 0 1 0 7.75"></path>
+                        </svg>
+                    ` : ''}
+                    <span class="task-count">${board.taskCount || 0}</span>
+                </button>
+                <button class="board-edit-btn" data-board-id="${board.id}" aria-label="Edit board">
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M12 20h9"></path>
+                        <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>
+                    </svg>
+                </button>
+            `;
+            
+            // Names and colors are user input, so set them through the DOM
+            item.querySelector('.board-name').textContent = board.name;
+            item.querySelector('.status-indicator').style.background = board.color || 'var(--accent)';
+            
+            boardList.appendChild(item);
+        });
+        
+        this.updateBoardCount();
+        
+        // Hide editing controls on boards shared with us as a viewer
+        document.body.classList.toggle('board-read-only', !this.boardManager.canEditCurrentBoard());
+    }
+    
+    handleBoardClick(e) {
+        const editButton = e.target.closest('.board-edit-btn');
+        if (editButton) {
+            this.triggerBoardAction('edit', editButton.dataset.boardId);
+            return;
+        }
+        
+        const boardLink = e.target.closest('.board-link');
+        if (boardLink && this.boardManager) {
+            this.boardManager.switchBoard(boardLink.dataset.boardId);
+        }
+    }
+    
+    triggerBoardAction(action, boardId = null) {
+        // Dispatch custom event for the modal manager to pick up
+        const event = new CustomEvent('boardAction', {
+            detail: { action, boardId }
+        });
+        
+        document.dispatchEvent(event);
+    }
+    
+    // The current board's count follows local edits; others show the last synced count
+    updateBoardCount() {
+        if (!this.boardManager || !this.taskManager) return;
+        
+        // Tasks of the previous board may still be loaded right after a switch
+        const boardId = this.boardManager.getCurrentBoardId();
+        if (this.taskManager.boardId !== boardId) return;
+        
+        const count = this.taskManager.getTasks().length;
+        this.boardManager.setTaskCount(boardId, count);
+        
+        const countElement = document.querySelector('.board-link.active .task-count');
+        if (countElement) {
+            countElement.textContent = count.toString();
+        }
+    }
+    
     // Task Selection Methods
     handleTaskSelection(e) {
         const taskCard = e.target.closest('.task-card');
@@ -139,6 +245,12 @@ export class UIManager {
         this.updateSelectionUI();
     }
     
+    // Replace the selection, e.g. with the rows picked in the table view
+    setTaskSelection(taskIds) {
+        this.state.selectedTasks = new Set(taskIds);
+        this.updateSelectionUI();
+    }
+    
     updateSelectionUI() {
         // Remove all selection classes
         document.querySelectorAll('.task-card.selected').forEach(card => {
@@ -147,16 +259,40 @@ export class UIManager {
         
         // Add selection classes to selected tasks
         this.state.selectedTasks.forEach(taskId => {
-            const taskCard = document.querySelector(`[data-task-id="${taskId}"]`);
+            const taskCard = document.querySelector(`.task-card[data-task-id="${taskId}"]`);
             if (taskCard) {
                 taskCard.classList.add('selected');
             }
         });
         
+        this.updateTableSelection();
+        
         // Update selection-dependent UI
         this.updateSelectionControls();
     }
     
+    // Table rows show the selection with their checkboxes, and the header box covers all rows
+    updateTableSelection() {
+        const rows = document.querySelectorAll('#taskTableBody .table-row');
+        let selectedRows = 0;
+        
+        rows.forEach(row => {
+            const isSelected = this.state.selectedTasks.has(row.dataset.taskId);
+            row.classList.toggle('selected', isSelected);
+            row.querySelector('.table-row-select').checked = isSelected;
+            
+            if (isSelected) {
+                selectedRows++;
+            }
+        });
+        
+        const selectAll = document.getElementById('tableSelectAll');
+        if (selectAll) {
+            selectAll.checked = selectedRows > 0 && selectedRows === rows.length;
+            selectAll.indeterminate = selectedRows > 0 && selectedRows < rows.length;
+        }
+    }
+    
     updateSelectionControls() {
         const selectedCount = this.state.selectedTasks.size;
         
@@ -171,6 +307,11 @@ export class UIManager {
             selectionCounter.textContent = selectedCount > 0 ? `${selectedCount} selected` : '';
             selectionCounter.style.display = selectedCount > 0 ? 'block' : 'none';
         }
+        
+        const bulkToolbar = document.getElementById('bulkToolbar');
+        if (bulkToolbar) {
+            bulkToolbar.hidden = selectedCount === 0;
+        }
     }
     
     // Count Management
@@ -182,14 +323,11 @@ export class UIManager {
         
         // Status counts
         this.updateCount('allTasksCount', stats.total);
-        this.updateCount('todoTasksCount', stats.byStatus.todo);
-        this.updateCount('inProgressTasksCount', stats.byStatus.inProgress);
-        this.updateCount('doneTasksCount', stats.byStatus.done);
+        Object.entries(stats.byStatus).forEach(([status, count]) => {
+            this.updateCount(`${status}TasksCount`, count);
+        });
         
-        // Column counts
-        this.updateCount('todoColumnCount', stats.byStatus.todo);
-        this.updateCount('inProgressColumnCount', stats.byStatus.inProgress);
-        this.updateCount('doneColumnCount', stats.byStatus.done);
+        // Column counts (and WIP limits) are rendered with the board itself
         
         // Priority counts
         this.updateCount('highPriorityCount', stats.byPriority.high);
@@ -198,6 +336,9 @@ export class UIManager {
         
         // Category counts
         this.updateCategoryCounts(tasks);
+        
+        // Current board count
+        this.updateBoardCount();
     }
     
     updateCount(elementId, count) {
@@ -402,6 +543,25 @@ export class UIManager {
         return this.state.selectedTasks.size;
     }
     
+    // Initials on a color derived from the user id, so a person looks the same everywhere
+    createAvatar(user) {
+        const name = user.displayName || user.username || '?';
+        const initials = name.split(/\s+/).filter(Boolean).slice(0, 2).map(part => part[0]).join('').toUpperCase();
+        
+        let hash = 0;
+        for (const char of user.userId || name) {
+            hash = (hash * 31 + char.charCodeAt(0)) % 360;
+        }
+        
+        const avatar = document.createElement('span');
+        avatar.className = 'assignee-avatar';
+        avatar.textContent = initials;
+        avatar.title = name;
+        avatar.style.backgroundColor = `hsl(${hash}, 55%, 45%)`;
+        
+        return avatar;
+    }
+    
     // Theme Methods
     setTheme(theme) {
         document.documentElement.setAttribute('data-theme', theme);
@@ -9,6 +9,7 @@ export class DragManager {
         this.currentPos = { x: 0, y: 0 };
         this.offset = { x: 0, y: 0 };
         this.rafId = null;
+        this.originalPosition = null;
         
         this.callbacks = {
             onDragStart: null,
@@ -144,6 +145,10 @@ export class DragManager {
         
         // Add drag placeholder to original element
         this.dragElement.classList.add('drag-placeholder');
+        this.originalPosition = {
+            parent: this.dragElement.parentNode,
+            nextSibling: this.dragElement.nextSibling
+        };
         
         // Call start callback
         if (this.callbacks.onDragStart) {
@@ -220,10 +225,55 @@ export class DragManager {
                         this.dragData = { ...this.dragData, ...moveData };
                     }
                 }
+                
+                // Sortable drags move the placeholder to where the item would be dropped
+                if (this.dragData?.sortable && this.dragData.dropList) {
+                    this.movePlaceholder(this.dragData.dropList, this.currentPos.y);
+                }
             });
         }
     }
     
+    // Put the placeholder before the first item whose middle is below the pointer
+    movePlaceholder(list, y) {
+        const items = [...list.querySelectorAll('[data-draggable]')]
+            .filter(item => item !== this.dragElement);
+        
+        const nextItem = items.find(item => {
+            const rect = item.getBoundingClientRect();
+            return y < rect.top + rect.height / 2;
+        }) || null;
+        
+        if (this.dragElement.parentNode !== list || this.dragElement.nextElementSibling !== nextItem) {
+            list.insertBefore(this.dragElement, nextItem);
+        }
+    }
+    
+    // Number of items before the placeholder in the list it was dropped in
+    getDropIndex() {
+        const list = this.dragData?.dropList;
+        if (!this.dragData?.sortable || !list || this.dragElement.parentNode !== list) {
+            return null;
+        }
+        
+        return [...list.querySelectorAll('[data-draggable]')]
+            .filter(item => item !== this.dragElement)
+            .filter(item => item.compareDocumentPosition(this.dragElement) & Node.DOCUMENT_POSITION_FOLLOWING)
+            .length;
+    }
+    
+    // The item goes back where it was; the drop handler re-renders it in its new place
+    restorePlaceholder() {
+        const position = this.originalPosition;
+        this.originalPosition = null;
+        
+        if (!position || !this.dragElement) return;
+        
+        if (this.dragElement.parentNode !== position.parent || this.dragElement.nextSibling !== position.nextSibling) {
+            position.parent.insertBefore(this.dragElement, position.nextSibling);
+        }
+    }
+    
     startRAFLoop() {
         const loop = () => {
             if (this.isDragging) {
@@ -237,6 +287,9 @@ export class DragManager {
     endDrag(e) {
         console.log('Drag ended');
         
+        this.dragData = { ...this.dragData, dropIndex: this.getDropIndex() };
+        this.restorePlaceholder();
+        
         // Call end callback
         if (this.callbacks.onDragEnd) {
             this.callbacks.onDragEnd(this.dragData, this.dragData);
@@ -254,6 +307,8 @@ export class DragManager {
             this.dragElement.classList.remove('drag-placeholder');
         }
         
+        this.restorePlaceholder();
+        
         // Animate clone back to original position
         this.animateCloneCancel();
     }
@@ -33,11 +33,12 @@ export class KeyboardManager {
         this.addShortcut('ctrl+s', 'onSave', 'Save changes');
         this.addShortcut('ctrl+z', 'onUndo', 'Undo last action');
         this.addShortcut('ctrl+shift+z', 'onRedo', 'Redo action');
+        this.addShortcut('ctrl+y', 'onRedo', 'Redo action');
         
-        // Navigation shortcuts
-        this.addShortcut('ctrl+1', () => this.focusColumn('todo'), 'Focus To Do column');
-        this.addShortcut('ctrl+2', () => this.focusColumn('inProgress'), 'Focus In Progress column');
-        this.addShortcut('ctrl+3', () => this.focusColumn('done'), 'Focus Done column');
+        // Navigation shortcuts (columns are user-defined, so address them by position)
+        this.addShortcut('ctrl+1', () => this.focusColumnAt(0), 'Focus first column');
+        this.addShortcut('ctrl+2', () => this.focusColumnAt(1), 'Focus second column');
+        this.addShortcut('ctrl+3', () => this.focusColumnAt(2), 'Focus third column');
         
         // Modal shortcuts
         this.addShortcut('enter', 'onEnter', 'Confirm/Submit', { modal: true });
@@ -50,9 +51,9 @@ export class KeyboardManager {
         
         // Quick filters
         this.addShortcut('alt+1', () => this.quickFilter('all'), 'Show all tasks');
-        this.addShortcut('alt+2', () => this.quickFilter('todo'), 'Show todo tasks');
-        this.addShortcut('alt+3', () => this.quickFilter('inProgress'), 'Show in progress tasks');
-        this.addShortcut('alt+4', () => this.quickFilter('done'), 'Show completed tasks');
+        this.addShortcut('alt+2', () => this.quickFilterAt(0), 'Show first column tasks');
+        this.addShortcut('alt+3', () => this.quickFilterAt(1), 'Show second column tasks');
+        this.addShortcut('alt+4', () => this.quickFilterAt(2), 'Show third column tasks');
     }
     
     addEventListeners() {
@@ -194,8 +195,8 @@ export class KeyboardManager {
     }
     
     isAllowedInInput(key) {
-        // Allow certain shortcuts even in input fields
-        const allowedKeys = ['escape', 'enter', 'tab', 'shift+tab', 'ctrl+s', 'ctrl+z'];
+        // Allow certain shortcuts even in input fields; undo and redo are left to the field itself
+        const allowedKeys = ['escape', 'enter', 'tab', 'shift+tab', 'ctrl+s'];
         return allowedKeys.includes(key);
     }
     
@@ -206,8 +207,15 @@ export class KeyboardManager {
     }
     
     // Focus Management
+    focusColumnAt(index) {
+        const column = document.querySelectorAll('.task-column[data-status]')[index];
+        if (column) {
+            this.focusColumn(column.dataset.status);
+        }
+    }
+    
     focusColumn(status) {
-        const column = document.querySelector(`[data-status="${status}"]`);
+        const column = document.querySelector(`.task-column[data-status="${status}"]`);
         if (column) {
             const firstTask = column.querySelector('.task-card');
             if (firstTask) {
@@ -284,6 +292,13 @@ export class KeyboardManager {
     }
     
     // Quick Actions
+    quickFilterAt(index) {
+        const column = document.querySelectorAll('.task-column[data-status]')[index];
+        if (column) {
+            this.quickFilter(column.dataset.status);
+        }
+    }
+    
     quickFilter(status) {
         // Trigger filter change
         const filterSelect = document.getElementById('statusFilter');
@@ -0,0 +1,323 @@
+// Recurrence rules of repeating tasks, a subset of iCalendar RRULE. The server
+// (server/lib/recurrence.js) follows the same rules when it spawns the next task;
+// this copy parses and describes them and previews the next dates in the task form.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const WEEKDAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const MAX_RULE_LENGTH = 255;
+const MAX_INTERVAL = 999;
+const MAX_COUNT = 1000;
+const MAX_ITERATIONS = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class RecurrenceRule {
+    static get WEEKDAYS() {
+        return WEEKDAYS;
+    }
+    
+    // The zone the rules of this browser follow, so "every Monday" means the user's Monday
+    static getLocalTimeZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+    }
+    
+    // Parse a rule, returning null when the server would not accept it
+    static parse(text) {
+        if (typeof text !== 'string' || !text.trim() || text.length > MAX_RULE_LENGTH) {
+            return null;
+        }
+        
+        const rule = { freq: null, interval: 1, byDay: [], byMonthDay: null, count: null, until: null, tzid: null };
+        const seen = new Set();
+        
+        for (const part of text.trim().replace(/^RRULE:/i, '').split(';')) {
+            const [key, value, extra] = part.split('=');
+            const name = (key || '').trim().toUpperCase();
+            
+            if (!value || extra !== undefined || seen.has(name)) return null;
+            seen.add(name);
+            
+            switch (name) {
+                case 'FREQ':
+                    rule.freq = value.toUpperCase();
+                    if (!FREQUENCIES.includes(rule.freq)) return null;
+                    break;
+                
+                case 'INTERVAL':
+                    rule.interval = RecurrenceRule.parsePositiveInt(value, MAX_INTERVAL);
+                    if (!rule.interval) return null;
+                    break;
+                
+                case 'BYDAY':
+                    rule.byDay = value.toUpperCase().split(',');
+                    if (rule.byDay.some(day => !WEEKDAYS.includes(day))) return null;
+                    rule.byDay = WEEKDAYS.filter(day => rule.byDay.includes(day));
+                    break;
+                
+                case 'BYMONTHDAY': {
+                    const day = /^-?\d+$/.test(value) ? parseInt(value, 10) : 0;
+                    if (day === 0 || day < -31 || day > 31) return null;
+                    rule.byMonthDay = day;
+                    break;
+                }
+                
+                case 'COUNT':
+                    rule.count = RecurrenceRule.parsePositiveInt(value, MAX_COUNT);
+                    if (!rule.count) return null;
+                    break;
+                
+                case 'UNTIL':
+                    if (!/^\d{8}(T\d{6}Z)?$/.test(value)) return null;
+                    rule.until = value;
+                    break;
+                
+                case 'TZID':
+                    if (!RecurrenceRule.isValidTimeZone(value)) return null;
+                    rule.tzid = value;
+                    break;
+                
+                default:
+                    return null;
+            }
+        }
+        
+        if (!rule.freq) return null;
+        if (rule.byDay.length > 0 && rule.freq !== 'WEEKLY') return null;
+        if (rule.byMonthDay !== null && rule.freq !== 'MONTHLY') return null;
+        if (rule.count && rule.until) return null;
+        
+        return rule;
+    }
+    
+    static format(rule) {
+        const parts = [`FREQ=${rule.freq}`];
+        
+        if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+        if (rule.byDay?.length > 0) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+        if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+        if (rule.count) parts.push(`COUNT=${rule.count}`);
+        if (rule.until) parts.push(`UNTIL=${rule.until}`);
+        if (rule.tzid) parts.push(`TZID=${rule.tzid}`);
+        
+        return parts.join(';');
+    }
+    
+    // A short summary, e.g. "Every 2 weeks on Mon, Thu"
+    static describe(text) {
+        const rule = RecurrenceRule.parse(text);
+        if (!rule) return text || '';
+        
+        const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+        const single = { DAILY: 'Daily', WEEKLY: 'Weekly', MONTHLY: 'Monthly', YEARLY: 'Yearly' };
+        let summary = rule.interval === 1 ? single[rule.freq] : `Every ${rule.interval} ${units[rule.freq]}s`;
+        
+        if (rule.byDay.length > 0) {
+            summary += ` on ${rule.byDay.map(day => WEEKDAY_NAMES[WEEKDAYS.indexOf(day)]).join(', ')}`;
+        }
+        
+        if (rule.byMonthDay === -1) {
+            summary += ' on the last day';
+        } else if (rule.byMonthDay < 0) {
+            summary += ` on the ${-rule.byMonthDay}${RecurrenceRule.ordinalSuffix(-rule.byMonthDay)} last day`;
+        } else if (rule.byMonthDay) {
+            summary += ` on day ${rule.byMonthDay}`;
+        }
+        
+        if (rule.count) {
+            summary += rule.count === 1 ? ', last time' : `, ${rule.count} times`;
+        } else if (rule.until) {
+            summary += `, until ${RecurrenceRule.getUntil(rule).toLocaleDateString()}`;
+        }
+        
+        return summary;
+    }
+    
+    // The dates the next tasks of a series will be due, as the server will spawn them
+    static getUpcomingDates(text, dueDate, limit, now = new Date()) {
+        const parsed = RecurrenceRule.parse(text);
+        if (!parsed) return [];
+        
+        const rule = RecurrenceRule.anchorMonthDay(parsed, dueDate || now);
+        
+        const remaining = rule.count ? Math.min(rule.count - 1, limit) : limit;
+        const dates = [];
+        let next = RecurrenceRule.getNextDueDate(rule, dueDate, now);
+        
+        while (next && dates.length < remaining) {
+            dates.push(next);
+            next = RecurrenceRule.getNextOccurrence(rule, next);
+        }
+        
+        return dates;
+    }
+    
+    // A monthly rule without BYMONTHDAY keeps the day of its first date; the server writes
+    // days after the 28th into the rules of the tasks it spawns
+    static anchorMonthDay(rule, date) {
+        if (rule.freq !== 'MONTHLY' || rule.byMonthDay !== null) return rule;
+        
+        const { day } = RecurrenceRule.toWallClock(date, rule.tzid);
+        return day > 28 ? { ...rule, byMonthDay: day } : rule;
+    }
+    
+    // The first occurrence after the finished task's due date (or now) that is still ahead
+    static getNextDueDate(rule, dueDate, now = new Date()) {
+        if (rule.count === 1) return null;
+        
+        let next = RecurrenceRule.getNextOccurrence(rule, dueDate || now);
+        
+        for (let i = 0; next && next <= now && i < MAX_ITERATIONS; i++) {
+            next = RecurrenceRule.getNextOccurrence(rule, next);
+        }
+        
+        return next;
+    }
+    
+    // The first occurrence after a date, or null when the rule has ended.
+    // Months without the wanted day (e.g. the 31st) use their last day.
+    static getNextOccurrence(rule, after) {
+        const start = RecurrenceRule.toWallClock(after, rule.tzid);
+        let next = null;
+        
+        if (rule.freq === 'DAILY') {
+            next = RecurrenceRule.addDays(start, rule.interval);
+        } else if (rule.freq === 'WEEKLY' && rule.byDay.length === 0) {
+            next = RecurrenceRule.addDays(start, 7 * rule.interval);
+        } else if (rule.freq === 'WEEKLY') {
+            const startWeek = RecurrenceRule.dayNumber(start) - RecurrenceRule.weekdayIndex(start);
+            
+            for (let i = 1; i <= 7 * rule.interval + 7 && !next; i++) {
+                const candidate = RecurrenceRule.addDays(start, i);
+                const weekday = RecurrenceRule.weekdayIndex(candidate);
+                const weeks = (RecurrenceRule.dayNumber(candidate) - weekday - startWeek) / 7;
+                
+                if (weeks % rule.interval === 0 && rule.byDay.includes(WEEKDAYS[weekday])) {
+                    next = candidate;
+                }
+            }
+        } else {
+            const step = rule.freq === 'MONTHLY' ? rule.interval : 12 * rule.interval;
+            const wantedDay = rule.byMonthDay || start.day;
+            
+            for (let i = 0; i <= MAX_ITERATIONS && !next; i++) {
+                const monthIndex = start.month + i * step;
+                const year = start.year + Math.floor(monthIndex / 12);
+                const month = ((monthIndex % 12) + 12) % 12;
+                const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+                const day = wantedDay > 0 ? Math.min(wantedDay, lastDay) : Math.max(1, lastDay + wantedDay + 1);
+                const candidate = { ...start, year, month, day };
+                
+                if (RecurrenceRule.fromWallClock(candidate, rule.tzid) > after) {
+                    next = candidate;
+                }
+            }
+        }
+        
+        if (!next) return null;
+        
+        const nextDate = RecurrenceRule.fromWallClock(next, rule.tzid);
+        const until = RecurrenceRule.getUntil(rule);
+        
+        return until && nextDate > until ? null : nextDate;
+    }
+    
+    // The last instant the rule allows; a date without a time covers that whole day
+    static getUntil(rule) {
+        if (!rule.until) return null;
+        
+        const year = parseInt(rule.until.slice(0, 4), 10);
+        const month = parseInt(rule.until.slice(4, 6), 10) - 1;
+        const day = parseInt(rule.until.slice(6, 8), 10);
+        
+        if (rule.until.length === 8) {
+            return RecurrenceRule.fromWallClock({ year, month, day, hour: 23, minute: 59, second: 59 }, rule.tzid);
+        }
+        
+        return new Date(Date.UTC(year, month, day,
+            parseInt(rule.until.slice(9, 11), 10), parseInt(rule.until.slice(11, 13), 10), parseInt(rule.until.slice(13, 15), 10)));
+    }
+    
+    // Calendar fields of an instant in a time zone (UTC without one), months from 0
+    static toWallClock(date, timeZone) {
+        if (!timeZone) {
+            return {
+                year: date.getUTCFullYear(),
+                month: date.getUTCMonth(),
+                day: date.getUTCDate(),
+                hour: date.getUTCHours(),
+                minute: date.getUTCMinutes(),
+                second: date.getUTCSeconds()
+            };
+        }
+        
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }).formatToParts(date).forEach(({ type, value }) => {
+            parts[type] = parseInt(value, 10);
+        });
+        
+        return {
+            year: parts.year,
+            month: parts.month - 1,
+            day: parts.day,
+            hour: parts.hour,
+            minute: parts.minute,
+            second: parts.second
+        };
+    }
+    
+    // The instant a time zone's clock shows the given fields; skipped DST times move forward
+    static fromWallClock(wall, timeZone) {
+        const asUTC = fields => Date.UTC(fields.year, fields.month, fields.day, fields.hour, fields.minute, fields.second);
+        const guess = asUTC(wall);
+        if (!timeZone) return new Date(guess);
+        
+        const offsetAt = time => asUTC(RecurrenceRule.toWallClock(new Date(time), timeZone)) - Math.floor(time / 1000) * 1000;
+        const firstOffset = offsetAt(guess);
+        const secondOffset = offsetAt(guess - firstOffset);
+        
+        return new Date(guess - secondOffset);
+    }
+    
+    static addDays(wall, days) {
+        const date = new Date(Date.UTC(wall.year, wall.month, wall.day + days));
+        return { ...wall, year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() };
+    }
+    
+    static dayNumber(wall) {
+        return Math.floor(Date.UTC(wall.year, wall.month, wall.day) / DAY_MS);
+    }
+    
+    // Weekday counted from Monday, as in WEEKDAYS
+    static weekdayIndex(wall) {
+        return (new Date(Date.UTC(wall.year, wall.month, wall.day)).getUTCDay() + 6) % 7;
+    }
+    
+    static parsePositiveInt(value, max) {
+        if (!/^\d+$/.test(value)) return null;
+        const number = parseInt(value, 10);
+        return number >= 1 && number <= max ? number : null;
+    }
+    
+    static isValidTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    static ordinalSuffix(number) {
+        if (number % 100 >= 11 && number % 100 <= 13) return 'th';
+        return { 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th';
+    }
+}
@@ -1,11 +1,17 @@
 const express = require('express');
 const cors = require('cors');
+const helmet = require('helmet');
 const path = require('path');
 const { Pool } = require('pg');
 require('dotenv').config();
+const { ensureDefaultBoard } = require('./routes/boards');
+const { purgeSyncHistory } = require('./routes/sync');
+const { purgeIdempotencyKeys } = require('./lib/idempotency');
+const { purgeSessions, purgeAuthEvents } = require('./routes/auth');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+const PURGE_INTERVAL = 24 * 60 * 60 * 1000;
 
 // Database connection
 const pool = new Pool({
@@ -13,13 +19,29 @@ const pool = new Pool({
     ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
+// Behind a reverse proxy, the number of proxies (or their addresses) to trust for the
+// client IP that rate limits and sessions see
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Middleware
-app.use(cors());
+// Security headers; plain HTTP stays usable outside production
+app.use(helmet({
+    contentSecurityPolicy: {
+        directives: {
+            upgradeInsecureRequests: process.env.NODE_ENV === 'production' ? [] : null
+        }
+    }
+}));
+// Retry-After must be readable by the client for rate-limited requests
+app.use(cors({ exposedHeaders: ['Retry-After'] }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Static files (for production)
-app.use(express.static(path.join(__dirname, '../')));
+// Static files (for production): only the frontend, never the server code or its uploads
+app.use('/js', express.static(path.join(__dirname, '../js')));
+app.use('/styles', express.static(path.join(__dirname, '../styles')));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -42,7 +64,14 @@ app.get('/info', (req, res) => {
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/tasks', require('./routes/comments'));
+app.use('/api/tasks', require('./routes/dependencies'));
 app.use('/api/tasks', require('./routes/tasks'));
+app.use('/api/boards', require('./routes/boards'));
+app.use('/api/columns', require('./routes/columns'));
+app.use('/api/labels', require('./routes/labels'));
+app.use('/api/events', require('./routes/events'));
+app.use('/api', require('./routes/attachments'));
 app.use('/api', require('./routes/sync'));
 
 // Error handling middleware
@@ -84,29 +113,353 @@ async function initDatabase() {
             )
         `);
         
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS boards (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                name TEXT NOT NULL,
+                description TEXT,
+                color VARCHAR(7),
+                position INTEGER NOT NULL DEFAULT 0,
+                created_at TIMESTAMP DEFAULT now(),
+                updated_at TIMESTAMP DEFAULT now()
+            )
+        `);
+        
+        // Board owners share a board by adding members as editors or viewers
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS board_members (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                board_id UUID NOT NULL REFERENCES boards(id) ON DELETE CASCADE,
+                user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                role VARCHAR(10) NOT NULL DEFAULT 'editor' CHECK (role IN ('owner', 'editor', 'viewer')),
+                invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP DEFAULT now(),
+                updated_at TIMESTAMP DEFAULT now(),
+                UNIQUE(board_id, user_id)
+            )
+        `);
+        
+        // Boards created before sharing existed are owned by their creator
+        await client.query(`
+            INSERT INTO board_members (board_id, user_id, role)
+            SELECT id, user_id, 'owner' FROM boards
+            ON CONFLICT (board_id, user_id) DO NOTHING
+        `);
+        
         await client.query(`
             CREATE TABLE IF NOT EXISTS tasks (
                 id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
                 user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+                board_id UUID REFERENCES boards(id) ON DELETE CASCADE,
                 title TEXT NOT NULL,
                 description TEXT,
                 category TEXT,
                 priority VARCHAR(10) DEFAULT 'Medium' CHECK (priority IN ('Low', 'Medium', 'High')),
-                status VARCHAR(20) DEFAULT 'todo' CHECK (status IN ('todo', 'inProgress', 'done')),
+                status VARCHAR(20) DEFAULT 'todo',
                 due_date TIMESTAMP,
                 created_at TIMESTAMP DEFAULT now(),
                 updated_at TIMESTAMP DEFAULT now()
             )
         `);
         
+        // Statuses are defined per user by board_columns, not a fixed list
+        await client.query(`
+            ALTER TABLE tasks DROP CONSTRAINT IF EXISTS tasks_status_check
+        `);
+        
+        // Tasks created before boards existed are adopted by the user's default board
+        await client.query(`
+            ALTER TABLE tasks ADD COLUMN IF NOT EXISTS board_id UUID REFERENCES boards(id) ON DELETE CASCADE
+        `);
+        
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS board_columns (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                board_id UUID REFERENCES boards(id) ON DELETE CASCADE,
+                key VARCHAR(20) NOT NULL,
+                name TEXT NOT NULL,
+                position INTEGER NOT NULL DEFAULT 0,
+                color VARCHAR(7),
+                wip_limit INTEGER CHECK (wip_limit IS NULL OR wip_limit > 0),
+                created_at TIMESTAMP DEFAULT now(),
+                updated_at TIMESTAMP DEFAULT now()
+            )
+        `);
+        
+        // Columns used to be per user; they are now per board
+        await client.query(`
+            ALTER TABLE board_columns ADD COLUMN IF NOT EXISTS board_id UUID REFERENCES boards(id) ON DELETE CASCADE;
+            ALTER TABLE board_columns DROP CONSTRAINT IF EXISTS board_columns_user_id_key_key;
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_board_columns_board_key ON board_columns(board_id, key);
+        `);
+        
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS task_checklist_items (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+                title TEXT NOT NULL,
+                completed BOOLEAN NOT NULL DEFAULT false,
+                position INTEGER NOT NULL DEFAULT 0,
+                created_at TIMESTAMP DEFAULT now(),
+                updated_at TIMESTAMP DEFAULT now()
+            )
+        `);
+        
+        // Users responsible for a task; only members of the task's board are assigned
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS task_assignees (
+                task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+                user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                assigned_at TIMESTAMP DEFAULT now(),
+                PRIMARY KEY (task_id, user_id)
+            )
+        `);
+        
+        // Append-only log of task changes per board; its id is the cursor for delta sync
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS task_changes (
+                id BIGSERIAL PRIMARY KEY,
+                board_id UUID NOT NULL REFERENCES boards(id) ON DELETE CASCADE,
+                task_id UUID NOT NULL,
+                operation VARCHAR(10) NOT NULL CHECK (operation IN ('upsert', 'delete')),
+                user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP DEFAULT now()
+            )
+        `);
+        
+        // Deleted tasks are kept as tombstones so sync can tell a deletion from a
+        // task the other side has not seen yet; the purge job removes them later
+        await client.query(`
+            ALTER TABLE tasks ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP
+        `);
+        
+        // Manual order of cards within a column; ranks compare byte by byte.
+        // Cards from before ranks existed are ranked by creation time.
+        await client.query(`
+            ALTER TABLE tasks ADD COLUMN IF NOT EXISTS rank VARCHAR(255) COLLATE "C"
+        `);
+        await client.query(`
+            UPDATE tasks t SET rank = ranked.rank
+            FROM (
+                SELECT id, lpad(row_number() OVER (PARTITION BY board_id, status ORDER BY created_at, id)::text, 8, '0') || 'i' AS rank
+                FROM tasks WHERE rank IS NULL
+            ) ranked
+            WHERE t.id = ranked.id
+        `);
+        
+        // Repeat rule of a recurring task (RRULE subset, see lib/recurrence.js)
+        await client.query(`
+            ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence VARCHAR(255)
+        `);
+        
+        // Newest change log entry purged per board; older cursors need a fresh snapshot
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS board_sync_state (
+                board_id UUID PRIMARY KEY REFERENCES boards(id) ON DELETE CASCADE,
+                purged_through BIGINT NOT NULL DEFAULT 0
+            )
+        `);
+        
+        // Files attached to tasks; the files themselves are kept in the attachment store
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS task_attachments (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+                user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+                filename VARCHAR(255) NOT NULL,
+                content_type VARCHAR(100) NOT NULL,
+                size INTEGER NOT NULL,
+                storage_key TEXT NOT NULL,
+                created_at TIMESTAMP DEFAULT now()
+            )
+        `);
+        
+        // Discussion on tasks; comments outlive their author's account
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS task_comments (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+                user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+                body TEXT NOT NULL,
+                created_at TIMESTAMP DEFAULT now(),
+                updated_at TIMESTAMP DEFAULT now()
+            )
+        `);
+        
+        // Who changed which task field when; kept until the task itself is purged
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS task_activity (
+                id BIGSERIAL PRIMARY KEY,
+                task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+                board_id UUID NOT NULL REFERENCES boards(id) ON DELETE CASCADE,
+                user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+                action VARCHAR(10) NOT NULL CHECK (action IN ('created', 'updated', 'deleted', 'restored')),
+                field VARCHAR(20),
+                old_value JSONB,
+                new_value JSONB,
+                created_at TIMESTAMP DEFAULT now()
+            )
+        `);
+        
+        // Deleted tasks can be restored, which is recorded as well
+        await client.query(`
+            ALTER TABLE task_activity DROP CONSTRAINT IF EXISTS task_activity_action_check;
+            ALTER TABLE task_activity ADD CONSTRAINT task_activity_action_check
+                CHECK (action IN ('created', 'updated', 'deleted', 'restored'))
+        `);
+        
+        // "Blocked by" relations between tasks of the same board; the routes keep them acyclic
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS task_dependencies (
+                task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+                blocker_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+                user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP DEFAULT now(),
+                PRIMARY KEY (task_id, blocker_id),
+                CHECK (task_id <> blocker_id)
+            )
+        `);
+        
+        // Colored labels of a board; a task can carry any number of them
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS labels (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                board_id UUID NOT NULL REFERENCES boards(id) ON DELETE CASCADE,
+                user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+                name VARCHAR(50) NOT NULL,
+                color VARCHAR(7) NOT NULL,
+                created_at TIMESTAMP DEFAULT now(),
+                updated_at TIMESTAMP DEFAULT now()
+            )
+        `);
+        
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS task_labels (
+                task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+                label_id UUID NOT NULL REFERENCES labels(id) ON DELETE CASCADE,
+                PRIMARY KEY (task_id, label_id)
+            )
+        `);
+        
+        // Boards may refuse moving a task to done while its blockers are open
+        await client.query(`
+            ALTER TABLE boards ADD COLUMN IF NOT EXISTS enforce_dependencies BOOLEAN NOT NULL DEFAULT false
+        `);
+        
+        // Responses to mutations sent with an Idempotency-Key, replayed when the client retries
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS idempotency_keys (
+                user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                key VARCHAR(100) NOT NULL,
+                method VARCHAR(10) NOT NULL,
+                path TEXT NOT NULL,
+                status INTEGER,
+                response JSONB,
+                created_at TIMESTAMP DEFAULT now(),
+                PRIMARY KEY (user_id, key)
+            )
+        `);
+        
+        // Optional two-factor authentication: an encrypted TOTP secret, the last time step
+        // accepted (so a code cannot be replayed) and single-use recovery codes
+        await client.query(`
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP;
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT;
+        `);
+        
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS user_recovery_codes (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                code_hash CHAR(64) NOT NULL,
+                used_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT now()
+            )
+        `);
+        
+        // Failed logins in a row and the lockout they led to
+        await client.query(`
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0;
+            ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+        `);
+        
+        // Audit log of login attempts, kept for 90 days; rows outlive deleted users
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS auth_events (
+                id BIGSERIAL PRIMARY KEY,
+                user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+                username VARCHAR(100),
+                event VARCHAR(30) NOT NULL,
+                ip_address VARCHAR(45),
+                user_agent TEXT,
+                created_at TIMESTAMP DEFAULT now()
+            )
+        `);
+        
+        // Logins, one per device, listed so users can sign devices out
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS user_sessions (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                user_agent TEXT,
+                ip_address VARCHAR(45),
+                created_at TIMESTAMP DEFAULT now(),
+                last_seen_at TIMESTAMP DEFAULT now(),
+                expires_at TIMESTAMP NOT NULL,
+                revoked_at TIMESTAMP
+            )
+        `);
+        
+        // Rotating refresh tokens, stored by hash; one family per session
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS refresh_tokens (
+                id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                family_id UUID NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+                token_hash CHAR(64) NOT NULL UNIQUE,
+                expires_at TIMESTAMP NOT NULL,
+                rotated_at TIMESTAMP,
+                revoked_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT now()
+            )
+        `);
+        
         // Create indexes for better performance
         await client.query(`
             CREATE INDEX IF NOT EXISTS idx_tasks_user_id ON tasks(user_id);
+            CREATE INDEX IF NOT EXISTS idx_tasks_board_id ON tasks(board_id);
             CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
             CREATE INDEX IF NOT EXISTS idx_tasks_priority ON tasks(priority);
             CREATE INDEX IF NOT EXISTS idx_tasks_created_at ON tasks(created_at);
             CREATE INDEX IF NOT EXISTS idx_tasks_updated_at ON tasks(updated_at);
             CREATE INDEX IF NOT EXISTS idx_tasks_due_date ON tasks(due_date);
+            CREATE INDEX IF NOT EXISTS idx_checklist_items_task_id ON task_checklist_items(task_id, position);
+            CREATE INDEX IF NOT EXISTS idx_boards_user_id ON boards(user_id, position);
+            CREATE INDEX IF NOT EXISTS idx_board_columns_board_id ON board_columns(board_id, position);
+            CREATE INDEX IF NOT EXISTS idx_board_members_user_id ON board_members(user_id);
+            CREATE INDEX IF NOT EXISTS idx_task_assignees_user_id ON task_assignees(user_id);
+            CREATE INDEX IF NOT EXISTS idx_task_changes_board_id ON task_changes(board_id, id);
+            CREATE INDEX IF NOT EXISTS idx_task_changes_created_at ON task_changes(created_at);
+            CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks(deleted_at) WHERE deleted_at IS NOT NULL;
+            CREATE INDEX IF NOT EXISTS idx_tasks_rank ON tasks(board_id, status, rank);
+            CREATE INDEX IF NOT EXISTS idx_task_attachments_task_id ON task_attachments(task_id, created_at);
+            CREATE INDEX IF NOT EXISTS idx_task_comments_task_id ON task_comments(task_id, created_at);
+            CREATE INDEX IF NOT EXISTS idx_task_activity_task_id ON task_activity(task_id, id);
+            CREATE INDEX IF NOT EXISTS idx_task_dependencies_blocker_id ON task_dependencies(blocker_id);
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_labels_board_name ON labels(board_id, lower(name));
+            CREATE INDEX IF NOT EXISTS idx_task_labels_label_id ON task_labels(label_id);
+            CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys(created_at);
+            CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+            CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+            CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires_at ON refresh_tokens(expires_at);
+            CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id, last_seen_at);
+            CREATE INDEX IF NOT EXISTS idx_user_sessions_expires_at ON user_sessions(expires_at);
+            CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_id ON user_recovery_codes(user_id);
+            CREATE INDEX IF NOT EXISTS idx_auth_events_user_id ON auth_events(user_id, created_at);
+            CREATE INDEX IF NOT EXISTS idx_auth_events_created_at ON auth_events(created_at);
         `);
         
         // Create demo user and tasks for development
@@ -161,6 +514,8 @@ async function createDemoData(client) {
         );
         
         if (parseInt(taskCount.rows[0].count) === 0) {
+            const boardId = await ensureDefaultBoard(client, userId);
+            
             // Create demo tasks
             const demoTasks = [
                 {
@@ -211,9 +566,9 @@ async function createDemoData(client) {
             
             for (const task of demoTasks) {
                 await client.query(
-                    `INSERT INTO tasks (user_id, title, description, category, priority, status, due_date)
-                     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-                    [userId, task.title, task.description, task.category, task.priority, task.status, task.due_date]
+                    `INSERT INTO tasks (user_id, board_id, title, description, category, priority, status, due_date)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+                    [userId, boardId, task.title, task.description, task.category, task.priority, task.status, task.due_date]
                 );
             }
             
@@ -225,6 +580,23 @@ async function createDemoData(client) {
     }
 }
 
+// Remove tombstones, change log entries, idempotent responses, sessions and login audit
+// entries past their retention period
+async function purgeExpiredSyncHistory() {
+    try {
+        const purged = await purgeSyncHistory(pool);
+        const purgedKeys = await purgeIdempotencyKeys(pool);
+        const purgedSessions = await purgeSessions(pool);
+        const purgedAuthEvents = await purgeAuthEvents(pool);
+        
+        if (purged.tasks > 0 || purged.changes > 0 || purgedKeys > 0 || purgedSessions.sessions > 0 || purgedSessions.tokens > 0 || purgedAuthEvents > 0) {
+            console.log(`Purged ${purged.tasks} deleted tasks, ${purged.changes} change log entries, ${purgedKeys} idempotency keys, ${purgedSessions.sessions} sessions, ${purgedSessions.tokens} refresh tokens and ${purgedAuthEvents} login audit entries`);
+        }
+    } catch (error) {
+        console.error('Sync history purge failed:', error);
+    }
+}
+
 // Graceful shutdown
 process.on('SIGINT', async () => {
     console.log('\nReceived SIGINT, shutting down gracefully...');
@@ -256,6 +628,9 @@ process.on('SIGTERM', async () => {
 async function startServer() {
     await initDatabase();
     
+    purgeExpiredSyncHistory();
+    setInterval(purgeExpiredSyncHistory, PURGE_INTERVAL).unref();
+    
     app.listen(PORT, () => {
         console.log(`TaskFlow server running on port ${PORT}`);
         console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -268,7 +643,7 @@ async function startServer() {
 }
 
 // Export for testing
-module.exports = { app, pool };
+module.exports = { app, pool, initDatabase };
 
 // Start server if this file is run directly
 if (require.main === module) {
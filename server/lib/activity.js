@@ -0,0 +1,118 @@
+// Task activity history: one row per created, deleted or restored task and per changed field,
+// written in the same transaction as the change itself
+
+// Fields whose changes are recorded. Rank is left out: reordering cards would bury the
+// changes people ask about, and a move to another column shows up as a status change.
+const ACTIVITY_FIELDS = ['title', 'description', 'category', 'priority', 'status', 'dueDate', 'recurrence', 'checklist', 'assignees', 'labels', 'blockedBy'];
+
+const DEFAULT_HISTORY_LIMIT = 100;
+const MAX_HISTORY_LIMIT = 500;
+
+// The value of a field as it is stored in the history, so equal values compare equal
+function activityValue(task, field) {
+    const value = task[field];
+    
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    
+    if (field === 'dueDate') {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+    
+    if (field === 'checklist') {
+        return value.map(item => ({ title: item.title, completed: Boolean(item.completed) }));
+    }
+    
+    if (field === 'assignees') {
+        return value
+            .map(({ userId, username, displayName }) => ({ userId, username, displayName }))
+            .sort((a, b) => a.userId.localeCompare(b.userId));
+    }
+    
+    if (field === 'labels' || field === 'blockedBy') {
+        return value.length > 0 ? [...value].sort() : null;
+    }
+    
+    return value;
+}
+
+async function insertActivity(db, userId, boardId, taskId, action, field = null, oldValue = null, newValue = null) {
+    await db.query(
+        `INSERT INTO task_activity (task_id, board_id, user_id, action, field, old_value, new_value)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+            taskId,
+            boardId,
+            userId,
+            action,
+            field,
+            oldValue === null ? null : JSON.stringify(oldValue),
+            newValue === null ? null : JSON.stringify(newValue)
+        ]
+    );
+}
+
+async function recordTaskCreated(db, userId, task) {
+    await insertActivity(db, userId, task.boardId, task.id, 'created');
+}
+
+// Record each field that differs between two formatted versions of a task. Fields missing
+// from either version (e.g. a checklist that was not loaded) are not compared.
+async function recordTaskUpdated(db, userId, previousTask, task) {
+    for (const field of ACTIVITY_FIELDS) {
+        if (previousTask[field] === undefined || task[field] === undefined) continue;
+        
+        const oldValue = activityValue(previousTask, field);
+        const newValue = activityValue(task, field);
+        
+        if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+            await insertActivity(db, userId, task.boardId, task.id, 'updated', field, oldValue, newValue);
+        }
+    }
+}
+
+async function recordTasksDeleted(db, userId, boardId, taskIds) {
+    for (const taskId of taskIds) {
+        await insertActivity(db, userId, boardId, taskId, 'deleted');
+    }
+}
+
+async function recordTaskRestored(db, userId, task) {
+    await insertActivity(db, userId, task.boardId, task.id, 'restored');
+}
+
+function formatActivity(row) {
+    return {
+        id: row.id,
+        taskId: row.task_id,
+        action: row.action,
+        field: row.field,
+        oldValue: row.old_value,
+        newValue: row.new_value,
+        user: row.user_id ? {
+            userId: row.user_id,
+            username: row.username,
+            displayName: row.display_name
+        } : null,
+        createdAt: row.created_at
+    };
+}
+
+// A task's history, newest first; pass the id of the oldest entry already shown to page back
+async function getTaskHistory(db, taskId, { before = null, limit = DEFAULT_HISTORY_LIMIT } = {}) {
+    const result = await db.query(
+        `SELECT a.*, u.username, u.display_name
+         FROM task_activity a
+         LEFT JOIN users u ON u.id = a.user_id
+         WHERE a.task_id = $1 AND ($2::bigint IS NULL OR a.id < $2)
+         ORDER BY a.id DESC
+         LIMIT $3`,
+        [taskId, before, Math.min(Math.max(limit, 1), MAX_HISTORY_LIMIT)]
+    );
+    
+    return result.rows.map(formatActivity);
+}
+
+module.exports = { recordTaskCreated, recordTaskUpdated, recordTasksDeleted, recordTaskRestored, getTaskHistory };
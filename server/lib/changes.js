@@ -0,0 +1,24 @@
+// Per-board change log of task upserts and deletes, which delta sync reads by cursor.
+// Written in the same transaction as the change itself.
+
+// Append task changes to the board's change log.
+// The advisory lock serializes writers per board until they commit, so a reader
+// never sees a later cursor before an earlier one and skips a change.
+async function recordTaskChanges(db, boardId, taskIds, operation, userId = null) {
+    if (taskIds.length === 0) return;
+    
+    await db.query(
+        `WITH board_lock AS (SELECT pg_advisory_xact_lock(hashtext($1::text)))
+         INSERT INTO task_changes (board_id, task_id, operation, user_id)
+         SELECT $1::uuid, task_id, $3, $4 FROM board_lock, unnest($2::uuid[]) AS task_id`,
+        [boardId, taskIds, operation, userId]
+    );
+}
+
+// Take the lock recordTaskChanges takes, earlier in the transaction, for writes that depend on
+// the board's current state (e.g. the rank of the last card of a column)
+async function lockBoardChanges(db, boardId) {
+    await db.query('SELECT pg_advisory_xact_lock(hashtext($1::text))', [boardId]);
+}
+
+module.exports = { recordTaskChanges, lockBoardChanges };
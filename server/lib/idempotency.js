@@ -0,0 +1,105 @@
+const { Pool } = require('pg');
+
+// Database pool
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL || 'postgresql://localhost/taskflow_db',
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const MAX_KEY_LENGTH = 100;
+const IDEMPOTENCY_RETENTION_HOURS = 48;
+
+// Answer a retried mutation with the response stored for its Idempotency-Key instead
+// of applying it again. Runs after authenticateToken, since keys are scoped per user.
+// Requests without the header are handled as before.
+async function handleIdempotencyKey(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (!key || !MUTATING_METHODS.includes(req.method)) {
+        return next();
+    }
+    
+    if (key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+            message: '幂等键过长'
+        });
+    }
+    
+    try {
+        const { userId } = req.user;
+        const path = req.originalUrl;
+        
+        const claim = await pool.query(
+            `INSERT INTO idempotency_keys (user_id, key, method, path)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (user_id, key) DO NOTHING
+             RETURNING key`,
+            [userId, key, req.method, path]
+        );
+        
+        if (claim.rows.length === 0) {
+            const existing = await pool.query(
+                'SELECT method, path, status, response FROM idempotency_keys WHERE user_id = $1 AND key = $2',
+                [userId, key]
+            );
+            const stored = existing.rows[0];
+            
+            // Removed by the purge between the two queries; the client will retry
+            if (!stored) {
+                return res.status(409).json({
+                    message: '请求正在处理中，请稍后重试'
+                });
+            }
+            
+            if (stored.method !== req.method || stored.path !== path) {
+                return res.status(422).json({
+                    message: '幂等键已用于其他请求'
+                });
+            }
+            
+            if (stored.status === null) {
+                return res.status(409).json({
+                    message: '请求正在处理中，请稍后重试'
+                });
+            }
+            
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(stored.status).json(stored.response);
+        }
+        
+        // Keep the response for retries; a server error releases the key so a retry runs again
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            const release = res.statusCode >= 500
+                ? pool.query('DELETE FROM idempotency_keys WHERE user_id = $1 AND key = $2', [userId, key])
+                : pool.query(
+                    'UPDATE idempotency_keys SET status = $3, response = $4 WHERE user_id = $1 AND key = $2',
+                    [userId, key, res.statusCode, JSON.stringify(body === undefined ? null : body)]
+                );
+            
+            release.catch(error => console.error('Save idempotent response error:', error));
+            
+            return json(body);
+        };
+        
+        next();
+        
+    } catch (error) {
+        console.error('Idempotency key error:', error);
+        res.status(500).json({
+            message: '处理幂等键时发生内部服务器错误'
+        });
+    }
+}
+
+// Remove stored responses once no client would still retry them
+async function purgeIdempotencyKeys(db, retentionHours = IDEMPOTENCY_RETENTION_HOURS) {
+    const result = await db.query(
+        'DELETE FROM idempotency_keys WHERE created_at < now() - make_interval(hours => $1)',
+        [retentionHours]
+    );
+    
+    return result.rowCount;
+}
+
+module.exports = { handleIdempotencyKey, purgeIdempotencyKeys };
@@ -0,0 +1,288 @@
+// Recurrence rules for repeating tasks, a subset of iCalendar RRULE:
+//   FREQ=DAILY|WEEKLY|MONTHLY|YEARLY (required), INTERVAL=n, BYDAY=MO,TU,... (weekly),
+//   BYMONTHDAY=n (monthly; negative counts from the end), COUNT=n or UNTIL=YYYYMMDD[THHMMSSZ],
+//   and TZID=<IANA zone>, the zone whose calendar the rule follows (UTC when missing).
+// The client keeps a copy of this logic in js/utils/RecurrenceRule.js for its preview.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const MAX_RULE_LENGTH = 255;
+const MAX_INTERVAL = 999;
+const MAX_COUNT = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bound on candidates tried, so a rule that never matches cannot loop forever
+const MAX_ITERATIONS = 1000;
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function parsePositiveInt(value, max) {
+    if (!/^\d+$/.test(value)) return null;
+    const number = parseInt(value, 10);
+    return number >= 1 && number <= max ? number : null;
+}
+
+// Parse a rule, returning null when it is not one we can follow
+function parseRecurrence(text) {
+    if (typeof text !== 'string' || !text.trim() || text.length > MAX_RULE_LENGTH) {
+        return null;
+    }
+    
+    const rule = { freq: null, interval: 1, byDay: [], byMonthDay: null, count: null, until: null, tzid: null };
+    const seen = new Set();
+    
+    for (const part of text.trim().replace(/^RRULE:/i, '').split(';')) {
+        const [key, value, extra] = part.split('=');
+        const name = (key || '').trim().toUpperCase();
+        
+        if (!value || extra !== undefined || seen.has(name)) return null;
+        seen.add(name);
+        
+        switch (name) {
+            case 'FREQ':
+                rule.freq = value.toUpperCase();
+                if (!FREQUENCIES.includes(rule.freq)) return null;
+                break;
+            
+            case 'INTERVAL':
+                rule.interval = parsePositiveInt(value, MAX_INTERVAL);
+                if (!rule.interval) return null;
+                break;
+            
+            case 'BYDAY':
+                rule.byDay = value.toUpperCase().split(',');
+                if (rule.byDay.some(day => !WEEKDAYS.includes(day))) return null;
+                rule.byDay = WEEKDAYS.filter(day => rule.byDay.includes(day));
+                break;
+            
+            case 'BYMONTHDAY': {
+                const day = /^-?\d+$/.test(value) ? parseInt(value, 10) : 0;
+                if (day === 0 || day < -31 || day > 31) return null;
+                rule.byMonthDay = day;
+                break;
+            }
+            
+            case 'COUNT':
+                rule.count = parsePositiveInt(value, MAX_COUNT);
+                if (!rule.count) return null;
+                break;
+            
+            case 'UNTIL':
+                if (!/^\d{8}(T\d{6}Z)?$/.test(value)) return null;
+                rule.until = value;
+                break;
+            
+            case 'TZID':
+                if (!isValidTimeZone(value)) return null;
+                rule.tzid = value;
+                break;
+            
+            default:
+                return null;
+        }
+    }
+    
+    if (!rule.freq) return null;
+    if (rule.byDay.length > 0 && rule.freq !== 'WEEKLY') return null;
+    if (rule.byMonthDay !== null && rule.freq !== 'MONTHLY') return null;
+    if (rule.count && rule.until) return null;
+    
+    return rule;
+}
+
+// The canonical text of a parsed rule, as stored on tasks
+function formatRecurrence(rule) {
+    const parts = [`FREQ=${rule.freq}`];
+    
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byDay.length > 0) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+    if (rule.byMonthDay !== null) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    if (rule.until) parts.push(`UNTIL=${rule.until}`);
+    if (rule.tzid) parts.push(`TZID=${rule.tzid}`);
+    
+    return parts.join(';');
+}
+
+// Normalize a rule sent by a client: null to clear it, undefined if it is invalid
+function normalizeRecurrence(text) {
+    if (text === null || text === '') return null;
+    
+    const rule = parseRecurrence(text);
+    return rule ? formatRecurrence(rule) : undefined;
+}
+
+// Calendar fields of an instant in a time zone (months from 0, like Date)
+function toWallClock(date, timeZone) {
+    if (!timeZone) {
+        return {
+            year: date.getUTCFullYear(),
+            month: date.getUTCMonth(),
+            day: date.getUTCDate(),
+            hour: date.getUTCHours(),
+            minute: date.getUTCMinutes(),
+            second: date.getUTCSeconds()
+        };
+    }
+    
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = parseInt(value, 10);
+    });
+    
+    return {
+        year: parts.year,
+        month: parts.month - 1,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second
+    };
+}
+
+function wallClockAsUTC(wall) {
+    return Date.UTC(wall.year, wall.month, wall.day, wall.hour, wall.minute, wall.second);
+}
+
+// The instant at which a time zone's clock shows the given fields. Across a DST change
+// the offset on either side is tried, so skipped times move forward by the gap.
+function fromWallClock(wall, timeZone) {
+    const guess = wallClockAsUTC(wall);
+    if (!timeZone) return new Date(guess);
+    
+    const offsetAt = time => wallClockAsUTC(toWallClock(new Date(time), timeZone)) - Math.floor(time / 1000) * 1000;
+    const firstOffset = offsetAt(guess);
+    const secondOffset = offsetAt(guess - firstOffset);
+    
+    return new Date(guess - secondOffset);
+}
+
+// Move a wall-clock date by whole days, keeping the time of day
+function addDays(wall, days) {
+    const date = new Date(Date.UTC(wall.year, wall.month, wall.day + days));
+    return { ...wall, year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() };
+}
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// Days since the epoch of a wall-clock date, and its weekday counted from Monday
+function dayNumber(wall) {
+    return Math.floor(Date.UTC(wall.year, wall.month, wall.day) / DAY_MS);
+}
+
+function weekdayIndex(wall) {
+    return (new Date(Date.UTC(wall.year, wall.month, wall.day)).getUTCDay() + 6) % 7;
+}
+
+// The last instant the rule allows; a date without a time covers that whole day
+function getUntil(rule) {
+    if (!rule.until) return null;
+    
+    const year = parseInt(rule.until.slice(0, 4), 10);
+    const month = parseInt(rule.until.slice(4, 6), 10) - 1;
+    const day = parseInt(rule.until.slice(6, 8), 10);
+    
+    if (rule.until.length === 8) {
+        return fromWallClock({ year, month, day, hour: 23, minute: 59, second: 59 }, rule.tzid);
+    }
+    
+    return new Date(Date.UTC(year, month, day,
+        parseInt(rule.until.slice(9, 11), 10), parseInt(rule.until.slice(11, 13), 10), parseInt(rule.until.slice(13, 15), 10)));
+}
+
+// The first occurrence after the given date, or null when the rule has ended. Months
+// without the wanted day (e.g. the 31st) use their last day.
+function getNextOccurrence(rule, after) {
+    const start = toWallClock(after, rule.tzid);
+    let next = null;
+    
+    if (rule.freq === 'DAILY') {
+        next = addDays(start, rule.interval);
+    } else if (rule.freq === 'WEEKLY' && rule.byDay.length === 0) {
+        next = addDays(start, 7 * rule.interval);
+    } else if (rule.freq === 'WEEKLY') {
+        const startWeek = dayNumber(start) - weekdayIndex(start);
+        
+        for (let i = 1; i <= 7 * rule.interval + 7 && !next; i++) {
+            const candidate = addDays(start, i);
+            const weeks = (dayNumber(candidate) - weekdayIndex(candidate) - startWeek) / 7;
+            
+            if (weeks % rule.interval === 0 && rule.byDay.includes(WEEKDAYS[weekdayIndex(candidate)])) {
+                next = candidate;
+            }
+        }
+    } else {
+        const step = rule.freq === 'MONTHLY' ? rule.interval : 12 * rule.interval;
+        const wantedDay = rule.byMonthDay || start.day;
+        
+        for (let i = 0; i <= MAX_ITERATIONS && !next; i++) {
+            const monthIndex = start.month + i * step;
+            const year = start.year + Math.floor(monthIndex / 12);
+            const month = ((monthIndex % 12) + 12) % 12;
+            const lastDay = daysInMonth(year, month);
+            const day = wantedDay > 0 ? Math.min(wantedDay, lastDay) : Math.max(1, lastDay + wantedDay + 1);
+            const candidate = { ...start, year, month, day };
+            
+            if (fromWallClock(candidate, rule.tzid) > after) {
+                next = candidate;
+            }
+        }
+    }
+    
+    if (!next) return null;
+    
+    const nextDate = fromWallClock(next, rule.tzid);
+    const until = getUntil(rule);
+    
+    return until && nextDate > until ? null : nextDate;
+}
+
+// Where the next task of a series is due: the first occurrence after the finished task's
+// due date (or now, if it had none) that is still ahead, so a late task does not spawn
+// one that is overdue already. Returns null when the series is over.
+function getNextDueDate(rule, dueDate, now = new Date()) {
+    if (rule.count === 1) return null;
+    
+    let next = getNextOccurrence(rule, dueDate || now);
+    
+    for (let i = 0; next && next <= now && i < MAX_ITERATIONS; i++) {
+        next = getNextOccurrence(rule, next);
+    }
+    
+    return next;
+}
+
+// A monthly rule without BYMONTHDAY repeats on the day of its first date. Days after the
+// 28th are written into the rule: the next task falls on a short month's last day, and
+// counting on from that would keep the series on the 28th for good.
+function anchorMonthDay(rule, date) {
+    if (rule.freq !== 'MONTHLY' || rule.byMonthDay !== null) return rule;
+    
+    const { day } = toWallClock(date, rule.tzid);
+    return day > 28 ? { ...rule, byMonthDay: day } : rule;
+}
+
+// The rule of the next task in a series, with one occurrence fewer left
+function getNextRule(rule) {
+    return formatRecurrence({ ...rule, count: rule.count ? rule.count - 1 : null });
+}
+
+module.exports = { parseRecurrence, formatRecurrence, normalizeRecurrence, getNextOccurrence, getNextDueDate, getNextRule, anchorMonthDay };
@@ -0,0 +1,149 @@
+// Time-based one-time passwords (RFC 6238) as shown by authenticator apps: HMAC-SHA1,
+// 6 digits, 30 second steps, with secrets exchanged in base32 (RFC 4648) inside an
+// otpauth:// URI. Also the recovery codes that stand in for the app when it is lost.
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const SECRET_BYTES = 20;
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = 'TaskFlow';
+
+// Codes of the step before and after the current one are accepted too, for clock drift
+const DRIFT_STEPS = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_LENGTH = 10;
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = text.replace(/=+$/, '').toUpperCase();
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+    
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Invalid base32 character: ${char}`);
+        }
+        
+        value = (value << 5) | index;
+        bits += 5;
+        
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    
+    return Buffer.from(bytes);
+}
+
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+function getStep(time = Date.now()) {
+    return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+// HOTP (RFC 4226) of one time step
+function generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// Returns the step the code belongs to, or null. Steps up to lastUsedStep are refused, so
+// a code that was seen once cannot be replayed within its window.
+function verifyCode(secret, code, lastUsedStep = null) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+        return null;
+    }
+    
+    const currentStep = getStep();
+    
+    for (let step = currentStep - DRIFT_STEPS; step <= currentStep + DRIFT_STEPS; step++) {
+        if (lastUsedStep !== null && step <= lastUsedStep) continue;
+        
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    
+    return null;
+}
+
+// The URI authenticator apps read from a QR code
+function getProvisioningUri(secret, accountName) {
+    const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: ISSUER,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// Recovery codes look like ABCDE-FGHIJ; they are compared without dashes, spaces or case
+function generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const code = base32Encode(crypto.randomBytes(RECOVERY_CODE_LENGTH)).slice(0, RECOVERY_CODE_LENGTH);
+        return `${code.slice(0, RECOVERY_CODE_LENGTH / 2)}-${code.slice(RECOVERY_CODE_LENGTH / 2)}`;
+    });
+}
+
+function normalizeRecoveryCode(code) {
+    return String(code || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+function isRecoveryCodeFormat(code) {
+    return normalizeRecoveryCode(code).length === RECOVERY_CODE_LENGTH;
+}
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    getProvisioningUri,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+    isRecoveryCodeFormat
+};
@@ -0,0 +1,398 @@
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const formidable = require('formidable');
+const { Pool } = require('pg');
+const { authenticateToken } = require('./auth');
+const { hasBoardRole } = require('./boards');
+const { formatTask, getTaskAccess, attachTaskDetails, formatAttachment } = require('./tasks');
+const { broadcastTaskEvent, getClientId } = require('./events');
+const { recordTaskChanges } = require('../lib/changes');
+const { attachmentStore } = require('../storage');
+
+const router = express.Router();
+
+// Database pool
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL || 'postgresql://localhost/taskflow_db',
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Mounted at /api next to other routers, so only its own paths are authenticated here
+router.use(['/upload', '/attachments'], authenticateToken);
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_ATTACHMENT_SIZE = parseInt(process.env.UPLOAD_MAX_SIZE) || 10 * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_TASK = 20;
+const MAX_FILENAME_LENGTH = 255;
+
+// Screenshots, documents and archives; nothing a browser would run (HTML, SVG, scripts)
+const DEFAULT_ALLOWED_TYPES = [
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+    'image/webp',
+    'application/pdf',
+    'text/plain',
+    'text/markdown',
+    'text/csv',
+    'application/json',
+    'application/zip',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+const ALLOWED_TYPES = process.env.UPLOAD_ALLOWED_TYPES
+    ? process.env.UPLOAD_ALLOWED_TYPES.split(',').map(type => type.trim())
+    : DEFAULT_ALLOWED_TYPES;
+
+// The declared type of a file is only believed if its name and first bytes agree: each type
+// lists its extensions and, for binary formats, the bytes the file starts with in hex (?? is
+// any byte). Text files must not contain NUL bytes. Types added through UPLOAD_ALLOWED_TYPES
+// that are not listed here are taken as declared.
+const ZIP_SIGNATURE = '504b0304';
+const OLE_SIGNATURE = 'd0cf11e0a1b11ae1';
+const TEXT = null;
+
+const FILE_SIGNATURES = {
+    'image/png': { extensions: ['.png'], signature: '89504e470d0a1a0a' },
+    'image/jpeg': { extensions: ['.jpg', '.jpeg'], signature: 'ffd8ff' },
+    'image/gif': { extensions: ['.gif'], signature: '47494638' },
+    'image/webp': { extensions: ['.webp'], signature: '52494646????????57454250' },
+    'application/pdf': { extensions: ['.pdf'], signature: '255044462d' },
+    'text/plain': { extensions: ['.txt', '.log'], signature: TEXT },
+    'text/markdown': { extensions: ['.md', '.markdown'], signature: TEXT },
+    'text/csv': { extensions: ['.csv'], signature: TEXT },
+    'application/json': { extensions: ['.json'], signature: TEXT },
+    'application/zip': { extensions: ['.zip'], signature: ZIP_SIGNATURE },
+    'application/msword': { extensions: ['.doc'], signature: OLE_SIGNATURE },
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { extensions: ['.docx'], signature: ZIP_SIGNATURE },
+    'application/vnd.ms-excel': { extensions: ['.xls'], signature: OLE_SIGNATURE },
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { extensions: ['.xlsx'], signature: ZIP_SIGNATURE },
+    'application/vnd.ms-powerpoint': { extensions: ['.ppt'], signature: OLE_SIGNATURE },
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': { extensions: ['.pptx'], signature: ZIP_SIGNATURE }
+};
+
+const SNIFF_LENGTH = 512;
+
+async function readFileStart(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_LENGTH), 0, SNIFF_LENGTH, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+// Whether an uploaded file is of an allowed type, by its declared type, name and content
+async function isAllowedFile(upload) {
+    if (!ALLOWED_TYPES.includes(upload.mimetype)) {
+        return false;
+    }
+    
+    const expected = FILE_SIGNATURES[upload.mimetype];
+    if (!expected) {
+        return true;
+    }
+    
+    const extension = path.extname(upload.originalFilename || '').toLowerCase();
+    if (!expected.extensions.includes(extension)) {
+        return false;
+    }
+    
+    const start = await readFileStart(upload.filepath);
+    
+    if (expected.signature === TEXT) {
+        return !start.includes(0);
+    }
+    
+    const hex = start.toString('hex');
+    return hex.length >= expected.signature.length &&
+        [...expected.signature].every((digit, i) => digit === '?' || digit === hex[i]);
+}
+
+// Parse a multipart upload. Only the first file part is written to the temp directory, and
+// only if it is named file; fileCount tells whether there were more.
+function parseUpload(req) {
+    let fileCount = 0;
+    
+    const form = formidable({
+        maxFileSize: MAX_ATTACHMENT_SIZE,
+        allowEmptyFiles: false,
+        maxFields: 10,
+        filter: part => ++fileCount === 1 && part.name === 'file'
+    });
+    
+    return new Promise((resolve, reject) => {
+        form.parse(req, (error, fields, files) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve({ fields, files, fileCount });
+            }
+        });
+    });
+}
+
+// Keep the name the user sees, without directories or control characters
+function cleanFilename(filename) {
+    const name = path.basename(filename || '').replace(/[\u0000-\u001f\u007f]/g, '').trim();
+    return (name || 'attachment').slice(0, MAX_FILENAME_LENGTH);
+}
+
+// Load an attachment together with its task and the user's role on the board, or
+// null if the user is not a member or the task was deleted
+async function getAttachmentAccess(db, userId, attachmentId) {
+    if (!UUID_PATTERN.test(attachmentId || '')) {
+        return null;
+    }
+    
+    const result = await db.query(
+        `SELECT a.*, t.board_id, m.role
+         FROM task_attachments a
+         JOIN tasks t ON t.id = a.task_id AND t.deleted_at IS NULL
+         JOIN board_members m ON m.board_id = t.board_id AND m.user_id = $2
+         WHERE a.id = $1`,
+        [attachmentId, userId]
+    );
+    
+    return result.rows[0] || null;
+}
+
+// The task with its attachments, as sent to clients after an attachment changed
+async function loadTask(db, userId, taskId) {
+    const task = formatTask(await getTaskAccess(db, userId, taskId));
+    await attachTaskDetails(db, [task]);
+    return task;
+}
+
+// Upload a file to a task (?taskId=, multipart with one file part named file). The task and
+// the user's role are checked before the body is read, so a refused upload writes nothing.
+router.post('/upload', async (req, res) => {
+    let uploads = [];
+    
+    try {
+        const { userId } = req.user;
+        const { taskId } = req.query;
+        
+        const existingTask = await getTaskAccess(pool, userId, taskId);
+        
+        if (!existingTask) {
+            return res.status(404).json({
+                message: '任务未找到'
+            });
+        }
+        
+        if (!hasBoardRole(existingTask.role, 'editor')) {
+            return res.status(403).json({
+                message: '没有修改此看板的权限'
+            });
+        }
+        
+        const countResult = await pool.query(
+            'SELECT COUNT(*) AS count FROM task_attachments WHERE task_id = $1',
+            [taskId]
+        );
+        
+        if (parseInt(countResult.rows[0].count) >= MAX_ATTACHMENTS_PER_TASK) {
+            return res.status(400).json({
+                message: `每个任务最多只能有 ${MAX_ATTACHMENTS_PER_TASK} 个附件`
+            });
+        }
+        
+        let parsed;
+        try {
+            parsed = await parseUpload(req);
+        } catch (error) {
+            if (error.httpCode === 413) {
+                return res.status(413).json({
+                    message: `文件不能超过 ${Math.floor(MAX_ATTACHMENT_SIZE / 1024 / 1024)} MB`
+                });
+            }
+            
+            console.error('Parse upload error:', error);
+            return res.status(400).json({
+                message: '无效的上传请求'
+            });
+        }
+        
+        uploads = Object.values(parsed.files).flat();
+        const upload = [].concat(parsed.files.file || [])[0] || null;
+        
+        if (parsed.fileCount > 1) {
+            return res.status(400).json({
+                message: '一次只能上传一个文件'
+            });
+        }
+        
+        if (!upload) {
+            return res.status(400).json({
+                message: '文件是必需的'
+            });
+        }
+        
+        if (!(await isAllowedFile(upload))) {
+            return res.status(415).json({
+                message: '不支持的文件类型'
+            });
+        }
+        
+        const attachmentId = crypto.randomUUID();
+        const storageKey = `${existingTask.board_id}/${taskId}/${attachmentId}`;
+        
+        await attachmentStore.save(storageKey, upload.filepath);
+        
+        const client = await pool.connect();
+        let attachment;
+        
+        try {
+            await client.query('BEGIN');
+            
+            const result = await client.query(
+                `INSERT INTO task_attachments (id, task_id, user_id, filename, content_type, size, storage_key)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7)
+                 RETURNING *`,
+                [attachmentId, taskId, userId, cleanFilename(upload.originalFilename), upload.mimetype, upload.size, storageKey]
+            );
+            attachment = formatAttachment(result.rows[0]);
+            
+            await recordTaskChanges(client, existingTask.board_id, [taskId], 'upsert', userId);
+            
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            await attachmentStore.remove(storageKey);
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+        const task = await loadTask(pool, userId, taskId);
+        broadcastTaskEvent(task.boardId, 'taskUpdated', { task }, getClientId(req));
+        
+        res.status(201).json({
+            message: '附件上传成功',
+            attachment,
+            task
+        });
+        
+    } catch (error) {
+        console.error('Upload attachment error:', error);
+        res.status(500).json({
+            message: '上传附件时发生内部服务器错误'
+        });
+    } finally {
+        uploads.forEach(upload => {
+            fs.promises.rm(upload.filepath, { force: true }).catch(() => {});
+        });
+    }
+});
+
+// Download an attachment; any member of the board may read it
+router.get('/attachments/:id', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const attachment = await getAttachmentAccess(pool, userId, req.params.id);
+        
+        if (!attachment) {
+            return res.status(404).json({
+                message: '附件未找到'
+            });
+        }
+        
+        const stream = attachmentStore.open(attachment.storage_key);
+        
+        stream.on('error', (error) => {
+            console.error('Read attachment error:', error);
+            if (!res.headersSent) {
+                res.status(404).json({
+                    message: '附件文件不存在'
+                });
+            } else {
+                res.destroy(error);
+            }
+        });
+        
+        stream.once('open', () => {
+            // Always a download, so an uploaded file never renders as part of the app
+            res.set({
+                'Content-Type': attachment.content_type,
+                'Content-Length': attachment.size,
+                'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+                'X-Content-Type-Options': 'nosniff',
+                'Cache-Control': 'private, no-cache'
+            });
+            stream.pipe(res);
+        });
+        
+    } catch (error) {
+        console.error('Download attachment error:', error);
+        res.status(500).json({
+            message: '下载附件时发生内部服务器错误'
+        });
+    }
+});
+
+// Delete an attachment
+router.delete('/attachments/:id', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const attachment = await getAttachmentAccess(pool, userId, req.params.id);
+        
+        if (!attachment) {
+            return res.status(404).json({
+                message: '附件未找到'
+            });
+        }
+        
+        if (!hasBoardRole(attachment.role, 'editor')) {
+            return res.status(403).json({
+                message: '没有修改此看板的权限'
+            });
+        }
+        
+        const client = await pool.connect();
+        
+        try {
+            await client.query('BEGIN');
+            
+            await client.query('DELETE FROM task_attachments WHERE id = $1', [attachment.id]);
+            await recordTaskChanges(client, attachment.board_id, [attachment.task_id], 'upsert', userId);
+            
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+        // The row is gone, so a file left behind is only wasted space
+        attachmentStore.remove(attachment.storage_key).catch(error => {
+            console.error('Remove attachment file error:', error);
+        });
+        
+        const task = await loadTask(pool, userId, attachment.task_id);
+        broadcastTaskEvent(task.boardId, 'taskUpdated', { task }, getClientId(req));
+        
+        res.json({
+            message: '附件删除成功',
+            attachment: formatAttachment(attachment),
+            task
+        });
+        
+    } catch (error) {
+        console.error('Delete attachment error:', error);
+        res.status(500).json({
+            message: '删除附件时发生内部服务器错误'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,7 +1,10 @@
 const express = require('express');
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const { Pool } = require('pg');
+const totp = require('../lib/totp');
 
 const router = express.Router();
 
@@ -12,9 +15,35 @@ const pool = new Pool({
 });
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
 
-// Middleware to authenticate JWT tokens
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
+
+// TOTP secrets are kept encrypted (AES-256-GCM); the key defaults to one derived from the JWT secret
+const TOTP_ENCRYPTION_KEY = crypto.createHash('sha256')
+    .update(process.env.TOTP_ENCRYPTION_KEY || JWT_SECRET)
+    .digest();
+
+// Rate limits of the login and register routes, kept in memory per server process
+const AUTH_RATE_LIMIT_WINDOW_MINUTES = parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MINUTES) || 15;
+const LOGIN_RATE_LIMIT_IP_MAX = parseInt(process.env.LOGIN_RATE_LIMIT_IP_MAX) || 20;
+const LOGIN_RATE_LIMIT_USERNAME_MAX = parseInt(process.env.LOGIN_RATE_LIMIT_USERNAME_MAX) || 10;
+const REGISTER_RATE_LIMIT_MAX = parseInt(process.env.REGISTER_RATE_LIMIT_MAX) || 5;
+
+// Failed logins in a row after which an account is locked; every further failure doubles
+// the lock, starting from LOGIN_LOCKOUT_MINUTES
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 1;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+const AUTH_EVENT_RETENTION_DAYS = 90;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_USER_AGENT_LENGTH = 500;
+
+// Middleware to authenticate JWT tokens. Both failures are 401, which tells the
+// client to get a new access token with its refresh token and try again. Tokens of
+// a revoked session are refused right away rather than when they expire.
 const authenticateToken = (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
@@ -23,9 +52,19 @@ const authenticateToken = (req, res, next) => {
         return res.status(401).json({ message: 'Access token required' });
     }
     
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) {
-            return res.status(403).json({ message: 'Invalid or expired token' });
+    jwt.verify(token, JWT_SECRET, async (err, user) => {
+        // Challenge tokens of the second login step are not access tokens
+        if (err || user.purpose) {
+            return res.status(401).json({ message: 'Invalid or expired token' });
+        }
+        
+        try {
+            if (user.sessionId && !(await isSessionActive(pool, user.sessionId))) {
+                return res.status(401).json({ message: 'Session has been revoked' });
+            }
+        } catch (error) {
+            console.error('Session check error:', error);
+            return res.status(500).json({ message: '验证会话时发生内部服务器错误' });
         }
         
         req.user = user;
@@ -33,8 +72,333 @@ const authenticateToken = (req, res, next) => {
     });
 };
 
+// Rate Limiting
+// Limited requests get 429 with a Retry-After header
+function createAuthLimiter(max, options = {}) {
+    return rateLimit({
+        windowMs: AUTH_RATE_LIMIT_WINDOW_MINUTES * 60 * 1000,
+        max,
+        standardHeaders: true,
+        legacyHeaders: false,
+        message: { message: '请求过于频繁，请稍后再试' },
+        ...options
+    });
+}
+
+const loginIpLimiter = createAuthLimiter(LOGIN_RATE_LIMIT_IP_MAX);
+
+// Guessing one account's password from many addresses; successful logins do not count.
+// Usernames are case-sensitive, so the key is the username exactly as the login looks it up.
+const loginUsernameLimiter = createAuthLimiter(LOGIN_RATE_LIMIT_USERNAME_MAX, {
+    keyGenerator: (req) => `username:${String(req.body.username || '')}`,
+    skipSuccessfulRequests: true
+});
+
+const registerLimiter = createAuthLimiter(REGISTER_RATE_LIMIT_MAX);
+
+// Login Auditing and Lockout
+async function recordAuthEvent(db, req, event, { userId = null, username = null } = {}) {
+    const { userAgent, ipAddress } = getClientInfo(req);
+    
+    await db.query(
+        `INSERT INTO auth_events (user_id, username, event, ip_address, user_agent)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [userId, username, event, ipAddress, userAgent]
+    );
+}
+
+function getLockoutMinutes(failedCount) {
+    if (failedCount < LOGIN_LOCKOUT_THRESHOLD) return 0;
+    
+    const doublings = Math.min(failedCount - LOGIN_LOCKOUT_THRESHOLD, 20);
+    return Math.min(LOGIN_LOCKOUT_MINUTES * 2 ** doublings, MAX_LOCKOUT_MINUTES);
+}
+
+// A wrong password or second-factor code counts against the account, locking it once
+// the failures reach the threshold
+async function recordFailedLogin(db, req, user, event) {
+    const result = await db.query(
+        'UPDATE users SET failed_login_count = failed_login_count + 1 WHERE id = $1 RETURNING failed_login_count',
+        [user.id]
+    );
+    const failedCount = result.rows[0].failed_login_count;
+    
+    await recordAuthEvent(db, req, event, { userId: user.id, username: user.username });
+    
+    const lockoutMinutes = getLockoutMinutes(failedCount);
+    if (lockoutMinutes > 0) {
+        await db.query(
+            'UPDATE users SET locked_until = now() + make_interval(mins => $2) WHERE id = $1',
+            [user.id, lockoutMinutes]
+        );
+        await recordAuthEvent(db, req, 'account_locked', { userId: user.id, username: user.username });
+    }
+}
+
+async function recordSuccessfulLogin(db, req, user) {
+    await db.query(
+        'UPDATE users SET failed_login_count = 0, locked_until = NULL, updated_at = now() WHERE id = $1',
+        [user.id]
+    );
+    await recordAuthEvent(db, req, 'login_succeeded', { userId: user.id, username: user.username });
+}
+
+// Logins with an unknown username are checked against this hash, so they take as long as
+// logins with a wrong password
+let dummyPasswordHash = null;
+
+function getDummyPasswordHash() {
+    if (!dummyPasswordHash) {
+        dummyPasswordHash = bcrypt.hash(crypto.randomBytes(16).toString('hex'), 12);
+    }
+    return dummyPasswordHash;
+}
+
+// An unknown username stands in for an account of that name: its recent failed logins lock
+// it the way they would lock a real one, so a lockout does not tell which accounts exist
+async function getUnknownUserLogin(db, username) {
+    const result = await db.query(
+        `SELECT COUNT(*) AS failed_count, EXTRACT(EPOCH FROM now() - MAX(created_at)) AS seconds_since_failure
+         FROM auth_events
+         WHERE user_id IS NULL AND username = $1 AND event = 'login_failed'
+           AND created_at > now() - make_interval(mins => $2)`,
+        [username, MAX_LOCKOUT_MINUTES]
+    );
+    const { failed_count: failedCount, seconds_since_failure: secondsSinceFailure } = result.rows[0];
+    const lockoutSeconds = getLockoutMinutes(parseInt(failedCount)) * 60 - parseFloat(secondsSinceFailure || 0);
+    
+    return { id: null, username, lockout_seconds: Math.max(0, Math.ceil(lockoutSeconds)) };
+}
+
+// Answers a login attempt on a locked account, which is refused without looking at the
+// password. Returns whether it did.
+async function refuseLockedLogin(req, res, user) {
+    const lockoutSeconds = parseInt(user.lockout_seconds) || 0;
+    if (lockoutSeconds <= 0) return false;
+    
+    await recordAuthEvent(pool, req, 'login_blocked', { userId: user.id, username: user.username });
+    
+    res.set('Retry-After', String(lockoutSeconds));
+    res.status(429).json({
+        message: '登录失败次数过多，账户已暂时锁定，请稍后再试',
+        retryAfter: lockoutSeconds
+    });
+    return true;
+}
+
+// Refresh tokens are stored as hashes only, so a database leak does not hand out sessions
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Sessions
+// A session is one login on one device. It lasts as long as its refresh tokens keep being
+// rotated, and records where it was last used so the user can tell their devices apart.
+function getClientInfo(req) {
+    return {
+        userAgent: (req.get('User-Agent') || '').slice(0, MAX_USER_AGENT_LENGTH) || null,
+        ipAddress: req.ip || null
+    };
+}
+
+async function isSessionActive(db, sessionId) {
+    const result = await db.query(
+        'SELECT 1 FROM user_sessions WHERE id = $1 AND revoked_at IS NULL AND expires_at > now()',
+        [sessionId]
+    );
+    return result.rows.length > 0;
+}
+
+// Log a user in on the device of the request
+async function startSession(db, user, req) {
+    const { userAgent, ipAddress } = getClientInfo(req);
+    
+    const result = await db.query(
+        `INSERT INTO user_sessions (user_id, user_agent, ip_address, expires_at)
+         VALUES ($1, $2, $3, now() + make_interval(days => $4))
+         RETURNING id`,
+        [user.id, userAgent, ipAddress, REFRESH_TOKEN_DAYS]
+    );
+    
+    return issueTokens(db, user, result.rows[0].id);
+}
+
+// Each refresh extends the session and counts as the device being seen
+async function touchSession(db, sessionId, req) {
+    const { userAgent, ipAddress } = getClientInfo(req);
+    
+    await db.query(
+        `UPDATE user_sessions
+         SET last_seen_at = now(), expires_at = now() + make_interval(days => $4),
+             user_agent = COALESCE($2, user_agent), ip_address = COALESCE($3, ip_address)
+         WHERE id = $1`,
+        [sessionId, userAgent, ipAddress, REFRESH_TOKEN_DAYS]
+    );
+}
+
+// Issue an access token and a refresh token for a session. The refresh tokens of a session
+// form one family, so a reused one can end the whole session.
+async function issueTokens(db, user, sessionId) {
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    
+    await db.query(
+        `INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at)
+         VALUES ($1, $2, $3, now() + make_interval(days => $4))`,
+        [user.id, sessionId, hashToken(refreshToken), REFRESH_TOKEN_DAYS]
+    );
+    
+    const token = jwt.sign(
+        {
+            userId: user.id,
+            username: user.username,
+            sessionId
+        },
+        JWT_SECRET,
+        { expiresIn: JWT_EXPIRES_IN }
+    );
+    
+    return { token, refreshToken };
+}
+
+async function revokeSession(db, sessionId) {
+    await db.query(
+        'UPDATE user_sessions SET revoked_at = now() WHERE id = $1 AND revoked_at IS NULL',
+        [sessionId]
+    );
+    await db.query(
+        'UPDATE refresh_tokens SET revoked_at = now() WHERE family_id = $1 AND revoked_at IS NULL',
+        [sessionId]
+    );
+}
+
+// Returns the ids of the sessions that were still active
+async function revokeUserSessions(db, userId) {
+    const result = await db.query(
+        'UPDATE user_sessions SET revoked_at = now() WHERE user_id = $1 AND revoked_at IS NULL RETURNING id',
+        [userId]
+    );
+    await db.query(
+        'UPDATE refresh_tokens SET revoked_at = now() WHERE user_id = $1 AND revoked_at IS NULL',
+        [userId]
+    );
+    
+    return result.rows.map(row => row.id);
+}
+
+// Revoked sessions stop their event streams too. Required here rather than at the top,
+// since the events routes require this module for authenticateToken.
+function closeSessionStreams(sessionIds) {
+    const { disconnectSessionSubscribers } = require('./events');
+    sessionIds.forEach(sessionId => disconnectSessionSubscribers(sessionId));
+}
+
+// Expired sessions go with their refresh tokens. Rotated and revoked tokens are kept until
+// they expire, so their reuse is still recognised.
+async function purgeSessions(db) {
+    const sessionResult = await db.query('DELETE FROM user_sessions WHERE expires_at < now()');
+    const tokenResult = await db.query('DELETE FROM refresh_tokens WHERE expires_at < now()');
+    
+    return { sessions: sessionResult.rowCount, tokens: tokenResult.rowCount };
+}
+
+async function purgeAuthEvents(db) {
+    const result = await db.query(
+        'DELETE FROM auth_events WHERE created_at < now() - make_interval(days => $1)',
+        [AUTH_EVENT_RETENTION_DAYS]
+    );
+    return result.rowCount;
+}
+
+// Two-Factor Authentication
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', TOTP_ENCRYPTION_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+function decryptSecret(value) {
+    const [iv, tag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', TOTP_ENCRYPTION_KEY, iv);
+    decipher.setAuthTag(tag);
+    
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+// Check a code from the authenticator app, or else a recovery code, and use it up: each
+// time step is accepted once, and each recovery code once. Returns 'totp', 'recovery' or null.
+async function useSecondFactor(db, user, code) {
+    const step = totp.verifyCode(decryptSecret(user.totp_secret), code, user.totp_last_used_step === null ? null : parseInt(user.totp_last_used_step));
+    
+    if (step !== null) {
+        const result = await db.query(
+            `UPDATE users SET totp_last_used_step = $2
+             WHERE id = $1 AND (totp_last_used_step IS NULL OR totp_last_used_step < $2)
+             RETURNING id`,
+            [user.id, step]
+        );
+        return result.rows.length > 0 ? 'totp' : null;
+    }
+    
+    if (totp.isRecoveryCodeFormat(code)) {
+        const result = await db.query(
+            `UPDATE user_recovery_codes SET used_at = now()
+             WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+             RETURNING id`,
+            [user.id, totp.hashRecoveryCode(code)]
+        );
+        return result.rows.length > 0 ? 'recovery' : null;
+    }
+    
+    return null;
+}
+
+// Replaces any earlier codes; the plain codes are only ever shown in this response
+async function replaceRecoveryCodes(db, userId) {
+    const codes = totp.generateRecoveryCodes();
+    
+    await db.query(
+        `WITH removed AS (DELETE FROM user_recovery_codes WHERE user_id = $1)
+         INSERT INTO user_recovery_codes (user_id, code_hash)
+         SELECT $1, unnest($2::text[])`,
+        [userId, codes.map(code => totp.hashRecoveryCode(code))]
+    );
+    
+    return codes;
+}
+
+async function countRecoveryCodes(db, userId) {
+    const result = await db.query(
+        'SELECT COUNT(*) FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+        [userId]
+    );
+    return parseInt(result.rows[0].count);
+}
+
+async function getTwoFactorUser(db, userId) {
+    const result = await db.query(
+        `SELECT id, username, display_name, password_hash, totp_secret, totp_enabled_at, totp_last_used_step,
+                GREATEST(0, CEIL(EXTRACT(EPOCH FROM locked_until - now()))) AS lockout_seconds
+         FROM users WHERE id = $1`,
+        [userId]
+    );
+    return result.rows[0] || null;
+}
+
+function formatSession(row, currentSessionId) {
+    return {
+        id: row.id,
+        userAgent: row.user_agent,
+        ipAddress: row.ip_address,
+        createdAt: row.created_at,
+        lastSeenAt: row.last_seen_at,
+        current: row.id === currentSessionId
+    };
+}
+
 // Login endpoint
-router.post('/login', async (req, res) => {
+router.post('/login', loginIpLimiter, loginUsernameLimiter, async (req, res) => {
     try {
         const { username, password } = req.body;
         
@@ -47,11 +411,20 @@ router.post('/login', async (req, res) => {
         
         // Find user in database
         const userResult = await pool.query(
-            'SELECT id, username, password_hash, display_name FROM users WHERE username = $1',
+            `SELECT id, username, password_hash, display_name, totp_enabled_at,
+                    GREATEST(0, CEIL(EXTRACT(EPOCH FROM locked_until - now()))) AS lockout_seconds
+             FROM users WHERE username = $1`,
             [username]
         );
         
+        // Unknown usernames get the same answers, as slowly, as accounts with a wrong password
         if (userResult.rows.length === 0) {
+            const unknownUser = await getUnknownUserLogin(pool, String(username).slice(0, 100));
+            
+            if (await refuseLockedLogin(req, res, unknownUser)) return;
+            
+            await bcrypt.compare(String(password), await getDummyPasswordHash());
+            await recordAuthEvent(pool, req, 'login_failed', { username: unknownUser.username });
             return res.status(401).json({ 
                 message: '用户名或密码无效' 
             });
@@ -59,34 +432,43 @@ router.post('/login', async (req, res) => {
         
         const user = userResult.rows[0];
         
+        if (await refuseLockedLogin(req, res, user)) return;
+        
         // Verify password
         const passwordValid = await bcrypt.compare(password, user.password_hash);
         
         if (!passwordValid) {
+            await recordFailedLogin(pool, req, user, 'login_failed');
             return res.status(401).json({ 
                 message: '用户名或密码无效' 
             });
         }
         
-        // Generate JWT token
-        const token = jwt.sign(
-            { 
-                userId: user.id, 
-                username: user.username 
-            },
-            JWT_SECRET,
-            { expiresIn: JWT_EXPIRES_IN }
-        );
+        // With two-factor authentication on, the password only earns a short-lived challenge
+        // token, which POST /login/2fa exchanges for a session together with a code
+        if (user.totp_enabled_at) {
+            const challengeToken = jwt.sign(
+                { userId: user.id, purpose: 'two_factor' },
+                JWT_SECRET,
+                { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN }
+            );
+            
+            return res.json({
+                message: '需要两步验证',
+                twoFactorRequired: true,
+                challengeToken
+            });
+        }
         
-        // Update last login time
-        await pool.query(
-            'UPDATE users SET updated_at = now() WHERE id = $1',
-            [user.id]
-        );
+        const { token, refreshToken } = await startSession(pool, user, req);
+        
+        // Update last login time and clear earlier failures
+        await recordSuccessfulLogin(pool, req, user);
         
         res.json({
             message: '登录成功',
             token,
+            refreshToken,
             user: {
                 id: user.id,
                 username: user.username,
@@ -102,8 +484,75 @@ router.post('/login', async (req, res) => {
     }
 });
 
+// Second login step: a code from the authenticator app or a recovery code. Wrong codes
+// count towards the account's lockout like wrong passwords.
+router.post('/login/2fa', loginIpLimiter, async (req, res) => {
+    try {
+        const { challengeToken, code } = req.body;
+        
+        if (!challengeToken || !code) {
+            return res.status(400).json({ 
+                message: '验证令牌和验证码是必需的' 
+            });
+        }
+        
+        let challenge;
+        try {
+            challenge = jwt.verify(challengeToken, JWT_SECRET);
+        } catch (error) {
+            challenge = null;
+        }
+        
+        if (!challenge || challenge.purpose !== 'two_factor') {
+            return res.status(401).json({ 
+                message: '验证已过期，请重新登录' 
+            });
+        }
+        
+        const user = await getTwoFactorUser(pool, challenge.userId);
+        
+        if (!user || !user.totp_enabled_at) {
+            return res.status(401).json({ 
+                message: '验证已过期，请重新登录' 
+            });
+        }
+        
+        if (await refuseLockedLogin(req, res, user)) return;
+        
+        const method = await useSecondFactor(pool, user, code);
+        
+        if (!method) {
+            await recordFailedLogin(pool, req, user, 'two_factor_failed');
+            return res.status(401).json({ 
+                message: '验证码无效' 
+            });
+        }
+        
+        const { token, refreshToken } = await startSession(pool, user, req);
+        await recordSuccessfulLogin(pool, req, user);
+        
+        res.json({
+            message: '登录成功',
+            token,
+            refreshToken,
+            user: {
+                id: user.id,
+                username: user.username,
+                displayName: user.display_name
+            },
+            recoveryCodesRemaining: method === 'recovery' ? await countRecoveryCodes(pool, user.id) : undefined
+        });
+        
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({ 
+            message: '两步验证时发生内部服务器错误' 
+        });
+    }
+});
+
 // Register endpoint
-router.post('/register', async (req, res) => {
+router.post('/register', registerLimiter, async (req, res) => {
     try {
         const { username, password, displayName } = req.body;
         
@@ -150,19 +599,12 @@ router.post('/register', async (req, res) => {
         
         const newUser = newUserResult.rows[0];
         
-        // Generate JWT token
-        const token = jwt.sign(
-            { 
-                userId: newUser.id, 
-                username: newUser.username 
-            },
-            JWT_SECRET,
-            { expiresIn: JWT_EXPIRES_IN }
-        );
+        const { token, refreshToken } = await startSession(pool, newUser, req);
         
         res.status(201).json({
             message: '用户注册成功',
             token,
+            refreshToken,
             user: {
                 id: newUser.id,
                 username: newUser.username,
@@ -178,57 +620,108 @@ router.post('/register', async (req, res) => {
     }
 });
 
-// Logout endpoint
-router.post('/logout', authenticateToken, (req, res) => {
-    // In a real application, you might want to blacklist the token
-    // For now, we'll just return a success message
-    res.json({ message: '成功登出' });
+// Logout endpoint: ends the session of the refresh token, which works even after the
+// access token has expired
+router.post('/logout', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        
+        if (typeof refreshToken === 'string' && refreshToken) {
+            const tokenResult = await pool.query(
+                'SELECT family_id FROM refresh_tokens WHERE token_hash = $1',
+                [hashToken(refreshToken)]
+            );
+            
+            if (tokenResult.rows.length > 0) {
+                await revokeSession(pool, tokenResult.rows[0].family_id);
+                closeSessionStreams([tokenResult.rows[0].family_id]);
+            }
+        }
+        
+        res.json({ message: '成功登出' });
+        
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ 
+            message: '登出时发生内部服务器错误' 
+        });
+    }
 });
 
-// Refresh token endpoint
-router.post('/refresh', authenticateToken, async (req, res) => {
+// Refresh token endpoint: trades a refresh token for a new access token and a new refresh
+// token. Each refresh token works once; one presented again after it was rotated has been
+// copied, so the whole session is revoked and both holders have to log in again.
+router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+    
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+        return res.status(400).json({ 
+            message: '刷新令牌是必需的' 
+        });
+    }
+    
+    let client;
+    
     try {
-        const { userId, username } = req.user;
+        client = await pool.connect();
+        await client.query('BEGIN');
         
-        // Verify user still exists
-        const userResult = await pool.query(
-            'SELECT id, username, display_name FROM users WHERE id = $1',
-            [userId]
+        const tokenResult = await client.query(
+            `SELECT rt.id, rt.family_id, rt.expires_at <= now() AS expired, rt.rotated_at, rt.revoked_at,
+                    u.id AS user_id, u.username, u.display_name
+             FROM refresh_tokens rt
+             JOIN users u ON u.id = rt.user_id
+             WHERE rt.token_hash = $1
+             FOR UPDATE OF rt`,
+            [hashToken(refreshToken)]
         );
         
-        if (userResult.rows.length === 0) {
+        const stored = tokenResult.rows[0];
+        
+        if (!stored || stored.revoked_at || stored.expired) {
+            await client.query('ROLLBACK');
             return res.status(401).json({ 
-                message: '用户不存在' 
+                message: '刷新令牌无效或已过期' 
             });
         }
         
-        const user = userResult.rows[0];
+        if (stored.rotated_at) {
+            await revokeSession(client, stored.family_id);
+            await client.query('COMMIT');
+            closeSessionStreams([stored.family_id]);
+            
+            console.warn(`Refresh token reuse detected for user ${stored.user_id}, session revoked`);
+            return res.status(401).json({ 
+                message: '刷新令牌已被使用，会话已撤销' 
+            });
+        }
         
-        // Generate new token
-        const token = jwt.sign(
-            { 
-                userId: user.id, 
-                username: user.username 
-            },
-            JWT_SECRET,
-            { expiresIn: JWT_EXPIRES_IN }
+        await client.query(
+            'UPDATE refresh_tokens SET rotated_at = now() WHERE id = $1',
+            [stored.id]
         );
         
+        const user = { id: stored.user_id, username: stored.username, displayName: stored.display_name };
+        await touchSession(client, stored.family_id, req);
+        const tokens = await issueTokens(client, user, stored.family_id);
+        
+        await client.query('COMMIT');
+        
         res.json({
             message: 'Token刷新成功',
-            token,
-            user: {
-                id: user.id,
-                username: user.username,
-                displayName: user.display_name
-            }
+            ...tokens,
+            user
         });
         
     } catch (error) {
+        await client?.query('ROLLBACK').catch(() => {});
+        
         console.error('Token refresh error:', error);
         res.status(500).json({ 
             message: '刷新token时发生内部服务器错误' 
         });
+    } finally {
+        client?.release();
     }
 });
 
@@ -238,7 +731,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
         const { userId } = req.user;
         
         const userResult = await pool.query(
-            'SELECT id, username, display_name, created_at FROM users WHERE id = $1',
+            'SELECT id, username, display_name, created_at, totp_enabled_at FROM users WHERE id = $1',
             [userId]
         );
         
@@ -255,7 +748,8 @@ router.get('/profile', authenticateToken, async (req, res) => {
                 id: user.id,
                 username: user.username,
                 displayName: user.display_name,
-                createdAt: user.created_at
+                createdAt: user.created_at,
+                twoFactorEnabled: Boolean(user.totp_enabled_at)
             }
         });
         
@@ -354,13 +848,34 @@ router.put('/password', authenticateToken, async (req, res) => {
         const saltRounds = 12;
         const newPasswordHash = await bcrypt.hash(newPassword, saltRounds);
         
-        // Update password
-        await pool.query(
-            'UPDATE users SET password_hash = $1, updated_at = now() WHERE id = $2',
-            [newPasswordHash, userId]
-        );
+        // Update password and end every session, including other devices'; this one
+        // continues with a new pair of tokens
+        const client = await pool.connect();
+        let tokens;
+        let revokedSessionIds;
+        
+        try {
+            await client.query('BEGIN');
+            
+            const updatedUserResult = await client.query(
+                'UPDATE users SET password_hash = $1, updated_at = now() WHERE id = $2 RETURNING id, username',
+                [newPasswordHash, userId]
+            );
+            
+            revokedSessionIds = await revokeUserSessions(client, userId);
+            tokens = await startSession(client, updatedUserResult.rows[0], req);
+            
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+        closeSessionStreams(revokedSessionIds);
         
-        res.json({ message: '密码更新成功' });
+        res.json({ message: '密码更新成功', ...tokens });
         
     } catch (error) {
         console.error('Password change error:', error);
@@ -370,6 +885,299 @@ router.put('/password', authenticateToken, async (req, res) => {
     }
 });
 
+// Two-factor status: whether it is on and how many recovery codes are left
+router.get('/2fa', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const user = await getTwoFactorUser(pool, userId);
+        
+        if (!user) {
+            return res.status(404).json({ 
+                message: '用户未找到' 
+            });
+        }
+        
+        res.json({
+            enabled: Boolean(user.totp_enabled_at),
+            enabledAt: user.totp_enabled_at,
+            recoveryCodesRemaining: user.totp_enabled_at ? await countRecoveryCodes(pool, userId) : 0
+        });
+        
+    } catch (error) {
+        console.error('Get two-factor status error:', error);
+        res.status(500).json({ 
+            message: '获取两步验证状态时发生内部服务器错误' 
+        });
+    }
+});
+
+// Start enrollment: a new secret, not yet required at login until POST /2fa/enable confirms
+// that the authenticator app produces matching codes
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+    try {
+        const { userId, username } = req.user;
+        const user = await getTwoFactorUser(pool, userId);
+        
+        if (!user) {
+            return res.status(404).json({ 
+                message: '用户未找到' 
+            });
+        }
+        
+        if (user.totp_enabled_at) {
+            return res.status(409).json({ 
+                message: '两步验证已启用' 
+            });
+        }
+        
+        const secret = totp.generateSecret();
+        
+        await pool.query(
+            'UPDATE users SET totp_secret = $2, totp_last_used_step = NULL WHERE id = $1',
+            [userId, encryptSecret(secret)]
+        );
+        
+        res.json({
+            secret,
+            otpauthUri: totp.getProvisioningUri(secret, username)
+        });
+        
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({ 
+            message: '设置两步验证时发生内部服务器错误' 
+        });
+    }
+});
+
+// Finish enrollment with a code from the app; answers with the recovery codes
+router.post('/2fa/enable', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { code } = req.body;
+        const user = await getTwoFactorUser(pool, userId);
+        
+        if (!user) {
+            return res.status(404).json({ 
+                message: '用户未找到' 
+            });
+        }
+        
+        if (user.totp_enabled_at) {
+            return res.status(409).json({ 
+                message: '两步验证已启用' 
+            });
+        }
+        
+        if (!user.totp_secret) {
+            return res.status(400).json({ 
+                message: '请先开始设置两步验证' 
+            });
+        }
+        
+        const step = totp.verifyCode(decryptSecret(user.totp_secret), code);
+        
+        if (step === null) {
+            return res.status(400).json({ 
+                message: '验证码无效' 
+            });
+        }
+        
+        const client = await pool.connect();
+        let recoveryCodes;
+        
+        try {
+            await client.query('BEGIN');
+            
+            await client.query(
+                'UPDATE users SET totp_enabled_at = now(), totp_last_used_step = $2, updated_at = now() WHERE id = $1',
+                [userId, step]
+            );
+            recoveryCodes = await replaceRecoveryCodes(client, userId);
+            
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+        res.json({
+            message: '两步验证已启用',
+            recoveryCodes
+        });
+        
+    } catch (error) {
+        console.error('Two-factor enable error:', error);
+        res.status(500).json({ 
+            message: '启用两步验证时发生内部服务器错误' 
+        });
+    }
+});
+
+// Turn two-factor authentication off; takes the password and a current code
+router.post('/2fa/disable', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { password, code } = req.body;
+        
+        if (!password || !code) {
+            return res.status(400).json({ 
+                message: '密码和验证码都是必需的' 
+            });
+        }
+        
+        const user = await getTwoFactorUser(pool, userId);
+        
+        if (!user) {
+            return res.status(404).json({ 
+                message: '用户未找到' 
+            });
+        }
+        
+        if (!user.totp_enabled_at) {
+            return res.status(400).json({ 
+                message: '两步验证未启用' 
+            });
+        }
+        
+        const passwordValid = await bcrypt.compare(password, user.password_hash);
+        
+        // 400 rather than 401, which the client would take for an expired access token
+        if (!passwordValid) {
+            return res.status(400).json({ 
+                message: '密码不正确' 
+            });
+        }
+        
+        if (!(await useSecondFactor(pool, user, code))) {
+            return res.status(400).json({ 
+                message: '验证码无效' 
+            });
+        }
+        
+        await pool.query(
+            `UPDATE users
+             SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL, updated_at = now()
+             WHERE id = $1`,
+            [userId]
+        );
+        await pool.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+        
+        res.json({ message: '两步验证已关闭' });
+        
+    } catch (error) {
+        console.error('Two-factor disable error:', error);
+        res.status(500).json({ 
+            message: '关闭两步验证时发生内部服务器错误' 
+        });
+    }
+});
+
+// Replace the recovery codes, e.g. when most are used up; takes a current code
+router.post('/2fa/recovery-codes', authenticateToken, async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { code } = req.body;
+        const user = await getTwoFactorUser(pool, userId);
+        
+        if (!user) {
+            return res.status(404).json({ 
+                message: '用户未找到' 
+            });
+        }
+        
+        if (!user.totp_enabled_at) {
+            return res.status(400).json({ 
+                message: '两步验证未启用' 
+            });
+        }
+        
+        if (!(await useSecondFactor(pool, user, code))) {
+            return res.status(400).json({ 
+                message: '验证码无效' 
+            });
+        }
+        
+        const recoveryCodes = await replaceRecoveryCodes(pool, userId);
+        
+        res.json({
+            message: '恢复码已更新',
+            recoveryCodes
+        });
+        
+    } catch (error) {
+        console.error('Recovery codes error:', error);
+        res.status(500).json({ 
+            message: '生成恢复码时发生内部服务器错误' 
+        });
+    }
+});
+
+// List the user's active sessions, most recently used first
+router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const { userId, sessionId } = req.user;
+        
+        const result = await pool.query(
+            `SELECT * FROM user_sessions
+             WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > now()
+             ORDER BY last_seen_at DESC`,
+            [userId]
+        );
+        
+        res.json({ sessions: result.rows.map(row => formatSession(row, sessionId)) });
+        
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({ 
+            message: '获取会话时发生内部服务器错误' 
+        });
+    }
+});
+
+// Sign a device out: its refresh token stops working and its access token is refused
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+    try {
+        const { userId, sessionId } = req.user;
+        const { id } = req.params;
+        
+        if (!UUID_PATTERN.test(id)) {
+            return res.status(404).json({ 
+                message: '会话未找到' 
+            });
+        }
+        
+        const sessionResult = await pool.query(
+            'SELECT id FROM user_sessions WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+            [id, userId]
+        );
+        
+        if (sessionResult.rows.length === 0) {
+            return res.status(404).json({ 
+                message: '会话未找到' 
+            });
+        }
+        
+        await revokeSession(pool, id);
+        closeSessionStreams([id]);
+        
+        res.json({
+            message: '会话已撤销',
+            current: id === sessionId
+        });
+        
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ 
+            message: '撤销会话时发生内部服务器错误' 
+        });
+    }
+});
+
 // Export the router and middleware
 module.exports = router;
-module.exports.authenticateToken = authenticateToken;
\ No newline at end of file
+module.exports.authenticateToken = authenticateToken;
+module.exports.purgeSessions = purgeSessions;
+module.exports.purgeAuthEvents = purgeAuthEvents;
\ No newline at end of file
@@ -0,0 +1,675 @@
+const express = require('express');
+const { Pool } = require('pg');
+const { authenticateToken } = require('./auth');
+const { handleIdempotencyKey } = require('../lib/idempotency');
+const { disconnectBoardSubscribers } = require('./events');
+const { recordTaskChanges } = require('../lib/changes');
+const { attachmentStore } = require('../storage');
+
+const router = express.Router();
+
+// Database pool
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL || 'postgresql://localhost/taskflow_db',
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const DEFAULT_BOARD_NAME = 'My Board';
+const MAX_BOARDS = 50;
+const MAX_MEMBERS = 50;
+
+// Each role may do everything the roles below it may do
+const ROLE_RANKS = { viewer: 1, editor: 2, owner: 3 };
+const INVITABLE_ROLES = ['editor', 'viewer'];
+
+// Boards the user is a member of, with their role, task and member counts
+const BOARD_SELECT = `
+    SELECT b.*, m.role,
+        (SELECT COUNT(*) FROM tasks t WHERE t.board_id = b.id AND t.deleted_at IS NULL) AS task_count,
+        (SELECT COUNT(*) FROM board_members bm WHERE bm.board_id = b.id) AS member_count
+    FROM boards b
+    JOIN board_members m ON m.board_id = b.id AND m.user_id = $1`;
+
+function formatBoard(row) {
+    return {
+        id: row.id,
+        ownerId: row.user_id,
+        name: row.name,
+        description: row.description,
+        color: row.color,
+        enforceDependencies: Boolean(row.enforce_dependencies),
+        position: row.position,
+        role: row.role,
+        taskCount: row.task_count !== undefined ? parseInt(row.task_count) : undefined,
+        memberCount: row.member_count !== undefined ? parseInt(row.member_count) : undefined,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function formatMember(row) {
+    return {
+        userId: row.user_id,
+        username: row.username,
+        displayName: row.display_name,
+        role: row.role,
+        joinedAt: row.created_at
+    };
+}
+
+// Whether a member with the given role may act as requiredRole
+function hasBoardRole(role, requiredRole) {
+    return (ROLE_RANKS[role] || 0) >= ROLE_RANKS[requiredRole];
+}
+
+// Return the user's first own board, creating it on first use. The new board
+// adopts tasks and columns created before boards existed.
+async function ensureDefaultBoard(db, userId) {
+    const existing = await db.query(
+        'SELECT id FROM boards WHERE user_id = $1 ORDER BY position ASC, created_at ASC LIMIT 1',
+        [userId]
+    );
+    
+    if (existing.rows.length > 0) {
+        return existing.rows[0].id;
+    }
+    
+    const result = await db.query(
+        'INSERT INTO boards (user_id, name, position) VALUES ($1, $2, 0) RETURNING id',
+        [userId, DEFAULT_BOARD_NAME]
+    );
+    
+    const boardId = result.rows[0].id;
+    
+    await db.query(
+        `INSERT INTO board_members (board_id, user_id, role) VALUES ($1, $2, 'owner')
+         ON CONFLICT (board_id, user_id) DO NOTHING`,
+        [boardId, userId]
+    );
+    await db.query(
+        'UPDATE tasks SET board_id = $1 WHERE user_id = $2 AND board_id IS NULL',
+        [boardId, userId]
+    );
+    await db.query(
+        'UPDATE board_columns SET board_id = $1 WHERE user_id = $2 AND board_id IS NULL',
+        [boardId, userId]
+    );
+    
+    return boardId;
+}
+
+// Resolve the board a request targets and the user's role on it: the given
+// board if the user is a member, their default board if none was given, or
+// null if it is not accessible
+async function resolveBoardAccess(db, userId, boardId) {
+    if (!boardId) {
+        return { id: await ensureDefaultBoard(db, userId), role: 'owner' };
+    }
+    
+    if (!UUID_PATTERN.test(boardId)) {
+        return null;
+    }
+    
+    const result = await db.query(
+        'SELECT board_id AS id, role FROM board_members WHERE board_id = $1 AND user_id = $2',
+        [boardId, userId]
+    );
+    
+    return result.rows[0] || null;
+}
+
+// Validate name/description/color, returning an error message or null
+function validateBoardFields({ name, description, color, enforceDependencies }, isUpdate = false) {
+    if (!isUpdate || name !== undefined) {
+        if (!name || typeof name !== 'string' || name.trim().length === 0) {
+            return '看板名称是必需的';
+        }
+        
+        if (name.trim().length > 100) {
+            return '看板名称不能超过100个字符';
+        }
+    }
+    
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+        return '无效的看板描述';
+    }
+    
+    if (color !== undefined && color !== null && !COLOR_PATTERN.test(color)) {
+        return '无效的颜色值';
+    }
+    
+    if (enforceDependencies !== undefined && typeof enforceDependencies !== 'boolean') {
+        return '无效的依赖设置';
+    }
+    
+    return null;
+}
+
+// Apply authentication to all board routes
+router.use(authenticateToken);
+router.use(handleIdempotencyKey);
+
+// Get all boards the authenticated user owns or is a member of, own boards first
+router.get('/', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        
+        await ensureDefaultBoard(pool, userId);
+        
+        const result = await pool.query(
+            `${BOARD_SELECT}
+             ORDER BY m.role = 'owner' DESC, b.position ASC, m.created_at ASC`,
+            [userId]
+        );
+        
+        res.json({ boards: result.rows.map(formatBoard) });
+        
+    } catch (error) {
+        console.error('Get boards error:', error);
+        res.status(500).json({
+            message: '获取看板时发生内部服务器错误'
+        });
+    }
+});
+
+// Get a specific board
+router.get('/:id', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const board = await resolveBoardAccess(pool, userId, req.params.id);
+        
+        if (!board) {
+            return res.status(404).json({
+                message: '看板未找到'
+            });
+        }
+        
+        const result = await pool.query(
+            `${BOARD_SELECT}
+             WHERE b.id = $2`,
+            [userId, board.id]
+        );
+        
+        res.json({ board: formatBoard(result.rows[0]) });
+        
+    } catch (error) {
+        console.error('Get board error:', error);
+        res.status(500).json({
+            message: '获取看板时发生内部服务器错误'
+        });
+    }
+});
+
+// Create a new board; its columns are seeded with the defaults on first use
+router.post('/', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { name, description, color, enforceDependencies } = req.body;
+        
+        const validationError = validateBoardFields({ name, description, color, enforceDependencies });
+        if (validationError) {
+            return res.status(400).json({
+                message: validationError
+            });
+        }
+        
+        await ensureDefaultBoard(pool, userId);
+        
+        const countResult = await pool.query(
+            'SELECT COUNT(*) AS count, COALESCE(MAX(position), -1) AS max_position FROM boards WHERE user_id = $1',
+            [userId]
+        );
+        
+        if (parseInt(countResult.rows[0].count) >= MAX_BOARDS) {
+            return res.status(400).json({
+                message: `最多只能有 ${MAX_BOARDS} 个看板`
+            });
+        }
+        
+        const client = await pool.connect();
+        
+        try {
+            await client.query('BEGIN');
+            
+            const result = await client.query(
+                `INSERT INTO boards (user_id, name, description, color, position, enforce_dependencies)
+                 VALUES ($1, $2, $3, $4, $5, $6)
+                 RETURNING *`,
+                [
+                    userId,
+                    name.trim(),
+                    description?.trim() || null,
+                    color || null,
+                    parseInt(countResult.rows[0].max_position) + 1,
+                    enforceDependencies || false
+                ]
+            );
+            
+            await client.query(
+                `INSERT INTO board_members (board_id, user_id, role) VALUES ($1, $2, 'owner')`,
+                [result.rows[0].id, userId]
+            );
+            
+            await client.query('COMMIT');
+            
+            res.status(201).json({
+                message: '看板创建成功',
+                board: formatBoard({ ...result.rows[0], role: 'owner', task_count: 0, member_count: 1 })
+            });
+            
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+    } catch (error) {
+        console.error('Create board error:', error);
+        res.status(500).json({
+            message: '创建看板时发生内部服务器错误'
+        });
+    }
+});
+
+// Update a board's name, description or color
+router.put('/:id', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { id } = req.params;
+        const { name, description, color, enforceDependencies } = req.body;
+        
+        const validationError = validateBoardFields({ name, description, color, enforceDependencies }, true);
+        if (validationError) {
+            return res.status(400).json({
+                message: validationError
+            });
+        }
+        
+        const board = await resolveBoardAccess(pool, userId, id);
+        
+        if (!board) {
+            return res.status(404).json({
+                message: '看板未找到'
+            });
+        }
+        
+        if (!hasBoardRole(board.role, 'owner')) {
+            return res.status(403).json({
+                message: '只有看板所有者可以修改看板'
+            });
+        }
+        
+        const updates = [];
+        const values = [];
+        let paramCount = 0;
+        
+        if (name !== undefined) {
+            paramCount++;
+            updates.push(`name = $${paramCount}`);
+            values.push(name.trim());
+        }
+        
+        if (description !== undefined) {
+            paramCount++;
+            updates.push(`description = $${paramCount}`);
+            values.push(description?.trim() || null);
+        }
+        
+        if (color !== undefined) {
+            paramCount++;
+            updates.push(`color = $${paramCount}`);
+            values.push(color || null);
+        }
+        
+        if (enforceDependencies !== undefined) {
+            paramCount++;
+            updates.push(`enforce_dependencies = $${paramCount}`);
+            values.push(enforceDependencies);
+        }
+        
+        if (updates.length === 0) {
+            return res.status(400).json({
+                message: '没有提供要更新的字段'
+            });
+        }
+        
+        updates.push('updated_at = now()');
+        
+        paramCount++;
+        values.push(board.id);
+        
+        const result = await pool.query(
+            `UPDATE boards
+             SET ${updates.join(', ')}
+             WHERE id = $${paramCount}
+             RETURNING *`,
+            values
+        );
+        
+        res.json({
+            message: '看板更新成功',
+            board: formatBoard({ ...result.rows[0], role: board.role })
+        });
+        
+    } catch (error) {
+        console.error('Update board error:', error);
+        res.status(500).json({
+            message: '更新看板时发生内部服务器错误'
+        });
+    }
+});
+
+// Delete a board together with its tasks and columns
+router.delete('/:id', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { id } = req.params;
+        
+        const board = await resolveBoardAccess(pool, userId, id);
+        
+        if (!board) {
+            return res.status(404).json({
+                message: '看板未找到'
+            });
+        }
+        
+        if (!hasBoardRole(board.role, 'owner')) {
+            return res.status(403).json({
+                message: '只有看板所有者可以删除看板'
+            });
+        }
+        
+        // Every user keeps at least one board of their own
+        const countResult = await pool.query(
+            'SELECT COUNT(*) FROM boards WHERE user_id = $1',
+            [userId]
+        );
+        
+        if (parseInt(countResult.rows[0].count) <= 1) {
+            return res.status(400).json({
+                message: '不能删除最后一个看板'
+            });
+        }
+        
+        // Tasks, columns and memberships are removed by ON DELETE CASCADE
+        const result = await pool.query(
+            'DELETE FROM boards WHERE id = $1 RETURNING *',
+            [board.id]
+        );
+        
+        disconnectBoardSubscribers(board.id);
+        
+        // Attachment files are stored under the board id
+        attachmentStore.removePrefix(board.id).catch(error => {
+            console.error('Remove board attachments error:', error);
+        });
+        
+        res.json({
+            message: '看板删除成功',
+            board: formatBoard(result.rows[0])
+        });
+        
+    } catch (error) {
+        console.error('Delete board error:', error);
+        res.status(500).json({
+            message: '删除看板时发生内部服务器错误'
+        });
+    }
+});
+
+// Get the members of a board
+router.get('/:id/members', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const board = await resolveBoardAccess(pool, userId, req.params.id);
+        
+        if (!board) {
+            return res.status(404).json({
+                message: '看板未找到'
+            });
+        }
+        
+        const result = await pool.query(
+            `SELECT m.user_id, m.role, m.created_at, u.username, u.display_name
+             FROM board_members m
+             JOIN users u ON u.id = m.user_id
+             WHERE m.board_id = $1
+             ORDER BY m.role = 'owner' DESC, m.created_at ASC`,
+            [board.id]
+        );
+        
+        res.json({
+            members: result.rows.map(row => ({ ...formatMember(row), isCurrentUser: row.user_id === userId }))
+        });
+        
+    } catch (error) {
+        console.error('Get board members error:', error);
+        res.status(500).json({
+            message: '获取看板成员时发生内部服务器错误'
+        });
+    }
+});
+
+// Invite a user to a board by username as an editor or viewer
+router.post('/:id/members', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { username, role = 'editor' } = req.body;
+        
+        if (!username || typeof username !== 'string' || username.trim().length === 0) {
+            return res.status(400).json({
+                message: '用户名是必需的'
+            });
+        }
+        
+        if (!INVITABLE_ROLES.includes(role)) {
+            return res.status(400).json({
+                message: '无效的成员角色'
+            });
+        }
+        
+        const board = await resolveBoardAccess(pool, userId, req.params.id);
+        
+        if (!board) {
+            return res.status(404).json({
+                message: '看板未找到'
+            });
+        }
+        
+        if (!hasBoardRole(board.role, 'owner')) {
+            return res.status(403).json({
+                message: '只有看板所有者可以邀请成员'
+            });
+        }
+        
+        const userResult = await pool.query(
+            'SELECT id, username, display_name FROM users WHERE username = $1',
+            [username.trim()]
+        );
+        
+        if (userResult.rows.length === 0) {
+            return res.status(404).json({
+                message: '用户未找到'
+            });
+        }
+        
+        const countResult = await pool.query(
+            'SELECT COUNT(*) FROM board_members WHERE board_id = $1',
+            [board.id]
+        );
+        
+        if (parseInt(countResult.rows[0].count) >= MAX_MEMBERS) {
+            return res.status(400).json({
+                message: `一个看板最多只能有 ${MAX_MEMBERS} 个成员`
+            });
+        }
+        
+        const invitee = userResult.rows[0];
+        
+        const result = await pool.query(
+            `INSERT INTO board_members (board_id, user_id, role, invited_by)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (board_id, user_id) DO NOTHING
+             RETURNING *`,
+            [board.id, invitee.id, role, userId]
+        );
+        
+        if (result.rows.length === 0) {
+            return res.status(409).json({
+                message: '该用户已是看板成员'
+            });
+        }
+        
+        res.status(201).json({
+            message: '成员邀请成功',
+            member: formatMember({ ...result.rows[0], username: invitee.username, display_name: invitee.display_name })
+        });
+        
+    } catch (error) {
+        console.error('Invite board member error:', error);
+        res.status(500).json({
+            message: '邀请成员时发生内部服务器错误'
+        });
+    }
+});
+
+// Change a member's role
+router.put('/:id/members/:userId', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { role } = req.body;
+        const memberId = req.params.userId;
+        
+        if (!INVITABLE_ROLES.includes(role)) {
+            return res.status(400).json({
+                message: '无效的成员角色'
+            });
+        }
+        
+        const board = await resolveBoardAccess(pool, userId, req.params.id);
+        
+        if (!board) {
+            return res.status(404).json({
+                message: '看板未找到'
+            });
+        }
+        
+        if (!hasBoardRole(board.role, 'owner')) {
+            return res.status(403).json({
+                message: '只有看板所有者可以更改成员角色'
+            });
+        }
+        
+        if (!UUID_PATTERN.test(memberId)) {
+            return res.status(404).json({
+                message: '成员未找到'
+            });
+        }
+        
+        const result = await pool.query(
+            `UPDATE board_members SET role = $1, updated_at = now()
+             WHERE board_id = $2 AND user_id = $3 AND role <> 'owner'
+             RETURNING *`,
+            [role, board.id, memberId]
+        );
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                message: '成员未找到'
+            });
+        }
+        
+        const userResult = await pool.query(
+            'SELECT username, display_name FROM users WHERE id = $1',
+            [memberId]
+        );
+        
+        res.json({
+            message: '成员角色更新成功',
+            member: formatMember({ ...result.rows[0], ...userResult.rows[0] })
+        });
+        
+    } catch (error) {
+        console.error('Update board member error:', error);
+        res.status(500).json({
+            message: '更新成员角色时发生内部服务器错误'
+        });
+    }
+});
+
+// Remove a member from a board; members may also remove themselves to leave
+router.delete('/:id/members/:userId', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const memberId = req.params.userId;
+        
+        const board = await resolveBoardAccess(pool, userId, req.params.id);
+        
+        if (!board) {
+            return res.status(404).json({
+                message: '看板未找到'
+            });
+        }
+        
+        if (memberId !== userId && !hasBoardRole(board.role, 'owner')) {
+            return res.status(403).json({
+                message: '只有看板所有者可以移除成员'
+            });
+        }
+        
+        if (!UUID_PATTERN.test(memberId)) {
+            return res.status(404).json({
+                message: '成员未找到'
+            });
+        }
+        
+        const memberResult = await pool.query(
+            'SELECT role FROM board_members WHERE board_id = $1 AND user_id = $2',
+            [board.id, memberId]
+        );
+        
+        if (memberResult.rows.length === 0) {
+            return res.status(404).json({
+                message: '成员未找到'
+            });
+        }
+        
+        if (memberResult.rows[0].role === 'owner') {
+            return res.status(400).json({
+                message: '不能移除看板所有者'
+            });
+        }
+        
+        // Tasks the member created stay on the board, but they are no longer assigned to any
+        await pool.query(
+            'DELETE FROM board_members WHERE board_id = $1 AND user_id = $2',
+            [board.id, memberId]
+        );
+        const unassigned = await pool.query(
+            'DELETE FROM task_assignees WHERE user_id = $2 AND task_id IN (SELECT id FROM tasks WHERE board_id = $1 AND deleted_at IS NULL) RETURNING task_id',
+            [board.id, memberId]
+        );
+        await recordTaskChanges(pool, board.id, unassigned.rows.map(row => row.task_id), 'upsert', userId);
+        
+        disconnectBoardSubscribers(board.id, memberId);
+        
+        res.json({
+            message: '成员移除成功',
+            userId: memberId
+        });
+        
+    } catch (error) {
+        console.error('Remove board member error:', error);
+        res.status(500).json({
+            message: '移除成员时发生内部服务器错误'
+        });
+    }
+});
+
+module.exports = router;
+module.exports.ensureDefaultBoard = ensureDefaultBoard;
+module.exports.resolveBoardAccess = resolveBoardAccess;
+module.exports.hasBoardRole = hasBoardRole;
@@ -0,0 +1,555 @@
+const express = require('express');
+const { Pool } = require('pg');
+const { authenticateToken } = require('./auth');
+const { handleIdempotencyKey } = require('../lib/idempotency');
+const { resolveBoardAccess, hasBoardRole } = require('./boards');
+const { broadcastTaskEvent, getClientId } = require('./events');
+
+const router = express.Router();
+
+// Database pool
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL || 'postgresql://localhost/taskflow_db',
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Columns every board starts with; keys match the historical status values
+const DEFAULT_COLUMNS = [
+    { key: 'todo', name: 'To Do', color: '#6B73FF' },
+    { key: 'inProgress', name: 'In Progress', color: '#FFB84D' },
+    { key: 'done', name: 'Done', color: '#10B981' }
+];
+
+// Tasks in this column count as finished: recurring tasks spawn their next one and blocked
+// tasks may not enter it. So it can be renamed and moved, but not deleted.
+const DONE_COLUMN_KEY = 'done';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const MAX_KEY_LENGTH = 20;
+const MAX_COLUMNS = 20;
+
+function formatColumn(row) {
+    return {
+        id: row.id,
+        boardId: row.board_id,
+        key: row.key,
+        name: row.name,
+        position: row.position,
+        color: row.color,
+        wipLimit: row.wip_limit,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// Seed the default columns for boards that have none yet
+async function ensureDefaultColumns(db, boardId) {
+    const existing = await db.query(
+        'SELECT COUNT(*) FROM board_columns WHERE board_id = $1',
+        [boardId]
+    );
+    
+    if (parseInt(existing.rows[0].count) > 0) return;
+    
+    for (let i = 0; i < DEFAULT_COLUMNS.length; i++) {
+        const column = DEFAULT_COLUMNS[i];
+        await db.query(
+            `INSERT INTO board_columns (user_id, board_id, key, name, position, color)
+             SELECT user_id, id, $2, $3, $4, $5 FROM boards WHERE id = $1
+             ON CONFLICT (board_id, key) DO NOTHING`,
+            [boardId, column.key, column.name, i, column.color]
+        );
+    }
+}
+
+// Status values a board's tasks may take, in board order
+async function getColumnKeys(db, boardId) {
+    await ensureDefaultColumns(db, boardId);
+    
+    const result = await db.query(
+        'SELECT key FROM board_columns WHERE board_id = $1 ORDER BY position ASC',
+        [boardId]
+    );
+    
+    return result.rows.map(row => row.key);
+}
+
+// Look up the board of a column together with the user's role on it
+async function getColumnAccess(db, userId, columnId) {
+    const result = await db.query(
+        `SELECT c.board_id, m.role
+         FROM board_columns c
+         JOIN board_members m ON m.board_id = c.board_id AND m.user_id = $2
+         WHERE c.id = $1`,
+        [columnId, userId]
+    );
+    
+    return result.rows[0] || null;
+}
+
+// A deleted column's tasks move the way a batch move would move them. Required here rather
+// than at the top, since the tasks routes require this module for getColumnKeys.
+function getTaskRoutes() {
+    return require('./tasks');
+}
+
+// Derive a camelCase status key from a column name, unique among existingKeys
+function generateColumnKey(name, existingKeys) {
+    const words = name.toLowerCase().match(/[a-z0-9]+/g) || [];
+    let base = words
+        .map((word, index) => index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1))
+        .join('')
+        .slice(0, MAX_KEY_LENGTH - 3);
+        
+    if (!base) {
+        base = 'column';
+    }
+    
+    let key = base;
+    let suffix = 2;
+    while (existingKeys.includes(key)) {
+        key = `${base}${suffix}`;
+        suffix++;
+    }
+    
+    return key;
+}
+
+// Validate name/color/wipLimit, returning an error message or null
+function validateColumnFields({ name, color, wipLimit }, isUpdate = false) {
+    if (!isUpdate || name !== undefined) {
+        if (!name || typeof name !== 'string' || name.trim().length === 0) {
+            return '列名称是必需的';
+        }
+        
+        if (name.trim().length > 50) {
+            return '列名称不能超过50个字符';
+        }
+    }
+    
+    if (color !== undefined && color !== null && !COLOR_PATTERN.test(color)) {
+        return '无效的颜色值';
+    }
+    
+    if (wipLimit !== undefined && wipLimit !== null) {
+        if (!Number.isInteger(wipLimit) || wipLimit < 1) {
+            return 'WIP限制必须是正整数';
+        }
+    }
+    
+    return null;
+}
+
+// Apply authentication to all column routes
+router.use(authenticateToken);
+router.use(handleIdempotencyKey);
+
+// Get the columns of a board (?boardId=, defaults to the user's first board)
+router.get('/', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const board = await resolveBoardAccess(pool, userId, req.query.boardId);
+        
+        if (!board) {
+            return res.status(404).json({
+                message: '看板未找到'
+            });
+        }
+        
+        await ensureDefaultColumns(pool, board.id);
+        
+        const result = await pool.query(
+            'SELECT * FROM board_columns WHERE board_id = $1 ORDER BY position ASC',
+            [board.id]
+        );
+        
+        res.json({ columns: result.rows.map(formatColumn) });
+        
+    } catch (error) {
+        console.error('Get columns error:', error);
+        res.status(500).json({
+            message: '获取列时发生内部服务器错误'
+        });
+    }
+});
+
+// Create a new column at the end of the board
+router.post('/', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { name, color, wipLimit } = req.body;
+        
+        const validationError = validateColumnFields({ name, color, wipLimit });
+        if (validationError) {
+            return res.status(400).json({
+                message: validationError
+            });
+        }
+        
+        const board = await resolveBoardAccess(pool, userId, req.query.boardId);
+        
+        if (!board) {
+            return res.status(404).json({
+                message: '看板未找到'
+            });
+        }
+        
+        if (!hasBoardRole(board.role, 'editor')) {
+            return res.status(403).json({
+                message: '没有修改此看板的权限'
+            });
+        }
+        
+        const existingKeys = await getColumnKeys(pool, board.id);
+        
+        if (existingKeys.length >= MAX_COLUMNS) {
+            return res.status(400).json({
+                message: `最多只能有 ${MAX_COLUMNS} 列`
+            });
+        }
+        
+        const key = generateColumnKey(name, existingKeys);
+        
+        const result = await pool.query(
+            `INSERT INTO board_columns (user_id, board_id, key, name, position, color, wip_limit)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)
+             RETURNING *`,
+            [userId, board.id, key, name.trim(), existingKeys.length, color || null, wipLimit || null]
+        );
+        
+        res.status(201).json({
+            message: '列创建成功',
+            column: formatColumn(result.rows[0])
+        });
+        
+    } catch (error) {
+        console.error('Create column error:', error);
+        res.status(500).json({
+            message: '创建列时发生内部服务器错误'
+        });
+    }
+});
+
+// Reorder the columns of a board
+router.put('/reorder', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { columnIds } = req.body;
+        
+        if (!Array.isArray(columnIds) || columnIds.length === 0) {
+            return res.status(400).json({
+                message: '列ID数组是必需的'
+            });
+        }
+        
+        const board = await resolveBoardAccess(pool, userId, req.query.boardId);
+        
+        if (!board) {
+            return res.status(404).json({
+                message: '看板未找到'
+            });
+        }
+        
+        if (!hasBoardRole(board.role, 'editor')) {
+            return res.status(403).json({
+                message: '没有修改此看板的权限'
+            });
+        }
+        
+        const boardId = board.id;
+        const client = await pool.connect();
+        
+        try {
+            await client.query('BEGIN');
+            
+            const existing = await client.query(
+                'SELECT id FROM board_columns WHERE board_id = $1',
+                [boardId]
+            );
+            
+            const existingIds = new Set(existing.rows.map(row => row.id));
+            const isCompleteOrder = columnIds.length === existingIds.size &&
+                columnIds.every(id => existingIds.has(id));
+                
+            if (!isCompleteOrder) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({
+                    message: '列ID必须包含所有列且不能重复'
+                });
+            }
+            
+            for (let i = 0; i < columnIds.length; i++) {
+                await client.query(
+                    'UPDATE board_columns SET position = $1, updated_at = now() WHERE id = $2 AND board_id = $3',
+                    [i, columnIds[i], boardId]
+                );
+            }
+            
+            const result = await client.query(
+                'SELECT * FROM board_columns WHERE board_id = $1 ORDER BY position ASC',
+                [boardId]
+            );
+            
+            await client.query('COMMIT');
+            
+            res.json({
+                message: '列顺序更新成功',
+                columns: result.rows.map(formatColumn)
+            });
+            
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+    } catch (error) {
+        console.error('Reorder columns error:', error);
+        res.status(500).json({
+            message: '更新列顺序时发生内部服务器错误'
+        });
+    }
+});
+
+// Update a column's name, color or WIP limit
+router.put('/:id', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { id } = req.params;
+        const { name, color, wipLimit } = req.body;
+        
+        // Columns created offline have client ids the server has never seen
+        if (!UUID_PATTERN.test(id)) {
+            return res.status(404).json({
+                message: '列未找到'
+            });
+        }
+        
+        const access = await getColumnAccess(pool, userId, id);
+        
+        if (!access) {
+            return res.status(404).json({
+                message: '列未找到'
+            });
+        }
+        
+        if (!hasBoardRole(access.role, 'editor')) {
+            return res.status(403).json({
+                message: '没有修改此看板的权限'
+            });
+        }
+        
+        const validationError = validateColumnFields({ name, color, wipLimit }, true);
+        if (validationError) {
+            return res.status(400).json({
+                message: validationError
+            });
+        }
+        
+        const updates = [];
+        const values = [];
+        let paramCount = 0;
+        
+        if (name !== undefined) {
+            paramCount++;
+            updates.push(`name = $${paramCount}`);
+            values.push(name.trim());
+        }
+        
+        if (color !== undefined) {
+            paramCount++;
+            updates.push(`color = $${paramCount}`);
+            values.push(color || null);
+        }
+        
+        if (wipLimit !== undefined) {
+            paramCount++;
+            updates.push(`wip_limit = $${paramCount}`);
+            values.push(wipLimit || null);
+        }
+        
+        if (updates.length === 0) {
+            return res.status(400).json({
+                message: '没有提供要更新的字段'
+            });
+        }
+        
+        updates.push('updated_at = now()');
+        
+        paramCount++;
+        values.push(id);
+        
+        const result = await pool.query(
+            `UPDATE board_columns
+             SET ${updates.join(', ')}
+             WHERE id = $${paramCount}
+             RETURNING *`,
+            values
+        );
+        
+        res.json({
+            message: '列更新成功',
+            column: formatColumn(result.rows[0])
+        });
+        
+    } catch (error) {
+        console.error('Update column error:', error);
+        res.status(500).json({
+            message: '更新列时发生内部服务器错误'
+        });
+    }
+});
+
+// Delete a column, moving its tasks to the column given by ?moveTo=<key>
+router.delete('/:id', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { id } = req.params;
+        const { moveTo } = req.query;
+        
+        if (!UUID_PATTERN.test(id)) {
+            return res.status(404).json({
+                message: '列未找到'
+            });
+        }
+        
+        const access = await getColumnAccess(pool, userId, id);
+        
+        if (!access) {
+            return res.status(404).json({
+                message: '列未找到'
+            });
+        }
+        
+        if (!hasBoardRole(access.role, 'editor')) {
+            return res.status(403).json({
+                message: '没有修改此看板的权限'
+            });
+        }
+        
+        const client = await pool.connect();
+        
+        try {
+            await client.query('BEGIN');
+            
+            // All columns on the same board as the one being deleted
+            const columnsResult = await client.query(
+                'SELECT * FROM board_columns WHERE board_id = $1 ORDER BY position ASC',
+                [access.board_id]
+            );
+            
+            const column = columnsResult.rows.find(row => row.id === id);
+            
+            if (!column) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({
+                    message: '列未找到'
+                });
+            }
+            
+            if (columnsResult.rows.length === 1) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({
+                    message: '不能删除最后一列'
+                });
+            }
+            
+            if (column.key === DONE_COLUMN_KEY) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({
+                    message: '不能删除完成列'
+                });
+            }
+            
+            // The column's cards in their current order, locked until they are moved
+            const tasksResult = await client.query(
+                `SELECT * FROM tasks WHERE board_id = $1 AND status = $2 AND deleted_at IS NULL
+                 ORDER BY rank COLLATE "C", created_at, id
+                 FOR UPDATE`,
+                [column.board_id, column.key]
+            );
+            
+            const movedTasks = [];
+            const spawnedTasks = [];
+            
+            if (tasksResult.rows.length > 0) {
+                const target = columnsResult.rows.find(row => row.key === moveTo && row.id !== id);
+                
+                if (!target) {
+                    await client.query('ROLLBACK');
+                    return res.status(409).json({
+                        message: '该列中仍有任务，请指定要移动到的列'
+                    });
+                }
+                
+                const { formatTask, isBlockedFromDone, applyBatchUpdate } = getTaskRoutes();
+                
+                for (const row of tasksResult.rows) {
+                    if (await isBlockedFromDone(client, formatTask(row), target.key)) {
+                        await client.query('ROLLBACK');
+                        return res.status(409).json({
+                            message: '该列中有任务被未完成的前置任务阻塞，不能移到已完成',
+                            taskId: row.id
+                        });
+                    }
+                }
+                
+                // Each card goes to the bottom of the target column, so they keep their order
+                for (const row of tasksResult.rows) {
+                    const { task, spawnedTask } = await applyBatchUpdate(client, userId, row, { status: target.key });
+                    movedTasks.push(task);
+                    
+                    if (spawnedTask) {
+                        spawnedTasks.push(spawnedTask);
+                    }
+                }
+            }
+            
+            await client.query(
+                'DELETE FROM board_columns WHERE id = $1',
+                [id]
+            );
+            
+            // Close the gap left in the ordering
+            await client.query(
+                'UPDATE board_columns SET position = position - 1 WHERE board_id = $1 AND position > $2',
+                [column.board_id, column.position]
+            );
+            
+            await client.query('COMMIT');
+            
+            movedTasks.forEach(task => {
+                broadcastTaskEvent(task.boardId, 'taskUpdated', { task }, getClientId(req));
+            });
+            spawnedTasks.forEach(task => {
+                broadcastTaskEvent(task.boardId, 'taskCreated', { task }, getClientId(req));
+            });
+            
+            res.json({
+                message: '列删除成功',
+                column: formatColumn(column),
+                movedTasks: movedTasks.length,
+                tasks: movedTasks,
+                spawnedTasks
+            });
+            
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+    } catch (error) {
+        console.error('Delete column error:', error);
+        res.status(500).json({
+            message: '删除列时发生内部服务器错误'
+        });
+    }
+});
+
+module.exports = router;
+module.exports.getColumnKeys = getColumnKeys;
+module.exports.ensureDefaultColumns = ensureDefaultColumns;
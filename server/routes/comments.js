@@ -0,0 +1,273 @@
+const express = require('express');
+const { Pool } = require('pg');
+const { authenticateToken } = require('./auth');
+const { handleIdempotencyKey } = require('../lib/idempotency');
+const { hasBoardRole } = require('./boards');
+const { formatTask, getTaskAccess, attachTaskDetails } = require('./tasks');
+const { broadcastTaskEvent, getClientId } = require('./events');
+const { recordTaskChanges } = require('../lib/changes');
+
+const router = express.Router();
+
+// Database pool
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL || 'postgresql://localhost/taskflow_db',
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Mounted on /api/tasks ahead of the tasks router, so only comment paths are handled here
+router.use('/:id/comments', authenticateToken, handleIdempotencyKey);
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_COMMENT_LENGTH = 5000;
+
+function formatComment(row) {
+    return {
+        id: row.id,
+        taskId: row.task_id,
+        body: row.body,
+        author: row.user_id ? {
+            userId: row.user_id,
+            username: row.username,
+            displayName: row.display_name
+        } : null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// Validate a comment body, returning an error message or null
+function validateCommentBody(body) {
+    if (typeof body !== 'string' || !body.trim()) {
+        return '评论内容是必需的';
+    }
+    
+    if (body.length > MAX_COMMENT_LENGTH) {
+        return `评论不能超过 ${MAX_COMMENT_LENGTH} 个字符`;
+    }
+    
+    return null;
+}
+
+// Load a comment of a task with its author, or null
+async function getComment(db, taskId, commentId) {
+    if (!UUID_PATTERN.test(commentId || '')) {
+        return null;
+    }
+    
+    const result = await db.query(
+        `SELECT c.*, u.username, u.display_name
+         FROM task_comments c
+         LEFT JOIN users u ON u.id = c.user_id
+         WHERE c.id = $1 AND c.task_id = $2`,
+        [commentId, taskId]
+    );
+    
+    return result.rows[0] || null;
+}
+
+// The task with its new comment count, as sent to clients after a comment was added or removed
+async function loadTask(db, userId, taskId) {
+    const task = formatTask(await getTaskAccess(db, userId, taskId));
+    await attachTaskDetails(db, [task]);
+    return task;
+}
+
+// Record a comment added or removed as a change of its task, so other clients see the new count
+async function recordCommentChange(db, task, userId, change) {
+    const client = await db.connect();
+    
+    try {
+        await client.query('BEGIN');
+        
+        const result = await change(client);
+        await recordTaskChanges(client, task.board_id, [task.id], 'upsert', userId);
+        
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Get the comments on a task, oldest first; any member of the board may read them
+router.get('/:id/comments', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const existingTask = await getTaskAccess(pool, userId, req.params.id);
+        
+        if (!existingTask) {
+            return res.status(404).json({
+                message: '任务未找到'
+            });
+        }
+        
+        const result = await pool.query(
+            `SELECT c.*, u.username, u.display_name
+             FROM task_comments c
+             LEFT JOIN users u ON u.id = c.user_id
+             WHERE c.task_id = $1
+             ORDER BY c.created_at ASC, c.id ASC`,
+            [existingTask.id]
+        );
+        
+        res.json({ comments: result.rows.map(formatComment) });
+        
+    } catch (error) {
+        console.error('Get comments error:', error);
+        res.status(500).json({
+            message: '获取评论时发生内部服务器错误'
+        });
+    }
+});
+
+// Comment on a task
+router.post('/:id/comments', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { body } = req.body;
+        
+        const validationError = validateCommentBody(body);
+        if (validationError) {
+            return res.status(400).json({
+                message: validationError
+            });
+        }
+        
+        const existingTask = await getTaskAccess(pool, userId, req.params.id);
+        
+        if (!existingTask) {
+            return res.status(404).json({
+                message: '任务未找到'
+            });
+        }
+        
+        if (!hasBoardRole(existingTask.role, 'editor')) {
+            return res.status(403).json({
+                message: '没有修改此看板的权限'
+            });
+        }
+        
+        const commentId = await recordCommentChange(pool, existingTask, userId, async (client) => {
+            const result = await client.query(
+                `INSERT INTO task_comments (task_id, user_id, body)
+                 VALUES ($1, $2, $3)
+                 RETURNING id`,
+                [existingTask.id, userId, body.trim()]
+            );
+            return result.rows[0].id;
+        });
+        
+        const comment = formatComment(await getComment(pool, existingTask.id, commentId));
+        const task = await loadTask(pool, userId, existingTask.id);
+        broadcastTaskEvent(task.boardId, 'taskUpdated', { task }, getClientId(req));
+        
+        res.status(201).json({
+            message: '评论发布成功',
+            comment,
+            task
+        });
+        
+    } catch (error) {
+        console.error('Create comment error:', error);
+        res.status(500).json({
+            message: '发布评论时发生内部服务器错误'
+        });
+    }
+});
+
+// Edit a comment; only its author may
+router.put('/:id/comments/:commentId', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { body } = req.body;
+        
+        const validationError = validateCommentBody(body);
+        if (validationError) {
+            return res.status(400).json({
+                message: validationError
+            });
+        }
+        
+        const existingTask = await getTaskAccess(pool, userId, req.params.id);
+        const existingComment = existingTask && await getComment(pool, existingTask.id, req.params.commentId);
+        
+        if (!existingComment) {
+            return res.status(404).json({
+                message: '评论未找到'
+            });
+        }
+        
+        // Authors who became viewers can no longer change the board, their comments included
+        if (existingComment.user_id !== userId || !hasBoardRole(existingTask.role, 'editor')) {
+            return res.status(403).json({
+                message: '只能编辑自己的评论'
+            });
+        }
+        
+        await pool.query(
+            'UPDATE task_comments SET body = $2, updated_at = now() WHERE id = $1',
+            [existingComment.id, body.trim()]
+        );
+        
+        const comment = formatComment(await getComment(pool, existingTask.id, existingComment.id));
+        
+        res.json({
+            message: '评论更新成功',
+            comment
+        });
+        
+    } catch (error) {
+        console.error('Update comment error:', error);
+        res.status(500).json({
+            message: '更新评论时发生内部服务器错误'
+        });
+    }
+});
+
+// Delete a comment; its author or the board owner may
+router.delete('/:id/comments/:commentId', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        
+        const existingTask = await getTaskAccess(pool, userId, req.params.id);
+        const existingComment = existingTask && await getComment(pool, existingTask.id, req.params.commentId);
+        
+        if (!existingComment) {
+            return res.status(404).json({
+                message: '评论未找到'
+            });
+        }
+        
+        const isAuthor = existingComment.user_id === userId && hasBoardRole(existingTask.role, 'editor');
+        if (!isAuthor && !hasBoardRole(existingTask.role, 'owner')) {
+            return res.status(403).json({
+                message: '没有删除此评论的权限'
+            });
+        }
+        
+        await recordCommentChange(pool, existingTask, userId, (client) => (
+            client.query('DELETE FROM task_comments WHERE id = $1', [existingComment.id])
+        ));
+        
+        const task = await loadTask(pool, userId, existingTask.id);
+        broadcastTaskEvent(task.boardId, 'taskUpdated', { task }, getClientId(req));
+        
+        res.json({
+            message: '评论删除成功',
+            comment: formatComment(existingComment),
+            task
+        });
+        
+    } catch (error) {
+        console.error('Delete comment error:', error);
+        res.status(500).json({
+            message: '删除评论时发生内部服务器错误'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,235 @@
+const express = require('express');
+const { Pool } = require('pg');
+const { authenticateToken } = require('./auth');
+const { handleIdempotencyKey } = require('../lib/idempotency');
+const { hasBoardRole } = require('./boards');
+const { formatTask, getTaskAccess, attachTaskDetails } = require('./tasks');
+const { broadcastTaskEvent, getClientId } = require('./events');
+const { recordTaskChanges } = require('../lib/changes');
+const { recordTaskUpdated } = require('../lib/activity');
+
+const router = express.Router();
+
+// Database pool
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL || 'postgresql://localhost/taskflow_db',
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Mounted on /api/tasks ahead of the tasks router, so only dependency paths are handled here
+router.use('/:id/dependencies', authenticateToken, handleIdempotencyKey);
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_BLOCKERS = 50;
+
+// The task with its dependencies, as sent to clients after they changed
+async function loadTask(db, userId, taskId) {
+    const row = await getTaskAccess(db, userId, taskId);
+    if (!row) return null;
+    
+    const task = formatTask(row);
+    await attachTaskDetails(db, [task]);
+    return task;
+}
+
+// Whether the blocker already waits for the task, directly or through other tasks,
+// in which case "task is blocked by blocker" would close a cycle
+async function createsCycle(db, taskId, blockerId) {
+    const result = await db.query(
+        `WITH RECURSIVE upstream AS (
+             SELECT blocker_id FROM task_dependencies WHERE task_id = $1
+             UNION
+             SELECT d.blocker_id FROM task_dependencies d
+             JOIN upstream u ON d.task_id = u.blocker_id
+         )
+         SELECT 1 FROM upstream WHERE blocker_id = $2 LIMIT 1`,
+        [blockerId, taskId]
+    );
+    
+    return result.rows.length > 0;
+}
+
+// Mark a task as blocked by another task of its board
+router.post('/:id/dependencies', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { blockerId } = req.body;
+        
+        if (!UUID_PATTERN.test(blockerId || '')) {
+            return res.status(400).json({
+                message: '无效的前置任务'
+            });
+        }
+        
+        const existingTask = await getTaskAccess(pool, userId, req.params.id);
+        
+        if (!existingTask) {
+            return res.status(404).json({
+                message: '任务未找到'
+            });
+        }
+        
+        if (!hasBoardRole(existingTask.role, 'editor')) {
+            return res.status(403).json({
+                message: '没有修改此看板的权限'
+            });
+        }
+        
+        if (blockerId === existingTask.id) {
+            return res.status(400).json({
+                message: '任务不能依赖自身'
+            });
+        }
+        
+        const blockerTask = await getTaskAccess(pool, userId, blockerId);
+        
+        if (!blockerTask || blockerTask.board_id !== existingTask.board_id) {
+            return res.status(400).json({
+                message: '前置任务必须是同一看板上的任务'
+            });
+        }
+        
+        const client = await pool.connect();
+        
+        try {
+            await client.query('BEGIN');
+            
+            // One dependency change per board at a time, so two requests cannot close a cycle together
+            await client.query('SELECT id FROM boards WHERE id = $1 FOR UPDATE', [existingTask.board_id]);
+            
+            const previousTask = formatTask(existingTask);
+            await attachTaskDetails(client, [previousTask]);
+            
+            if (previousTask.blockedBy.length >= MAX_BLOCKERS) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({
+                    message: `每个任务最多只能有 ${MAX_BLOCKERS} 个前置任务`
+                });
+            }
+            
+            if (await createsCycle(client, existingTask.id, blockerId)) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({
+                    message: '不能添加循环依赖'
+                });
+            }
+            
+            // Adding a dependency that exists already changes nothing
+            await client.query(
+                `INSERT INTO task_dependencies (task_id, blocker_id, user_id)
+                 VALUES ($1, $2, $3)
+                 ON CONFLICT (task_id, blocker_id) DO NOTHING`,
+                [existingTask.id, blockerId, userId]
+            );
+            
+            await recordTaskChanges(client, existingTask.board_id, [existingTask.id, blockerId], 'upsert', userId);
+            await recordTaskUpdated(client, userId, previousTask, await loadTask(client, userId, existingTask.id));
+            
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+        const task = await loadTask(pool, userId, existingTask.id);
+        const blocker = await loadTask(pool, userId, blockerId);
+        
+        broadcastTaskEvent(task.boardId, 'taskUpdated', { task }, getClientId(req));
+        broadcastTaskEvent(task.boardId, 'taskUpdated', { task: blocker }, getClientId(req));
+        
+        res.status(201).json({
+            message: '依赖添加成功',
+            task,
+            blocker
+        });
+        
+    } catch (error) {
+        console.error('Add dependency error:', error);
+        res.status(500).json({
+            message: '添加依赖时发生内部服务器错误'
+        });
+    }
+});
+
+// Remove a blocker from a task
+router.delete('/:id/dependencies/:blockerId', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { blockerId } = req.params;
+        
+        const existingTask = await getTaskAccess(pool, userId, req.params.id);
+        
+        if (!existingTask) {
+            return res.status(404).json({
+                message: '任务未找到'
+            });
+        }
+        
+        if (!hasBoardRole(existingTask.role, 'editor')) {
+            return res.status(403).json({
+                message: '没有修改此看板的权限'
+            });
+        }
+        
+        if (!UUID_PATTERN.test(blockerId || '')) {
+            return res.status(404).json({
+                message: '依赖未找到'
+            });
+        }
+        
+        const client = await pool.connect();
+        
+        try {
+            await client.query('BEGIN');
+            
+            const previousTask = formatTask(existingTask);
+            await attachTaskDetails(client, [previousTask]);
+            
+            const result = await client.query(
+                'DELETE FROM task_dependencies WHERE task_id = $1 AND blocker_id = $2',
+                [existingTask.id, blockerId]
+            );
+            
+            if (result.rowCount === 0) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({
+                    message: '依赖未找到'
+                });
+            }
+            
+            await recordTaskChanges(client, existingTask.board_id, [existingTask.id, blockerId], 'upsert', userId);
+            await recordTaskUpdated(client, userId, previousTask, await loadTask(client, userId, existingTask.id));
+            
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+        const task = await loadTask(pool, userId, existingTask.id);
+        const blocker = await loadTask(pool, userId, blockerId);
+        
+        broadcastTaskEvent(task.boardId, 'taskUpdated', { task }, getClientId(req));
+        if (blocker) {
+            broadcastTaskEvent(task.boardId, 'taskUpdated', { task: blocker }, getClientId(req));
+        }
+        
+        res.json({
+            message: '依赖删除成功',
+            task,
+            blocker
+        });
+        
+    } catch (error) {
+        console.error('Remove dependency error:', error);
+        res.status(500).json({
+            message: '删除依赖时发生内部服务器错误'
+        });
+    }
+});
+
+module.exports = router;
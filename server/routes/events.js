@@ -0,0 +1,211 @@
+const express = require('express');
+const crypto = require('crypto');
+const { Pool } = require('pg');
+const { authenticateToken } = require('./auth');
+
+const router = express.Router();
+
+// Database pool
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL || 'postgresql://localhost/taskflow_db',
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const HEARTBEAT_INTERVAL = 25000;
+const RETRY_DELAY = 5000;
+const STREAM_TICKET_TTL = 30 * 1000;
+
+// Open event streams, grouped by board id
+const subscribers = new Map();
+
+// EventSource cannot send headers, and an access token in the URL would end up in logs, so a
+// stream is opened with a ticket from POST /ticket instead. A ticket opens one stream of one
+// board, within STREAM_TICKET_TTL.
+const streamTickets = new Map();
+
+function issueStreamTicket(user, boardId) {
+    const now = Date.now();
+    
+    streamTickets.forEach((entry, ticket) => {
+        if (entry.expiresAt <= now) {
+            streamTickets.delete(ticket);
+        }
+    });
+    
+    const ticket = crypto.randomBytes(32).toString('base64url');
+    streamTickets.set(ticket, {
+        userId: user.userId,
+        sessionId: user.sessionId || null,
+        boardId,
+        expiresAt: now + STREAM_TICKET_TTL
+    });
+    
+    return ticket;
+}
+
+// Use up a ticket; returns its holder, or null if it is unknown, spent, expired or for another board
+function redeemStreamTicket(ticket, boardId) {
+    const entry = streamTickets.get(ticket);
+    streamTickets.delete(ticket);
+    
+    if (!entry || entry.expiresAt <= Date.now() || entry.boardId !== boardId) {
+        return null;
+    }
+    
+    return entry;
+}
+
+async function isBoardMember(userId, boardId) {
+    const membership = await pool.query(
+        'SELECT role FROM board_members WHERE board_id = $1 AND user_id = $2',
+        [boardId, userId]
+    );
+    
+    return membership.rows.length > 0;
+}
+
+function writeEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Send a task change to everyone watching the board except the tab that made it
+function broadcastTaskEvent(boardId, event, data, originClientId = null) {
+    const boardSubscribers = subscribers.get(boardId);
+    if (!boardSubscribers) return;
+    
+    boardSubscribers.forEach(subscriber => {
+        if (originClientId && subscriber.clientId === originClientId) return;
+        writeEvent(subscriber.res, event, data);
+    });
+}
+
+// Close the streams of a removed member, or of everyone when the board is deleted
+function disconnectBoardSubscribers(boardId, userId = null) {
+    const boardSubscribers = subscribers.get(boardId);
+    if (!boardSubscribers) return;
+    
+    boardSubscribers.forEach(subscriber => {
+        if (!userId || subscriber.userId === userId) {
+            subscriber.res.end();
+        }
+    });
+}
+
+// Close the streams opened with a session's tokens once it is signed out
+function disconnectSessionSubscribers(sessionId) {
+    subscribers.forEach(boardSubscribers => {
+        boardSubscribers.forEach(subscriber => {
+            if (subscriber.sessionId === sessionId) {
+                subscriber.res.end();
+            }
+        });
+    });
+}
+
+// Identifies the tab a request came from, so it does not receive its own changes back
+function getClientId(req) {
+    return req.get('X-Client-Id') || null;
+}
+
+// Get a ticket for the event stream of a board (boardId)
+router.post('/ticket', authenticateToken, async (req, res) => {
+    try {
+        const { boardId } = req.body;
+        
+        if (typeof boardId !== 'string' || !UUID_PATTERN.test(boardId)) {
+            return res.status(400).json({ 
+                message: '看板ID是必需的'
+            });
+        }
+        
+        if (!(await isBoardMember(req.user.userId, boardId))) {
+            return res.status(404).json({ 
+                message: '看板未找到'
+            });
+        }
+        
+        res.json({
+            ticket: issueStreamTicket(req.user, boardId),
+            expiresIn: STREAM_TICKET_TTL / 1000
+        });
+        
+    } catch (error) {
+        console.error('Issue event stream ticket error:', error);
+        res.status(500).json({ 
+            message: '获取事件票据时发生内部服务器错误'
+        });
+    }
+});
+
+// Subscribe to the task changes of a board (?boardId=&ticket=)
+router.get('/', async (req, res) => {
+    try {
+        const { boardId, clientId, ticket } = req.query;
+        
+        if (typeof boardId !== 'string' || !UUID_PATTERN.test(boardId)) {
+            return res.status(400).json({ 
+                message: '看板ID是必需的'
+            });
+        }
+        
+        const holder = typeof ticket === 'string' ? redeemStreamTicket(ticket, boardId) : null;
+        
+        if (!holder) {
+            return res.status(401).json({ 
+                message: '事件票据无效或已过期'
+            });
+        }
+        
+        const { userId, sessionId } = holder;
+        
+        // The member may have been removed since the ticket was issued
+        if (!(await isBoardMember(userId, boardId))) {
+            return res.status(404).json({ 
+                message: '看板未找到'
+            });
+        }
+        
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${RETRY_DELAY}\n\n`);
+        
+        const subscriber = { res, userId, sessionId, clientId: clientId || null };
+        
+        if (!subscribers.has(boardId)) {
+            subscribers.set(boardId, new Set());
+        }
+        subscribers.get(boardId).add(subscriber);
+        
+        writeEvent(res, 'ready', { boardId });
+        
+        // Comments keep proxies from closing an idle stream
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+        
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            
+            const boardSubscribers = subscribers.get(boardId);
+            boardSubscribers?.delete(subscriber);
+            if (boardSubscribers?.size === 0) {
+                subscribers.delete(boardId);
+            }
+        });
+        
+    } catch (error) {
+        console.error('Subscribe to events error:', error);
+        res.status(500).json({ 
+            message: '订阅事件时发生内部服务器错误'
+        });
+    }
+});
+
+module.exports = router;
+module.exports.broadcastTaskEvent = broadcastTaskEvent;
+module.exports.disconnectBoardSubscribers = disconnectBoardSubscribers;
+module.exports.disconnectSessionSubscribers = disconnectSessionSubscribers;
+module.exports.getClientId = getClientId;
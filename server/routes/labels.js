@@ -0,0 +1,321 @@
+const express = require('express');
+const { Pool } = require('pg');
+const { authenticateToken } = require('./auth');
+const { handleIdempotencyKey } = require('../lib/idempotency');
+const { resolveBoardAccess, hasBoardRole } = require('./boards');
+const { formatTask, attachTaskDetails, getTaskLabels } = require('./tasks');
+const { broadcastTaskEvent, getClientId } = require('./events');
+const { recordTaskChanges } = require('../lib/changes');
+const { recordTaskUpdated } = require('../lib/activity');
+
+const router = express.Router();
+
+// Database pool
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL || 'postgresql://localhost/taskflow_db',
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const MAX_LABELS = 100;
+const MAX_NAME_LENGTH = 50;
+
+// Postgres error code of a unique index violation, here the one on (board_id, lower(name))
+const UNIQUE_VIOLATION = '23505';
+
+function formatLabel(row) {
+    return {
+        id: row.id,
+        boardId: row.board_id,
+        name: row.name,
+        color: row.color,
+        taskCount: row.task_count !== undefined ? parseInt(row.task_count) : undefined,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// Look up a label together with the user's role on its board
+async function getLabelAccess(db, userId, labelId) {
+    if (!UUID_PATTERN.test(labelId || '')) {
+        return null;
+    }
+    
+    const result = await db.query(
+        `SELECT l.*, m.role
+         FROM labels l
+         JOIN board_members m ON m.board_id = l.board_id AND m.user_id = $2
+         WHERE l.id = $1`,
+        [labelId, userId]
+    );
+    
+    return result.rows[0] || null;
+}
+
+// Validate name/color, returning an error message or null
+function validateLabelFields({ name, color }, isUpdate = false) {
+    if (!isUpdate || name !== undefined) {
+        if (!name || typeof name !== 'string' || name.trim().length === 0) {
+            return '标签名称是必需的';
+        }
+        
+        if (name.trim().length > MAX_NAME_LENGTH) {
+            return `标签名称不能超过${MAX_NAME_LENGTH}个字符`;
+        }
+    }
+    
+    if ((!isUpdate || color !== undefined) && !COLOR_PATTERN.test(color || '')) {
+        return '无效的颜色值';
+    }
+    
+    return null;
+}
+
+// Apply authentication to all label routes
+router.use(authenticateToken);
+router.use(handleIdempotencyKey);
+
+// Get the labels of a board (?boardId=, defaults to the user's first board), with how many tasks use each
+router.get('/', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const board = await resolveBoardAccess(pool, userId, req.query.boardId);
+        
+        if (!board) {
+            return res.status(404).json({
+                message: '看板未找到'
+            });
+        }
+        
+        const result = await pool.query(
+            `SELECT l.*, (
+                 SELECT COUNT(*) FROM task_labels tl
+                 JOIN tasks t ON t.id = tl.task_id AND t.deleted_at IS NULL
+                 WHERE tl.label_id = l.id
+             ) AS task_count
+             FROM labels l
+             WHERE l.board_id = $1
+             ORDER BY lower(l.name) ASC`,
+            [board.id]
+        );
+        
+        res.json({ labels: result.rows.map(formatLabel) });
+        
+    } catch (error) {
+        console.error('Get labels error:', error);
+        res.status(500).json({
+            message: '获取标签时发生内部服务器错误'
+        });
+    }
+});
+
+// Create a label on a board
+router.post('/', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { name, color } = req.body;
+        
+        const validationError = validateLabelFields({ name, color });
+        if (validationError) {
+            return res.status(400).json({
+                message: validationError
+            });
+        }
+        
+        const board = await resolveBoardAccess(pool, userId, req.query.boardId);
+        
+        if (!board) {
+            return res.status(404).json({
+                message: '看板未找到'
+            });
+        }
+        
+        if (!hasBoardRole(board.role, 'editor')) {
+            return res.status(403).json({
+                message: '没有修改此看板的权限'
+            });
+        }
+        
+        const countResult = await pool.query(
+            'SELECT COUNT(*) FROM labels WHERE board_id = $1',
+            [board.id]
+        );
+        
+        if (parseInt(countResult.rows[0].count) >= MAX_LABELS) {
+            return res.status(400).json({
+                message: `最多只能有 ${MAX_LABELS} 个标签`
+            });
+        }
+        
+        const result = await pool.query(
+            `INSERT INTO labels (board_id, user_id, name, color)
+             VALUES ($1, $2, $3, $4)
+             RETURNING *`,
+            [board.id, userId, name.trim(), color]
+        );
+        
+        res.status(201).json({
+            message: '标签创建成功',
+            label: formatLabel({ ...result.rows[0], task_count: 0 })
+        });
+        
+    } catch (error) {
+        if (error.code === UNIQUE_VIOLATION) {
+            return res.status(409).json({
+                message: '标签名称已存在'
+            });
+        }
+        
+        console.error('Create label error:', error);
+        res.status(500).json({
+            message: '创建标签时发生内部服务器错误'
+        });
+    }
+});
+
+// Rename or recolor a label; tasks refer to it by id, so they stay as they are
+router.put('/:id', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { name, color } = req.body;
+        
+        const label = await getLabelAccess(pool, userId, req.params.id);
+        
+        if (!label) {
+            return res.status(404).json({
+                message: '标签未找到'
+            });
+        }
+        
+        if (!hasBoardRole(label.role, 'editor')) {
+            return res.status(403).json({
+                message: '没有修改此看板的权限'
+            });
+        }
+        
+        const validationError = validateLabelFields({ name, color }, true);
+        if (validationError) {
+            return res.status(400).json({
+                message: validationError
+            });
+        }
+        
+        if (name === undefined && color === undefined) {
+            return res.status(400).json({
+                message: '没有提供要更新的字段'
+            });
+        }
+        
+        const result = await pool.query(
+            `UPDATE labels
+             SET name = COALESCE($2, name), color = COALESCE($3, color), updated_at = now()
+             WHERE id = $1
+             RETURNING *`,
+            [label.id, name === undefined ? null : name.trim(), color === undefined ? null : color]
+        );
+        
+        res.json({
+            message: '标签更新成功',
+            label: formatLabel(result.rows[0])
+        });
+        
+    } catch (error) {
+        if (error.code === UNIQUE_VIOLATION) {
+            return res.status(409).json({
+                message: '标签名称已存在'
+            });
+        }
+        
+        console.error('Update label error:', error);
+        res.status(500).json({
+            message: '更新标签时发生内部服务器错误'
+        });
+    }
+});
+
+// Delete a label, taking it off every task that carries it
+router.delete('/:id', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        
+        const label = await getLabelAccess(pool, userId, req.params.id);
+        
+        if (!label) {
+            return res.status(404).json({
+                message: '标签未找到'
+            });
+        }
+        
+        if (!hasBoardRole(label.role, 'editor')) {
+            return res.status(403).json({
+                message: '没有修改此看板的权限'
+            });
+        }
+        
+        const client = await pool.connect();
+        let taskIds;
+        
+        try {
+            await client.query('BEGIN');
+            
+            const taskResult = await client.query(
+                `SELECT t.id FROM task_labels tl
+                 JOIN tasks t ON t.id = tl.task_id AND t.deleted_at IS NULL
+                 WHERE tl.label_id = $1`,
+                [label.id]
+            );
+            taskIds = taskResult.rows.map(row => row.id);
+            
+            const previousLabels = await getTaskLabels(client, taskIds);
+            
+            await client.query('DELETE FROM labels WHERE id = $1', [label.id]);
+            
+            if (taskIds.length > 0) {
+                await client.query(
+                    'UPDATE tasks SET updated_at = now() WHERE id = ANY($1::uuid[])',
+                    [taskIds]
+                );
+                
+                await recordTaskChanges(client, label.board_id, taskIds, 'upsert', userId);
+                
+                for (const taskId of taskIds) {
+                    const task = { id: taskId, boardId: label.board_id };
+                    const labels = previousLabels.get(taskId) || [];
+                    await recordTaskUpdated(client, userId, { ...task, labels }, { ...task, labels: labels.filter(id => id !== label.id) });
+                }
+            }
+            
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+        // Other clients drop the label from their cards right away
+        if (taskIds.length > 0) {
+            const result = await pool.query('SELECT * FROM tasks WHERE id = ANY($1::uuid[])', [taskIds]);
+            const tasks = await attachTaskDetails(pool, result.rows.map(formatTask));
+            
+            tasks.forEach(task => {
+                broadcastTaskEvent(label.board_id, 'taskUpdated', { task }, getClientId(req));
+            });
+        }
+        
+        res.json({
+            message: '标签删除成功',
+            label: formatLabel(label),
+            updatedTasks: taskIds.length
+        });
+        
+    } catch (error) {
+        console.error('Delete label error:', error);
+        res.status(500).json({
+            message: '删除标签时发生内部服务器错误'
+        });
+    }
+});
+
+module.exports = router;
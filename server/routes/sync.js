@@ -1,6 +1,15 @@
 const express = require('express');
 const { Pool } = require('pg');
 const { authenticateToken } = require('./auth');
+const { handleIdempotencyKey } = require('../lib/idempotency');
+const { getColumnKeys, ensureDefaultColumns } = require('./columns');
+const { resolveBoardAccess, hasBoardRole } = require('./boards');
+const { formatTask, getTaskAccess, attachTaskDetails, validateAssignees, saveAssignees, validateLabels, saveLabels, validateChecklist, saveChecklist, isValidRank, isStoredRank, getRankAfterLast, placeByRank, spawnNextOccurrence, isBlockedFromDone, BLOCKED_TASK_MESSAGE } = require('./tasks');
+const { broadcastTaskEvent, getClientId } = require('./events');
+const { recordTaskChanges } = require('../lib/changes');
+const { recordTaskCreated, recordTaskUpdated, recordTasksDeleted } = require('../lib/activity');
+const { normalizeRecurrence } = require('../lib/recurrence');
+const { attachmentStore } = require('../storage');
 
 const router = express.Router();
 
@@ -10,14 +19,297 @@ const pool = new Pool({
     ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
 });
 
-// Apply authentication
-router.use(authenticateToken);
+// Apply authentication; the router is mounted at /api, so only to its own paths
+router.use('/sync', authenticateToken);
+router.use('/sync', handleIdempotencyKey);
 
-// Sync endpoint - merge client tasks with server tasks
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_PUSH_OPERATIONS = 200;
+const MAX_CHANGES_PAGE = 500;
+
+// How long tombstones and change log entries are kept for clients that were offline
+const SYNC_RETENTION_DAYS = parseInt(process.env.SYNC_RETENTION_DAYS) || 30;
+
+// Task fields merged one by one when both sides changed a task
+const MERGE_FIELDS = ['title', 'description', 'category', 'priority', 'status', 'rank', 'dueDate', 'recurrence', 'checklist', 'assignees', 'labels'];
+
+// Parse a client date, falling back to null (or the given default) when it is missing or invalid
+function parseClientDate(value, fallback = null) {
+    if (!value) return fallback;
+    
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? fallback : date;
+}
+
+// The recurrence rule a client task carries: null to clear it, undefined when the client did
+// not send one (older clients) or sent one that is invalid, which is ignored rather than failing the sync
+function getSyncedRecurrence(task) {
+    return task.recurrence === undefined ? undefined : normalizeRecurrence(task.recurrence);
+}
+
+// Insert a task sent by a client, keeping its id if it is a UUID (older clients made up
+// their own ids, which get a server id instead); existing ids are left alone.
+// Tasks from clients that do not rank cards go to the bottom of their column.
+async function insertSyncedTask(db, userId, boardId, task, status) {
+    const rank = isValidRank(task.rank) && isStoredRank(task.rank) ? task.rank : await getRankAfterLast(db, boardId, status);
+    
+    const result = await db.query(
+        `INSERT INTO tasks (id, user_id, board_id, title, description, category, priority, status, due_date, created_at, updated_at, rank, recurrence)
+         VALUES (COALESCE($1::uuid, gen_random_uuid()), $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+         ON CONFLICT (id) DO NOTHING
+         RETURNING *`,
+        [
+            UUID_PATTERN.test(task.id || '') ? task.id : null,
+            userId,
+            boardId,
+            task.title,
+            task.description || null,
+            task.category || null,
+            task.priority || 'Medium',
+            status,
+            parseClientDate(task.dueDate),
+            parseClientDate(task.createdAt, new Date()),
+            parseClientDate(task.updatedAt, new Date()),
+            rank,
+            getSyncedRecurrence(task) || null
+        ]
+    );
+    
+    return result.rows.length > 0 ? placeSyncedTask(db, formatTask(result.rows[0]), task.rank) : null;
+}
+
+// A rank too long to store was left out when the task was written; put the card where it says
+async function placeSyncedTask(db, savedTask, rank) {
+    if (isValidRank(rank) && !isStoredRank(rank)) {
+        savedTask.rank = await placeByRank(db, savedTask, rank);
+    }
+    return savedTask;
+}
+
+// Overwrite a task on the board with a client's version; a task sent without a rank keeps its
+// place, and one sent without a recurrence rule keeps its rule
+async function updateSyncedTask(db, boardId, task, status, updatedAt) {
+    const recurrence = getSyncedRecurrence(task);
+    
+    const result = await db.query(
+        `UPDATE tasks 
+         SET title = $3, description = $4, category = $5, priority = $6, 
+             status = $7, due_date = $8, updated_at = $9, rank = COALESCE($10, rank),
+             recurrence = CASE WHEN $11 THEN $12 ELSE recurrence END
+         WHERE id = $1 AND board_id = $2 AND deleted_at IS NULL
+         RETURNING *`,
+        [
+            task.id,
+            boardId,
+            task.title,
+            task.description || null,
+            task.category || null,
+            task.priority || 'Medium',
+            status,
+            parseClientDate(task.dueDate),
+            updatedAt,
+            isValidRank(task.rank) && isStoredRank(task.rank) ? task.rank : null,
+            recurrence !== undefined,
+            recurrence || null
+        ]
+    );
+    
+    return result.rows.length > 0 ? placeSyncedTask(db, formatTask(result.rows[0]), task.rank) : null;
+}
+
+// Ids of the board's deleted tasks whose tombstones have not been purged yet
+async function getDeletedTaskIds(db, boardId) {
+    const result = await db.query(
+        'SELECT id FROM tasks WHERE board_id = $1 AND deleted_at IS NOT NULL',
+        [boardId]
+    );
+    
+    return result.rows.map(row => row.id);
+}
+
+// Turn the given tasks of a board into tombstones, returning the ids that were still live
+async function softDeleteTasks(db, boardId, taskIds) {
+    const uuids = taskIds.filter(id => UUID_PATTERN.test(id || ''));
+    if (uuids.length === 0) return [];
+    
+    const result = await db.query(
+        `UPDATE tasks SET deleted_at = now(), updated_at = now()
+         WHERE board_id = $1 AND id = ANY($2::uuid[]) AND deleted_at IS NULL
+         RETURNING id`,
+        [boardId, uuids]
+    );
+    
+    return result.rows.map(row => row.id);
+}
+
+// The latest change log entry of a board; 0 before anything was logged
+async function getChangeCursor(db, boardId) {
+    const result = await db.query(
+        'SELECT COALESCE(MAX(id), 0) AS cursor FROM task_changes WHERE board_id = $1',
+        [boardId]
+    );
+    
+    return Number(result.rows[0].cursor);
+}
+
+// The newest change log entry of a board the purge job removed; 0 if none were
+async function getPurgedCursor(db, boardId) {
+    const result = await db.query(
+        'SELECT purged_through FROM board_sync_state WHERE board_id = $1',
+        [boardId]
+    );
+    
+    return result.rows.length > 0 ? Number(result.rows[0].purged_through) : 0;
+}
+
+// Remove tombstones and change log entries older than the retention period.
+// Run periodically by the server; returns how many of each were removed.
+async function purgeSyncHistory(db, retentionDays = SYNC_RETENTION_DAYS) {
+    // Attachment rows go with their tasks, but the files have to be removed from the store
+    const attachmentsResult = await db.query(
+        `SELECT a.storage_key FROM task_attachments a
+         JOIN tasks t ON t.id = a.task_id
+         WHERE t.deleted_at < now() - make_interval(days => $1)`,
+        [retentionDays]
+    );
+    
+    for (const row of attachmentsResult.rows) {
+        await attachmentStore.remove(row.storage_key);
+    }
+    
+    const tasksResult = await db.query(
+        'DELETE FROM tasks WHERE deleted_at < now() - make_interval(days => $1)',
+        [retentionDays]
+    );
+    
+    // Remember how far each board's log was purged, so older cursors get a snapshot
+    const changesResult = await db.query(
+        `WITH purged AS (
+             DELETE FROM task_changes
+             WHERE created_at < now() - make_interval(days => $1)
+             RETURNING board_id, id
+         ), horizons AS (
+             INSERT INTO board_sync_state (board_id, purged_through)
+             SELECT board_id, MAX(id) FROM purged GROUP BY board_id
+             ON CONFLICT (board_id) DO UPDATE
+             SET purged_through = GREATEST(board_sync_state.purged_through, EXCLUDED.purged_through)
+         )
+         SELECT COUNT(*) AS count FROM purged`,
+        [retentionDays]
+    );
+    
+    return {
+        tasks: tasksResult.rowCount,
+        changes: parseInt(changesResult.rows[0].count)
+    };
+}
+
+// A field in a form that compares equal whenever the values mean the same thing
+function comparableField(task, field) {
+    const value = task[field];
+    
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    
+    if (field === 'dueDate') {
+        const date = parseClientDate(value);
+        return date ? date.toISOString() : null;
+    }
+    
+    if (field === 'checklist') {
+        return Array.isArray(value)
+            ? JSON.stringify(value.map(item => ({ title: item?.title, completed: Boolean(item?.completed) })))
+            : null;
+    }
+    
+    if (field === 'assignees') {
+        return Array.isArray(value)
+            ? JSON.stringify(value.map(assignee => typeof assignee === 'string' ? assignee : assignee?.userId).sort())
+            : null;
+    }
+    
+    if (field === 'labels') {
+        return Array.isArray(value) ? JSON.stringify([...value].sort()) : null;
+    }
+    
+    return value;
+}
+
+// Three-way merge of a task. Starting from the server version, each field the client
+// changed since the base version is taken from the client, unless the server changed
+// it too, in which case the field is a conflict and keeps the server's value.
+function mergeTaskVersions(base, clientTask, serverTask) {
+    const merged = { ...serverTask };
+    const conflicts = [];
+    let changed = false;
+    
+    MERGE_FIELDS.forEach(field => {
+        // Fields the client did not send are left as they are
+        if (clientTask[field] === undefined) return;
+        
+        const baseValue = comparableField(base, field);
+        const clientValue = comparableField(clientTask, field);
+        const serverValue = comparableField(serverTask, field);
+        
+        if (clientValue === serverValue || clientValue === baseValue) return;
+        
+        if (serverValue === baseValue) {
+            merged[field] = clientTask[field];
+            changed = true;
+        } else if (field !== 'rank') {
+            // Card order is not worth asking about: when both sides moved a card, the server's place stays
+            conflicts.push(field);
+        }
+    });
+    
+    return { merged, conflicts, changed };
+}
+
+// What a client needs to show a conflict and resolve it later
+function buildConflict(base, clientTask, serverTask, mergedTask, fields) {
+    return {
+        taskId: serverTask.id,
+        fields,
+        baseVersion: base,
+        clientVersion: clientTask,
+        serverVersion: serverTask,
+        mergedVersion: mergedTask
+    };
+}
+
+// Store the checklist a client task carries; invalid lists are ignored rather than failing the sync
+async function saveSyncedChecklist(db, task) {
+    if (task.checklist === undefined || validateChecklist(task.checklist)) {
+        return;
+    }
+    
+    await saveChecklist(db, task.id, task.checklist);
+}
+
+// Store the assignees a client task carries; invalid lists are ignored rather than failing the sync
+async function saveSyncedAssignees(db, task, boardId) {
+    if (task.assignees === undefined || validateAssignees(task.assignees)) {
+        return;
+    }
+    
+    await saveAssignees(db, task.id, boardId, task.assignees);
+}
+
+// Store the labels a client task carries; invalid lists are ignored rather than failing the sync
+async function saveSyncedLabels(db, task, boardId) {
+    if (task.labels === undefined || validateLabels(task.labels)) {
+        return;
+    }
+    
+    await saveLabels(db, task.id, boardId, task.labels);
+}
+
+// Sync endpoint - merge client tasks with the server tasks of one board
 router.post('/sync', async (req, res) => {
     try {
         const { userId } = req.user;
-        const { tasks: clientTasks } = req.body;
+        const { tasks: clientTasks, boardId: requestedBoardId, deletedTaskIds: clientDeletedTaskIds = [] } = req.body;
         
         if (!Array.isArray(clientTasks)) {
             return res.status(400).json({ 
@@ -25,46 +317,92 @@ router.post('/sync', async (req, res) => {
             });
         }
         
+        if (!Array.isArray(clientDeletedTaskIds)) {
+            return res.status(400).json({ 
+                message: '已删除任务ID必须是数组' 
+            });
+        }
+        
+        const board = await resolveBoardAccess(pool, userId, requestedBoardId);
+        
+        if (!board) {
+            return res.status(404).json({ 
+                message: '看板未找到' 
+            });
+        }
+        
+        const boardId = board.id;
+        
+        // Viewers get the board as it is on the server; their local edits are not applied
+        const canEdit = hasBoardRole(board.role, 'editor');
+        
         const client = await pool.connect();
         
         try {
             await client.query('BEGIN');
             
-            // Get all server tasks for the user
+            // Unknown statuses (e.g. from a deleted column) fall back to the first column
+            const validStatuses = await getColumnKeys(client, boardId);
+            const resolveStatus = status => validStatuses.includes(status) ? status : validStatuses[0];
+            
+            // Tasks the client deleted become tombstones before anything is merged
+            const deletedByClient = canEdit ? await softDeleteTasks(client, boardId, clientDeletedTaskIds) : [];
+            await recordTaskChanges(client, boardId, deletedByClient, 'delete', userId);
+            await recordTasksDeleted(client, userId, boardId, deletedByClient);
+            
+            // Tasks deleted on either side are not recreated from the other side's copy
+            const deletedTaskIds = await getDeletedTaskIds(client, boardId);
+            const deletedIds = new Set(deletedTaskIds);
+            const syncedClientTasks = canEdit ? clientTasks.filter(task => !deletedIds.has(task.id)) : [];
+            
+            // Get all server tasks on the board, whoever created them
             const serverTasksResult = await client.query(
-                'SELECT * FROM tasks WHERE user_id = $1',
-                [userId]
+                'SELECT * FROM tasks WHERE board_id = $1 AND deleted_at IS NULL',
+                [boardId]
             );
             
-            const serverTasks = serverTasksResult.rows.map(row => ({
-                id: row.id,
-                title: row.title,
-                description: row.description,
-                category: row.category,
-                priority: row.priority,
-                status: row.status,
-                dueDate: row.due_date,
-                createdAt: row.created_at,
-                updatedAt: row.updated_at
-            }));
+            const serverTasks = serverTasksResult.rows.map(formatTask);
+            
+            // Checklists, assignees and labels take part in the merge
+            await attachTaskDetails(client, serverTasks);
             
             // Create maps for easier lookup
             const serverTaskMap = new Map(serverTasks.map(task => [task.id, task]));
-            const clientTaskMap = new Map(clientTasks.map(task => [task.id, task]));
+            const clientTaskMap = new Map(syncedClientTasks.map(task => [task.id, task]));
             
             const mergedTasks = [];
             const tasksToCreate = [];
             const tasksToUpdate = [];
+            const conflicts = [];
+            const createdTaskIds = new Set();
+            const updatedTaskIds = new Set();
+            const blockedTaskIds = [];
             
             // Process client tasks
-            for (const clientTask of clientTasks) {
+            for (const clientTask of syncedClientTasks) {
                 const serverTask = serverTaskMap.get(clientTask.id);
                 
                 if (!serverTask) {
                     // Task exists only on client - create on server
                     tasksToCreate.push(clientTask);
+                } else if (parseClientDate(clientTask.base?.updatedAt) && new Date(serverTask.updatedAt) > parseClientDate(clientTask.base.updatedAt)) {
+                    // Both sides may have changed the task since the version the client
+                    // started from - merge field by field
+                    const { merged, conflicts: conflictingFields, changed } = mergeTaskVersions(clientTask.base, clientTask, serverTask);
+                    
+                    if (conflictingFields.length > 0) {
+                        // The server version stays until the client resolves the conflict
+                        conflicts.push(buildConflict(clientTask.base, clientTask, serverTask, merged, conflictingFields));
+                        mergedTasks.push(serverTask);
+                    } else if (changed) {
+                        const mergedTask = { ...merged, updatedAt: new Date().toISOString() };
+                        tasksToUpdate.push(mergedTask);
+                        mergedTasks.push(mergedTask);
+                    } else {
+                        mergedTasks.push(serverTask);
+                    }
                 } else {
-                    // Task exists on both - merge based on updated_at
+                    // Task exists on both - without a base version, the newer one wins
                     const clientUpdated = new Date(clientTask.updatedAt);
                     const serverUpdated = new Date(serverTask.updatedAt);
                     
@@ -89,46 +427,16 @@ router.post('/sync', async (req, res) => {
             
             // Create new tasks on server
             for (const task of tasksToCreate) {
-                let dueDateValue = null;
-                if (task.dueDate) {
-                    dueDateValue = new Date(task.dueDate);
-                    if (isNaN(dueDateValue.getTime())) {
-                        dueDateValue = null;
-                    }
-                }
-                
-                const result = await client.query(
-                    `INSERT INTO tasks (id, user_id, title, description, category, priority, status, due_date, created_at, updated_at)
-                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-                     ON CONFLICT (id) DO NOTHING
-                     RETURNING *`,
-                    [
-                        task.id,
-                        userId,
-                        task.title,
-                        task.description || null,
-                        task.category || null,
-                        task.priority || 'Medium',
-                        task.status || 'todo',
-                        dueDateValue,
-                        new Date(task.createdAt),
-                        new Date(task.updatedAt)
-                    ]
-                );
+                const createdTask = await insertSyncedTask(client, userId, boardId, task, resolveStatus(task.status));
                 
-                if (result.rows.length > 0) {
-                    const row = result.rows[0];
-                    const createdTask = {
-                        id: row.id,
-                        title: row.title,
-                        description: row.description,
-                        category: row.category,
-                        priority: row.priority,
-                        status: row.status,
-                        dueDate: row.due_date,
-                        createdAt: row.created_at,
-                        updatedAt: row.updated_at
-                    };
+                if (createdTask) {
+                    // Client ids that are not UUIDs were replaced by a server id
+                    const syncedTask = { ...task, id: createdTask.id };
+                    await saveSyncedChecklist(client, syncedTask);
+                    await saveSyncedAssignees(client, syncedTask, boardId);
+                    await saveSyncedLabels(client, syncedTask, boardId);
+                    await recordTaskCreated(client, userId, createdTask);
+                    createdTaskIds.add(createdTask.id);
                     
                     // Replace in merged tasks
                     const index = mergedTasks.findIndex(t => t.id === task.id);
@@ -142,46 +450,22 @@ router.post('/sync', async (req, res) => {
             
             // Update existing tasks on server
             for (const task of tasksToUpdate) {
-                let dueDateValue = null;
-                if (task.dueDate) {
-                    dueDateValue = new Date(task.dueDate);
-                    if (isNaN(dueDateValue.getTime())) {
-                        dueDateValue = null;
-                    }
+                // A task with open blockers on a board that enforces them stays out of done
+                const serverTask = serverTaskMap.get(task.id);
+                const blocked = await isBlockedFromDone(client, serverTask, resolveStatus(task.status));
+                if (blocked) {
+                    task.status = serverTask.status;
+                    task.rank = serverTask.rank;
+                    blockedTaskIds.push(task.id);
                 }
                 
-                const result = await client.query(
-                    `UPDATE tasks 
-                     SET title = $3, description = $4, category = $5, priority = $6, 
-                         status = $7, due_date = $8, updated_at = $9
-                     WHERE id = $1 AND user_id = $2
-                     RETURNING *`,
-                    [
-                        task.id,
-                        userId,
-                        task.title,
-                        task.description || null,
-                        task.category || null,
-                        task.priority || 'Medium',
-                        task.status || 'todo',
-                        dueDateValue,
-                        new Date(task.updatedAt)
-                    ]
-                );
+                const updatedTask = await updateSyncedTask(client, boardId, task, resolveStatus(task.status), parseClientDate(task.updatedAt, new Date()));
                 
-                if (result.rows.length > 0) {
-                    const row = result.rows[0];
-                    const updatedTask = {
-                        id: row.id,
-                        title: row.title,
-                        description: row.description,
-                        category: row.category,
-                        priority: row.priority,
-                        status: row.status,
-                        dueDate: row.due_date,
-                        createdAt: row.created_at,
-                        updatedAt: row.updated_at
-                    };
+                if (updatedTask) {
+                    await saveSyncedChecklist(client, task);
+                    await saveSyncedAssignees(client, task, boardId);
+                    await saveSyncedLabels(client, task, boardId);
+                    updatedTaskIds.add(updatedTask.id);
                     
                     // Update in merged tasks
                     const index = mergedTasks.findIndex(t => t.id === task.id);
@@ -191,19 +475,53 @@ router.post('/sync', async (req, res) => {
                 }
             }
             
+            await recordTaskChanges(client, boardId, [...createdTaskIds, ...updatedTaskIds], 'upsert', userId);
+            
+            // Every merged task now exists on the server, so load its checklist and assignees
+            await attachTaskDetails(client, mergedTasks);
+            
+            for (const task of mergedTasks.filter(t => updatedTaskIds.has(t.id))) {
+                const spawnedTask = await spawnNextOccurrence(client, userId, serverTaskMap.get(task.id), task);
+                await recordTaskUpdated(client, userId, serverTaskMap.get(task.id), task);
+                
+                if (spawnedTask) {
+                    await attachTaskDetails(client, [spawnedTask]);
+                    createdTaskIds.add(spawnedTask.id);
+                    mergedTasks.push(spawnedTask);
+                }
+            }
+            
             await client.query('COMMIT');
             
+            // Push what this client changed to the other tabs and teammates on the board
+            deletedByClient.forEach(taskId => {
+                broadcastTaskEvent(boardId, 'taskDeleted', { taskId }, getClientId(req));
+            });
+            mergedTasks.forEach(task => {
+                if (createdTaskIds.has(task.id)) {
+                    broadcastTaskEvent(boardId, 'taskCreated', { task }, getClientId(req));
+                } else if (updatedTaskIds.has(task.id)) {
+                    broadcastTaskEvent(boardId, 'taskUpdated', { task }, getClientId(req));
+                }
+            });
+            
             // Sort merged tasks by updated_at desc
             mergedTasks.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
             
             res.json({
                 message: '同步成功',
                 tasks: mergedTasks,
+                deletedTaskIds,
+                conflicts,
+                blockedTaskIds,
+                role: board.role,
                 stats: {
                     total: mergedTasks.length,
                     created: tasksToCreate.length,
                     updated: tasksToUpdate.length,
-                    serverOnly: serverTasks.length - clientTasks.filter(ct => serverTaskMap.has(ct.id)).length
+                    deleted: deletedByClient.length,
+                    conflicts: conflicts.length,
+                    serverOnly: serverTasks.length - syncedClientTasks.filter(ct => serverTaskMap.has(ct.id)).length
                 }
             });
             
@@ -222,33 +540,57 @@ router.post('/sync', async (req, res) => {
     }
 });
 
-// Get sync status
+// Get sync status for a board (?boardId=, defaults to the user's first board)
 router.get('/sync/status', async (req, res) => {
     try {
         const { userId } = req.user;
+        const board = await resolveBoardAccess(pool, userId, req.query.boardId);
+        
+        if (!board) {
+            return res.status(404).json({ 
+                message: '看板未找到' 
+            });
+        }
+        
+        const boardId = board.id;
         
-        // Get task counts and last update time
+        // Get task count and last update time
         const result = await pool.query(
             `SELECT 
                 COUNT(*) as total_tasks,
-                COUNT(CASE WHEN status = 'todo' THEN 1 END) as todo_tasks,
-                COUNT(CASE WHEN status = 'inProgress' THEN 1 END) as in_progress_tasks,
-                COUNT(CASE WHEN status = 'done' THEN 1 END) as done_tasks,
                 MAX(updated_at) as last_updated
              FROM tasks 
-             WHERE user_id = $1`,
-            [userId]
+             WHERE board_id = $1 AND deleted_at IS NULL`,
+            [boardId]
         );
         
         const stats = result.rows[0];
         
+        await ensureDefaultColumns(pool, boardId);
+        
+        // Task count of each of the board's columns, in board order
+        const statusResult = await pool.query(
+            `SELECT c.key, COUNT(t.id) as count
+             FROM board_columns c
+             LEFT JOIN tasks t ON t.board_id = c.board_id AND t.status = c.key AND t.deleted_at IS NULL
+             WHERE c.board_id = $1
+             GROUP BY c.key, c.position
+             ORDER BY c.position ASC`,
+            [boardId]
+        );
+        
+        const byStatus = {};
+        statusResult.rows.forEach(row => {
+            byStatus[row.key] = parseInt(row.count);
+        });
+        
         res.json({
             status: 'ready',
+            boardId,
+            role: board.role,
             serverStats: {
                 totalTasks: parseInt(stats.total_tasks),
-                todoTasks: parseInt(stats.todo_tasks),
-                inProgressTasks: parseInt(stats.in_progress_tasks),
-                doneTasks: parseInt(stats.done_tasks),
+                byStatus,
                 lastUpdated: stats.last_updated
             },
             timestamp: new Date().toISOString()
@@ -262,31 +604,37 @@ router.get('/sync/status', async (req, res) => {
     }
 });
 
-// Force full sync - get all server tasks
+// Force full sync - get all server tasks on a board
 router.get('/sync/full', async (req, res) => {
     try {
         const { userId } = req.user;
+        const board = await resolveBoardAccess(pool, userId, req.query.boardId);
+        
+        if (!board) {
+            return res.status(404).json({ 
+                message: '看板未找到' 
+            });
+        }
+        
+        const boardId = board.id;
+        
+        // Read the cursor first: changes made while the tasks load are pulled again later
+        const cursor = await getChangeCursor(pool, boardId);
         
         const result = await pool.query(
-            'SELECT * FROM tasks WHERE user_id = $1 ORDER BY updated_at DESC',
-            [userId]
+            'SELECT * FROM tasks WHERE board_id = $1 AND deleted_at IS NULL ORDER BY updated_at DESC',
+            [boardId]
         );
         
-        const tasks = result.rows.map(row => ({
-            id: row.id,
-            title: row.title,
-            description: row.description,
-            category: row.category,
-            priority: row.priority,
-            status: row.status,
-            dueDate: row.due_date,
-            createdAt: row.created_at,
-            updatedAt: row.updated_at
-        }));
+        const tasks = result.rows.map(formatTask);
+        
+        await attachTaskDetails(pool, tasks);
         
         res.json({
             message: '完整同步成功',
             tasks,
+            deletedTaskIds: await getDeletedTaskIds(pool, boardId),
+            cursor,
             timestamp: new Date().toISOString()
         });
         
@@ -298,7 +646,310 @@ router.get('/sync/full', async (req, res) => {
     }
 });
 
-// Conflict resolution endpoint
+// Delta sync - task changes on a board after a cursor (?boardId=&since=).
+// Without a cursor the whole board is sent once, with the cursor to continue from
+// and the tombstones of deleted tasks. A cursor older than the purged part of the
+// log gets the same snapshot, flagged as a reset.
+router.get('/sync/changes', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const since = req.query.since === undefined ? 0 : Number(req.query.since);
+        
+        if (!Number.isSafeInteger(since) || since < 0) {
+            return res.status(400).json({ 
+                message: '无效的同步游标' 
+            });
+        }
+        
+        const board = await resolveBoardAccess(pool, userId, req.query.boardId);
+        
+        if (!board) {
+            return res.status(404).json({ 
+                message: '看板未找到' 
+            });
+        }
+        
+        const boardId = board.id;
+        const reset = since > 0 && since < await getPurgedCursor(pool, boardId);
+        
+        if (since === 0 || reset) {
+            const cursor = await getChangeCursor(pool, boardId);
+            
+            const result = await pool.query(
+                'SELECT * FROM tasks WHERE board_id = $1 AND deleted_at IS NULL ORDER BY updated_at DESC',
+                [boardId]
+            );
+            
+            const tasks = await attachTaskDetails(pool, result.rows.map(formatTask));
+            
+            return res.json({
+                snapshot: true,
+                reset,
+                tasks,
+                deletedTaskIds: await getDeletedTaskIds(pool, boardId),
+                cursor,
+                hasMore: false,
+                role: board.role
+            });
+        }
+        
+        const changesResult = await pool.query(
+            `SELECT id, task_id, operation FROM task_changes
+             WHERE board_id = $1 AND id > $2
+             ORDER BY id ASC
+             LIMIT $3`,
+            [boardId, since, MAX_CHANGES_PAGE + 1]
+        );
+        
+        const hasMore = changesResult.rows.length > MAX_CHANGES_PAGE;
+        const changes = changesResult.rows.slice(0, MAX_CHANGES_PAGE);
+        
+        // Only the latest change of each task matters
+        const latestOperations = new Map();
+        changes.forEach(change => latestOperations.set(change.task_id, change.operation));
+        
+        const upsertedIds = [...latestOperations.keys()].filter(id => latestOperations.get(id) === 'upsert');
+        const deletedTaskIds = [...latestOperations.keys()].filter(id => latestOperations.get(id) === 'delete');
+        
+        let tasks = [];
+        if (upsertedIds.length > 0) {
+            const result = await pool.query(
+                'SELECT * FROM tasks WHERE board_id = $1 AND id = ANY($2::uuid[]) AND deleted_at IS NULL',
+                [boardId, upsertedIds]
+            );
+            tasks = await attachTaskDetails(pool, result.rows.map(formatTask));
+        }
+        
+        res.json({
+            snapshot: false,
+            reset: false,
+            tasks,
+            deletedTaskIds,
+            cursor: changes.length > 0 ? Number(changes[changes.length - 1].id) : since,
+            hasMore,
+            role: board.role
+        });
+        
+    } catch (error) {
+        console.error('Get changes error:', error);
+        res.status(500).json({ 
+            message: '获取变更时发生内部服务器错误' 
+        });
+    }
+});
+
+// Apply one queued client operation ({ id, type: create|update|delete, taskId, task, base }).
+// base is the task as the client last got it from the server, before its edit.
+async function applyOperation(db, userId, boardId, operation, resolveStatus) {
+    const { id: operationId, type, taskId, task } = operation || {};
+    const result = { operationId, taskId, status: 'rejected' };
+    
+    if (type === 'delete') {
+        // A task that never reached the server has nothing to delete
+        if (!UUID_PATTERN.test(taskId || '')) {
+            return { ...result, status: 'applied' };
+        }
+        
+        const deleted = await softDeleteTasks(db, boardId, [taskId]);
+        await recordTasksDeleted(db, userId, boardId, deleted);
+        
+        return { ...result, status: deleted.length > 0 ? 'applied' : 'missing', deleted: deleted.length > 0 };
+    }
+    
+    if (!['create', 'update'].includes(type) || !task || typeof task.title !== 'string' || !task.title.trim()) {
+        return { ...result, message: '无效的操作' };
+    }
+    
+    if (task.checklist !== undefined) {
+        const checklistError = validateChecklist(task.checklist);
+        if (checklistError) {
+            return { ...result, message: checklistError };
+        }
+    }
+    
+    if (task.rank !== undefined && task.rank !== null && !isValidRank(task.rank)) {
+        return { ...result, message: '无效的排序值' };
+    }
+    
+    const existingResult = UUID_PATTERN.test(taskId || '')
+        ? await db.query('SELECT * FROM tasks WHERE id = $1', [taskId])
+        : { rows: [] };
+    const existing = existingResult.rows[0];
+    
+    if (existing && existing.board_id !== boardId) {
+        return { ...result, message: '任务不属于此看板' };
+    }
+    
+    // A deletion wins over edits made elsewhere, and its tombstone keeps the id from being reused
+    if (existing && existing.deleted_at) {
+        return { ...result, status: 'missing' };
+    }
+    
+    let clientTask = { ...task, id: taskId, title: task.title.trim() };
+    let previousTask = null;
+    let savedTask;
+    let blocked = false;
+    
+    if (!existing) {
+        // An update of a task that is gone on the server is dropped
+        if (type === 'update') {
+            return { ...result, status: 'missing' };
+        }
+        
+        savedTask = await insertSyncedTask(db, userId, boardId, clientTask, resolveStatus(task.status));
+    } else {
+        const base = operation.base;
+        const baseUpdatedAt = parseClientDate(base?.updatedAt);
+        let updatedAt = parseClientDate(task.updatedAt, new Date());
+        
+        if (!baseUpdatedAt && updatedAt < existing.updated_at) {
+            // Without a base version, last writer wins: an edit queued before the server's version does not overwrite it
+            return { ...result, status: 'stale', task: formatTask(existing) };
+        }
+        
+        previousTask = formatTask(existing);
+        await attachTaskDetails(db, [previousTask]);
+        
+        if (baseUpdatedAt && existing.updated_at > baseUpdatedAt) {
+            // The server changed since the version the edit started from - merge field by field
+            const { merged, conflicts } = mergeTaskVersions(base, clientTask, previousTask);
+            
+            if (conflicts.length > 0) {
+                return { ...result, status: 'conflict', task: previousTask, conflict: buildConflict(base, clientTask, previousTask, merged, conflicts) };
+            }
+            
+            clientTask = merged;
+            updatedAt = new Date();
+        }
+        
+        // The rest of the edit applies, but a task with open blockers stays in its column
+        blocked = await isBlockedFromDone(db, previousTask, resolveStatus(clientTask.status));
+        if (blocked) {
+            clientTask = { ...clientTask, status: previousTask.status, rank: previousTask.rank };
+        }
+        
+        savedTask = await updateSyncedTask(db, boardId, clientTask, resolveStatus(clientTask.status), updatedAt);
+    }
+    
+    if (!savedTask) {
+        return result;
+    }
+    
+    if (clientTask.checklist !== undefined) {
+        await saveChecklist(db, savedTask.id, clientTask.checklist);
+    }
+    await saveSyncedAssignees(db, { ...clientTask, id: savedTask.id }, boardId);
+    await saveSyncedLabels(db, { ...clientTask, id: savedTask.id }, boardId);
+    
+    let spawnedTask = null;
+    
+    if (previousTask) {
+        await attachTaskDetails(db, [savedTask]);
+        spawnedTask = await spawnNextOccurrence(db, userId, previousTask, savedTask);
+        await recordTaskUpdated(db, userId, previousTask, savedTask);
+    } else {
+        await recordTaskCreated(db, userId, savedTask);
+    }
+    
+    if (blocked) {
+        return { ...result, status: 'applied', task: savedTask, spawnedTask, blocked: true, message: BLOCKED_TASK_MESSAGE };
+    }
+    
+    return { ...result, status: 'applied', task: savedTask, spawnedTask };
+}
+
+// Push a client's queued operations for one board, applied in order in one transaction
+router.post('/sync/push', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { operations, boardId: requestedBoardId } = req.body;
+        
+        if (!Array.isArray(operations) || operations.length === 0) {
+            return res.status(400).json({ 
+                message: '操作数组是必需的' 
+            });
+        }
+        
+        if (operations.length > MAX_PUSH_OPERATIONS) {
+            return res.status(400).json({ 
+                message: `一次最多推送 ${MAX_PUSH_OPERATIONS} 个操作` 
+            });
+        }
+        
+        const board = await resolveBoardAccess(pool, userId, requestedBoardId);
+        
+        if (!board) {
+            return res.status(404).json({ 
+                message: '看板未找到' 
+            });
+        }
+        
+        if (!hasBoardRole(board.role, 'editor')) {
+            return res.status(403).json({ 
+                message: '没有修改此看板的权限' 
+            });
+        }
+        
+        const boardId = board.id;
+        const client = await pool.connect();
+        
+        try {
+            await client.query('BEGIN');
+            
+            const validStatuses = await getColumnKeys(client, boardId);
+            const resolveStatus = status => validStatuses.includes(status) ? status : validStatuses[0];
+            
+            const results = [];
+            for (const operation of operations) {
+                results.push(await applyOperation(client, userId, boardId, operation, resolveStatus));
+            }
+            
+            const savedTasks = results.filter(r => r.status === 'applied' && r.task).map(r => r.task);
+            const deletedTaskIds = results.filter(r => r.deleted).map(r => r.taskId);
+            
+            await recordTaskChanges(client, boardId, savedTasks.map(task => task.id), 'upsert', userId);
+            await recordTaskChanges(client, boardId, deletedTaskIds, 'delete', userId);
+            
+            // Tasks spawned by finished recurring tasks recorded their own changes
+            const spawnedTasks = results.filter(r => r.spawnedTask).map(r => r.spawnedTask);
+            
+            await attachTaskDetails(client, [...results.filter(r => r.task).map(r => r.task), ...spawnedTasks]);
+            
+            await client.query('COMMIT');
+            
+            savedTasks.forEach(task => {
+                broadcastTaskEvent(boardId, 'taskUpdated', { task }, getClientId(req));
+            });
+            spawnedTasks.forEach(task => {
+                broadcastTaskEvent(boardId, 'taskCreated', { task }, getClientId(req));
+            });
+            deletedTaskIds.forEach(taskId => {
+                broadcastTaskEvent(boardId, 'taskDeleted', { taskId }, getClientId(req));
+            });
+            
+            res.json({
+                message: '推送成功',
+                results
+            });
+            
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+    } catch (error) {
+        console.error('Push changes error:', error);
+        res.status(500).json({ 
+            message: '推送变更时发生内部服务器错误' 
+        });
+    }
+});
+
+// Conflict resolution endpoint. Each resolution is 'client', 'server', 'merge', or an
+// object choosing 'client' or 'server' per conflicting field; conflicting fields
+// without a choice keep the server's value.
 router.post('/sync/resolve', async (req, res) => {
     try {
         const { userId } = req.user;
@@ -322,70 +973,96 @@ router.post('/sync/resolve', async (req, res) => {
             await client.query('BEGIN');
             
             const resolvedTasks = [];
+            const overwrittenTasks = [];
+            const spawnedTasks = [];
             
             for (let i = 0; i < conflicts.length; i++) {
-                const conflict = conflicts[i];
-                const resolution = resolutions[i]; // 'client', 'server', or 'merge'
+                const conflict = conflicts[i] || {};
+                const resolution = resolutions[i];
+                const clientVersion = conflict.clientVersion || {};
+                
+                // Merge against the task as it is now, not the server version the client saw
+                const existing = await getTaskAccess(client, userId, conflict.taskId || clientVersion.id);
+                
+                // Deleted meanwhile, or not on a board the user can see
+                if (!existing) continue;
+                
+                const serverTask = formatTask(existing);
+                await attachTaskDetails(client, [serverTask]);
+                
+                // Only editors may overwrite the server version
+                if (resolution === 'server' || !hasBoardRole(existing.role, 'editor')) {
+                    resolvedTasks.push(serverTask);
+                    continue;
+                }
+                
+                let task;
                 
                 if (resolution === 'client') {
-                    // Use client version
-                    const task = conflict.clientVersion;
-                    
-                    let dueDateValue = null;
-                    if (task.dueDate) {
-                        dueDateValue = new Date(task.dueDate);
-                        if (isNaN(dueDateValue.getTime())) {
-                            dueDateValue = null;
-                        }
-                    }
+                    task = { ...serverTask, ...clientVersion, id: serverTask.id };
+                } else if (resolution === 'merge' || (resolution && typeof resolution === 'object')) {
+                    const choices = resolution === 'merge' ? {} : resolution;
+                    const { merged, conflicts: conflictingFields } = mergeTaskVersions(conflict.baseVersion || {}, clientVersion, serverTask);
                     
-                    const result = await client.query(
-                        `UPDATE tasks 
-                         SET title = $3, description = $4, category = $5, priority = $6, 
-                             status = $7, due_date = $8, updated_at = $9
-                         WHERE id = $1 AND user_id = $2
-                         RETURNING *`,
-                        [
-                            task.id,
-                            userId,
-                            task.title,
-                            task.description || null,
-                            task.category || null,
-                            task.priority || 'Medium',
-                            task.status || 'todo',
-                            dueDateValue,
-                            new Date()
-                        ]
-                    );
-                    
-                    if (result.rows.length > 0) {
-                        const row = result.rows[0];
-                        resolvedTasks.push({
-                            id: row.id,
-                            title: row.title,
-                            description: row.description,
-                            category: row.category,
-                            priority: row.priority,
-                            status: row.status,
-                            dueDate: row.due_date,
-                            createdAt: row.created_at,
-                            updatedAt: row.updated_at
+                    task = merged;
+                    conflictingFields
+                        .filter(field => choices[field] === 'client')
+                        .forEach(field => {
+                            task[field] = clientVersion[field];
                         });
-                    }
+                } else {
+                    continue;
+                }
+                
+                if (typeof task.title !== 'string' || !task.title.trim()) {
+                    task.title = serverTask.title;
+                }
+                
+                if (task.checklist !== undefined && validateChecklist(task.checklist)) {
+                    task.checklist = serverTask.checklist;
+                }
+                
+                // Statuses are validated against the columns of the task's board
+                const validStatuses = await getColumnKeys(client, existing.board_id);
+                let status = validStatuses.includes(task.status) ? task.status : validStatuses[0];
+                
+                // Nor may a resolution move a task with open blockers to done
+                if (await isBlockedFromDone(client, serverTask, status)) {
+                    status = serverTask.status;
+                    task.rank = serverTask.rank;
+                }
+                
+                const resolvedTask = await updateSyncedTask(client, existing.board_id, { ...task, title: task.title.trim() }, status, new Date());
+                
+                if (resolvedTask) {
+                    await saveSyncedChecklist(client, task);
+                    await saveSyncedAssignees(client, task, existing.board_id);
+                    await saveSyncedLabels(client, task, existing.board_id);
+                    await recordTaskChanges(client, existing.board_id, [resolvedTask.id], 'upsert', userId);
                     
-                } else if (resolution === 'server') {
-                    // Keep server version (no update needed)
-                    resolvedTasks.push(conflict.serverVersion);
+                    await attachTaskDetails(client, [resolvedTask]);
+                    const spawnedTask = await spawnNextOccurrence(client, userId, serverTask, resolvedTask);
+                    await recordTaskUpdated(client, userId, serverTask, resolvedTask);
+                    resolvedTasks.push(resolvedTask);
+                    overwrittenTasks.push(resolvedTask);
                     
-                } else if (resolution === 'merge') {
-                    // Custom merge logic would go here
-                    // For now, default to server version
-                    resolvedTasks.push(conflict.serverVersion);
+                    if (spawnedTask) {
+                        await attachTaskDetails(client, [spawnedTask]);
+                        resolvedTasks.push(spawnedTask);
+                        spawnedTasks.push(spawnedTask);
+                    }
                 }
             }
             
             await client.query('COMMIT');
             
+            overwrittenTasks.forEach(task => {
+                broadcastTaskEvent(task.boardId, 'taskUpdated', { task }, getClientId(req));
+            });
+            spawnedTasks.forEach(task => {
+                broadcastTaskEvent(task.boardId, 'taskCreated', { task }, getClientId(req));
+            });
+            
             res.json({
                 message: '冲突解决成功',
                 resolvedTasks,
@@ -407,4 +1084,5 @@ router.post('/sync/resolve', async (req, res) => {
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.purgeSyncHistory = purgeSyncHistory;
\ No newline at end of file
@@ -1,6 +1,13 @@
 const express = require('express');
 const { Pool } = require('pg');
 const { authenticateToken } = require('./auth');
+const { handleIdempotencyKey } = require('../lib/idempotency');
+const { getColumnKeys } = require('./columns');
+const { resolveBoardAccess, hasBoardRole } = require('./boards');
+const { broadcastTaskEvent, getClientId } = require('./events');
+const { recordTaskChanges, lockBoardChanges } = require('../lib/changes');
+const { recordTaskCreated, recordTaskUpdated, recordTasksDeleted, recordTaskRestored, getTaskHistory } = require('../lib/activity');
+const { parseRecurrence, normalizeRecurrence, getNextDueDate, getNextRule, anchorMonthDay } = require('../lib/recurrence');
 
 const router = express.Router();
 
@@ -12,15 +19,710 @@ const pool = new Pool({
 
 // Apply authentication to all task routes
 router.use(authenticateToken);
+router.use(handleIdempotencyKey);
 
-// Get all tasks for the authenticated user
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_CHECKLIST_ITEMS = 100;
+const MAX_ASSIGNEES = 10;
+const MAX_TASK_LABELS = 20;
+const MAX_BATCH_TASKS = 500;
+
+// Fields a batch update may change
+const BATCH_UPDATE_FIELDS = ['title', 'description', 'category', 'priority', 'status', 'dueDate'];
+
+// Cards are ordered within a column by rank, a string of base-36 digits compared byte by byte
+// (the column is COLLATE "C"). A moved card gets a rank between its new neighbours, so no other
+// row changes. Ranks never end in 0, which keeps room between any two of them.
+const RANK_DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+const RANK_PATTERN = /^[0-9a-z]*[1-9a-z]$/;
+
+// Ranks grow when cards keep landing in the same spot. Longer ones are not stored: the card
+// is put where the rank says and its column gets evenly spaced short ranks again.
+const REBALANCE_RANK_LENGTH = 64;
+
+// Refusal for moving a task to done on a board that enforces dependencies
+const BLOCKED_TASK_MESSAGE = '此任务被未完成的前置任务阻塞，不能移到已完成';
+
+// Transform a database row to match the frontend format
+function formatTask(row) {
+    return {
+        id: row.id,
+        boardId: row.board_id,
+        title: row.title,
+        description: row.description,
+        category: row.category,
+        priority: row.priority,
+        status: row.status,
+        rank: row.rank,
+        dueDate: row.due_date,
+        recurrence: row.recurrence,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function isValidRank(rank) {
+    return typeof rank === 'string' && RANK_PATTERN.test(rank);
+}
+
+// Whether a valid rank is short enough to be stored as it is; see placeByRank otherwise
+function isStoredRank(rank) {
+    return rank.length <= REBALANCE_RANK_LENGTH;
+}
+
+// A rank between two others; null stands for the top or the bottom of the column
+function rankBetween(before, after) {
+    if (before && after && before >= after) {
+        after = null;
+    }
+    
+    let rank = '';
+    
+    for (let i = 0; ; i++) {
+        const low = before && i < before.length ? RANK_DIGITS.indexOf(before[i]) : 0;
+        const high = after ? RANK_DIGITS.indexOf(after[i]) : RANK_DIGITS.length;
+        
+        if (high - low > 1) {
+            return rank + RANK_DIGITS[Math.floor((low + high) / 2)];
+        }
+        
+        rank += RANK_DIGITS[low];
+        
+        // Once the prefix is below the upper neighbour, any suffix stays below it
+        if (low < high) {
+            after = null;
+        }
+    }
+}
+
+// The shortest rank after another, by raising its first digit below z: appending to a
+// column adds a digit only every 35 cards, where halving the gap would every few
+function rankAfter(before) {
+    if (!before) {
+        return rankBetween(null, null);
+    }
+    
+    for (let i = 0; i < before.length; i++) {
+        const digit = RANK_DIGITS.indexOf(before[i]);
+        if (digit < RANK_DIGITS.length - 1) {
+            return before.slice(0, i) + RANK_DIGITS[digit + 1];
+        }
+    }
+    
+    return before + RANK_DIGITS[1];
+}
+
+// Give every card of a column a rank of the same short length, evenly spaced and in the
+// current order, and log them so other devices pick up the new ranks. placed ({ taskId, rank })
+// orders one card by a rank too long to store. Returns the new ranks by task id.
+async function rebalanceColumn(db, boardId, status, placed = null) {
+    const result = await db.query(
+        `SELECT id FROM tasks WHERE board_id = $1 AND status = $2 AND deleted_at IS NULL
+         ORDER BY CASE WHEN id = $3 THEN $4::text COLLATE "C" ELSE rank END, created_at, id`,
+        [boardId, status, placed?.taskId || null, placed?.rank || null]
+    );
+    
+    const taskIds = result.rows.map(row => row.id);
+    if (taskIds.length === 0) return new Map();
+    
+    // Gaps of at least two full digits leave room on both sides of every card
+    let width = 1;
+    while (RANK_DIGITS.length ** width < (taskIds.length + 1) * RANK_DIGITS.length * 2) {
+        width++;
+    }
+    const step = Math.floor(RANK_DIGITS.length ** width / (taskIds.length + 1));
+    
+    const ranks = taskIds.map((id, i) => {
+        const rank = ((i + 1) * step).toString(RANK_DIGITS.length).padStart(width, '0');
+        return rank.endsWith('0') ? rank.slice(0, -1) + RANK_DIGITS[1] : rank;
+    });
+    
+    await db.query(
+        `UPDATE tasks SET rank = ranked.rank
+         FROM unnest($1::uuid[], $2::text[]) AS ranked(id, rank)
+         WHERE tasks.id = ranked.id`,
+        [taskIds, ranks]
+    );
+    await recordTaskChanges(db, boardId, taskIds, 'upsert');
+    
+    return new Map(taskIds.map((id, i) => [id, ranks[i]]));
+}
+
+// Rank that puts a card at the bottom of a column. Call it inside the transaction that writes
+// the card: the board stays locked until then, so two cards cannot get the same rank.
+async function getRankAfterLast(db, boardId, status) {
+    await lockBoardChanges(db, boardId);
+    
+    const result = await db.query(
+        'SELECT MAX(rank) AS rank FROM tasks WHERE board_id = $1 AND status = $2 AND deleted_at IS NULL',
+        [boardId, status]
+    );
+    
+    const rank = rankAfter(result.rows[0].rank);
+    if (rank.length <= REBALANCE_RANK_LENGTH) {
+        return rank;
+    }
+    
+    const ranks = await rebalanceColumn(db, boardId, status);
+    return rankAfter([...ranks.values()].pop() || null);
+}
+
+// Put a card that was written without its long rank where that rank says, rebalancing its
+// column. Returns the card's new rank.
+async function placeByRank(db, task, rank) {
+    const ranks = await rebalanceColumn(db, task.boardId, task.status, { taskId: task.id, rank });
+    return ranks.get(task.id);
+}
+
+// Load a task together with the user's role on its board, or null if the
+// user is not a member of that board or the task was deleted
+async function getTaskAccess(db, userId, taskId) {
+    if (!UUID_PATTERN.test(taskId || '')) {
+        return null;
+    }
+    
+    const result = await db.query(
+        `SELECT t.*, m.role
+         FROM tasks t
+         JOIN board_members m ON m.board_id = t.board_id AND m.user_id = $2
+         WHERE t.id = $1 AND t.deleted_at IS NULL`,
+        [taskId, userId]
+    );
+    
+    return result.rows[0] || null;
+}
+
+// Validate a checklist payload, returning an error message or null
+function validateChecklist(checklist) {
+    if (!Array.isArray(checklist)) {
+        return '清单必须是数组';
+    }
+    
+    if (checklist.length > MAX_CHECKLIST_ITEMS) {
+        return `清单项目不能超过 ${MAX_CHECKLIST_ITEMS} 个`;
+    }
+    
+    const invalidItem = checklist.find(item => {
+        return !item || typeof item.title !== 'string' || item.title.trim().length === 0;
+    });
+    
+    if (invalidItem !== undefined) {
+        return '清单项目标题是必需的';
+    }
+    
+    return null;
+}
+
+// Assignees arrive as user ids or as the { userId, ... } objects the API returns
+function normalizeAssignees(assignees) {
+    return [...new Set(assignees.map(assignee => typeof assignee === 'string' ? assignee : assignee?.userId))];
+}
+
+// Validate an assignees payload, returning an error message or null
+function validateAssignees(assignees) {
+    if (!Array.isArray(assignees)) {
+        return '负责人必须是数组';
+    }
+    
+    const userIds = normalizeAssignees(assignees);
+    
+    if (userIds.length > MAX_ASSIGNEES) {
+        return `负责人不能超过 ${MAX_ASSIGNEES} 个`;
+    }
+    
+    if (userIds.some(userId => !UUID_PATTERN.test(userId || ''))) {
+        return '无效的负责人';
+    }
+    
+    return null;
+}
+
+// Load assignees for the given tasks, grouped by task id
+async function getAssignees(db, taskIds) {
+    const assignees = new Map(taskIds.map(id => [id, []]));
+    
+    if (taskIds.length === 0) {
+        return assignees;
+    }
+    
+    const result = await db.query(
+        `SELECT a.task_id, u.id AS user_id, u.username, u.display_name
+         FROM task_assignees a
+         JOIN users u ON u.id = a.user_id
+         WHERE a.task_id = ANY($1::uuid[])
+         ORDER BY a.assigned_at ASC`,
+        [taskIds]
+    );
+    
+    result.rows.forEach(row => {
+        assignees.get(row.task_id)?.push({
+            userId: row.user_id,
+            username: row.username,
+            displayName: row.display_name
+        });
+    });
+    
+    return assignees;
+}
+
+// Validate a labels payload, a list of label ids, returning an error message or null
+function validateLabels(labels) {
+    if (!Array.isArray(labels)) {
+        return '标签必须是数组';
+    }
+    
+    if (new Set(labels).size > MAX_TASK_LABELS) {
+        return `标签不能超过 ${MAX_TASK_LABELS} 个`;
+    }
+    
+    if (labels.some(labelId => typeof labelId !== 'string' || !UUID_PATTERN.test(labelId))) {
+        return '无效的标签';
+    }
+    
+    return null;
+}
+
+// Load the label ids of the given tasks, grouped by task id, in label name order
+async function getTaskLabels(db, taskIds) {
+    const labels = new Map(taskIds.map(id => [id, []]));
+    
+    if (taskIds.length === 0) {
+        return labels;
+    }
+    
+    const result = await db.query(
+        `SELECT tl.task_id, tl.label_id
+         FROM task_labels tl
+         JOIN labels l ON l.id = tl.label_id
+         WHERE tl.task_id = ANY($1::uuid[])
+         ORDER BY lower(l.name) ASC`,
+        [taskIds]
+    );
+    
+    result.rows.forEach(row => {
+        labels.get(row.task_id)?.push(row.label_id);
+    });
+    
+    return labels;
+}
+
+// Replace the labels of a task; labels of other boards, or deleted since, are skipped
+async function saveLabels(db, taskId, boardId, labels) {
+    const labelIds = [...new Set(labels)];
+    
+    await db.query('DELETE FROM task_labels WHERE task_id = $1', [taskId]);
+    
+    if (labelIds.length > 0) {
+        await db.query(
+            `INSERT INTO task_labels (task_id, label_id)
+             SELECT $1, id FROM labels
+             WHERE board_id = $2 AND id = ANY($3::uuid[])`,
+            [taskId, boardId, labelIds]
+        );
+    }
+    
+    const saved = await getTaskLabels(db, [taskId]);
+    return saved.get(taskId);
+}
+
+function formatAttachment(row) {
+    return {
+        id: row.id,
+        taskId: row.task_id,
+        filename: row.filename,
+        contentType: row.content_type,
+        size: row.size,
+        uploadedBy: row.user_id,
+        createdAt: row.created_at
+    };
+}
+
+// Load attachment details (not the files) for the given tasks, grouped by task id
+async function getAttachments(db, taskIds) {
+    const attachments = new Map(taskIds.map(id => [id, []]));
+    
+    if (taskIds.length === 0) {
+        return attachments;
+    }
+    
+    const result = await db.query(
+        `SELECT * FROM task_attachments
+         WHERE task_id = ANY($1::uuid[])
+         ORDER BY created_at ASC`,
+        [taskIds]
+    );
+    
+    result.rows.forEach(row => {
+        attachments.get(row.task_id)?.push(formatAttachment(row));
+    });
+    
+    return attachments;
+}
+
+// Count the comments on the given tasks; the comments themselves are loaded with the thread
+async function getCommentCounts(db, taskIds) {
+    const counts = new Map(taskIds.map(id => [id, 0]));
+    
+    if (taskIds.length === 0) {
+        return counts;
+    }
+    
+    const result = await db.query(
+        `SELECT task_id, COUNT(*) AS count FROM task_comments
+         WHERE task_id = ANY($1::uuid[])
+         GROUP BY task_id`,
+        [taskIds]
+    );
+    
+    result.rows.forEach(row => {
+        counts.set(row.task_id, parseInt(row.count));
+    });
+    
+    return counts;
+}
+
+// Replace the assignees of a task; users who are not members of the board are skipped
+async function saveAssignees(db, taskId, boardId, assignees) {
+    const userIds = normalizeAssignees(assignees);
+    
+    await db.query('DELETE FROM task_assignees WHERE task_id = $1', [taskId]);
+    
+    if (userIds.length > 0) {
+        await db.query(
+            `INSERT INTO task_assignees (task_id, user_id)
+             SELECT $1, user_id FROM board_members
+             WHERE board_id = $2 AND user_id = ANY($3::uuid[])`,
+            [taskId, boardId, userIds]
+        );
+    }
+    
+    const saved = await getAssignees(db, [taskId]);
+    return saved.get(taskId);
+}
+
+// Load the dependencies of the given tasks: the ids of the tasks blocking each one and of
+// the tasks each one blocks. Deleted tasks are left out on either side.
+async function getDependencies(db, taskIds) {
+    const dependencies = new Map(taskIds.map(id => [id, { blockedBy: [], blocks: [] }]));
+    
+    if (taskIds.length === 0) {
+        return dependencies;
+    }
+    
+    const result = await db.query(
+        `SELECT d.task_id, d.blocker_id
+         FROM task_dependencies d
+         JOIN tasks t ON t.id = d.task_id AND t.deleted_at IS NULL
+         JOIN tasks b ON b.id = d.blocker_id AND b.deleted_at IS NULL
+         WHERE d.task_id = ANY($1::uuid[]) OR d.blocker_id = ANY($1::uuid[])
+         ORDER BY d.created_at ASC`,
+        [taskIds]
+    );
+    
+    result.rows.forEach(row => {
+        dependencies.get(row.task_id)?.blockedBy.push(row.blocker_id);
+        dependencies.get(row.blocker_id)?.blocks.push(row.task_id);
+    });
+    
+    return dependencies;
+}
+
+// Whether a formatted task may not move to status yet: it is going to done, its board
+// enforces dependencies and a task blocking it is not done. Call it inside the transaction
+// that moves the task, which keeps the blockers from being reopened until it ends.
+async function isBlockedFromDone(db, task, status) {
+    if (status !== 'done' || task.status === 'done') {
+        return false;
+    }
+    
+    const result = await db.query(
+        `SELECT b.status
+         FROM task_dependencies d
+         JOIN boards bd ON bd.id = $1 AND bd.enforce_dependencies
+         JOIN tasks b ON b.id = d.blocker_id AND b.deleted_at IS NULL
+         WHERE d.task_id = $2
+         FOR SHARE OF b`,
+        [task.boardId, task.id]
+    );
+    
+    return result.rows.some(row => row.status !== 'done');
+}
+
+// Attach checklists, assignees, labels, attachments, comment counts and dependencies to formatted tasks
+async function attachTaskDetails(db, tasks) {
+    const taskIds = tasks.map(task => task.id);
+    const checklists = await getChecklists(db, taskIds);
+    const assignees = await getAssignees(db, taskIds);
+    const labels = await getTaskLabels(db, taskIds);
+    const attachments = await getAttachments(db, taskIds);
+    const commentCounts = await getCommentCounts(db, taskIds);
+    const dependencies = await getDependencies(db, taskIds);
+    
+    tasks.forEach(task => {
+        task.checklist = checklists.get(task.id) || [];
+        task.assignees = assignees.get(task.id) || [];
+        task.labels = labels.get(task.id) || [];
+        task.attachments = attachments.get(task.id) || [];
+        task.commentCount = commentCounts.get(task.id) || 0;
+        task.blockedBy = dependencies.get(task.id)?.blockedBy || [];
+        task.blocks = dependencies.get(task.id)?.blocks || [];
+    });
+    
+    return tasks;
+}
+
+// Load checklist items for the given tasks, grouped by task id
+async function getChecklists(db, taskIds) {
+    const checklists = new Map(taskIds.map(id => [id, []]));
+    
+    if (taskIds.length === 0) {
+        return checklists;
+    }
+    
+    const result = await db.query(
+        `SELECT * FROM task_checklist_items
+         WHERE task_id = ANY($1::uuid[])
+         ORDER BY position ASC, created_at ASC`,
+        [taskIds]
+    );
+    
+    result.rows.forEach(row => {
+        checklists.get(row.task_id)?.push({
+            id: row.id,
+            title: row.title,
+            completed: row.completed
+        });
+    });
+    
+    return checklists;
+}
+
+// Replace all checklist items of a task with the given list
+async function saveChecklist(db, taskId, checklist) {
+    const deleted = await db.query('DELETE FROM task_checklist_items WHERE task_id = $1 RETURNING id', [taskId]);
+    
+    // Keep the ids of this task's own items stable; any other id (made by a client, copied
+    // from another task or repeated) gets replaced, so it cannot collide with an existing item
+    const reusableIds = new Set(deleted.rows.map(row => row.id));
+    const items = [];
+    
+    for (let i = 0; i < checklist.length; i++) {
+        const item = checklist[i];
+        const itemId = reusableIds.delete(item.id) ? item.id : null;
+        
+        const result = await db.query(
+            `INSERT INTO task_checklist_items (id, task_id, title, completed, position)
+             VALUES (COALESCE($1::uuid, gen_random_uuid()), $2, $3, $4, $5)
+             RETURNING *`,
+            [itemId, taskId, item.title.trim(), Boolean(item.completed), i]
+        );
+        
+        const row = result.rows[0];
+        items.push({
+            id: row.id,
+            title: row.title,
+            completed: row.completed
+        });
+    }
+    
+    return items;
+}
+
+// A recurring task moved to done spawns the next task of its series at the bottom of the board's
+// first column, due on the rule's next date. The finished task leaves the series, so moving it
+// out of done and back does not spawn a second one. Returns the new task, or null.
+async function spawnNextOccurrence(db, userId, previousTask, task) {
+    if (!task.recurrence || task.status !== 'done' || previousTask.status === 'done') {
+        return null;
+    }
+    
+    const dueDate = task.dueDate ? new Date(task.dueDate) : null;
+    const parsedRule = parseRecurrence(task.recurrence);
+    const rule = parsedRule && anchorMonthDay(parsedRule, dueDate || new Date());
+    const nextDueDate = rule && getNextDueDate(rule, dueDate);
+    
+    await db.query('UPDATE tasks SET recurrence = NULL WHERE id = $1', [task.id]);
+    task.recurrence = null;
+    
+    if (!nextDueDate) {
+        return null;
+    }
+    
+    const [firstStatus] = await getColumnKeys(db, task.boardId);
+    
+    const result = await db.query(
+        `INSERT INTO tasks (user_id, board_id, title, description, category, priority, status, rank, due_date, recurrence)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING *`,
+        [
+            userId,
+            task.boardId,
+            task.title,
+            task.description,
+            task.category,
+            task.priority,
+            firstStatus,
+            await getRankAfterLast(db, task.boardId, firstStatus),
+            nextDueDate,
+            getNextRule(rule)
+        ]
+    );
+    
+    const nextTask = formatTask(result.rows[0]);
+    
+    // The checklist starts over; assignees and labels stay on the series
+    const checklist = (task.checklist || []).map(item => ({ title: item.title, completed: false }));
+    nextTask.checklist = await saveChecklist(db, nextTask.id, checklist);
+    nextTask.assignees = await saveAssignees(db, nextTask.id, task.boardId, task.assignees || []);
+    nextTask.labels = await saveLabels(db, nextTask.id, task.boardId, task.labels || []);
+    
+    await recordTaskChanges(db, task.boardId, [nextTask.id], 'upsert', userId);
+    await recordTaskCreated(db, userId, nextTask);
+    
+    return nextTask;
+}
+
+// Check the fields of one batch update item against its board's columns, returning an error
+// message or null. Only these fields may be changed in bulk; they become fixed column names.
+function validateBatchUpdate(fields, validStatuses) {
+    const fieldNames = Object.keys(fields).filter(field => fields[field] !== undefined);
+    
+    if (fieldNames.length === 0) {
+        return '没有提供要更新的字段';
+    }
+    
+    const unknownField = fieldNames.find(field => !BATCH_UPDATE_FIELDS.includes(field));
+    if (unknownField) {
+        return `不支持批量更新的字段: ${unknownField}`;
+    }
+    
+    const { title, description, category, priority, status, dueDate } = fields;
+    
+    if (title !== undefined && (typeof title !== 'string' || title.trim().length === 0)) {
+        return '任务标题不能为空';
+    }
+    
+    if ([description, category].some(value => value !== undefined && value !== null && typeof value !== 'string')) {
+        return '无效的字段值';
+    }
+    
+    if (priority !== undefined && !['Low', 'Medium', 'High'].includes(priority)) {
+        return '无效的优先级值';
+    }
+    
+    if (status !== undefined && !validStatuses.includes(status)) {
+        return '无效的状态值';
+    }
+    
+    if (dueDate !== undefined && dueDate !== null && dueDate !== '' && isNaN(new Date(dueDate).getTime())) {
+        return '无效的截止日期';
+    }
+    
+    return null;
+}
+
+// Apply one validated batch update item the way PUT /:id applies a single update
+async function applyBatchUpdate(db, userId, existingTask, fields) {
+    const { title, description, category, priority, status, dueDate } = fields;
+    const updates = [];
+    const values = [];
+    let paramCount = 0;
+    
+    if (title !== undefined) {
+        paramCount++;
+        updates.push(`title = $${paramCount}`);
+        values.push(title.trim());
+    }
+    
+    if (description !== undefined) {
+        paramCount++;
+        updates.push(`description = $${paramCount}`);
+        values.push(description?.trim() || null);
+    }
+    
+    if (category !== undefined) {
+        paramCount++;
+        updates.push(`category = $${paramCount}`);
+        values.push(category?.trim() || null);
+    }
+    
+    if (priority !== undefined) {
+        paramCount++;
+        updates.push(`priority = $${paramCount}`);
+        values.push(priority);
+    }
+    
+    if (status !== undefined) {
+        paramCount++;
+        updates.push(`status = $${paramCount}`);
+        values.push(status);
+    }
+    
+    if (dueDate !== undefined) {
+        paramCount++;
+        updates.push(`due_date = $${paramCount}`);
+        values.push(dueDate ? new Date(dueDate) : null);
+    }
+    
+    // A card moved to another column goes to the bottom of it
+    if (status !== undefined && status !== existingTask.status) {
+        paramCount++;
+        updates.push(`rank = $${paramCount}`);
+        values.push(await getRankAfterLast(db, existingTask.board_id, status));
+    }
+    
+    paramCount++;
+    updates.push(`updated_at = $${paramCount}`);
+    values.push(new Date());
+    
+    paramCount++;
+    values.push(existingTask.id);
+    
+    const previousTask = formatTask(existingTask);
+    await attachTaskDetails(db, [previousTask]);
+    
+    const result = await db.query(
+        `UPDATE tasks SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+        values
+    );
+    
+    const task = formatTask(result.rows[0]);
+    await attachTaskDetails(db, [task]);
+    
+    const spawnedTask = await spawnNextOccurrence(db, userId, previousTask, task);
+    
+    await recordTaskChanges(db, task.boardId, [task.id], 'upsert', userId);
+    await recordTaskUpdated(db, userId, previousTask, task);
+    
+    return { task, spawnedTask };
+}
+
+// Get the tasks of a board (?boardId=, defaults to the user's first board)
 router.get('/', async (req, res) => {
     try {
         const { userId } = req.user;
-        const { status, category, priority, search, sort, limit, offset } = req.query;
+        const { status, category, priority, assignee, labels, labelMatch, search, sort, limit, offset, deletedSince } = req.query;
+        
+        const board = await resolveBoardAccess(pool, userId, req.query.boardId);
+        
+        if (!board) {
+            return res.status(404).json({ 
+                message: '看板未找到' 
+            });
+        }
+        
+        // ?deletedSince= also lists the tasks deleted after that time, so a client can drop its copies
+        const deletedSinceDate = deletedSince ? new Date(deletedSince) : null;
         
-        let query = 'SELECT * FROM tasks WHERE user_id = $1';
-        let queryParams = [userId];
+        if (deletedSinceDate && isNaN(deletedSinceDate.getTime())) {
+            return res.status(400).json({ 
+                message: '无效的删除时间' 
+            });
+        }
+        
+        // Deleted tasks are tombstones until the purge job removes them
+        let query = 'SELECT * FROM tasks WHERE board_id = $1 AND deleted_at IS NULL';
+        let queryParams = [board.id];
         let paramCount = 1;
         
         // Apply filters
@@ -42,6 +744,49 @@ router.get('/', async (req, res) => {
             queryParams.push(priority);
         }
         
+        // ?assignee=me or ?assignee=<userId>
+        if (assignee) {
+            const assigneeId = assignee === 'me' ? userId : assignee;
+            
+            if (!UUID_PATTERN.test(assigneeId)) {
+                return res.status(400).json({ 
+                    message: '无效的负责人' 
+                });
+            }
+            
+            paramCount++;
+            query += ` AND id IN (SELECT task_id FROM task_assignees WHERE user_id = $${paramCount})`;
+            queryParams.push(assigneeId);
+        }
+        
+        // ?labels=<id>,<id> keeps tasks with any of the labels, or with all of them given ?labelMatch=all
+        if (labels) {
+            const labelIds = [...new Set(String(labels).split(','))];
+            
+            if (labelIds.length > MAX_TASK_LABELS || labelIds.some(labelId => !UUID_PATTERN.test(labelId))) {
+                return res.status(400).json({ 
+                    message: '无效的标签' 
+                });
+            }
+            
+            if (labelMatch !== undefined && labelMatch !== 'any' && labelMatch !== 'all') {
+                return res.status(400).json({ 
+                    message: '无效的标签匹配方式' 
+                });
+            }
+            
+            paramCount++;
+            if (labelMatch === 'all') {
+                query += ` AND id IN (SELECT task_id FROM task_labels WHERE label_id = ANY($${paramCount}::uuid[])
+                    GROUP BY task_id HAVING COUNT(*) = $${paramCount + 1})`;
+                queryParams.push(labelIds, labelIds.length);
+                paramCount++;
+            } else {
+                query += ` AND id IN (SELECT task_id FROM task_labels WHERE label_id = ANY($${paramCount}::uuid[]))`;
+                queryParams.push(labelIds);
+            }
+        }
+        
         if (search) {
             paramCount++;
             query += ` AND (title ILIKE $${paramCount} OR description ILIKE $${paramCount} OR category ILIKE $${paramCount})`;
@@ -84,20 +829,24 @@ router.get('/', async (req, res) => {
         
         const result = await pool.query(query, queryParams);
         
-        // Transform database results to match frontend format
-        const tasks = result.rows.map(row => ({
-            id: row.id,
-            title: row.title,
-            description: row.description,
-            category: row.category,
-            priority: row.priority,
-            status: row.status,
-            dueDate: row.due_date,
-            createdAt: row.created_at,
-            updatedAt: row.updated_at
-        }));
+        const tasks = result.rows.map(formatTask);
         
-        res.json({ tasks });
+        // Attach checklists and assignees so cards can show progress and avatars
+        await attachTaskDetails(pool, tasks);
+        
+        if (!deletedSinceDate) {
+            return res.json({ tasks });
+        }
+        
+        const deletedResult = await pool.query(
+            'SELECT id FROM tasks WHERE board_id = $1 AND deleted_at > $2',
+            [board.id, deletedSinceDate]
+        );
+        
+        res.json({ 
+            tasks,
+            deletedTaskIds: deletedResult.rows.map(row => row.id)
+        });
         
     } catch (error) {
         console.error('Get tasks error:', error);
@@ -107,35 +856,316 @@ router.get('/', async (req, res) => {
     }
 });
 
+// Batch operations, registered before the /:id routes so that /batch is not taken for an id
+router.post('/batch', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { tasks, boardId: requestedBoardId } = req.body;
+        
+        if (!Array.isArray(tasks) || tasks.length === 0) {
+            return res.status(400).json({ 
+                message: '任务数组是必需的' 
+            });
+        }
+        
+        const board = await resolveBoardAccess(pool, userId, requestedBoardId);
+        
+        if (!board) {
+            return res.status(404).json({ 
+                message: '看板未找到' 
+            });
+        }
+        
+        if (!hasBoardRole(board.role, 'editor')) {
+            return res.status(403).json({ 
+                message: '没有修改此看板的权限' 
+            });
+        }
+        
+        const boardId = board.id;
+        
+        const client = await pool.connect();
+        
+        try {
+            await client.query('BEGIN');
+            
+            const validStatuses = await getColumnKeys(client, boardId);
+            const createdTasks = [];
+            
+            for (const taskData of tasks) {
+                const { title, description, category, priority, status, dueDate } = taskData;
+                const taskStatus = validStatuses.includes(status) ? status : validStatuses[0];
+                
+                if (!title || title.trim().length === 0) {
+                    continue; // Skip invalid tasks
+                }
+                
+                let dueDateValue = null;
+                if (dueDate) {
+                    dueDateValue = new Date(dueDate);
+                    if (isNaN(dueDateValue.getTime())) {
+                        dueDateValue = null;
+                    }
+                }
+                
+                const result = await client.query(
+                    `INSERT INTO tasks (user_id, board_id, title, description, category, priority, status, rank, due_date)
+                     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                     RETURNING *`,
+                    [
+                        userId,
+                        boardId,
+                        title.trim(),
+                        description?.trim() || null,
+                        category?.trim() || null,
+                        priority || 'Medium',
+                        taskStatus,
+                        await getRankAfterLast(client, boardId, taskStatus),
+                        dueDateValue
+                    ]
+                );
+                
+                const task = formatTask(result.rows[0]);
+                await recordTaskCreated(client, userId, task);
+                createdTasks.push(task);
+            }
+            
+            await recordTaskChanges(client, boardId, createdTasks.map(task => task.id), 'upsert', userId);
+            
+            await client.query('COMMIT');
+            
+            createdTasks.forEach(task => {
+                broadcastTaskEvent(boardId, 'taskCreated', { task }, getClientId(req));
+            });
+            
+            res.status(201).json({ 
+                message: `成功创建 ${createdTasks.length} 个任务`,
+                tasks: createdTasks 
+            });
+            
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+    } catch (error) {
+        console.error('Batch create tasks error:', error);
+        res.status(500).json({ 
+            message: '批量创建任务时发生内部服务器错误' 
+        });
+    }
+});
+
+// Batch update. Each item is { id, ...fields } with any of BATCH_UPDATE_FIELDS; items that cannot
+// be applied are reported in failed and do not stop the others.
+router.put('/batch', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { updates } = req.body;
+        
+        if (!Array.isArray(updates) || updates.length === 0) {
+            return res.status(400).json({ 
+                message: '更新数组是必需的' 
+            });
+        }
+        
+        if (updates.length > MAX_BATCH_TASKS) {
+            return res.status(400).json({ 
+                message: `一次最多只能更新 ${MAX_BATCH_TASKS} 个任务` 
+            });
+        }
+        
+        const client = await pool.connect();
+        const updatedTasks = [];
+        const spawnedTasks = [];
+        const failed = [];
+        
+        try {
+            await client.query('BEGIN');
+            
+            // The tasks may come from several boards, each with its own columns
+            const statusesByBoard = new Map();
+            
+            for (const updateData of updates) {
+                const { id, ...fields } = updateData || {};
+                
+                const existingTask = await getTaskAccess(client, userId, id);
+                
+                if (!existingTask) {
+                    failed.push({ id, message: '任务未找到' });
+                    continue;
+                }
+                
+                if (!hasBoardRole(existingTask.role, 'editor')) {
+                    failed.push({ id, message: '没有修改此看板的权限' });
+                    continue;
+                }
+                
+                if (!statusesByBoard.has(existingTask.board_id)) {
+                    statusesByBoard.set(existingTask.board_id, await getColumnKeys(client, existingTask.board_id));
+                }
+                
+                const validationError = validateBatchUpdate(fields, statusesByBoard.get(existingTask.board_id));
+                if (validationError) {
+                    failed.push({ id, message: validationError });
+                    continue;
+                }
+                
+                if (await isBlockedFromDone(client, formatTask(existingTask), fields.status)) {
+                    failed.push({ id, message: BLOCKED_TASK_MESSAGE });
+                    continue;
+                }
+                
+                // A savepoint per task, so one that fails does not undo the others
+                await client.query('SAVEPOINT batch_task');
+                
+                try {
+                    const { task, spawnedTask } = await applyBatchUpdate(client, userId, existingTask, fields);
+                    await client.query('RELEASE SAVEPOINT batch_task');
+                    
+                    updatedTasks.push(task);
+                    if (spawnedTask) {
+                        spawnedTasks.push(spawnedTask);
+                    }
+                } catch (error) {
+                    await client.query('ROLLBACK TO SAVEPOINT batch_task');
+                    console.error('Batch update task error:', error);
+                    failed.push({ id, message: '更新任务时发生内部服务器错误' });
+                }
+            }
+            
+            await client.query('COMMIT');
+            
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+        updatedTasks.forEach(task => {
+            broadcastTaskEvent(task.boardId, 'taskUpdated', { task }, getClientId(req));
+        });
+        
+        spawnedTasks.forEach(task => {
+            broadcastTaskEvent(task.boardId, 'taskCreated', { task }, getClientId(req));
+        });
+        
+        res.json({ 
+            message: `成功更新 ${updatedTasks.length} 个任务`,
+            tasks: updatedTasks,
+            spawnedTasks,
+            failed 
+        });
+        
+    } catch (error) {
+        console.error('Batch update tasks error:', error);
+        res.status(500).json({ 
+            message: '批量更新任务时发生内部服务器错误' 
+        });
+    }
+});
+
+// Batch delete; ids that were not deleted are reported in failed
+router.delete('/batch', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { taskIds } = req.body;
+        
+        if (!Array.isArray(taskIds) || taskIds.length === 0) {
+            return res.status(400).json({ 
+                message: '任务ID数组是必需的' 
+            });
+        }
+        
+        if (taskIds.length > MAX_BATCH_TASKS) {
+            return res.status(400).json({ 
+                message: `一次最多只能删除 ${MAX_BATCH_TASKS} 个任务` 
+            });
+        }
+        
+        // Malformed ids cannot match a task, and would make the query fail
+        const validIds = taskIds.filter(id => UUID_PATTERN.test(id || ''));
+        
+        const client = await pool.connect();
+        let deletedTasks = [];
+        
+        try {
+            await client.query('BEGIN');
+            
+            // Only tasks on boards the user may edit are deleted, leaving tombstones
+            if (validIds.length > 0) {
+                const result = await client.query(
+                    `UPDATE tasks SET deleted_at = now(), updated_at = now()
+                     WHERE id = ANY($2::uuid[])
+                       AND deleted_at IS NULL
+                       AND board_id IN (SELECT board_id FROM board_members WHERE user_id = $1 AND role IN ('owner', 'editor'))
+                     RETURNING *`,
+                    [userId, validIds]
+                );
+                
+                deletedTasks = result.rows.map(formatTask);
+            }
+            
+            // The tasks may come from several boards, each with its own change log
+            const boardIds = [...new Set(deletedTasks.map(task => task.boardId))];
+            for (const boardId of boardIds) {
+                const boardTaskIds = deletedTasks.filter(task => task.boardId === boardId).map(task => task.id);
+                await recordTaskChanges(client, boardId, boardTaskIds, 'delete', userId);
+                await recordTasksDeleted(client, userId, boardId, boardTaskIds);
+            }
+            
+            await client.query('COMMIT');
+            
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
+        deletedTasks.forEach(task => {
+            broadcastTaskEvent(task.boardId, 'taskDeleted', { taskId: task.id }, getClientId(req));
+        });
+        
+        const deletedIds = new Set(deletedTasks.map(task => task.id));
+        const failed = taskIds
+            .filter(id => !deletedIds.has(id))
+            .map(id => ({ id, message: '任务未找到或没有删除权限' }));
+        
+        res.json({ 
+            message: `成功删除 ${deletedTasks.length} 个任务`,
+            tasks: deletedTasks,
+            failed 
+        });
+        
+    } catch (error) {
+        console.error('Batch delete tasks error:', error);
+        res.status(500).json({ 
+            message: '批量删除任务时发生内部服务器错误' 
+        });
+    }
+});
+
 // Get a specific task
 router.get('/:id', async (req, res) => {
     try {
         const { userId } = req.user;
         const { id } = req.params;
         
-        const result = await pool.query(
-            'SELECT * FROM tasks WHERE id = $1 AND user_id = $2',
-            [id, userId]
-        );
+        const existingTask = await getTaskAccess(pool, userId, id);
         
-        if (result.rows.length === 0) {
+        if (!existingTask) {
             return res.status(404).json({ 
                 message: '任务未找到' 
             });
         }
         
-        const row = result.rows[0];
-        const task = {
-            id: row.id,
-            title: row.title,
-            description: row.description,
-            category: row.category,
-            priority: row.priority,
-            status: row.status,
-            dueDate: row.due_date,
-            createdAt: row.created_at,
-            updatedAt: row.updated_at
-        };
+        const task = formatTask(existingTask);
+        
+        await attachTaskDetails(pool, [task]);
         
         res.json({ task });
         
@@ -147,11 +1177,49 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+// Get a task's change history, newest first (?before=<entry id> for older entries)
+router.get('/:id/history', async (req, res) => {
+    try {
+        const { userId } = req.user;
+        const { before, limit } = req.query;
+        
+        // Digits only, and small enough for a bigint id (longer cursors made the query fail)
+        const isPageParam = value => value === undefined || (/^\d+$/.test(value) && Number.isSafeInteger(Number(value)));
+        
+        if (!isPageParam(before) || !isPageParam(limit)) {
+            return res.status(400).json({ 
+                message: '无效的分页参数' 
+            });
+        }
+        
+        const existingTask = await getTaskAccess(pool, userId, req.params.id);
+        
+        if (!existingTask) {
+            return res.status(404).json({ 
+                message: '任务未找到' 
+            });
+        }
+        
+        const history = await getTaskHistory(pool, existingTask.id, {
+            before: before !== undefined ? Number(before) : null,
+            limit: limit !== undefined ? Number(limit) : undefined
+        });
+        
+        res.json({ history });
+        
+    } catch (error) {
+        console.error('Get task history error:', error);
+        res.status(500).json({ 
+            message: '获取任务历史时发生内部服务器错误' 
+        });
+    }
+});
+
 // Create a new task
 router.post('/', async (req, res) => {
     try {
         const { userId } = req.user;
-        const { title, description, category, priority, status, dueDate } = req.body;
+        const { boardId: requestedBoardId, title, description, category, priority, status, rank, dueDate, recurrence, checklist, assignees, labels } = req.body;
         
         // Validate required fields
         if (!title || title.trim().length === 0) {
@@ -160,9 +1228,52 @@ router.post('/', async (req, res) => {
             });
         }
         
+        if (checklist !== undefined) {
+            const checklistError = validateChecklist(checklist);
+            if (checklistError) {
+                return res.status(400).json({ 
+                    message: checklistError 
+                });
+            }
+        }
+        
+        if (assignees !== undefined) {
+            const assigneesError = validateAssignees(assignees);
+            if (assigneesError) {
+                return res.status(400).json({ 
+                    message: assigneesError 
+                });
+            }
+        }
+        
+        if (labels !== undefined) {
+            const labelsError = validateLabels(labels);
+            if (labelsError) {
+                return res.status(400).json({ 
+                    message: labelsError 
+                });
+            }
+        }
+        
+        const board = await resolveBoardAccess(pool, userId, requestedBoardId);
+        
+        if (!board) {
+            return res.status(404).json({ 
+                message: '看板未找到' 
+            });
+        }
+        
+        if (!hasBoardRole(board.role, 'editor')) {
+            return res.status(403).json({ 
+                message: '没有修改此看板的权限' 
+            });
+        }
+        
+        const boardId = board.id;
+        
         // Validate enum values
         const validPriorities = ['Low', 'Medium', 'High'];
-        const validStatuses = ['todo', 'inProgress', 'done'];
+        const validStatuses = await getColumnKeys(pool, boardId);
         
         if (priority && !validPriorities.includes(priority)) {
             return res.status(400).json({ 
@@ -176,6 +1287,12 @@ router.post('/', async (req, res) => {
             });
         }
         
+        if (rank !== undefined && rank !== null && !isValidRank(rank)) {
+            return res.status(400).json({ 
+                message: '无效的排序值' 
+            });
+        }
+        
         // Validate due date
         let dueDateValue = null;
         if (dueDate) {
@@ -187,39 +1304,69 @@ router.post('/', async (req, res) => {
             }
         }
         
-        const result = await pool.query(
-            `INSERT INTO tasks (user_id, title, description, category, priority, status, due_date)
-             VALUES ($1, $2, $3, $4, $5, $6, $7)
-             RETURNING *`,
-            [
-                userId,
-                title.trim(),
-                description?.trim() || null,
-                category?.trim() || null,
-                priority || 'Medium',
-                status || 'todo',
-                dueDateValue
-            ]
-        );
-        
-        const row = result.rows[0];
-        const task = {
-            id: row.id,
-            title: row.title,
-            description: row.description,
-            category: row.category,
-            priority: row.priority,
-            status: row.status,
-            dueDate: row.due_date,
-            createdAt: row.created_at,
-            updatedAt: row.updated_at
-        };
-        
-        res.status(201).json({ 
-            message: '任务创建成功',
-            task 
-        });
-        
+        const recurrenceValue = recurrence === undefined ? null : normalizeRecurrence(recurrence);
+        if (recurrenceValue === undefined) {
+            return res.status(400).json({ 
+                message: '无效的重复规则' 
+            });
+        }
+        
+        const client = await pool.connect();
+        
+        try {
+            await client.query('BEGIN');
+            
+            const taskStatus = status || validStatuses[0];
+            
+            // Without a rank the task goes to the bottom of its column; a rank too long to
+            // store places it once it is written
+            const result = await client.query(
+                `INSERT INTO tasks (user_id, board_id, title, description, category, priority, status, rank, due_date, recurrence)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                 RETURNING *`,
+                [
+                    userId,
+                    boardId,
+                    title.trim(),
+                    description?.trim() || null,
+                    category?.trim() || null,
+                    priority || 'Medium',
+                    taskStatus,
+                    rank && isStoredRank(rank) ? rank : await getRankAfterLast(client, boardId, taskStatus),
+                    dueDateValue,
+                    recurrenceValue
+                ]
+            );
+            
+            const task = formatTask(result.rows[0]);
+            
+            if (rank && !isStoredRank(rank)) {
+                task.rank = await placeByRank(client, task, rank);
+            }
+            
+            task.checklist = await saveChecklist(client, task.id, checklist || []);
+            task.assignees = await saveAssignees(client, task.id, boardId, assignees || []);
+            task.labels = await saveLabels(client, task.id, boardId, labels || []);
+            
+            await recordTaskChanges(client, boardId, [task.id], 'upsert', userId);
+            await recordTaskCreated(client, userId, task);
+            
+            await client.query('COMMIT');
+            
+            broadcastTaskEvent(boardId, 'taskCreated', { task }, getClientId(req));
+            
+            res.status(201).json({ 
+                message: '任务创建成功',
+                task 
+            });
+            
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+        
     } catch (error) {
         console.error('Create task error:', error);
         res.status(500).json({ 
@@ -233,20 +1380,23 @@ router.put('/:id', async (req, res) => {
     try {
         const { userId } = req.user;
         const { id } = req.params;
-        const { title, description, category, priority, status, dueDate } = req.body;
+        const { title, description, category, priority, status, rank, dueDate, recurrence, checklist, assignees, labels } = req.body;
         
-        // Check if task exists and belongs to user
-        const existingTask = await pool.query(
-            'SELECT id FROM tasks WHERE id = $1 AND user_id = $2',
-            [id, userId]
-        );
+        // Check if task exists on a board the user may edit
+        const existingTask = await getTaskAccess(pool, userId, id);
         
-        if (existingTask.rows.length === 0) {
+        if (!existingTask) {
             return res.status(404).json({ 
                 message: '任务未找到' 
             });
         }
         
+        if (!hasBoardRole(existingTask.role, 'editor')) {
+            return res.status(403).json({ 
+                message: '没有修改此看板的权限' 
+            });
+        }
+        
         // Validate fields if provided
         if (title !== undefined && (!title || title.trim().length === 0)) {
             return res.status(400).json({ 
@@ -255,7 +1405,7 @@ router.put('/:id', async (req, res) => {
         }
         
         const validPriorities = ['Low', 'Medium', 'High'];
-        const validStatuses = ['todo', 'inProgress', 'done'];
+        const validStatuses = await getColumnKeys(pool, existingTask.board_id);
         
         if (priority && !validPriorities.includes(priority)) {
             return res.status(400).json({ 
@@ -269,6 +1419,39 @@ router.put('/:id', async (req, res) => {
             });
         }
         
+        if (rank !== undefined && !isValidRank(rank)) {
+            return res.status(400).json({ 
+                message: '无效的排序值' 
+            });
+        }
+        
+        if (checklist !== undefined) {
+            const checklistError = validateChecklist(checklist);
+            if (checklistError) {
+                return res.status(400).json({ 
+                    message: checklistError 
+                });
+            }
+        }
+        
+        if (assignees !== undefined) {
+            const assigneesError = validateAssignees(assignees);
+            if (assigneesError) {
+                return res.status(400).json({ 
+                    message: assigneesError 
+                });
+            }
+        }
+        
+        if (labels !== undefined) {
+            const labelsError = validateLabels(labels);
+            if (labelsError) {
+                return res.status(400).json({ 
+                    message: labelsError 
+                });
+            }
+        }
+        
         // Validate due date
         let dueDateValue = undefined;
         if (dueDate !== undefined) {
@@ -284,6 +1467,13 @@ router.put('/:id', async (req, res) => {
             }
         }
         
+        const recurrenceValue = recurrence === undefined ? undefined : normalizeRecurrence(recurrence);
+        if (recurrence !== undefined && recurrenceValue === undefined) {
+            return res.status(400).json({ 
+                message: '无效的重复规则' 
+            });
+        }
+        
         // Build update query dynamically
         const updates = [];
         const values = [];
@@ -325,49 +1515,109 @@ router.put('/:id', async (req, res) => {
             values.push(dueDateValue);
         }
         
-        if (updates.length === 0) {
+        if (recurrenceValue !== undefined) {
+            paramCount++;
+            updates.push(`recurrence = $${paramCount}`);
+            values.push(recurrenceValue);
+        }
+        
+        if (updates.length === 0 && rank === undefined && checklist === undefined && assignees === undefined && labels === undefined) {
             return res.status(400).json({ 
                 message: '没有提供要更新的字段' 
             });
         }
         
-        // Add updated_at
-        paramCount++;
-        updates.push(`updated_at = $${paramCount}`);
-        values.push(new Date());
-        
-        // Add WHERE clause parameters
-        paramCount++;
-        values.push(id);
-        paramCount++;
-        values.push(userId);
-        
-        const query = `
-            UPDATE tasks 
-            SET ${updates.join(', ')} 
-            WHERE id = $${paramCount - 1} AND user_id = $${paramCount}
-            RETURNING *
-        `;
-        
-        const result = await pool.query(query, values);
-        
-        const row = result.rows[0];
-        const task = {
-            id: row.id,
-            title: row.title,
-            description: row.description,
-            category: row.category,
-            priority: row.priority,
-            status: row.status,
-            dueDate: row.due_date,
-            createdAt: row.created_at,
-            updatedAt: row.updated_at
-        };
+        const client = await pool.connect();
         
-        res.json({ 
-            message: '任务更新成功',
-            task 
-        });
+        try {
+            await client.query('BEGIN');
+            
+            const previousTask = formatTask(existingTask);
+            
+            if (await isBlockedFromDone(client, previousTask, status)) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ 
+                    message: BLOCKED_TASK_MESSAGE 
+                });
+            }
+            
+            await attachTaskDetails(client, [previousTask]);
+            
+            // A card moved to another column without a rank goes to the bottom of it; a rank
+            // too long to store places the card once it is written
+            let rankValue = rank;
+            if (rankValue === undefined && status !== undefined && status !== existingTask.status) {
+                rankValue = await getRankAfterLast(client, existingTask.board_id, status);
+            }
+            
+            if (rankValue !== undefined && isStoredRank(rankValue)) {
+                paramCount++;
+                updates.push(`rank = $${paramCount}`);
+                values.push(rankValue);
+            }
+            
+            // Add updated_at
+            paramCount++;
+            updates.push(`updated_at = $${paramCount}`);
+            values.push(new Date());
+            
+            // Add WHERE clause parameter
+            paramCount++;
+            values.push(id);
+            
+            const result = await client.query(
+                `UPDATE tasks 
+                 SET ${updates.join(', ')} 
+                 WHERE id = $${paramCount}
+                 RETURNING *`,
+                values
+            );
+            
+            const task = formatTask(result.rows[0]);
+            
+            if (rankValue !== undefined && !isStoredRank(rankValue)) {
+                task.rank = await placeByRank(client, task, rankValue);
+            }
+            
+            await attachTaskDetails(client, [task]);
+            
+            if (checklist !== undefined) {
+                task.checklist = await saveChecklist(client, task.id, checklist);
+            }
+            
+            if (assignees !== undefined) {
+                task.assignees = await saveAssignees(client, task.id, task.boardId, assignees);
+            }
+            
+            if (labels !== undefined) {
+                task.labels = await saveLabels(client, task.id, task.boardId, labels);
+            }
+            
+            const spawnedTask = await spawnNextOccurrence(client, userId, previousTask, task);
+            
+            await recordTaskChanges(client, task.boardId, [task.id], 'upsert', userId);
+            await recordTaskUpdated(client, userId, previousTask, task);
+            
+            await client.query('COMMIT');
+            
+            broadcastTaskEvent(task.boardId, 'taskUpdated', { task }, getClientId(req));
+            
+            if (spawnedTask) {
+                broadcastTaskEvent(task.boardId, 'taskCreated', { task: spawnedTask }, getClientId(req));
+            }
+            
+            res.json({ 
+                message: '任务更新成功',
+                task,
+                spawnedTask 
+            });
+            
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
         
     } catch (error) {
         console.error('Update task error:', error);
@@ -383,112 +1633,47 @@ router.delete('/:id', async (req, res) => {
         const { userId } = req.user;
         const { id } = req.params;
         
-        const result = await pool.query(
-            'DELETE FROM tasks WHERE id = $1 AND user_id = $2 RETURNING *',
-            [id, userId]
-        );
+        const existingTask = await getTaskAccess(pool, userId, id);
         
-        if (result.rows.length === 0) {
+        if (!existingTask) {
             return res.status(404).json({ 
                 message: '任务未找到' 
             });
         }
         
-        const row = result.rows[0];
-        const task = {
-            id: row.id,
-            title: row.title,
-            description: row.description,
-            category: row.category,
-            priority: row.priority,
-            status: row.status,
-            dueDate: row.due_date,
-            createdAt: row.created_at,
-            updatedAt: row.updated_at
-        };
-        
-        res.json({ 
-            message: '任务删除成功',
-            task 
-        });
-        
-    } catch (error) {
-        console.error('Delete task error:', error);
-        res.status(500).json({ 
-            message: '删除任务时发生内部服务器错误' 
-        });
-    }
-});
-
-// Batch operations
-router.post('/batch', async (req, res) => {
-    try {
-        const { userId } = req.user;
-        const { tasks } = req.body;
-        
-        if (!Array.isArray(tasks) || tasks.length === 0) {
-            return res.status(400).json({ 
-                message: '任务数组是必需的' 
+        if (!hasBoardRole(existingTask.role, 'editor')) {
+            return res.status(403).json({ 
+                message: '没有修改此看板的权限' 
             });
         }
         
         const client = await pool.connect();
+        let task;
         
         try {
             await client.query('BEGIN');
             
-            const createdTasks = [];
+            // Keep a tombstone so clients that still have the task learn it was deleted
+            const result = await client.query(
+                `UPDATE tasks SET deleted_at = now(), updated_at = now()
+                 WHERE id = $1 AND deleted_at IS NULL
+                 RETURNING *`,
+                [id]
+            );
             
-            for (const taskData of tasks) {
-                const { title, description, category, priority, status, dueDate } = taskData;
-                
-                if (!title || title.trim().length === 0) {
-                    continue; // Skip invalid tasks
-                }
-                
-                let dueDateValue = null;
-                if (dueDate) {
-                    dueDateValue = new Date(dueDate);
-                    if (isNaN(dueDateValue.getTime())) {
-                        dueDateValue = null;
-                    }
-                }
-                
-                const result = await client.query(
-                    `INSERT INTO tasks (user_id, title, description, category, priority, status, due_date)
-                     VALUES ($1, $2, $3, $4, $5, $6, $7)
-                     RETURNING *`,
-                    [
-                        userId,
-                        title.trim(),
-                        description?.trim() || null,
-                        category?.trim() || null,
-                        priority || 'Medium',
-                        status || 'todo',
-                        dueDateValue
-                    ]
-                );
-                
-                const row = result.rows[0];
-                createdTasks.push({
-                    id: row.id,
-                    title: row.title,
-                    description: row.description,
-                    category: row.category,
-                    priority: row.priority,
-                    status: row.status,
-                    dueDate: row.due_date,
-                    createdAt: row.created_at,
-                    updatedAt: row.updated_at
+            task = result.rows.length > 0 ? formatTask(result.rows[0]) : null;
+            
+            if (!task) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ 
+                    message: '任务未找到' 
                 });
             }
             
-            await client.query('COMMIT');
+            await recordTaskChanges(client, task.boardId, [task.id], 'delete', userId);
+            await recordTasksDeleted(client, userId, task.boardId, [task.id]);
             
-            res.status(201).json({ 
-                message: `成功创建 ${createdTasks.length} 个任务`,
-                tasks: createdTasks 
-            });
+            await client.query('COMMIT');
             
         } catch (error) {
             await client.query('ROLLBACK');
@@ -497,110 +1682,82 @@ router.post('/batch', async (req, res) => {
             client.release();
         }
         
+        broadcastTaskEvent(task.boardId, 'taskDeleted', { taskId: task.id }, getClientId(req));
+        
+        res.json({ 
+            message: '任务删除成功',
+            task 
+        });
+        
     } catch (error) {
-        console.error('Batch create tasks error:', error);
+        console.error('Delete task error:', error);
         res.status(500).json({ 
-            message: '批量创建任务时发生内部服务器错误' 
+            message: '删除任务时发生内部服务器错误' 
         });
     }
 });
 
-// Batch update
-router.put('/batch', async (req, res) => {
+// Put a deleted task back, e.g. to undo its deletion. Deleting left a tombstone, so it comes
+// back under its id, in its place, with its comments, attachments and dependencies.
+router.post('/:id/restore', async (req, res) => {
     try {
         const { userId } = req.user;
-        const { updates } = req.body;
+        const { id } = req.params;
         
-        if (!Array.isArray(updates) || updates.length === 0) {
-            return res.status(400).json({ 
-                message: '更新数组是必需的' 
+        if (!UUID_PATTERN.test(id)) {
+            return res.status(404).json({ 
+                message: '任务未找到' 
+            });
+        }
+        
+        // Tombstones purged since are gone for good
+        const accessResult = await pool.query(
+            `SELECT m.role
+             FROM tasks t
+             JOIN board_members m ON m.board_id = t.board_id AND m.user_id = $2
+             WHERE t.id = $1`,
+            [id, userId]
+        );
+        
+        if (accessResult.rows.length === 0) {
+            return res.status(404).json({ 
+                message: '任务未找到' 
+            });
+        }
+        
+        if (!hasBoardRole(accessResult.rows[0].role, 'editor')) {
+            return res.status(403).json({ 
+                message: '没有修改此看板的权限' 
             });
         }
         
         const client = await pool.connect();
+        let task;
         
         try {
             await client.query('BEGIN');
             
-            const updatedTasks = [];
+            const result = await client.query(
+                `UPDATE tasks SET deleted_at = NULL, updated_at = now()
+                 WHERE id = $1 AND deleted_at IS NOT NULL
+                 RETURNING *`,
+                [id]
+            );
             
-            for (const updateData of updates) {
-                const { id, ...fields } = updateData;
-                
-                if (!id) continue;
-                
-                // Check if task exists and belongs to user
-                const existingTask = await client.query(
-                    'SELECT id FROM tasks WHERE id = $1 AND user_id = $2',
-                    [id, userId]
-                );
-                
-                if (existingTask.rows.length === 0) continue;
-                
-                // Build update query
-                const updateFields = [];
-                const values = [];
-                let paramCount = 0;
-                
-                Object.keys(fields).forEach(field => {
-                    if (fields[field] !== undefined) {
-                        paramCount++;
-                        
-                        if (field === 'dueDate') {
-                            updateFields.push(`due_date = $${paramCount}`);
-                            const dateValue = fields[field] ? new Date(fields[field]) : null;
-                            values.push(isNaN(dateValue?.getTime()) ? null : dateValue);
-                        } else {
-                            updateFields.push(`${field} = $${paramCount}`);
-                            values.push(fields[field]);
-                        }
-                    }
+            if (result.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ 
+                    message: '任务未被删除' 
                 });
-                
-                if (updateFields.length === 0) continue;
-                
-                // Add updated_at
-                paramCount++;
-                updateFields.push(`updated_at = $${paramCount}`);
-                values.push(new Date());
-                
-                // Add WHERE clause
-                paramCount++;
-                values.push(id);
-                paramCount++;
-                values.push(userId);
-                
-                const query = `
-                    UPDATE tasks 
-                    SET ${updateFields.join(', ')} 
-                    WHERE id = $${paramCount - 1} AND user_id = $${paramCount}
-                    RETURNING *
-                `;
-                
-                const result = await client.query(query, values);
-                
-                if (result.rows.length > 0) {
-                    const row = result.rows[0];
-                    updatedTasks.push({
-                        id: row.id,
-                        title: row.title,
-                        description: row.description,
-                        category: row.category,
-                        priority: row.priority,
-                        status: row.status,
-                        dueDate: row.due_date,
-                        createdAt: row.created_at,
-                        updatedAt: row.updated_at
-                    });
-                }
             }
             
-            await client.query('COMMIT');
+            task = formatTask(result.rows[0]);
+            await attachTaskDetails(client, [task]);
             
-            res.json({ 
-                message: `成功更新 ${updatedTasks.length} 个任务`,
-                tasks: updatedTasks 
-            });
+            await recordTaskChanges(client, task.boardId, [task.id], 'upsert', userId);
+            await recordTaskRestored(client, userId, task);
+            
+            await client.query('COMMIT');
             
         } catch (error) {
             await client.query('ROLLBACK');
@@ -609,57 +1766,39 @@ router.put('/batch', async (req, res) => {
             client.release();
         }
         
-    } catch (error) {
-        console.error('Batch update tasks error:', error);
-        res.status(500).json({ 
-            message: '批量更新任务时发生内部服务器错误' 
-        });
-    }
-});
-
-// Batch delete
-router.delete('/batch', async (req, res) => {
-    try {
-        const { userId } = req.user;
-        const { taskIds } = req.body;
-        
-        if (!Array.isArray(taskIds) || taskIds.length === 0) {
-            return res.status(400).json({ 
-                message: '任务ID数组是必需的' 
-            });
-        }
-        
-        // Create placeholders for the IN clause
-        const placeholders = taskIds.map((_, index) => `$${index + 2}`).join(', ');
-        
-        const result = await pool.query(
-            `DELETE FROM tasks WHERE user_id = $1 AND id IN (${placeholders}) RETURNING *`,
-            [userId, ...taskIds]
-        );
-        
-        const deletedTasks = result.rows.map(row => ({
-            id: row.id,
-            title: row.title,
-            description: row.description,
-            category: row.category,
-            priority: row.priority,
-            status: row.status,
-            dueDate: row.due_date,
-            createdAt: row.created_at,
-            updatedAt: row.updated_at
-        }));
+        // Other clients dropped the task, so to them it is a new one
+        broadcastTaskEvent(task.boardId, 'taskCreated', { task }, getClientId(req));
         
         res.json({ 
-            message: `成功删除 ${deletedTasks.length} 个任务`,
-            tasks: deletedTasks 
+            message: '任务恢复成功',
+            task 
         });
         
     } catch (error) {
-        console.error('Batch delete tasks error:', error);
+        console.error('Restore task error:', error);
         res.status(500).json({ 
-            message: '批量删除任务时发生内部服务器错误' 
+            message: '恢复任务时发生内部服务器错误' 
         });
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.formatTask = formatTask;
+module.exports.getTaskAccess = getTaskAccess;
+module.exports.attachTaskDetails = attachTaskDetails;
+module.exports.formatAttachment = formatAttachment;
+module.exports.isValidRank = isValidRank;
+module.exports.isStoredRank = isStoredRank;
+module.exports.getRankAfterLast = getRankAfterLast;
+module.exports.placeByRank = placeByRank;
+module.exports.validateChecklist = validateChecklist;
+module.exports.saveChecklist = saveChecklist;
+module.exports.validateAssignees = validateAssignees;
+module.exports.saveAssignees = saveAssignees;
+module.exports.validateLabels = validateLabels;
+module.exports.getTaskLabels = getTaskLabels;
+module.exports.saveLabels = saveLabels;
+module.exports.spawnNextOccurrence = spawnNextOccurrence;
+module.exports.applyBatchUpdate = applyBatchUpdate;
+module.exports.isBlockedFromDone = isBlockedFromDone;
+module.exports.BLOCKED_TASK_MESSAGE = BLOCKED_TASK_MESSAGE;
\ No newline at end of file
@@ -0,0 +1,24 @@
+const path = require('path');
+const { createLocalStore } = require('./local');
+
+// Attachment files live in a store chosen by UPLOAD_STORE. Every store keeps files
+// under keys like "<boardId>/<taskId>/<attachmentId>" and provides:
+//   save(key, filePath)  copy an uploaded file into the store
+//   open(key)            readable stream of the file
+//   remove(key)          delete one file
+//   removePrefix(prefix) delete every file under a board or task
+// Add another store (S3, GCS, ...) by implementing the same functions.
+const STORES = {
+    local: () => createLocalStore(process.env.UPLOAD_DIR || path.join(__dirname, '../uploads'))
+};
+
+function createAttachmentStore(type = process.env.UPLOAD_STORE || 'local') {
+    if (!STORES[type]) {
+        throw new Error(`Unknown attachment store: ${type}`);
+    }
+    return STORES[type]();
+}
+
+const attachmentStore = createAttachmentStore();
+
+module.exports = { attachmentStore, createAttachmentStore };
@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+
+// Attachment store on the local disk, one file per key below the root directory
+function createLocalStore(rootDir) {
+    const root = path.resolve(rootDir);
+    
+    // Keys are generated by the server, but never let one point outside the root
+    function resolveKey(key) {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid attachment key: ${key}`);
+        }
+        return filePath;
+    }
+    
+    return {
+        async save(key, sourcePath) {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            // Uploads are written to the temp directory, which may be on another device
+            await fs.promises.copyFile(sourcePath, filePath);
+        },
+        
+        open(key) {
+            return fs.createReadStream(resolveKey(key));
+        },
+        
+        async remove(key) {
+            await fs.promises.rm(resolveKey(key), { force: true });
+        },
+        
+        async removePrefix(prefix) {
+            await fs.promises.rm(resolveKey(prefix), { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = { createLocalStore };
@@ -0,0 +1,123 @@
+jest.mock('pg', () => require('./support/pg'));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Stored files go to a directory of their own, not server/uploads
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskflow-uploads-'));
+process.env.UPLOAD_DIR = uploadDir;
+
+const request = require('supertest');
+const { app, setupDatabase, registerUser } = require('./support/app');
+
+// A PNG signature and the start of its header chunk
+const PNG = Buffer.from('89504e470d0a1a0a0000000d494844520000000100000001080600000000', 'hex');
+
+beforeAll(() => setupDatabase());
+
+afterAll(() => fs.rmSync(uploadDir, { recursive: true, force: true }));
+
+describe('POST /api/upload', () => {
+    let owner;
+    let task;
+    
+    beforeAll(async () => {
+        owner = await registerUser();
+        
+        const response = await request(app)
+            .post('/api/tasks')
+            .set('Authorization', owner.auth)
+            .send({ title: 'With files', priority: 'Medium', status: 'todo' })
+            .expect(201);
+        
+        task = response.body.task;
+    });
+    
+    function upload(user, taskId = task.id) {
+        return request(app)
+            .post(`/api/upload?taskId=${taskId}`)
+            .set('Authorization', user.auth);
+    }
+    
+    test('stores a file whose name and content match its type, and serves it back', async () => {
+        const response = await upload(owner)
+            .attach('file', PNG, { filename: 'picture.png', contentType: 'image/png' })
+            .expect(201);
+        
+        const attachment = response.body.task.attachments.find(a => a.filename === 'picture.png');
+        expect(attachment).toEqual(expect.objectContaining({ contentType: 'image/png', size: PNG.length }));
+        
+        const download = await request(app)
+            .get(`/api/attachments/${attachment.id}`)
+            .set('Authorization', owner.auth)
+            .buffer(true)
+            .parse((res, done) => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => done(null, Buffer.concat(chunks)));
+            })
+            .expect(200);
+        
+        expect(download.body.equals(PNG)).toBe(true);
+    });
+    
+    test('refuses a file whose content does not match its declared type', async () => {
+        await upload(owner)
+            .attach('file', Buffer.from('<script>alert(1)</script>'), { filename: 'picture.png', contentType: 'image/png' })
+            .expect(415);
+    });
+    
+    test('refuses a file whose extension does not match its declared type', async () => {
+        await upload(owner)
+            .attach('file', PNG, { filename: 'picture.html', contentType: 'image/png' })
+            .expect(415);
+    });
+    
+    test('refuses binary content declared as text', async () => {
+        await upload(owner)
+            .attach('file', PNG, { filename: 'notes.txt', contentType: 'text/plain' })
+            .expect(415);
+        
+        await upload(owner)
+            .attach('file', Buffer.from('plain notes\n'), { filename: 'notes.txt', contentType: 'text/plain' })
+            .expect(201);
+    });
+    
+    test('accepts one file per request', async () => {
+        const response = await upload(owner)
+            .attach('file', PNG, { filename: 'one.png', contentType: 'image/png' })
+            .attach('file', PNG, { filename: 'two.png', contentType: 'image/png' })
+            .expect(400);
+        
+        expect(response.body.message).toBe('一次只能上传一个文件');
+        
+        const taskResponse = await request(app)
+            .get(`/api/tasks/${task.id}`)
+            .set('Authorization', owner.auth)
+            .expect(200);
+        
+        expect(taskResponse.body.task.attachments.map(a => a.filename)).not.toContain('one.png');
+    });
+    
+    test('checks the task and the role before the file', async () => {
+        const viewer = await registerUser();
+        
+        await request(app)
+            .post(`/api/boards/${task.boardId}/members`)
+            .set('Authorization', owner.auth)
+            .send({ username: viewer.user.username, role: 'viewer' })
+            .expect(201);
+        
+        // A file that would be refused for its content is refused for the role first
+        await upload(viewer)
+            .attach('file', Buffer.from('not a png'), { filename: 'picture.png', contentType: 'image/png' })
+            .expect(403);
+        
+        const stranger = await registerUser();
+        
+        await upload(stranger)
+            .attach('file', PNG, { filename: 'picture.png', contentType: 'image/png' })
+            .expect(404);
+    });
+});
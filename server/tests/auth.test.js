@@ -0,0 +1,351 @@
+jest.mock('pg', () => require('./support/pg'));
+
+const request = require('supertest');
+const totp = require('../lib/totp');
+const { app, setupDatabase, registerUser } = require('./support/app');
+
+beforeAll(() => setupDatabase());
+
+function login(username, password) {
+    return request(app)
+        .post('/api/auth/login')
+        .send({ username, password });
+}
+
+function refresh(refreshToken) {
+    return request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+}
+
+describe('POST /api/auth/refresh', () => {
+    test('rotates the refresh token and issues a new access token', async () => {
+        const user = await registerUser();
+        
+        const response = await refresh(user.refreshToken).expect(200);
+        
+        expect(response.body.token).toEqual(expect.any(String));
+        expect(response.body.refreshToken).toEqual(expect.any(String));
+        expect(response.body.refreshToken).not.toBe(user.refreshToken);
+        
+        await request(app)
+            .get('/api/auth/profile')
+            .set('Authorization', `Bearer ${response.body.token}`)
+            .expect(200);
+    });
+    
+    test('revokes the whole session when a rotated refresh token is used again', async () => {
+        const user = await registerUser();
+        const rotated = await refresh(user.refreshToken).expect(200);
+        
+        // The first token again, as a thief holding a copy would send it
+        await refresh(user.refreshToken).expect(401);
+        
+        await refresh(rotated.body.refreshToken).expect(401);
+        await request(app)
+            .get('/api/auth/profile')
+            .set('Authorization', `Bearer ${rotated.body.token}`)
+            .expect(401);
+    });
+    
+    test('refuses an unknown refresh token', async () => {
+        await refresh('not-a-refresh-token').expect(401);
+    });
+});
+
+describe('sessions', () => {
+    function getSessions(auth) {
+        return request(app)
+            .get('/api/auth/sessions')
+            .set('Authorization', auth)
+            .expect(200);
+    }
+    
+    test('lists each signed-in device and signs out the one revoked', async () => {
+        const user = await registerUser();
+        const laptop = await login(user.user.username, user.password)
+            .set('User-Agent', 'Laptop')
+            .expect(200);
+        const laptopAuth = `Bearer ${laptop.body.token}`;
+        
+        const listed = await getSessions(user.auth);
+        expect(listed.body.sessions).toHaveLength(2);
+        expect(listed.body.sessions.filter(session => session.current)).toHaveLength(1);
+        
+        const laptopSession = listed.body.sessions.find(session => session.userAgent === 'Laptop');
+        expect(laptopSession.current).toBe(false);
+        
+        const revoked = await request(app)
+            .delete(`/api/auth/sessions/${laptopSession.id}`)
+            .set('Authorization', user.auth)
+            .expect(200);
+        expect(revoked.body.current).toBe(false);
+        
+        await refresh(laptop.body.refreshToken).expect(401);
+        await request(app)
+            .get('/api/auth/profile')
+            .set('Authorization', laptopAuth)
+            .expect(401);
+        
+        const remaining = await getSessions(user.auth);
+        expect(remaining.body.sessions.map(session => session.current)).toEqual([true]);
+    });
+    
+    test('does not revoke the sessions of other users', async () => {
+        const user = await registerUser();
+        const other = await registerUser();
+        const [otherSession] = (await getSessions(other.auth)).body.sessions;
+        
+        await request(app)
+            .delete(`/api/auth/sessions/${otherSession.id}`)
+            .set('Authorization', user.auth)
+            .expect(404);
+        
+        await request(app)
+            .delete('/api/auth/sessions/not-a-session')
+            .set('Authorization', user.auth)
+            .expect(404);
+        
+        await refresh(other.refreshToken).expect(200);
+    });
+});
+
+describe('POST /api/auth/login lockout', () => {
+    const database = require('pg').getDatabase();
+    
+    async function getAuthEvents(userId) {
+        const result = await database.query('SELECT event FROM auth_events WHERE user_id = $1 ORDER BY id', [userId]);
+        return result.rows.map(row => row.event);
+    }
+    
+    test('locks the account after five wrong passwords, even for the right one', async () => {
+        const user = await registerUser();
+        
+        for (let i = 0; i < 5; i++) {
+            await login(user.user.username, 'wrong-password').expect(401);
+        }
+        
+        const response = await login(user.user.username, user.password).expect(429);
+        
+        expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+        expect(response.body.retryAfter).toBe(Number(response.headers['retry-after']));
+        expect(await getAuthEvents(user.user.id)).toEqual([
+            'login_failed', 'login_failed', 'login_failed', 'login_failed', 'login_failed',
+            'account_locked',
+            'login_blocked'
+        ]);
+    });
+    
+    test('clears earlier failures on a successful login', async () => {
+        const user = await registerUser();
+        
+        for (let i = 0; i < 4; i++) {
+            await login(user.user.username, 'wrong-password').expect(401);
+        }
+        await login(user.user.username, user.password).expect(200);
+        
+        await login(user.user.username, 'wrong-password').expect(401);
+        await login(user.user.username, user.password).expect(200);
+    });
+    
+    test('answers for an unknown username as it would for a locked account', async () => {
+        const locked = await registerUser();
+        for (let i = 0; i < 5; i++) {
+            await login(locked.user.username, 'wrong-password').expect(401);
+        }
+        const lockedResponse = await login(locked.user.username, 'wrong-password').expect(429);
+        
+        for (let i = 0; i < 5; i++) {
+            await login('nobody-by-this-name', 'wrong-password').expect(401);
+        }
+        const unknownResponse = await login('nobody-by-this-name', 'wrong-password').expect(429);
+        
+        expect(Number(unknownResponse.headers['retry-after'])).toBeGreaterThan(0);
+        expect(unknownResponse.body.message).toBe(lockedResponse.body.message);
+    });
+    
+    test('limits usernames that differ only in case separately', async () => {
+        const upper = await registerUser('CaseUser');
+        const lower = await registerUser('caseuser');
+        
+        // Enough wrong passwords to use up the per-username limit of the first account
+        for (let i = 0; i < 10; i++) {
+            await login(upper.user.username, 'wrong-password');
+        }
+        await login(upper.user.username, upper.password).expect(429);
+        
+        await login(lower.user.username, lower.password).expect(200);
+    });
+    
+    test('lets the right password in again once the lock has run out', async () => {
+        const user = await registerUser();
+        
+        for (let i = 0; i < 5; i++) {
+            await login(user.user.username, 'wrong-password').expect(401);
+        }
+        
+        await database.query("UPDATE users SET locked_until = now() - interval '1 second' WHERE id = $1", [user.user.id]);
+        
+        await login(user.user.username, user.password).expect(200);
+        expect((await getAuthEvents(user.user.id)).slice(-1)).toEqual(['login_succeeded']);
+    });
+});
+
+describe('two-factor authentication', () => {
+    let user;
+    let secret;
+    let lastStep;
+    
+    // A code the server accepts next: each step only once, and the current one or later
+    function nextCode() {
+        lastStep = Math.max(Math.floor(Date.now() / 30000), lastStep + 1);
+        return totp.generateCode(secret, lastStep);
+    }
+    
+    async function enableTwoFactor() {
+        const setup = await request(app)
+            .post('/api/auth/2fa/setup')
+            .set('Authorization', user.auth)
+            .expect(200);
+        
+        secret = setup.body.secret;
+        lastStep = -1;
+        
+        const response = await request(app)
+            .post('/api/auth/2fa/enable')
+            .set('Authorization', user.auth)
+            .send({ code: nextCode() })
+            .expect(200);
+        
+        return response.body.recoveryCodes;
+    }
+    
+    async function getChallengeToken() {
+        const response = await login(user.user.username, user.password).expect(200);
+        
+        expect(response.body.twoFactorRequired).toBe(true);
+        expect(response.body.token).toBeUndefined();
+        
+        return response.body.challengeToken;
+    }
+    
+    function verifyLogin(challengeToken, code) {
+        return request(app)
+            .post('/api/auth/login/2fa')
+            .send({ challengeToken, code });
+    }
+    
+    beforeEach(async () => {
+        user = await registerUser();
+    });
+    
+    test('is enabled only with a code from the app', async () => {
+        const setup = await request(app)
+            .post('/api/auth/2fa/setup')
+            .set('Authorization', user.auth)
+            .expect(200);
+        
+        expect(setup.body.otpauthUri).toContain(`secret=${setup.body.secret}`);
+        
+        await request(app)
+            .post('/api/auth/2fa/enable')
+            .set('Authorization', user.auth)
+            .send({ code: 'abcdef' })
+            .expect(400);
+        
+        secret = setup.body.secret;
+        lastStep = -1;
+        
+        const enabled = await request(app)
+            .post('/api/auth/2fa/enable')
+            .set('Authorization', user.auth)
+            .send({ code: nextCode() })
+            .expect(200);
+        
+        expect(enabled.body.recoveryCodes).toHaveLength(10);
+        
+        const status = await request(app)
+            .get('/api/auth/2fa')
+            .set('Authorization', user.auth)
+            .expect(200);
+        
+        expect(status.body).toMatchObject({ enabled: true, recoveryCodesRemaining: 10 });
+    });
+    
+    test('turns the password into a challenge token that only the second step accepts', async () => {
+        await enableTwoFactor();
+        const challengeToken = await getChallengeToken();
+        
+        // Not an access token
+        await request(app)
+            .get('/api/auth/profile')
+            .set('Authorization', `Bearer ${challengeToken}`)
+            .expect(401);
+        
+        await verifyLogin(challengeToken, '000000').expect(401);
+        
+        const code = nextCode();
+        const response = await verifyLogin(challengeToken, code).expect(200);
+        
+        await request(app)
+            .get('/api/auth/profile')
+            .set('Authorization', `Bearer ${response.body.token}`)
+            .expect(200);
+        
+        // A code is used up once it has let someone in
+        await verifyLogin(await getChallengeToken(), code).expect(401);
+    });
+    
+    test('refuses an access token as a challenge token', async () => {
+        await enableTwoFactor();
+        
+        await verifyLogin(user.token, nextCode()).expect(401);
+    });
+    
+    test('accepts each recovery code once, until they are replaced', async () => {
+        const [first, second] = await enableTwoFactor();
+        
+        await verifyLogin(await getChallengeToken(), first).expect(200);
+        await verifyLogin(await getChallengeToken(), first).expect(401);
+        
+        const status = await request(app)
+            .get('/api/auth/2fa')
+            .set('Authorization', user.auth)
+            .expect(200);
+        
+        expect(status.body.recoveryCodesRemaining).toBe(9);
+        
+        const replaced = await request(app)
+            .post('/api/auth/2fa/recovery-codes')
+            .set('Authorization', user.auth)
+            .send({ code: nextCode() })
+            .expect(200);
+        
+        expect(replaced.body.recoveryCodes).toHaveLength(10);
+        
+        await verifyLogin(await getChallengeToken(), second).expect(401);
+        await verifyLogin(await getChallengeToken(), replaced.body.recoveryCodes[0]).expect(200);
+    });
+    
+    test('is disabled only with the password and a code', async () => {
+        await enableTwoFactor();
+        
+        const refused = await request(app)
+            .post('/api/auth/2fa/disable')
+            .set('Authorization', user.auth)
+            .send({ password: 'wrong-password', code: '000000' })
+            .expect(400);
+        
+        expect(refused.body.message).toBe('密码不正确');
+        
+        await request(app)
+            .post('/api/auth/2fa/disable')
+            .set('Authorization', user.auth)
+            .send({ password: user.password, code: nextCode() })
+            .expect(200);
+        
+        const response = await login(user.user.username, user.password).expect(200);
+        expect(response.body.token).toEqual(expect.any(String));
+        expect(response.body.twoFactorRequired).toBeUndefined();
+    });
+});
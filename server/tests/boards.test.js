@@ -0,0 +1,183 @@
+jest.mock('pg', () => require('./support/pg'));
+
+const request = require('supertest');
+const { app, setupDatabase, registerUser } = require('./support/app');
+
+beforeAll(() => setupDatabase());
+
+async function createBoard(user, fields = {}) {
+    const response = await request(app)
+        .post('/api/boards')
+        .set('Authorization', user.auth)
+        .send({ name: 'Project', ...fields })
+        .expect(201);
+    
+    return response.body.board;
+}
+
+function createTask(user, boardId, title) {
+    return request(app)
+        .post('/api/tasks')
+        .set('Authorization', user.auth)
+        .send({ boardId, title, priority: 'Medium', status: 'todo' });
+}
+
+async function getTaskTitles(user, boardId) {
+    const response = await request(app)
+        .get(`/api/tasks?boardId=${boardId}`)
+        .set('Authorization', user.auth)
+        .expect(200);
+    
+    return response.body.tasks.map(task => task.title);
+}
+
+describe('boards', () => {
+    let user;
+    
+    beforeEach(async () => {
+        user = await registerUser();
+    });
+    
+    test('keep their tasks and columns apart', async () => {
+        const boards = await request(app)
+            .get('/api/boards')
+            .set('Authorization', user.auth)
+            .expect(200);
+        
+        const [defaultBoard] = boards.body.boards;
+        const project = await createBoard(user, { name: 'Side project' });
+        expect(project).toMatchObject({ name: 'Side project', role: 'owner' });
+        
+        await createTask(user, project.id, 'On the project').expect(201);
+        
+        expect(await getTaskTitles(user, project.id)).toEqual(['On the project']);
+        expect(await getTaskTitles(user, defaultBoard.id)).toEqual([]);
+        
+        const columns = await request(app)
+            .get(`/api/columns?boardId=${project.id}`)
+            .set('Authorization', user.auth)
+            .expect(200);
+        
+        expect(columns.body.columns.map(column => column.boardId)).toEqual([project.id, project.id, project.id]);
+    });
+    
+    test('are deleted with their tasks, except for the last one', async () => {
+        const project = await createBoard(user);
+        const task = (await createTask(user, project.id, 'Goes with the board').expect(201)).body.task;
+        
+        await request(app)
+            .delete(`/api/boards/${project.id}`)
+            .set('Authorization', user.auth)
+            .expect(200);
+        
+        await request(app)
+            .get(`/api/tasks/${task.id}`)
+            .set('Authorization', user.auth)
+            .expect(404);
+        
+        const boards = await request(app)
+            .get('/api/boards')
+            .set('Authorization', user.auth)
+            .expect(200);
+        
+        expect(boards.body.boards).toHaveLength(1);
+        
+        await request(app)
+            .delete(`/api/boards/${boards.body.boards[0].id}`)
+            .set('Authorization', user.auth)
+            .expect(400);
+    });
+    
+    test('of other users are not found', async () => {
+        const project = await createBoard(user);
+        const stranger = await registerUser();
+        
+        await request(app)
+            .get(`/api/boards/${project.id}`)
+            .set('Authorization', stranger.auth)
+            .expect(404);
+        
+        await createTask(stranger, project.id, 'Intruding').expect(404);
+    });
+});
+
+describe('board members', () => {
+    let owner;
+    let member;
+    let board;
+    
+    beforeEach(async () => {
+        owner = await registerUser();
+        member = await registerUser();
+        board = await createBoard(owner, { name: 'Shared' });
+    });
+    
+    function invite(user, role) {
+        return request(app)
+            .post(`/api/boards/${board.id}/members`)
+            .set('Authorization', owner.auth)
+            .send({ username: user.user.username, role });
+    }
+    
+    test('who are viewers read the board but cannot change it', async () => {
+        await createTask(owner, board.id, 'Shared task').expect(201);
+        
+        const invited = await invite(member, 'viewer').expect(201);
+        expect(invited.body.member).toMatchObject({ userId: member.user.id, role: 'viewer' });
+        
+        const boards = await request(app)
+            .get('/api/boards')
+            .set('Authorization', member.auth)
+            .expect(200);
+        
+        expect(boards.body.boards.find(b => b.id === board.id)).toMatchObject({ role: 'viewer', memberCount: 2 });
+        expect(await getTaskTitles(member, board.id)).toEqual(['Shared task']);
+        
+        await createTask(member, board.id, 'Not allowed').expect(403);
+    });
+    
+    test('can be made editors, who change tasks but not the board or its members', async () => {
+        await invite(member, 'viewer').expect(201);
+        
+        await request(app)
+            .put(`/api/boards/${board.id}/members/${member.user.id}`)
+            .set('Authorization', owner.auth)
+            .send({ role: 'editor' })
+            .expect(200);
+        
+        await createTask(member, board.id, 'By the editor').expect(201);
+        
+        await request(app)
+            .put(`/api/boards/${board.id}`)
+            .set('Authorization', member.auth)
+            .send({ name: 'Renamed' })
+            .expect(403);
+        
+        const other = await registerUser();
+        await request(app)
+            .post(`/api/boards/${board.id}/members`)
+            .set('Authorization', member.auth)
+            .send({ username: other.user.username })
+            .expect(403);
+    });
+    
+    test('lose access when removed, and the owner cannot be removed', async () => {
+        await invite(member, 'editor').expect(201);
+        await invite(member, 'editor').expect(409);
+        
+        await request(app)
+            .delete(`/api/boards/${board.id}/members/${owner.user.id}`)
+            .set('Authorization', owner.auth)
+            .expect(400);
+        
+        await request(app)
+            .delete(`/api/boards/${board.id}/members/${member.user.id}`)
+            .set('Authorization', owner.auth)
+            .expect(200);
+        
+        await request(app)
+            .get(`/api/boards/${board.id}`)
+            .set('Authorization', member.auth)
+            .expect(404);
+    });
+});
@@ -0,0 +1,154 @@
+jest.mock('pg', () => require('./support/pg'));
+
+const request = require('supertest');
+const { app, setupDatabase, registerUser } = require('./support/app');
+
+beforeAll(() => setupDatabase());
+
+describe('DELETE /api/columns/:id', () => {
+    let user;
+    
+    // Each test gets a board of its own
+    beforeEach(async () => {
+        user = await registerUser();
+    });
+    
+    async function getColumns() {
+        const response = await request(app)
+            .get('/api/columns')
+            .set('Authorization', user.auth)
+            .expect(200);
+        
+        return response.body.columns;
+    }
+    
+    async function createColumn(name) {
+        const response = await request(app)
+            .post('/api/columns')
+            .set('Authorization', user.auth)
+            .send({ name })
+            .expect(201);
+        
+        return response.body.column;
+    }
+    
+    async function createTask(fields) {
+        const response = await request(app)
+            .post('/api/tasks')
+            .set('Authorization', user.auth)
+            .send({ priority: 'Medium', status: 'todo', ...fields })
+            .expect(201);
+        
+        return response.body.task;
+    }
+    
+    async function getTasks() {
+        const response = await request(app)
+            .get('/api/tasks')
+            .set('Authorization', user.auth)
+            .expect(200);
+        
+        return response.body.tasks;
+    }
+    
+    function byRank(tasks) {
+        return [...tasks].sort((a, b) => (a.rank < b.rank ? -1 : a.rank > b.rank ? 1 : 0));
+    }
+    
+    test('moves the tasks to the bottom of the target column in their order', async () => {
+        const review = await createColumn('Review');
+        await createTask({ title: 'Already done', status: 'done' });
+        await createTask({ title: 'First', status: review.key });
+        await createTask({ title: 'Second', status: review.key });
+        
+        const response = await request(app)
+            .delete(`/api/columns/${review.id}?moveTo=done`)
+            .set('Authorization', user.auth)
+            .expect(200);
+        
+        expect(response.body.movedTasks).toBe(2);
+        
+        const done = byRank((await getTasks()).filter(task => task.status === 'done'));
+        expect(done.map(task => task.title)).toEqual(['Already done', 'First', 'Second']);
+    });
+    
+    test('spawns the next task of a recurring task moved to done', async () => {
+        const review = await createColumn('Review');
+        const task = await createTask({ title: 'Weekly report', status: review.key, dueDate: '2030-01-07', recurrence: 'FREQ=WEEKLY' });
+        
+        const response = await request(app)
+            .delete(`/api/columns/${review.id}?moveTo=done`)
+            .set('Authorization', user.auth)
+            .expect(200);
+        
+        expect(response.body.tasks).toEqual([expect.objectContaining({ id: task.id, status: 'done', recurrence: null })]);
+        expect(response.body.spawnedTasks).toEqual([expect.objectContaining({ title: 'Weekly report', status: 'todo' })]);
+    });
+    
+    test('refuses to move a blocked task to done', async () => {
+        const review = await createColumn('Review');
+        const blocker = await createTask({ title: 'Blocker' });
+        const task = await createTask({ title: 'Blocked', status: review.key });
+        
+        await request(app)
+            .post(`/api/tasks/${task.id}/dependencies`)
+            .set('Authorization', user.auth)
+            .send({ blockerId: blocker.id })
+            .expect(201);
+        
+        await request(app)
+            .put(`/api/boards/${task.boardId}`)
+            .set('Authorization', user.auth)
+            .send({ enforceDependencies: true })
+            .expect(200);
+        
+        const response = await request(app)
+            .delete(`/api/columns/${review.id}?moveTo=done`)
+            .set('Authorization', user.auth)
+            .expect(409);
+        
+        expect(response.body.taskId).toBe(task.id);
+        expect((await getColumns()).map(column => column.key)).toContain(review.key);
+        expect((await getTasks()).find(t => t.id === task.id).status).toBe(review.key);
+    });
+    
+    test('keeps the done column', async () => {
+        const done = (await getColumns()).find(column => column.key === 'done');
+        
+        const response = await request(app)
+            .delete(`/api/columns/${done.id}`)
+            .set('Authorization', user.auth)
+            .expect(400);
+        
+        expect(response.body.message).toBe('不能删除完成列');
+        expect((await getColumns()).map(column => column.key)).toContain('done');
+    });
+});
+
+describe('GET /api/sync/status', () => {
+    test('counts the tasks of each of the board\'s columns', async () => {
+        const user = await registerUser();
+        
+        const columnResponse = await request(app)
+            .post('/api/columns')
+            .set('Authorization', user.auth)
+            .send({ name: 'Review' })
+            .expect(201);
+        
+        const { key } = columnResponse.body.column;
+        
+        await request(app)
+            .post('/api/tasks')
+            .set('Authorization', user.auth)
+            .send({ title: 'In review', priority: 'Medium', status: key })
+            .expect(201);
+        
+        const response = await request(app)
+            .get('/api/sync/status')
+            .set('Authorization', user.auth)
+            .expect(200);
+        
+        expect(response.body.serverStats.byStatus).toEqual({ todo: 0, inProgress: 0, done: 0, [key]: 1 });
+        expect(response.body.serverStats.totalTasks).toBe(1);
+    });
+});
@@ -0,0 +1,129 @@
+jest.mock('pg', () => require('./support/pg'));
+
+const request = require('supertest');
+const { app, setupDatabase, registerUser } = require('./support/app');
+
+beforeAll(() => setupDatabase());
+
+describe('task comments', () => {
+    let owner;
+    let editor;
+    let viewer;
+    let task;
+    
+    beforeAll(async () => {
+        owner = await registerUser();
+        editor = await registerUser();
+        viewer = await registerUser();
+        
+        const created = await request(app)
+            .post('/api/tasks')
+            .set('Authorization', owner.auth)
+            .send({ title: 'Discussed', priority: 'Medium', status: 'todo' })
+            .expect(201);
+        task = created.body.task;
+        
+        for (const [user, role] of [[editor, 'editor'], [viewer, 'viewer']]) {
+            await request(app)
+                .post(`/api/boards/${task.boardId}/members`)
+                .set('Authorization', owner.auth)
+                .send({ username: user.user.username, role })
+                .expect(201);
+        }
+    });
+    
+    function comment(user, body) {
+        return request(app)
+            .post(`/api/tasks/${task.id}/comments`)
+            .set('Authorization', user.auth)
+            .send({ body });
+    }
+    
+    async function getComments(user) {
+        const response = await request(app)
+            .get(`/api/tasks/${task.id}/comments`)
+            .set('Authorization', user.auth)
+            .expect(200);
+        
+        return response.body.comments;
+    }
+    
+    test('are posted by editors, read by every member and counted on the task', async () => {
+        const posted = await comment(editor, '  Looks good  ').expect(201);
+        
+        expect(posted.body.comment).toMatchObject({
+            taskId: task.id,
+            body: 'Looks good',
+            author: { userId: editor.user.id, username: editor.user.username }
+        });
+        expect(posted.body.task.commentCount).toBe(1);
+        
+        const comments = await getComments(viewer);
+        expect(comments.map(c => c.body)).toEqual(['Looks good']);
+        
+        await request(app)
+            .delete(`/api/tasks/${task.id}/comments/${posted.body.comment.id}`)
+            .set('Authorization', editor.auth)
+            .expect(200);
+    });
+    
+    test('are refused to viewers, outsiders and when empty', async () => {
+        await comment(viewer, 'Can I?').expect(403);
+        await comment(editor, '   ').expect(400);
+        
+        const outsider = await registerUser();
+        await comment(outsider, 'Hello').expect(404);
+        await request(app)
+            .get(`/api/tasks/${task.id}/comments`)
+            .set('Authorization', outsider.auth)
+            .expect(404);
+        
+        expect(await getComments(owner)).toEqual([]);
+    });
+    
+    test('can be edited only by their author', async () => {
+        const posted = await comment(editor, 'First draft').expect(201);
+        const path = `/api/tasks/${task.id}/comments/${posted.body.comment.id}`;
+        
+        await request(app)
+            .put(path)
+            .set('Authorization', owner.auth)
+            .send({ body: 'Rewritten by the owner' })
+            .expect(403);
+        
+        const edited = await request(app)
+            .put(path)
+            .set('Authorization', editor.auth)
+            .send({ body: 'Second draft' })
+            .expect(200);
+        expect(edited.body.comment.body).toBe('Second draft');
+        
+        await request(app)
+            .delete(path)
+            .set('Authorization', editor.auth)
+            .expect(200);
+    });
+    
+    test('can be deleted by their author or the board owner, not by other members', async () => {
+        const posted = await comment(editor, 'Off topic').expect(201);
+        const path = `/api/tasks/${task.id}/comments/${posted.body.comment.id}`;
+        
+        await request(app)
+            .delete(path)
+            .set('Authorization', viewer.auth)
+            .expect(403);
+        
+        const deleted = await request(app)
+            .delete(path)
+            .set('Authorization', owner.auth)
+            .expect(200);
+        expect(deleted.body.task.commentCount).toBe(0);
+        
+        await request(app)
+            .delete(path)
+            .set('Authorization', owner.auth)
+            .expect(404);
+        
+        expect(await getComments(owner)).toEqual([]);
+    });
+});
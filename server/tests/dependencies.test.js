@@ -0,0 +1,125 @@
+jest.mock('pg', () => require('./support/pg'));
+
+const crypto = require('crypto');
+const request = require('supertest');
+const { app, setupDatabase, registerUser } = require('./support/app');
+
+beforeAll(() => setupDatabase());
+
+describe('moving a blocked task to done', () => {
+    let user;
+    let blocker;
+    let task;
+    
+    beforeAll(async () => {
+        user = await registerUser();
+    });
+    
+    async function createTask(title) {
+        const response = await request(app)
+            .post('/api/tasks')
+            .set('Authorization', user.auth)
+            .send({ title, priority: 'Medium', status: 'todo' })
+            .expect(201);
+        
+        return response.body.task;
+    }
+    
+    beforeEach(async () => {
+        blocker = await createTask('Blocker');
+        task = await createTask('Blocked');
+        
+        await request(app)
+            .post(`/api/tasks/${task.id}/dependencies`)
+            .set('Authorization', user.auth)
+            .send({ blockerId: blocker.id })
+            .expect(201);
+        
+        await request(app)
+            .put(`/api/boards/${task.boardId}`)
+            .set('Authorization', user.auth)
+            .send({ enforceDependencies: true })
+            .expect(200);
+    });
+    
+    test('is refused with 409 by PUT /api/tasks/:id', async () => {
+        const response = await request(app)
+            .put(`/api/tasks/${task.id}`)
+            .set('Authorization', user.auth)
+            .send({ status: 'done' })
+            .expect(409);
+        
+        expect(response.body.message).toEqual(expect.any(String));
+    });
+    
+    test('is allowed once the blocker is done', async () => {
+        await request(app)
+            .put(`/api/tasks/${blocker.id}`)
+            .set('Authorization', user.auth)
+            .send({ status: 'done' })
+            .expect(200);
+        
+        await request(app)
+            .put(`/api/tasks/${task.id}`)
+            .set('Authorization', user.auth)
+            .send({ status: 'done' })
+            .expect(200);
+    });
+    
+    test('is allowed on boards that do not enforce dependencies', async () => {
+        await request(app)
+            .put(`/api/boards/${task.boardId}`)
+            .set('Authorization', user.auth)
+            .send({ enforceDependencies: false })
+            .expect(200);
+        
+        await request(app)
+            .put(`/api/tasks/${task.id}`)
+            .set('Authorization', user.auth)
+            .send({ status: 'done' })
+            .expect(200);
+    });
+    
+    test('fails only that task in a batch update', async () => {
+        const response = await request(app)
+            .put('/api/tasks/batch')
+            .set('Authorization', user.auth)
+            .send({ updates: [{ id: task.id, status: 'done' }, { id: blocker.id, priority: 'High' }] })
+            .expect(200);
+        
+        expect(response.body.tasks.map(t => t.id)).toEqual([blocker.id]);
+        expect(response.body.failed.map(f => f.id)).toEqual([task.id]);
+    });
+    
+    test('applies the rest of a pushed edit and keeps the task in its column', async () => {
+        const response = await request(app)
+            .post('/api/sync/push')
+            .set('Authorization', user.auth)
+            .send({
+                boardId: task.boardId,
+                operations: [{
+                    id: crypto.randomUUID(),
+                    type: 'update',
+                    taskId: task.id,
+                    task: { ...task, title: 'Renamed', status: 'done', updatedAt: new Date().toISOString() },
+                    base: task
+                }]
+            })
+            .expect(200);
+        const [result] = response.body.results;
+        
+        expect(result).toMatchObject({ status: 'applied', blocked: true });
+        expect(result.task).toMatchObject({ title: 'Renamed', status: 'todo' });
+    });
+    
+    test('keeps the task out of done in a full sync', async () => {
+        const response = await request(app)
+            .post('/api/sync')
+            .set('Authorization', user.auth)
+            .send({ boardId: task.boardId, tasks: [{ ...task, status: 'done', updatedAt: new Date().toISOString() }] })
+            .expect(200);
+        
+        expect(response.body.blockedTaskIds).toEqual([task.id]);
+        expect(response.body.tasks.find(t => t.id === task.id).status).toBe('todo');
+    });
+});
@@ -0,0 +1,100 @@
+jest.mock('pg', () => require('./support/pg'));
+
+const http = require('http');
+const request = require('supertest');
+const { app, setupDatabase, registerUser } = require('./support/app');
+
+let server;
+
+beforeAll(async () => {
+    await setupDatabase();
+    server = app.listen(0);
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+// Open an event stream and resolve with its status and the first chunk of it, then close it
+function openStream(query) {
+    return new Promise((resolve, reject) => {
+        const url = `http://127.0.0.1:${server.address().port}/api/events?${new URLSearchParams(query)}`;
+        
+        const req = http.get(url, res => {
+            res.setEncoding('utf8');
+            res.once('data', chunk => {
+                resolve({ status: res.statusCode, body: chunk });
+                req.destroy();
+            });
+        });
+        req.on('error', reject);
+    });
+}
+
+describe('event stream tickets', () => {
+    let user;
+    let boardId;
+    
+    beforeAll(async () => {
+        user = await registerUser();
+        
+        const response = await request(app)
+            .get('/api/boards')
+            .set('Authorization', user.auth)
+            .expect(200);
+        
+        boardId = response.body.boards[0].id;
+    });
+    
+    async function getTicket(auth = user.auth, id = boardId) {
+        const response = await request(app)
+            .post('/api/events/ticket')
+            .set('Authorization', auth)
+            .send({ boardId: id })
+            .expect(200);
+        
+        return response.body.ticket;
+    }
+    
+    test('open a stream once', async () => {
+        const ticket = await getTicket();
+        
+        const stream = await openStream({ boardId, ticket });
+        expect(stream.status).toBe(200);
+        expect(stream.body).toContain('retry:');
+        
+        const replay = await openStream({ boardId, ticket });
+        expect(replay.status).toBe(401);
+    });
+    
+    test('are needed: an access token in the URL does not open a stream', async () => {
+        const stream = await openStream({ boardId, token: user.token });
+        expect(stream.status).toBe(401);
+    });
+    
+    test('only open the stream of the board they were issued for', async () => {
+        const other = await registerUser();
+        const otherBoards = await request(app)
+            .get('/api/boards')
+            .set('Authorization', other.auth)
+            .expect(200);
+        
+        const ticket = await getTicket(other.auth, otherBoards.body.boards[0].id);
+        
+        const stream = await openStream({ boardId, ticket });
+        expect(stream.status).toBe(401);
+    });
+    
+    test('are only issued to members of the board', async () => {
+        const stranger = await registerUser();
+        
+        await request(app)
+            .post('/api/events/ticket')
+            .set('Authorization', stranger.auth)
+            .send({ boardId })
+            .expect(404);
+        
+        await request(app)
+            .post('/api/events/ticket')
+            .send({ boardId })
+            .expect(401);
+    });
+});
@@ -0,0 +1,70 @@
+jest.mock('pg', () => require('./support/pg'));
+
+const crypto = require('crypto');
+const request = require('supertest');
+const { app, setupDatabase, registerUser } = require('./support/app');
+
+beforeAll(() => setupDatabase());
+
+describe('Idempotency-Key', () => {
+    let user;
+    
+    beforeEach(async () => {
+        user = await registerUser();
+    });
+    
+    function createTask(auth, key, title = 'Sent twice') {
+        return request(app)
+            .post('/api/tasks')
+            .set('Authorization', auth)
+            .set('Idempotency-Key', key)
+            .send({ title, priority: 'Medium', status: 'todo' });
+    }
+    
+    async function getTaskTitles() {
+        const response = await request(app)
+            .get('/api/tasks')
+            .set('Authorization', user.auth)
+            .expect(200);
+        
+        return response.body.tasks.map(task => task.title);
+    }
+    
+    test('answers a retried request with the first response instead of applying it again', async () => {
+        const key = crypto.randomUUID();
+        
+        const first = await createTask(user.auth, key).expect(201);
+        expect(first.headers['idempotent-replayed']).toBeUndefined();
+        
+        const retry = await createTask(user.auth, key).expect(201);
+        expect(retry.headers['idempotent-replayed']).toBe('true');
+        expect(retry.body.task.id).toBe(first.body.task.id);
+        
+        expect(await getTaskTitles()).toEqual(['Sent twice']);
+    });
+    
+    test('refuses a key that was used for another request', async () => {
+        const key = crypto.randomUUID();
+        const created = await createTask(user.auth, key).expect(201);
+        
+        await request(app)
+            .put(`/api/tasks/${created.body.task.id}`)
+            .set('Authorization', user.auth)
+            .set('Idempotency-Key', key)
+            .send({ title: 'Renamed' })
+            .expect(422);
+        
+        expect(await getTaskTitles()).toEqual(['Sent twice']);
+    });
+    
+    test('keeps the keys of different users apart', async () => {
+        const key = crypto.randomUUID();
+        const other = await registerUser();
+        
+        const mine = await createTask(user.auth, key, 'Mine').expect(201);
+        const theirs = await createTask(other.auth, key, 'Theirs').expect(201);
+        
+        expect(theirs.headers['idempotent-replayed']).toBeUndefined();
+        expect(theirs.body.task.id).not.toBe(mine.body.task.id);
+    });
+});
@@ -0,0 +1,109 @@
+jest.mock('pg', () => require('./support/pg'));
+
+const request = require('supertest');
+const { app, setupDatabase, registerUser } = require('./support/app');
+
+beforeAll(() => setupDatabase());
+
+describe('labels', () => {
+    let user;
+    
+    beforeEach(async () => {
+        user = await registerUser();
+    });
+    
+    function createLabel(owner, name, color = '#ff0000') {
+        return request(app)
+            .post('/api/labels')
+            .set('Authorization', owner.auth)
+            .send({ name, color });
+    }
+    
+    async function createTask(title, labels) {
+        const response = await request(app)
+            .post('/api/tasks')
+            .set('Authorization', user.auth)
+            .send({ title, priority: 'Medium', status: 'todo', labels })
+            .expect(201);
+        
+        return response.body.task;
+    }
+    
+    async function getTask(id) {
+        const response = await request(app)
+            .get(`/api/tasks/${id}`)
+            .set('Authorization', user.auth)
+            .expect(200);
+        
+        return response.body.task;
+    }
+    
+    test('are put on tasks, counted and used to filter them', async () => {
+        const bug = (await createLabel(user, 'Bug').expect(201)).body.label;
+        const urgent = (await createLabel(user, 'Urgent', '#00ff00').expect(201)).body.label;
+        
+        await createTask('Both', [bug.id, urgent.id]);
+        await createTask('Bug only', [bug.id]);
+        await createTask('None', []);
+        
+        const labels = await request(app)
+            .get('/api/labels')
+            .set('Authorization', user.auth)
+            .expect(200);
+        expect(labels.body.labels.map(label => [label.name, label.taskCount])).toEqual([['Bug', 2], ['Urgent', 1]]);
+        
+        const any = await request(app)
+            .get(`/api/tasks?labels=${bug.id},${urgent.id}`)
+            .set('Authorization', user.auth)
+            .expect(200);
+        expect(any.body.tasks.map(task => task.title).sort()).toEqual(['Both', 'Bug only']);
+        
+        const all = await request(app)
+            .get(`/api/tasks?labels=${bug.id},${urgent.id}&labelMatch=all`)
+            .set('Authorization', user.auth)
+            .expect(200);
+        expect(all.body.tasks.map(task => task.title)).toEqual(['Both']);
+    });
+    
+    test('have names unique per board regardless of case, and valid colors', async () => {
+        await createLabel(user, 'Bug').expect(201);
+        await createLabel(user, 'bug').expect(409);
+        await createLabel(user, 'Feature', 'red').expect(400);
+        
+        const other = await registerUser();
+        await createLabel(other, 'Bug').expect(201);
+    });
+    
+    test('are taken off their tasks when deleted', async () => {
+        const bug = (await createLabel(user, 'Bug').expect(201)).body.label;
+        const task = await createTask('Labelled', [bug.id]);
+        expect(task.labels).toEqual([bug.id]);
+        
+        const deleted = await request(app)
+            .delete(`/api/labels/${bug.id}`)
+            .set('Authorization', user.auth)
+            .expect(200);
+        expect(deleted.body.updatedTasks).toBe(1);
+        
+        expect((await getTask(task.id)).labels).toEqual([]);
+    });
+    
+    test('of another board are not put on a task, nor changed by outsiders', async () => {
+        const other = await registerUser();
+        const foreign = (await createLabel(other, 'Theirs').expect(201)).body.label;
+        
+        const task = await createTask('Mine', [foreign.id]);
+        expect(task.labels).toEqual([]);
+        
+        await request(app)
+            .put(`/api/labels/${foreign.id}`)
+            .set('Authorization', user.auth)
+            .send({ name: 'Renamed' })
+            .expect(404);
+        
+        await request(app)
+            .delete(`/api/labels/${foreign.id}`)
+            .set('Authorization', user.auth)
+            .expect(404);
+    });
+});
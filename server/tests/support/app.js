@@ -0,0 +1,38 @@
+// The server app on a fresh database, for tests that call it through supertest.
+// Test files mock pg first: jest.mock('pg', () => require('./support/pg'));
+const request = require('supertest');
+
+process.env.NODE_ENV = 'test';
+process.env.TZ = 'UTC';
+
+// Tests register and log in far more often than a person would
+process.env.REGISTER_RATE_LIMIT_MAX = process.env.REGISTER_RATE_LIMIT_MAX || '1000';
+process.env.LOGIN_RATE_LIMIT_IP_MAX = process.env.LOGIN_RATE_LIMIT_IP_MAX || '1000';
+
+const { app, initDatabase } = require('../../index');
+
+let initialized = null;
+
+function setupDatabase() {
+    if (!initialized) {
+        initialized = initDatabase();
+    }
+    return initialized;
+}
+
+// The database of the mocked pg module; closing it lets jest exit
+afterAll(() => require('pg').getDatabase().close());
+
+let userCount = 0;
+
+// Register a new user; returns { token, refreshToken, user, auth } where auth is the header value
+async function registerUser(username = `user${++userCount}`, password = 'password123') {
+    const response = await request(app)
+        .post('/api/auth/register')
+        .send({ username, password })
+        .expect(201);
+    
+    return { ...response.body, password, auth: `Bearer ${response.body.token}` };
+}
+
+module.exports = { app, setupDatabase, registerUser };
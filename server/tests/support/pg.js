@@ -0,0 +1,44 @@
+// Stand-in for the pg module backed by PGlite, Postgres compiled to WebAssembly, so the
+// routes run their real SQL without a database server. Every Pool shares one in-memory
+// database per test file; queries run one at a time on its single connection.
+const { PGlite, types } = require('@electric-sql/pglite');
+
+let database = null;
+
+function getDatabase() {
+    if (!database) {
+        // pg returns BIGINT columns as strings, and the routes expect that
+        database = new PGlite({ parsers: { [types.INT8]: value => value } });
+    }
+    return database;
+}
+
+async function query(text, params = []) {
+    const db = getDatabase();
+    
+    // Schema set-up sends several statements at once, which only the simple protocol allows
+    if (params.length === 0) {
+        const results = await db.exec(text);
+        return results[results.length - 1];
+    }
+    
+    return db.query(text, params.map(param => param === undefined ? null : param));
+}
+
+class Pool {
+    query(text, params) {
+        return query(text, params);
+    }
+    
+    async connect() {
+        return { query, release() {} };
+    }
+    
+    on() {
+        return this;
+    }
+    
+    async end() {}
+}
+
+module.exports = { Pool, getDatabase };
@@ -0,0 +1,139 @@
+jest.mock('pg', () => require('./support/pg'));
+
+const crypto = require('crypto');
+const request = require('supertest');
+const { app, setupDatabase, registerUser } = require('./support/app');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function offlineTask(overrides = {}) {
+    const now = new Date().toISOString();
+    return {
+        id: crypto.randomUUID(),
+        title: 'Written offline',
+        priority: 'Medium',
+        status: 'todo',
+        createdAt: now,
+        updatedAt: now,
+        ...overrides
+    };
+}
+
+beforeAll(() => setupDatabase());
+
+describe('POST /api/sync', () => {
+    let user;
+    
+    beforeAll(async () => {
+        user = await registerUser();
+    });
+    
+    test('creates a task that has a client-made id under a server id, with its details', async () => {
+        const task = offlineTask({
+            id: 'task_1700000000000_abc123',
+            checklist: [{ id: 'item_1', title: 'First step', completed: true }],
+            assignees: [user.user.id]
+        });
+        
+        const response = await request(app)
+            .post('/api/sync')
+            .set('Authorization', user.auth)
+            .send({ tasks: [task] })
+            .expect(200);
+        
+        expect(response.body.stats.created).toBe(1);
+        
+        const created = response.body.tasks.find(t => t.title === 'Written offline');
+        expect(created.id).toMatch(UUID_PATTERN);
+        expect(created.checklist).toEqual([expect.objectContaining({ title: 'First step', completed: true })]);
+        expect(created.assignees.map(a => a.userId)).toEqual([user.user.id]);
+    });
+    
+    test('keeps the checklist of a task created offline with a UUID', async () => {
+        const task = offlineTask({
+            title: 'Offline with checklist',
+            checklist: [{ title: 'One' }, { title: 'Two' }]
+        });
+        
+        const response = await request(app)
+            .post('/api/sync')
+            .set('Authorization', user.auth)
+            .send({ tasks: [task] })
+            .expect(200);
+        
+        const created = response.body.tasks.find(t => t.id === task.id);
+        expect(created.checklist.map(item => item.title)).toEqual(['One', 'Two']);
+        
+        const fetched = await request(app)
+            .get(`/api/tasks/${task.id}`)
+            .set('Authorization', user.auth)
+            .expect(200);
+        
+        expect(fetched.body.task.checklist.map(item => item.title)).toEqual(['One', 'Two']);
+    });
+});
+
+describe('POST /api/sync/push', () => {
+    let user;
+    
+    beforeAll(async () => {
+        user = await registerUser();
+    });
+    
+    async function createTask(fields) {
+        const response = await request(app)
+            .post('/api/tasks')
+            .set('Authorization', user.auth)
+            .send({ priority: 'Medium', status: 'todo', ...fields })
+            .expect(201);
+        
+        return response.body.task;
+    }
+    
+    async function editOnServer(taskId, updates) {
+        await request(app)
+            .put(`/api/tasks/${taskId}`)
+            .set('Authorization', user.auth)
+            .send(updates)
+            .expect(200);
+    }
+    
+    function pushUpdate(base, changes) {
+        return request(app)
+            .post('/api/sync/push')
+            .set('Authorization', user.auth)
+            .send({
+                boardId: base.boardId,
+                operations: [{
+                    id: crypto.randomUUID(),
+                    type: 'update',
+                    taskId: base.id,
+                    task: { ...base, ...changes, updatedAt: new Date().toISOString() },
+                    base
+                }]
+            })
+            .expect(200);
+    }
+    
+    test('keeps a status change made on the server when the client edited another field', async () => {
+        const base = await createTask({ title: 'Original title' });
+        await editOnServer(base.id, { status: 'inProgress' });
+        
+        const response = await pushUpdate(base, { title: 'Client title' });
+        const [result] = response.body.results;
+        
+        expect(result.status).toBe('applied');
+        expect(result.task).toMatchObject({ title: 'Client title', status: 'inProgress' });
+    });
+    
+    test('applies a status change from the client when the server edited another field', async () => {
+        const base = await createTask({ title: 'Original title' });
+        await editOnServer(base.id, { title: 'Server title' });
+        
+        const response = await pushUpdate(base, { status: 'inProgress' });
+        const [result] = response.body.results;
+        
+        expect(result.status).toBe('applied');
+        expect(result.task).toMatchObject({ title: 'Server title', status: 'inProgress' });
+    });
+});
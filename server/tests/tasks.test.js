@@ -0,0 +1,403 @@
+jest.mock('pg', () => require('./support/pg'));
+
+const crypto = require('crypto');
+const request = require('supertest');
+const { app, setupDatabase, registerUser } = require('./support/app');
+
+beforeAll(() => setupDatabase());
+
+describe('task checklists', () => {
+    let user;
+    
+    beforeAll(async () => {
+        user = await registerUser();
+    });
+    
+    async function createTask(fields) {
+        const response = await request(app)
+            .post('/api/tasks')
+            .set('Authorization', user.auth)
+            .send({ title: 'With checklist', priority: 'Medium', status: 'todo', ...fields })
+            .expect(201);
+        
+        return response.body.task;
+    }
+    
+    test('keeps the ids of the task\'s own items when the checklist is saved again', async () => {
+        const task = await createTask({ checklist: [{ title: 'One' }, { title: 'Two' }] });
+        
+        const response = await request(app)
+            .put(`/api/tasks/${task.id}`)
+            .set('Authorization', user.auth)
+            .send({ checklist: [task.checklist[1], { ...task.checklist[0], completed: true }] })
+            .expect(200);
+        
+        expect(response.body.task.checklist).toEqual([
+            { ...task.checklist[1] },
+            { ...task.checklist[0], completed: true }
+        ]);
+    });
+    
+    test('gives items copied from another task new ids', async () => {
+        const original = await createTask({ checklist: [{ title: 'Shared' }] });
+        
+        // A duplicated task sends the original's items, ids included
+        const copy = await createTask({ checklist: original.checklist });
+        expect(copy.checklist[0].id).not.toBe(original.checklist[0].id);
+        
+        const response = await request(app)
+            .put(`/api/tasks/${copy.id}`)
+            .set('Authorization', user.auth)
+            .send({ checklist: [...original.checklist, ...original.checklist] })
+            .expect(200);
+        
+        const ids = response.body.task.checklist.map(item => item.id);
+        expect(new Set(ids).size).toBe(2);
+        expect(ids).not.toContain(original.checklist[0].id);
+        
+        const fetched = await request(app)
+            .get(`/api/tasks/${original.id}`)
+            .set('Authorization', user.auth)
+            .expect(200);
+        
+        expect(fetched.body.task.checklist).toEqual(original.checklist);
+    });
+});
+
+describe('GET /api/tasks/:id/history', () => {
+    let user;
+    let task;
+    
+    beforeAll(async () => {
+        user = await registerUser();
+        
+        const response = await request(app)
+            .post('/api/tasks')
+            .set('Authorization', user.auth)
+            .send({ title: 'Tracked', priority: 'Medium', status: 'todo' })
+            .expect(201);
+        task = response.body.task;
+        
+        await request(app)
+            .put(`/api/tasks/${task.id}`)
+            .set('Authorization', user.auth)
+            .send({ title: 'Tracked and renamed' })
+            .expect(200);
+    });
+    
+    function getHistory(query) {
+        return request(app)
+            .get(`/api/tasks/${task.id}/history`)
+            .query(query)
+            .set('Authorization', user.auth);
+    }
+    
+    test('pages back from the entry given as ?before=', async () => {
+        const newest = await getHistory({ limit: '1' }).expect(200);
+        expect(newest.body.history.map(entry => entry.action)).toEqual(['updated']);
+        
+        const older = await getHistory({ before: String(newest.body.history[0].id) }).expect(200);
+        expect(older.body.history.map(entry => entry.action)).toEqual(['created']);
+    });
+    
+    test('refuses a cursor too large for an entry id', async () => {
+        await getHistory({ before: '99999999999999999999' }).expect(400);
+        await getHistory({ before: '-1' }).expect(400);
+    });
+});
+
+describe('card ranks', () => {
+    let user;
+    
+    beforeAll(async () => {
+        user = await registerUser();
+    });
+    
+    async function createTask(fields) {
+        const response = await request(app)
+            .post('/api/tasks')
+            .set('Authorization', user.auth)
+            .send({ priority: 'Medium', status: 'inProgress', ...fields })
+            .expect(201);
+        
+        return response.body.task;
+    }
+    
+    async function getColumn(boardId, status) {
+        const response = await request(app)
+            .get('/api/tasks')
+            .query({ boardId, status })
+            .set('Authorization', user.auth)
+            .expect(200);
+        
+        return response.body.tasks
+            .sort((a, b) => (a.rank < b.rank ? -1 : 1))
+            .map(task => ({ title: task.title, rank: task.rank }));
+    }
+    
+    test('puts a card moved to another column without a rank at the bottom of it', async () => {
+        const first = await createTask({ title: 'Bottom first', status: 'todo' });
+        const moved = await createTask({ title: 'Bottom moved' });
+        
+        const response = await request(app)
+            .put(`/api/tasks/${moved.id}`)
+            .set('Authorization', user.auth)
+            .send({ status: 'todo' })
+            .expect(200);
+        
+        expect(response.body.task.rank > first.rank).toBe(true);
+    });
+    
+    test('rebalances the column when a card is given a rank too long to store', async () => {
+        const top = await createTask({ title: 'Top', rank: 'h' });
+        await createTask({ title: 'Bottom', rank: 'i' });
+        const moved = await createTask({ title: 'Moved', rank: 'z' });
+        
+        // Dropped between the same two cards over and over
+        const longRank = 'h' + 'z'.repeat(300);
+        const response = await request(app)
+            .put(`/api/tasks/${moved.id}`)
+            .set('Authorization', user.auth)
+            .send({ rank: longRank })
+            .expect(200);
+        
+        expect(response.body.task.rank.length).toBeLessThanOrEqual(64);
+        
+        const column = await getColumn(top.boardId, 'inProgress');
+        expect(column.map(task => task.title)).toEqual(['Top', 'Moved', 'Bottom']);
+        expect(column.every(task => task.rank.length <= 64)).toBe(true);
+        expect(column.find(task => task.title === 'Moved').rank).toBe(response.body.task.rank);
+    });
+    
+    test('rebalances the column when a pushed card has a rank too long to store', async () => {
+        await createTask({ title: 'Pushed top', status: 'done', rank: 'h' });
+        await createTask({ title: 'Pushed bottom', status: 'done', rank: 'i' });
+        const moved = await createTask({ title: 'Pushed', status: 'done', rank: 'z' });
+        
+        const response = await request(app)
+            .post('/api/sync/push')
+            .set('Authorization', user.auth)
+            .send({
+                boardId: moved.boardId,
+                operations: [{
+                    id: crypto.randomUUID(),
+                    type: 'update',
+                    taskId: moved.id,
+                    task: { ...moved, rank: 'h' + 'z'.repeat(100), updatedAt: new Date().toISOString() },
+                    base: moved
+                }]
+            })
+            .expect(200);
+        const [result] = response.body.results;
+        
+        expect(result.status).toBe('applied');
+        expect(result.task.rank.length).toBeLessThanOrEqual(64);
+        
+        const column = await getColumn(moved.boardId, 'done');
+        expect(column.map(task => task.title)).toEqual(['Pushed top', 'Pushed', 'Pushed bottom']);
+    });
+    
+    test('rejects a pushed rank that is not a rank', async () => {
+        const moved = await createTask({ title: 'Badly ranked' });
+        
+        const response = await request(app)
+            .post('/api/sync/push')
+            .set('Authorization', user.auth)
+            .send({
+                boardId: moved.boardId,
+                operations: [{
+                    id: crypto.randomUUID(),
+                    type: 'update',
+                    taskId: moved.id,
+                    task: { ...moved, rank: 'NOT A RANK', updatedAt: new Date().toISOString() },
+                    base: moved
+                }]
+            })
+            .expect(200);
+        
+        expect(response.body.results[0]).toMatchObject({ status: 'rejected', message: expect.any(String) });
+    });
+});
+
+describe('POST /api/tasks/:id/restore', () => {
+    let user;
+    
+    beforeAll(async () => {
+        user = await registerUser();
+    });
+    
+    async function createTask(title) {
+        const response = await request(app)
+            .post('/api/tasks')
+            .set('Authorization', user.auth)
+            .send({ title, priority: 'Medium', status: 'todo' })
+            .expect(201);
+        
+        return response.body.task;
+    }
+    
+    test('brings a deleted task back under its id with its comments and dependencies', async () => {
+        const blocker = await createTask('Blocker');
+        const task = await createTask('Deleted by mistake');
+        
+        await request(app)
+            .post(`/api/tasks/${task.id}/comments`)
+            .set('Authorization', user.auth)
+            .send({ body: 'Still needed' })
+            .expect(201);
+        
+        await request(app)
+            .post(`/api/tasks/${task.id}/dependencies`)
+            .set('Authorization', user.auth)
+            .send({ blockerId: blocker.id })
+            .expect(201);
+        
+        await request(app)
+            .delete(`/api/tasks/${task.id}`)
+            .set('Authorization', user.auth)
+            .expect(200);
+        
+        const response = await request(app)
+            .post(`/api/tasks/${task.id}/restore`)
+            .set('Authorization', user.auth)
+            .expect(200);
+        
+        expect(response.body.task).toMatchObject({
+            id: task.id,
+            title: 'Deleted by mistake',
+            rank: task.rank,
+            commentCount: 1,
+            blockedBy: [blocker.id]
+        });
+        
+        const history = await request(app)
+            .get(`/api/tasks/${task.id}/history`)
+            .set('Authorization', user.auth)
+            .expect(200);
+        
+        expect(history.body.history.map(entry => entry.action).slice(0, 2)).toEqual(['restored', 'deleted']);
+    });
+    
+    test('refuses a task that is not deleted', async () => {
+        const task = await createTask('Still here');
+        
+        await request(app)
+            .post(`/api/tasks/${task.id}/restore`)
+            .set('Authorization', user.auth)
+            .expect(409);
+    });
+    
+    test('does not restore tasks of other boards', async () => {
+        const task = await createTask('Private');
+        const stranger = await registerUser();
+        
+        await request(app)
+            .delete(`/api/tasks/${task.id}`)
+            .set('Authorization', user.auth)
+            .expect(200);
+        
+        await request(app)
+            .post(`/api/tasks/${task.id}/restore`)
+            .set('Authorization', stranger.auth)
+            .expect(404);
+    });
+});
+
+describe('batch updates and deletes', () => {
+    let user;
+    let other;
+    
+    beforeAll(async () => {
+        user = await registerUser();
+        other = await registerUser();
+    });
+    
+    async function createTask(owner, fields) {
+        const response = await request(app)
+            .post('/api/tasks')
+            .set('Authorization', owner.auth)
+            .send({ priority: 'Medium', status: 'todo', ...fields })
+            .expect(201);
+        
+        return response.body.task;
+    }
+    
+    test('apply the tasks they can and report the others in failed', async () => {
+        const task = await createTask(user, { title: 'Mine' });
+        const invalid = await createTask(user, { title: 'Bad status' });
+        const theirs = await createTask(other, { title: 'Theirs' });
+        const missing = crypto.randomUUID();
+        
+        await request(app)
+            .post(`/api/boards/${theirs.boardId}/members`)
+            .set('Authorization', other.auth)
+            .send({ username: user.user.username, role: 'viewer' })
+            .expect(201);
+        
+        const response = await request(app)
+            .put('/api/tasks/batch')
+            .set('Authorization', user.auth)
+            .send({
+                updates: [
+                    { id: task.id, priority: 'High' },
+                    { id: invalid.id, status: 'nowhere' },
+                    { id: theirs.id, priority: 'High' },
+                    { id: missing, priority: 'High' }
+                ]
+            })
+            .expect(200);
+        
+        expect(response.body.tasks).toEqual([expect.objectContaining({ id: task.id, priority: 'High' })]);
+        expect(response.body.failed).toEqual([
+            { id: invalid.id, message: '无效的状态值' },
+            { id: theirs.id, message: '没有修改此看板的权限' },
+            { id: missing, message: '任务未找到' }
+        ]);
+        
+        const untouched = await request(app)
+            .get(`/api/tasks/${theirs.id}`)
+            .set('Authorization', other.auth)
+            .expect(200);
+        expect(untouched.body.task.priority).toBe('Medium');
+    });
+    
+    test('return the next occurrence of a recurring task completed in the batch', async () => {
+        const task = await createTask(user, { title: 'Weekly', dueDate: '2030-01-07', recurrence: 'FREQ=WEEKLY' });
+        
+        const response = await request(app)
+            .put('/api/tasks/batch')
+            .set('Authorization', user.auth)
+            .send({ updates: [{ id: task.id, status: 'done' }] })
+            .expect(200);
+        
+        expect(response.body.failed).toEqual([]);
+        expect(response.body.spawnedTasks).toEqual([
+            expect.objectContaining({ title: 'Weekly', status: 'todo', recurrence: 'FREQ=WEEKLY' })
+        ]);
+    });
+    
+    test('delete only the tasks the user may delete', async () => {
+        const task = await createTask(user, { title: 'Mine' });
+        const deleted = await createTask(user, { title: 'Already gone' });
+        const theirs = await createTask(other, { title: 'Theirs' });
+        
+        await request(app)
+            .delete(`/api/tasks/${deleted.id}`)
+            .set('Authorization', user.auth)
+            .expect(200);
+        
+        const response = await request(app)
+            .delete('/api/tasks/batch')
+            .set('Authorization', user.auth)
+            .send({ taskIds: [task.id, deleted.id, theirs.id, 'not-a-uuid'] })
+            .expect(200);
+        
+        expect(response.body.tasks.map(t => t.id)).toEqual([task.id]);
+        expect(response.body.failed.map(failure => failure.id)).toEqual([deleted.id, theirs.id, 'not-a-uuid']);
+        
+        await request(app)
+            .get(`/api/tasks/${theirs.id}`)
+            .set('Authorization', other.auth)
+            .expect(200);
+    });
+});
@@ -0,0 +1,37 @@
+-- Task checklist items (subtasks)
+
+CREATE TABLE IF NOT EXISTS task_checklist_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    completed BOOLEAN NOT NULL DEFAULT false,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_checklist_items_task_id ON task_checklist_items(task_id, position);
+
+CREATE TRIGGER update_task_checklist_items_updated_at 
+    BEFORE UPDATE ON task_checklist_items 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Row Level Security: items inherit access from their parent task
+ALTER TABLE task_checklist_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY checklist_items_user_isolation ON task_checklist_items
+    FOR ALL
+    TO authenticated
+    USING (EXISTS (
+        SELECT 1 FROM tasks t
+        WHERE t.id = task_checklist_items.task_id
+        AND t.user_id = current_setting('app.current_user_id')::UUID
+    ));
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON task_checklist_items TO authenticated;
+
+COMMENT ON TABLE task_checklist_items IS 'Checklist items (subtasks) belonging to a task';
+COMMENT ON COLUMN task_checklist_items.task_id IS 'Foreign key to tasks table';
+COMMENT ON COLUMN task_checklist_items.completed IS 'Whether the checklist item has been ticked off';
+COMMENT ON COLUMN task_checklist_items.position IS 'Display order within the task checklist';
@@ -0,0 +1,53 @@
+-- Configurable board columns
+-- Task status values are now defined per user by board_columns instead of a fixed CHECK list
+
+CREATE TABLE IF NOT EXISTS board_columns (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    key VARCHAR(20) NOT NULL,
+    name TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    color VARCHAR(7),
+    wip_limit INTEGER CHECK (wip_limit IS NULL OR wip_limit > 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    UNIQUE (user_id, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_board_columns_user_id ON board_columns(user_id, position);
+
+CREATE TRIGGER update_board_columns_updated_at 
+    BEFORE UPDATE ON board_columns 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Drop the hard-coded status list
+ALTER TABLE tasks DROP CONSTRAINT IF EXISTS tasks_status_check;
+
+-- Give existing users the default columns
+INSERT INTO board_columns (user_id, key, name, position, color)
+SELECT u.id, c.key, c.name, c.position, c.color
+FROM users u
+CROSS JOIN (VALUES
+    ('todo', 'To Do', 0, '#6B73FF'),
+    ('inProgress', 'In Progress', 1, '#FFB84D'),
+    ('done', 'Done', 2, '#10B981')
+) AS c(key, name, position, color)
+ON CONFLICT (user_id, key) DO NOTHING;
+
+-- Row Level Security
+ALTER TABLE board_columns ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY board_columns_user_isolation ON board_columns
+    FOR ALL
+    TO authenticated
+    USING (user_id = current_setting('app.current_user_id')::UUID);
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON board_columns TO authenticated;
+
+COMMENT ON TABLE board_columns IS 'Per-user kanban columns; each column defines one task status';
+COMMENT ON COLUMN board_columns.key IS 'Status value stored in tasks.status';
+COMMENT ON COLUMN board_columns.position IS 'Display order of the column on the board';
+COMMENT ON COLUMN board_columns.color IS 'Hex color of the column indicator';
+COMMENT ON COLUMN board_columns.wip_limit IS 'Optional work-in-progress limit';
+COMMENT ON COLUMN tasks.status IS 'Task status: key of one of the owner''s board_columns';
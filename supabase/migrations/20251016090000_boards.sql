@@ -0,0 +1,64 @@
+-- Multiple boards (projects) per user
+-- Tasks and board columns now belong to a board instead of directly to a user
+
+CREATE TABLE IF NOT EXISTS boards (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    description TEXT,
+    color VARCHAR(7),
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_boards_user_id ON boards(user_id, position);
+
+CREATE TRIGGER update_boards_updated_at 
+    BEFORE UPDATE ON boards 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS board_id UUID REFERENCES boards(id) ON DELETE CASCADE;
+ALTER TABLE board_columns ADD COLUMN IF NOT EXISTS board_id UUID REFERENCES boards(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_board_id ON tasks(board_id);
+
+-- Give every existing user a default board holding their current tasks and columns
+INSERT INTO boards (user_id, name, position)
+SELECT u.id, 'My Board', 0
+FROM users u
+WHERE NOT EXISTS (SELECT 1 FROM boards b WHERE b.user_id = u.id);
+
+UPDATE tasks t
+SET board_id = b.id
+FROM boards b
+WHERE t.board_id IS NULL AND b.user_id = t.user_id AND b.position = 0;
+
+UPDATE board_columns c
+SET board_id = b.id
+FROM boards b
+WHERE c.board_id IS NULL AND b.user_id = c.user_id AND b.position = 0;
+
+-- Column keys are unique per board rather than per user
+ALTER TABLE board_columns DROP CONSTRAINT IF EXISTS board_columns_user_id_key_key;
+DROP INDEX IF EXISTS idx_board_columns_user_id;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_board_columns_board_key ON board_columns(board_id, key);
+CREATE INDEX IF NOT EXISTS idx_board_columns_board_id ON board_columns(board_id, position);
+
+-- Row Level Security
+ALTER TABLE boards ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY boards_user_isolation ON boards
+    FOR ALL
+    TO authenticated
+    USING (user_id = current_setting('app.current_user_id')::UUID);
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON boards TO authenticated;
+
+COMMENT ON TABLE boards IS 'Boards (projects) grouping a user''s tasks and columns';
+COMMENT ON COLUMN boards.position IS 'Display order of the board in the switcher';
+COMMENT ON COLUMN tasks.board_id IS 'Board the task belongs to';
+COMMENT ON COLUMN board_columns.board_id IS 'Board the column belongs to';
+COMMENT ON TABLE board_columns IS 'Per-board kanban columns; each column defines one task status';
+COMMENT ON COLUMN tasks.status IS 'Task status: key of one of the board''s board_columns';
@@ -0,0 +1,82 @@
+-- Shared boards
+-- Boards are shared through memberships with owner, editor or viewer roles
+
+CREATE TABLE IF NOT EXISTS board_members (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    board_id UUID NOT NULL REFERENCES boards(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(10) NOT NULL DEFAULT 'editor' CHECK (role IN ('owner', 'editor', 'viewer')),
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    UNIQUE(board_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_board_members_user_id ON board_members(user_id);
+
+CREATE TRIGGER update_board_members_updated_at
+    BEFORE UPDATE ON board_members
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Every existing board is owned by the user who created it
+INSERT INTO board_members (board_id, user_id, role)
+SELECT id, user_id, 'owner' FROM boards
+ON CONFLICT (board_id, user_id) DO NOTHING;
+
+-- Row Level Security: access follows board membership instead of task ownership
+ALTER TABLE board_members ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY board_members_visibility ON board_members
+    FOR SELECT
+    TO authenticated
+    USING (board_id IN (
+        SELECT board_id FROM board_members WHERE user_id = current_setting('app.current_user_id')::UUID
+    ));
+
+CREATE POLICY board_members_owner_management ON board_members
+    FOR ALL
+    TO authenticated
+    USING (board_id IN (
+        SELECT board_id FROM board_members
+        WHERE user_id = current_setting('app.current_user_id')::UUID AND role = 'owner'
+    ));
+
+DROP POLICY IF EXISTS boards_user_isolation ON boards;
+
+CREATE POLICY boards_member_visibility ON boards
+    FOR SELECT
+    TO authenticated
+    USING (id IN (
+        SELECT board_id FROM board_members WHERE user_id = current_setting('app.current_user_id')::UUID
+    ));
+
+CREATE POLICY boards_owner_modification ON boards
+    FOR ALL
+    TO authenticated
+    USING (user_id = current_setting('app.current_user_id')::UUID);
+
+DROP POLICY IF EXISTS tasks_user_isolation ON tasks;
+DROP POLICY IF EXISTS tasks_user_modification ON tasks;
+
+CREATE POLICY tasks_member_visibility ON tasks
+    FOR SELECT
+    TO authenticated
+    USING (board_id IN (
+        SELECT board_id FROM board_members WHERE user_id = current_setting('app.current_user_id')::UUID
+    ));
+
+CREATE POLICY tasks_editor_modification ON tasks
+    FOR ALL
+    TO authenticated
+    USING (board_id IN (
+        SELECT board_id FROM board_members
+        WHERE user_id = current_setting('app.current_user_id')::UUID AND role IN ('owner', 'editor')
+    ));
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON board_members TO authenticated;
+
+COMMENT ON TABLE board_members IS 'Users a board is shared with and their role on it';
+COMMENT ON COLUMN board_members.role IS 'owner: full control; editor: change tasks and columns; viewer: read only';
+COMMENT ON COLUMN boards.user_id IS 'Owner of the board';
+COMMENT ON COLUMN tasks.user_id IS 'User who created the task';
@@ -0,0 +1,36 @@
+-- Task assignees
+-- A task can be assigned to one or more members of its board
+
+CREATE TABLE IF NOT EXISTS task_assignees (
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    assigned_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    PRIMARY KEY (task_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_assignees_user_id ON task_assignees(user_id);
+
+-- Row Level Security: assignees follow the visibility of their task's board
+ALTER TABLE task_assignees ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY task_assignees_member_visibility ON task_assignees
+    FOR SELECT
+    TO authenticated
+    USING (task_id IN (
+        SELECT t.id FROM tasks t
+        JOIN board_members m ON m.board_id = t.board_id
+        WHERE m.user_id = current_setting('app.current_user_id')::UUID
+    ));
+
+CREATE POLICY task_assignees_editor_modification ON task_assignees
+    FOR ALL
+    TO authenticated
+    USING (task_id IN (
+        SELECT t.id FROM tasks t
+        JOIN board_members m ON m.board_id = t.board_id
+        WHERE m.user_id = current_setting('app.current_user_id')::UUID AND m.role IN ('owner', 'editor')
+    ));
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON task_assignees TO authenticated;
+
+COMMENT ON TABLE task_assignees IS 'Users responsible for a task; each must be a member of the task''s board';
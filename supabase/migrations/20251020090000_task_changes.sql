@@ -0,0 +1,38 @@
+-- Task change log
+-- Every task write appends an entry; clients pull the entries after their cursor instead of the whole board
+
+CREATE TABLE IF NOT EXISTS task_changes (
+    id BIGSERIAL PRIMARY KEY,
+    board_id UUID NOT NULL REFERENCES boards(id) ON DELETE CASCADE,
+    task_id UUID NOT NULL,
+    operation VARCHAR(10) NOT NULL CHECK (operation IN ('upsert', 'delete')),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_changes_board_id ON task_changes(board_id, id);
+
+-- Row Level Security: members read the log of their boards; entries are written by the API
+ALTER TABLE task_changes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY task_changes_member_visibility ON task_changes
+    FOR SELECT
+    TO authenticated
+    USING (board_id IN (
+        SELECT board_id FROM board_members WHERE user_id = current_setting('app.current_user_id')::UUID
+    ));
+
+CREATE POLICY task_changes_editor_insert ON task_changes
+    FOR INSERT
+    TO authenticated
+    WITH CHECK (board_id IN (
+        SELECT board_id FROM board_members
+        WHERE user_id = current_setting('app.current_user_id')::UUID AND role IN ('owner', 'editor')
+    ));
+
+GRANT SELECT, INSERT ON task_changes TO authenticated;
+GRANT USAGE ON SEQUENCE task_changes_id_seq TO authenticated;
+
+COMMENT ON TABLE task_changes IS 'Append-only log of task writes per board, read by delta sync';
+COMMENT ON COLUMN task_changes.id IS 'Sync cursor; increases in commit order within a board';
+COMMENT ON COLUMN task_changes.task_id IS 'Not a foreign key, so entries outlive deleted tasks';
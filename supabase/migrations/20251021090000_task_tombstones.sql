@@ -0,0 +1,29 @@
+-- Task tombstones
+-- Deleting a task marks it deleted instead of removing the row, so sync can tell a deletion
+-- from a task one side has not seen yet. A periodic job purges tombstones and old change log entries.
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_task_changes_created_at ON task_changes(created_at);
+
+CREATE TABLE IF NOT EXISTS board_sync_state (
+    board_id UUID PRIMARY KEY REFERENCES boards(id) ON DELETE CASCADE,
+    purged_through BIGINT NOT NULL DEFAULT 0
+);
+
+-- Row Level Security: members read the purge state of their boards; it is written by the purge job
+ALTER TABLE board_sync_state ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY board_sync_state_member_visibility ON board_sync_state
+    FOR SELECT
+    TO authenticated
+    USING (board_id IN (
+        SELECT board_id FROM board_members WHERE user_id = current_setting('app.current_user_id')::UUID
+    ));
+
+GRANT SELECT ON board_sync_state TO authenticated;
+
+COMMENT ON COLUMN tasks.deleted_at IS 'Set when the task is deleted; the row is kept as a tombstone until purged';
+COMMENT ON TABLE board_sync_state IS 'How far each board''s change log has been purged';
+COMMENT ON COLUMN board_sync_state.purged_through IS 'Newest purged change log id; clients with an older cursor need a fresh snapshot';
@@ -0,0 +1,30 @@
+-- Idempotency keys
+-- Clients send an Idempotency-Key with mutations they may retry; the first response is stored
+-- and returned for retries instead of applying the mutation again
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    key VARCHAR(100) NOT NULL,
+    method VARCHAR(10) NOT NULL,
+    path TEXT NOT NULL,
+    status INTEGER,
+    response JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    PRIMARY KEY (user_id, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created_at ON idempotency_keys(created_at);
+
+-- Row Level Security: users only see the keys of their own requests
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY idempotency_keys_user_isolation ON idempotency_keys
+    FOR ALL
+    TO authenticated
+    USING (user_id = current_setting('app.current_user_id')::UUID);
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON idempotency_keys TO authenticated;
+
+COMMENT ON TABLE idempotency_keys IS 'Stored responses of mutations sent with an Idempotency-Key, kept for 48 hours';
+COMMENT ON COLUMN idempotency_keys.status IS 'NULL while the first request is still being handled';
+COMMENT ON COLUMN idempotency_keys.path IS 'A key reused for a different request is rejected';
@@ -0,0 +1,42 @@
+-- Task attachments
+-- Files uploaded to tasks; the rows hold the details, the files live in the attachment store
+
+CREATE TABLE IF NOT EXISTS task_attachments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    filename VARCHAR(255) NOT NULL,
+    content_type VARCHAR(100) NOT NULL,
+    size INTEGER NOT NULL CHECK (size > 0),
+    storage_key TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_attachments_task_id ON task_attachments(task_id, created_at);
+
+-- Row Level Security: members see the attachments of their boards' tasks; editors add and remove them
+ALTER TABLE task_attachments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY task_attachments_member_visibility ON task_attachments
+    FOR SELECT
+    TO authenticated
+    USING (task_id IN (
+        SELECT t.id FROM tasks t
+        JOIN board_members m ON m.board_id = t.board_id
+        WHERE m.user_id = current_setting('app.current_user_id')::UUID
+    ));
+
+CREATE POLICY task_attachments_editor_modification ON task_attachments
+    FOR ALL
+    TO authenticated
+    USING (task_id IN (
+        SELECT t.id FROM tasks t
+        JOIN board_members m ON m.board_id = t.board_id
+        WHERE m.user_id = current_setting('app.current_user_id')::UUID AND m.role IN ('owner', 'editor')
+    ));
+
+GRANT SELECT, INSERT, DELETE ON task_attachments TO authenticated;
+
+COMMENT ON TABLE task_attachments IS 'Files attached to tasks';
+COMMENT ON COLUMN task_attachments.user_id IS 'User who uploaded the file';
+COMMENT ON COLUMN task_attachments.storage_key IS 'Key of the file in the attachment store: <board id>/<task id>/<attachment id>';
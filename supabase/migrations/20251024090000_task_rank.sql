@@ -0,0 +1,16 @@
+-- Manual card order
+-- Cards are ordered within a column by a fractional rank, so moving one card rewrites only that row
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS rank VARCHAR(255) COLLATE "C";
+
+-- Existing cards keep the order they were created in
+UPDATE tasks t SET rank = ranked.rank
+FROM (
+    SELECT id, lpad(row_number() OVER (PARTITION BY board_id, status ORDER BY created_at, id)::text, 8, '0') || 'i' AS rank
+    FROM tasks WHERE rank IS NULL
+) ranked
+WHERE t.id = ranked.id;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_rank ON tasks(board_id, status, rank);
+
+COMMENT ON COLUMN tasks.rank IS 'Position within the column: base-36 digits compared byte by byte, never ending in 0';
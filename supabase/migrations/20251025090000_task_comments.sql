@@ -0,0 +1,60 @@
+-- Task comments
+-- A discussion thread on each task, so notes no longer have to go into the description
+
+CREATE TABLE IF NOT EXISTS task_comments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    body TEXT NOT NULL CHECK (length(body) > 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_comments_task_id ON task_comments(task_id, created_at);
+
+-- Row Level Security: members read the comments of their boards' tasks; editors comment,
+-- authors edit their own comments, and authors or the board owner delete them
+ALTER TABLE task_comments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY task_comments_member_visibility ON task_comments
+    FOR SELECT
+    TO authenticated
+    USING (task_id IN (
+        SELECT t.id FROM tasks t
+        JOIN board_members m ON m.board_id = t.board_id
+        WHERE m.user_id = current_setting('app.current_user_id')::UUID
+    ));
+
+CREATE POLICY task_comments_editor_insert ON task_comments
+    FOR INSERT
+    TO authenticated
+    WITH CHECK (
+        user_id = current_setting('app.current_user_id')::UUID AND
+        task_id IN (
+            SELECT t.id FROM tasks t
+            JOIN board_members m ON m.board_id = t.board_id
+            WHERE m.user_id = current_setting('app.current_user_id')::UUID AND m.role IN ('owner', 'editor')
+        )
+    );
+
+CREATE POLICY task_comments_author_update ON task_comments
+    FOR UPDATE
+    TO authenticated
+    USING (user_id = current_setting('app.current_user_id')::UUID);
+
+CREATE POLICY task_comments_author_or_owner_delete ON task_comments
+    FOR DELETE
+    TO authenticated
+    USING (
+        user_id = current_setting('app.current_user_id')::UUID OR
+        task_id IN (
+            SELECT t.id FROM tasks t
+            JOIN board_members m ON m.board_id = t.board_id
+            WHERE m.user_id = current_setting('app.current_user_id')::UUID AND m.role = 'owner'
+        )
+    );
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON task_comments TO authenticated;
+
+COMMENT ON TABLE task_comments IS 'Discussion thread on tasks';
+COMMENT ON COLUMN task_comments.user_id IS 'Author; NULL once their account is deleted';
@@ -0,0 +1,41 @@
+-- Task activity history
+-- One entry per created or deleted task and per changed field, so a board can tell who changed what and when
+
+CREATE TABLE IF NOT EXISTS task_activity (
+    id BIGSERIAL PRIMARY KEY,
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    board_id UUID NOT NULL REFERENCES boards(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    action VARCHAR(10) NOT NULL CHECK (action IN ('created', 'updated', 'deleted')),
+    field VARCHAR(20),
+    old_value JSONB,
+    new_value JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_activity_task_id ON task_activity(task_id, id);
+
+-- Row Level Security: members read the history of their boards' tasks; entries are written by the API
+ALTER TABLE task_activity ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY task_activity_member_visibility ON task_activity
+    FOR SELECT
+    TO authenticated
+    USING (board_id IN (
+        SELECT board_id FROM board_members WHERE user_id = current_setting('app.current_user_id')::UUID
+    ));
+
+CREATE POLICY task_activity_editor_insert ON task_activity
+    FOR INSERT
+    TO authenticated
+    WITH CHECK (board_id IN (
+        SELECT board_id FROM board_members
+        WHERE user_id = current_setting('app.current_user_id')::UUID AND role IN ('owner', 'editor')
+    ));
+
+GRANT SELECT, INSERT ON task_activity TO authenticated;
+GRANT USAGE ON SEQUENCE task_activity_id_seq TO authenticated;
+
+COMMENT ON TABLE task_activity IS 'Append-only history of task changes; removed with the task when it is purged';
+COMMENT ON COLUMN task_activity.field IS 'Changed field for updated entries: title, description, category, priority, status, dueDate, checklist or assignees';
+COMMENT ON COLUMN task_activity.user_id IS 'User who made the change; NULL once their account is deleted';
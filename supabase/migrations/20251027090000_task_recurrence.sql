@@ -0,0 +1,6 @@
+-- Recurring tasks
+-- Finishing a task with a rule creates the next task of its series on the server
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence VARCHAR(255);
+
+COMMENT ON COLUMN tasks.recurrence IS 'Repeat rule, a subset of iCalendar RRULE (FREQ, INTERVAL, BYDAY, BYMONTHDAY, COUNT, UNTIL, TZID); cleared once the task is done';
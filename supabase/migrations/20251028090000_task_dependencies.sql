@@ -0,0 +1,48 @@
+-- Task dependencies
+-- "Blocked by" relations between tasks of a board, and an optional board rule that keeps
+-- blocked tasks out of the done column
+
+CREATE TABLE IF NOT EXISTS task_dependencies (
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    blocker_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    PRIMARY KEY (task_id, blocker_id),
+    CHECK (task_id <> blocker_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_dependencies_blocker_id ON task_dependencies(blocker_id);
+
+ALTER TABLE boards ADD COLUMN IF NOT EXISTS enforce_dependencies BOOLEAN NOT NULL DEFAULT false;
+
+-- Row Level Security: members see the dependencies of their boards' tasks and editors change them
+ALTER TABLE task_dependencies ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY task_dependencies_member_visibility ON task_dependencies
+    FOR SELECT
+    TO authenticated
+    USING (task_id IN (
+        SELECT t.id FROM tasks t
+        JOIN board_members m ON m.board_id = t.board_id
+        WHERE m.user_id = current_setting('app.current_user_id')::UUID
+    ));
+
+CREATE POLICY task_dependencies_editor_modify ON task_dependencies
+    FOR ALL
+    TO authenticated
+    USING (task_id IN (
+        SELECT t.id FROM tasks t
+        JOIN board_members m ON m.board_id = t.board_id
+        WHERE m.user_id = current_setting('app.current_user_id')::UUID AND m.role IN ('owner', 'editor')
+    ))
+    WITH CHECK (task_id IN (
+        SELECT t.id FROM tasks t
+        JOIN board_members m ON m.board_id = t.board_id
+        WHERE m.user_id = current_setting('app.current_user_id')::UUID AND m.role IN ('owner', 'editor')
+    ));
+
+GRANT SELECT, INSERT, DELETE ON task_dependencies TO authenticated;
+
+COMMENT ON TABLE task_dependencies IS 'Tasks blocked by other tasks of the same board; kept acyclic by the API';
+COMMENT ON COLUMN task_dependencies.blocker_id IS 'Task that has to be done first';
+COMMENT ON COLUMN boards.enforce_dependencies IS 'Whether tasks with open blockers may not be moved to done';
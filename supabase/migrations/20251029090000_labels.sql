@@ -0,0 +1,76 @@
+-- Labels
+-- Colored labels defined per board, any number of which can be put on a task next to its
+-- single category
+
+CREATE TABLE IF NOT EXISTS labels (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    board_id UUID NOT NULL REFERENCES boards(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    name VARCHAR(50) NOT NULL,
+    color VARCHAR(7) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_labels_board_name ON labels(board_id, lower(name));
+
+CREATE TABLE IF NOT EXISTS task_labels (
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    label_id UUID NOT NULL REFERENCES labels(id) ON DELETE CASCADE,
+    PRIMARY KEY (task_id, label_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_labels_label_id ON task_labels(label_id);
+
+-- Row Level Security: members see their boards' labels and editors change them
+ALTER TABLE labels ENABLE ROW LEVEL SECURITY;
+ALTER TABLE task_labels ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY labels_member_visibility ON labels
+    FOR SELECT
+    TO authenticated
+    USING (board_id IN (
+        SELECT board_id FROM board_members
+        WHERE user_id = current_setting('app.current_user_id')::UUID
+    ));
+
+CREATE POLICY labels_editor_modify ON labels
+    FOR ALL
+    TO authenticated
+    USING (board_id IN (
+        SELECT board_id FROM board_members
+        WHERE user_id = current_setting('app.current_user_id')::UUID AND role IN ('owner', 'editor')
+    ))
+    WITH CHECK (board_id IN (
+        SELECT board_id FROM board_members
+        WHERE user_id = current_setting('app.current_user_id')::UUID AND role IN ('owner', 'editor')
+    ));
+
+CREATE POLICY task_labels_member_visibility ON task_labels
+    FOR SELECT
+    TO authenticated
+    USING (task_id IN (
+        SELECT t.id FROM tasks t
+        JOIN board_members m ON m.board_id = t.board_id
+        WHERE m.user_id = current_setting('app.current_user_id')::UUID
+    ));
+
+CREATE POLICY task_labels_editor_modify ON task_labels
+    FOR ALL
+    TO authenticated
+    USING (task_id IN (
+        SELECT t.id FROM tasks t
+        JOIN board_members m ON m.board_id = t.board_id
+        WHERE m.user_id = current_setting('app.current_user_id')::UUID AND m.role IN ('owner', 'editor')
+    ))
+    WITH CHECK (task_id IN (
+        SELECT t.id FROM tasks t
+        JOIN board_members m ON m.board_id = t.board_id
+        WHERE m.user_id = current_setting('app.current_user_id')::UUID AND m.role IN ('owner', 'editor')
+    ));
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON labels TO authenticated;
+GRANT SELECT, INSERT, DELETE ON task_labels TO authenticated;
+
+COMMENT ON TABLE labels IS 'Colored labels of a board; names are unique per board regardless of case';
+COMMENT ON TABLE task_labels IS 'Labels put on tasks; only labels of the task''s own board';
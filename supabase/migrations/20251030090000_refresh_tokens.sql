@@ -0,0 +1,33 @@
+-- Refresh tokens
+-- Access tokens are short-lived; clients renew them with a refresh token, which is rotated on
+-- every use. The tokens of one login share a family, which is revoked as a whole on logout or
+-- when a rotated token is presented again.
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    family_id UUID NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    rotated_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires_at ON refresh_tokens(expires_at);
+
+-- Row Level Security: users only see their own tokens
+ALTER TABLE refresh_tokens ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY refresh_tokens_user_isolation ON refresh_tokens
+    FOR ALL
+    TO authenticated
+    USING (user_id = current_setting('app.current_user_id')::UUID);
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON refresh_tokens TO authenticated;
+
+COMMENT ON TABLE refresh_tokens IS 'Refresh tokens by SHA-256 hash, kept until they expire so reuse is detected';
+COMMENT ON COLUMN refresh_tokens.family_id IS 'Shared by the tokens of one login; also the sessionId in its access tokens';
+COMMENT ON COLUMN refresh_tokens.rotated_at IS 'Set when the token was exchanged; presenting it again revokes the family';
@@ -0,0 +1,44 @@
+-- User sessions
+-- One row per login on a device, so users can see where they are signed in and sign a device
+-- out. A session's refresh tokens are its family; access tokens carry its id as sessionId and
+-- are refused once it is revoked.
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    user_agent TEXT,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id, last_seen_at);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_expires_at ON user_sessions(expires_at);
+
+-- Token families issued before sessions were tracked become sessions of unknown devices
+INSERT INTO user_sessions (id, user_id, created_at, last_seen_at, expires_at, revoked_at)
+SELECT family_id, user_id, min(created_at), max(created_at), max(expires_at),
+       CASE WHEN bool_and(revoked_at IS NOT NULL) THEN max(revoked_at) END
+FROM refresh_tokens
+GROUP BY family_id, user_id
+ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE refresh_tokens
+    ADD CONSTRAINT refresh_tokens_family_id_fkey
+    FOREIGN KEY (family_id) REFERENCES user_sessions(id) ON DELETE CASCADE;
+
+-- Row Level Security: users only see their own sessions
+ALTER TABLE user_sessions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY user_sessions_user_isolation ON user_sessions
+    FOR ALL
+    TO authenticated
+    USING (user_id = current_setting('app.current_user_id')::UUID);
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON user_sessions TO authenticated;
+
+COMMENT ON TABLE user_sessions IS 'Logins per device; expires_at moves forward with every token refresh';
+COMMENT ON COLUMN user_sessions.last_seen_at IS 'Time of the last login or token refresh, so accurate to the access token lifetime';
+COMMENT ON COLUMN user_sessions.ip_address IS 'Address of the last login or token refresh';
@@ -0,0 +1,31 @@
+-- Two-factor authentication
+-- Users may require a TOTP code from an authenticator app at login. The secret is stored
+-- encrypted by the server; recovery codes are stored as SHA-256 hashes and work once each.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT;
+
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash CHAR(64) NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_id ON user_recovery_codes(user_id);
+
+-- Row Level Security: users only see their own recovery codes
+ALTER TABLE user_recovery_codes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY user_recovery_codes_user_isolation ON user_recovery_codes
+    FOR ALL
+    TO authenticated
+    USING (user_id = current_setting('app.current_user_id')::UUID);
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON user_recovery_codes TO authenticated;
+
+COMMENT ON COLUMN users.totp_secret IS 'AES-256-GCM encrypted base32 secret; set during setup, required at login once totp_enabled_at is set';
+COMMENT ON COLUMN users.totp_last_used_step IS 'Time step of the last accepted code; earlier and equal steps are refused';
+COMMENT ON TABLE user_recovery_codes IS 'Single-use codes that replace the authenticator app, stored by hash';
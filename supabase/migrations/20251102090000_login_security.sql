@@ -0,0 +1,33 @@
+-- Login lockout and audit log
+-- Failed logins in a row lock the account for a while, doubling with every further
+-- failure. Login attempts, failures and lockouts are recorded in auth_events.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE IF NOT EXISTS auth_events (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    username VARCHAR(100),
+    event VARCHAR(30) NOT NULL,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_events_user_id ON auth_events(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_auth_events_created_at ON auth_events(created_at);
+
+-- Row Level Security: users may read their own entries; only the server writes them
+ALTER TABLE auth_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY auth_events_user_isolation ON auth_events
+    FOR SELECT
+    TO authenticated
+    USING (user_id = current_setting('app.current_user_id')::UUID);
+
+GRANT SELECT ON auth_events TO authenticated;
+
+COMMENT ON COLUMN users.failed_login_count IS 'Wrong passwords or second-factor codes since the last successful login';
+COMMENT ON COLUMN users.locked_until IS 'Logins are refused with 429 until this time';
+COMMENT ON TABLE auth_events IS 'Audit log of login_succeeded, login_failed, two_factor_failed, account_locked and login_blocked events, kept for 90 days';